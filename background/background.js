@@ -8,7 +8,19 @@
 import { logger, isSalesforceUrl } from './modules/utils.js';
 import { fetchWithRetry, MAX_RETRY_ATTEMPTS, getCanonicalUrl, getCanonicalHost } from './modules/api.js';
 import { sessionManager } from './modules/session.js';
-import { handleBuildObjectMetadataMap, handleClearMetadataCache } from './modules/metadata.js';
+import {
+  handleBuildObjectMetadataMap,
+  handleClearMetadataCache,
+  handleRevalidateMetadataCache,
+  handleListCachedOrgs,
+  handleLoadCachedMetadata,
+  handleCreateSnapshot,
+  handleGetObjectHistory,
+  handleDeleteSnapshot,
+  handleFetchObjectDocumentation,
+  handleCrawlOrgSchema,
+  handleMetadataBuildPort
+} from './modules/metadata.js';
 
 // =============================================================================
 // SESSION MANAGEMENT
@@ -49,6 +61,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleFetchSObjects(message, sendResponse);
       return true;
 
+    case 'fetchRecordCounts':
+      handleFetchRecordCounts(message, sendResponse);
+      return true;
+
 
     case 'buildObjectMetadataMap':
       handleBuildObjectMetadataMap(message, sendResponse);
@@ -58,6 +74,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleClearMetadataCache(message, sendResponse);
       return true;
 
+    case 'revalidateMetadataCache':
+      handleRevalidateMetadataCache(message, sendResponse);
+      return true;
+
+    case 'listCachedOrgs':
+      handleListCachedOrgs(message, sendResponse);
+      return true;
+
+    case 'loadCachedMetadata':
+      handleLoadCachedMetadata(message, sendResponse);
+      return true;
+
+    case 'createSnapshot':
+      handleCreateSnapshot(message, sendResponse);
+      return true;
+
+    case 'getObjectHistory':
+      handleGetObjectHistory(message, sendResponse);
+      return true;
+
+    case 'deleteSnapshot':
+      handleDeleteSnapshot(message, sendResponse);
+      return true;
+
+    case 'fetchObjectDocumentation':
+      handleFetchObjectDocumentation(message, sendResponse);
+      return true;
+
+    case 'crawlOrgSchema':
+      handleCrawlOrgSchema(message, sendResponse);
+      return true;
+
     case 'getSessionId':
       handleGetSessionId(message, sendResponse);
       return true;
@@ -68,6 +116,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Long-lived connections: metadata builds that stream progress and can be cancelled.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'metadataBuild') {
+    handleMetadataBuildPort(port);
+    return;
+  }
+  logger.warn('[Background:onConnect] Unknown port', { name: port.name });
+});
+
 // =============================================================================
 // BROWSER ACTION HANDLER
 // =============================================================================
@@ -292,6 +351,68 @@ async function handleFetchSObjects(message, sendResponse) {
   }
 }
 
+// Objects per limits/recordCount request (names are passed in the query string)
+const RECORD_COUNT_BATCH_SIZE = 100;
+
+/**
+ * Fetches approximate record counts (REST `limits/recordCount`) for a list of objects,
+ * and the org's data and file storage usage (REST `limits`).
+ * Objects Salesforce keeps no count for are left out of `counts`.
+ *
+ * @param {Object} message - The message object containing instanceUrl, apiVersion and objectNames.
+ * @param {Function} sendResponse - The callback to send the response.
+ * @returns {Promise<void>}
+ */
+async function handleFetchRecordCounts(message, sendResponse) {
+  const { instanceUrl, apiVersion, objectNames } = message;
+
+  if (!instanceUrl || !Array.isArray(objectNames)) {
+    sendResponse({ success: false, error: 'Missing instanceUrl or objectNames' });
+    return;
+  }
+
+  try {
+    const sessionId = message.sessionId || await getSessionId(instanceUrl);
+    if (!sessionId) {
+      sendResponse({ success: false, error: 'No valid session ID found.' });
+      return;
+    }
+
+    const version = apiVersion || '66.0';
+    const counts = {};
+
+    for (let start = 0; start < objectNames.length; start += RECORD_COUNT_BATCH_SIZE) {
+      const batch = objectNames.slice(start, start + RECORD_COUNT_BATCH_SIZE);
+      const url = `${instanceUrl}/services/data/v${version}/limits/recordCount?sObjects=${batch.map(encodeURIComponent).join(',')}`;
+      const data = await fetchWithRetry(url, MAX_RETRY_ATTEMPTS, sessionId, false);
+      (data.sObjects || []).forEach(({ name, count }) => { counts[name] = count; });
+    }
+
+    // Storage usage needs "View Setup and Configuration"; counts are still returned without it
+    let storage = null;
+    try {
+      const limits = await fetchWithRetry(`${instanceUrl}/services/data/v${version}/limits`, MAX_RETRY_ATTEMPTS, sessionId, false);
+      storage = {
+        dataMaxMB: limits.DataStorageMB?.Max ?? null,
+        dataUsedMB: limits.DataStorageMB ? limits.DataStorageMB.Max - limits.DataStorageMB.Remaining : null,
+        fileMaxMB: limits.FileStorageMB?.Max ?? null,
+        fileUsedMB: limits.FileStorageMB ? limits.FileStorageMB.Max - limits.FileStorageMB.Remaining : null
+      };
+    } catch (error) {
+      logger.warn('[Background:handleFetchRecordCounts] Storage limits unavailable', { error: error.message });
+    }
+
+    logger.info('[Background:handleFetchRecordCounts] Record counts fetched', {
+      requested: objectNames.length,
+      counted: Object.keys(counts).length
+    });
+    sendResponse({ success: true, counts, storage });
+  } catch (error) {
+    logger.error('[Background:handleFetchRecordCounts] Record count fetch failed', { error: error.message });
+    sendResponse({ success: false, error: error.message || 'Failed to fetch record counts' });
+  }
+}
+
 /**
  * Handles session ID requests from content scripts.
  */
@@ -79,10 +79,14 @@ export function getCanonicalUrl(instanceUrl) {
  * @param {number} retriesLeft - Number of retry attempts remaining
  * @param {string|null} sessionId - Session ID (required for Bearer auth)
  * @param {boolean} isSetupDomain - Legacy flag (logic now handled by getMyDomain)
+ * @param {Object} [options] - Additional request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON request body
+ * @param {AbortSignal} [options.signal] - Aborts the request (and any pending retry)
  * @returns {Promise<Object>} Parsed JSON response
- * @throws {Error} If all retries exhausted or non-retryable error
+ * @throws {Error} If all retries exhausted or non-retryable error (AbortError when aborted)
  */
-export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetupDomain = false) {
+export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetupDomain = false, options = {}) {
     try {
         // AUTHENTICATION STRATEGY:
         // 1. Normalize hostname to use .my.salesforce.com where possible
@@ -113,10 +117,12 @@ export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetup
 
         // Make request
         const response = await fetch(normalizedUrl, {
-            method: 'GET',
+            method: options.method || 'GET',
             headers,
+            body: options.body ? JSON.stringify(options.body) : undefined,
             // IMPORTANT: Always include credentials (cookies) for Salesforce API calls
-            credentials: 'include'
+            credentials: 'include',
+            signal: options.signal
         });
 
         // Handle HTTP error responses
@@ -134,7 +140,7 @@ export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetup
             // Check if this error is retryable
             if (RETRYABLE_STATUS_CODES.has(response.status) && retriesLeft > 1) {
                 logger.warn('[API:fetchWithRetry] Retryable error encountered', { status: response.status, retriesLeft: retriesLeft - 1 });
-                return await retryWithBackoff(normalizedUrl, retriesLeft - 1, sessionId, isSetupDomain);
+                return await retryWithBackoff(normalizedUrl, retriesLeft - 1, sessionId, isSetupDomain, options);
             }
 
             // Non-retryable error or out of retries
@@ -149,7 +155,7 @@ export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetup
         if (error.name === 'TypeError' && retriesLeft > 1) {
             logger.warn('[API:fetchWithRetry] Network error encountered', { error: error.message, retriesLeft: retriesLeft - 1 });
             // Pass original URL to retry logic, it will call us back
-            return await retryWithBackoff(url, retriesLeft - 1, sessionId, isSetupDomain);
+            return await retryWithBackoff(url, retriesLeft - 1, sessionId, isSetupDomain, options);
         }
         throw error;
     }
@@ -158,11 +164,40 @@ export async function fetchWithRetry(url, retriesLeft, sessionId = null, isSetup
 /**
  * Waits with exponential backoff, then retries the fetch.
  */
-async function retryWithBackoff(url, retriesLeft, sessionId = null, isSetupDomain = false) {
+async function retryWithBackoff(url, retriesLeft, sessionId = null, isSetupDomain = false, options = {}) {
     const attempt = MAX_RETRY_ATTEMPTS - retriesLeft;
     const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
 
     logger.info('[API:retryWithBackoff] Waiting before retry', { delay });
-    await new Promise(resolve => setTimeout(resolve, delay));
-    return fetchWithRetry(url, retriesLeft, sessionId, isSetupDomain);
+    await waitForRetry(delay, options.signal);
+    return fetchWithRetry(url, retriesLeft, sessionId, isSetupDomain, options);
+}
+
+/**
+ * Resolves after the delay, or rejects with an AbortError as soon as the signal aborts.
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const timer = setTimeout(resolve, delay);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }, { once: true });
+    });
+}
+
+/**
+ * Creates the error thrown when a request is aborted (same name as fetch's own AbortError).
+ * @param {string} [message='Request aborted'] - The error message.
+ * @returns {Error} The abort error.
+ */
+export function createAbortError(message = 'Request aborted') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
 }
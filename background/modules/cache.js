@@ -12,6 +12,20 @@ import { getCanonicalHost } from './api.js';
 
 export const METADATA_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
+// Format of the cached nodes and edges. Bump it when the transform adds attributes: revalidation
+// (If-Modified-Since) never re-describes unchanged objects, so only a rebuild adds them.
+// 1: records written before the format was versioned
+// 2: picklist values and dependencies on fields
+// 3: delete rules (cascadeDelete, restrictedDelete) on edges
+// 4: self-reference and polymorphic edges
+// 5: junction parents (junctionReferenceTo) on edges
+export const METADATA_FORMAT_VERSION = 5;
+
+// Snapshots kept per org; the oldest are pruned when a new one is saved
+export const SNAPSHOT_LIMIT_PER_ORG = 20;
+
+const METADATA_CACHE_KEY_PREFIX = 'metadata_cache_';
+
 
 // =============================================================================
 // METADATA CACHE (IndexedDB)
@@ -25,49 +39,152 @@ export const METADATA_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
  */
 export function getMetadataCacheKey(instanceUrl) {
     const canonicalHost = getCanonicalHost(instanceUrl);
-    return `metadata_cache_${canonicalHost}`;
+    return `${METADATA_CACHE_KEY_PREFIX}${canonicalHost}`;
+}
+
+/**
+ * Returns the canonical host a cache key was built from.
+ * @param {string} cacheKey - A key from getMetadataCacheKey.
+ * @returns {string} The canonical host.
+ */
+export function getHostFromCacheKey(cacheKey) {
+    return cacheKey.startsWith(METADATA_CACHE_KEY_PREFIX) ? cacheKey.slice(METADATA_CACHE_KEY_PREFIX.length) : cacheKey;
 }
 
+const DB_NAME = 'sfSchemaExplorer';
+const DB_VERSION = 3;
+
+// v1 stored the whole { nodes, edges } map of an org as one record in 'metadata'.
+// v2 stores one record per object and per edge, so a lazy load only writes what it fetched.
+const STORE_OBJECTS = 'objects';   // { cacheKey, name, info, fields, fetchedAt }
+const STORE_EDGES = 'edges';       // { cacheKey, id, source, target, ...edge }
+const STORE_ORGS = 'orgs';         // { cacheKey, timestamp, ttl, formatVersion, crawledAt? } (crawledAt: last complete org crawl)
+// v3: dated copies of an org's map. Summaries and data are split so listing stays cheap.
+const STORE_SNAPSHOTS = 'snapshots';          // { id, cacheKey, createdAt, reason, objectCount }
+const STORE_SNAPSHOT_DATA = 'snapshotData';   // { id, nodes, edges }
+const LEGACY_STORE = 'metadata';
+
 function initMetadataDb() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('sfSchemaExplorer', 1);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
 
         request.onupgradeneeded = (event) => {
             const db = event.target.result;
-            if (!db.objectStoreNames.contains('metadata')) {
-                db.createObjectStore('metadata', { keyPath: 'cacheKey' });
+
+            if (event.oldVersion < 2) {
+                upgradeToV2(db);
+            }
+            if (event.oldVersion < 3) {
+                upgradeToV3(db);
             }
         };
     });
 }
 
 /**
- * Saves metadata map to IndexedDB.
+ * Schema v2: per-object and per-edge stores (indexed by org, edge source and edge target),
+ * plus one record per org for the cache timestamp. v1 blobs predate the versioned record
+ * format (METADATA_FORMAT_VERSION) and would be rebuilt on first load, so they are dropped.
+ */
+function upgradeToV2(db) {
+    const objects = db.createObjectStore(STORE_OBJECTS, { keyPath: ['cacheKey', 'name'] });
+    objects.createIndex('cacheKey', 'cacheKey');
+
+    const edges = db.createObjectStore(STORE_EDGES, { keyPath: ['cacheKey', 'id'] });
+    edges.createIndex('cacheKey', 'cacheKey');
+    edges.createIndex('source', ['cacheKey', 'source']);
+    edges.createIndex('target', ['cacheKey', 'target']);
+
+    db.createObjectStore(STORE_ORGS, { keyPath: 'cacheKey' });
+
+    if (!db.objectStoreNames.contains(LEGACY_STORE)) return;
+
+    db.deleteObjectStore(LEGACY_STORE);
+    logger.info('[Cache:IndexedDB] Dropped v1 metadata cache');
+}
+
+/**
+ * Schema v3: snapshot summaries (indexed by org) and snapshot data.
+ */
+function upgradeToV3(db) {
+    const snapshots = db.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+    snapshots.createIndex('cacheKey', 'cacheKey');
+
+    db.createObjectStore(STORE_SNAPSHOT_DATA, { keyPath: 'id' });
+}
+
+/**
+ * Puts one record per node and per edge of the map.
+ */
+function writeMapRecords(transaction, cacheKey, { nodes = {}, edges = {} }) {
+    const objectStore = transaction.objectStore(STORE_OBJECTS);
+    const edgeStore = transaction.objectStore(STORE_EDGES);
+
+    for (const [name, node] of Object.entries(nodes)) {
+        objectStore.put({ ...node, cacheKey, name });
+    }
+    for (const edge of Object.values(edges)) {
+        edgeStore.put({ ...edge, cacheKey });
+    }
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+    });
+}
+
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * An org's cache is usable while its TTL runs and its records are in the current format.
+ */
+function isOrgCacheCurrent(org) {
+    return Date.now() - org.timestamp <= org.ttl && (org.formatVersion || 1) === METADATA_FORMAT_VERSION;
+}
+
+/**
+ * Saves nodes and edges of an org to IndexedDB.
+ * Only the given records are written (upsert), so callers pass what changed rather than the whole map.
+ * Saving restarts the cache TTL of the org and keeps its `crawledAt` mark.
  * @param {string} cacheKey - The cache key.
- * @param {Object} metadataMap - The metadata map to save.
+ * @param {Object} metadataMap - The nodes and edges to write ({ nodes, edges }).
+ * @param {Object} [removed] - Records to delete first.
+ * @param {Array<string>} [removed.objectNames] - Object API names to delete.
+ * @param {Array<string>} [removed.edgeIds] - Edge ids to delete.
  */
-export async function saveMetadataToIndexedDb(cacheKey, metadataMap) {
+export async function saveMetadataToIndexedDb(cacheKey, metadataMap, { objectNames = [], edgeIds = [] } = {}) {
     try {
         const db = await initMetadataDb();
-        const transaction = db.transaction('metadata', 'readwrite');
-        const store = transaction.objectStore('metadata');
+        const transaction = db.transaction([STORE_OBJECTS, STORE_EDGES, STORE_ORGS], 'readwrite');
+
+        // Requests run in order: deletions first, so re-added records survive
+        objectNames.forEach(name => transaction.objectStore(STORE_OBJECTS).delete([cacheKey, name]));
+        edgeIds.forEach(id => transaction.objectStore(STORE_EDGES).delete([cacheKey, id]));
+
+        writeMapRecords(transaction, cacheKey, metadataMap);
 
-        const cacheData = {
+        const orgStore = transaction.objectStore(STORE_ORGS);
+        const org = await requestToPromise(orgStore.get(cacheKey));
+        orgStore.put({
             cacheKey,
-            data: metadataMap,
             timestamp: Date.now(),
-            ttl: METADATA_CACHE_TTL_MS
-        };
-
-        await new Promise((resolve, reject) => {
-            const request = store.put(cacheData);
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve();
+            ttl: METADATA_CACHE_TTL_MS,
+            formatVersion: METADATA_FORMAT_VERSION,
+            ...(org?.crawledAt ? { crawledAt: org.crawledAt } : {})
         });
 
+        await transactionToPromise(transaction);
         db.close();
     } catch (error) {
         logger.warn('[Cache:IndexedDB] Save failed', { error: error.message });
@@ -75,36 +192,66 @@ export async function saveMetadataToIndexedDb(cacheKey, metadataMap) {
 }
 
 /**
- * Loads metadata map from IndexedDB.
+ * Marks the cached map of an org as complete: every object of the org was described
+ * (or attempted) by an org crawl. The mark lasts as long as the cached map.
+ * @param {string} cacheKey - The cache key.
+ */
+export async function markOrgCrawledInIndexedDb(cacheKey) {
+    try {
+        const db = await initMetadataDb();
+        const transaction = db.transaction(STORE_ORGS, 'readwrite');
+        const orgStore = transaction.objectStore(STORE_ORGS);
+
+        const org = await requestToPromise(orgStore.get(cacheKey));
+        if (org) orgStore.put({ ...org, crawledAt: Date.now() });
+
+        await transactionToPromise(transaction);
+        db.close();
+    } catch (error) {
+        logger.warn('[Cache:IndexedDB] Crawl mark failed', { error: error.message });
+    }
+}
+
+/**
+ * Loads the metadata map of an org from IndexedDB.
  * @param {string} cacheKey - The cache key.
  * @returns {Promise<Object|null>} The cached data object or null if not found/expired/error.
  */
 export async function loadMetadataFromIndexedDb(cacheKey) {
     try {
         const db = await initMetadataDb();
-        const transaction = db.transaction('metadata', 'readonly');
-        const store = transaction.objectStore('metadata');
+        const transaction = db.transaction([STORE_OBJECTS, STORE_EDGES, STORE_ORGS], 'readonly');
 
-        const cacheData = await new Promise((resolve, reject) => {
-            const request = store.get(cacheKey);
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
-        });
+        const [org, objectRecords, edgeRecords] = await Promise.all([
+            requestToPromise(transaction.objectStore(STORE_ORGS).get(cacheKey)),
+            requestToPromise(transaction.objectStore(STORE_OBJECTS).index('cacheKey').getAll(cacheKey)),
+            requestToPromise(transaction.objectStore(STORE_EDGES).index('cacheKey').getAll(cacheKey))
+        ]);
 
         db.close();
 
-        if (!cacheData) return null;
+        if (!org) return null;
 
-        // Check if cache is expired
-        const age = Date.now() - cacheData.timestamp;
-        if (age > cacheData.ttl) {
+        // Expired caches and caches in an older format are rebuilt
+        if (!isOrgCacheCurrent(org)) {
             await deleteMetadataFromIndexedDb(cacheKey);
             return null;
         }
 
+        const nodes = {};
+        for (const { cacheKey: _cacheKey, name, ...node } of objectRecords) {
+            nodes[name] = node;
+        }
+
+        const edges = {};
+        for (const { cacheKey: _cacheKey, ...edge } of edgeRecords) {
+            edges[edge.id] = edge;
+        }
+
         return {
-            data: cacheData.data,
-            timestamp: cacheData.timestamp,
+            data: { nodes, edges },
+            timestamp: org.timestamp,
+            crawledAt: org.crawledAt || null,
             fromCache: true
         };
     } catch (error) {
@@ -114,23 +261,143 @@ export async function loadMetadataFromIndexedDb(cacheKey) {
 }
 
 /**
- * Deletes metadata from IndexedDB.
+ * Lists the orgs that have unexpired metadata in the current format in IndexedDB.
+ * @returns {Promise<Array<{cacheKey: string, timestamp: number, crawledAt: number|null, objectCount: number}>>} The orgs (empty on error).
+ */
+export async function listCachedOrgsFromIndexedDb() {
+    try {
+        const db = await initMetadataDb();
+        const transaction = db.transaction([STORE_OBJECTS, STORE_ORGS], 'readonly');
+
+        const orgs = (await requestToPromise(transaction.objectStore(STORE_ORGS).getAll()))
+            .filter(isOrgCacheCurrent);
+        const counts = await Promise.all(orgs.map(org =>
+            requestToPromise(transaction.objectStore(STORE_OBJECTS).index('cacheKey').count(org.cacheKey))
+        ));
+
+        db.close();
+        return orgs.map((org, index) => ({
+            cacheKey: org.cacheKey,
+            timestamp: org.timestamp,
+            crawledAt: org.crawledAt || null,
+            objectCount: counts[index]
+        }));
+    } catch (error) {
+        logger.warn('[Cache:IndexedDB] List failed', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Deletes the cached metadata of an org from IndexedDB.
  * @param {string} cacheKey - The cache key.
  */
 export async function deleteMetadataFromIndexedDb(cacheKey) {
     try {
         const db = await initMetadataDb();
-        const transaction = db.transaction('metadata', 'readwrite');
-        const store = transaction.objectStore('metadata');
+        const transaction = db.transaction([STORE_OBJECTS, STORE_EDGES, STORE_ORGS], 'readwrite');
 
-        await new Promise((resolve, reject) => {
-            const request = store.delete(cacheKey);
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve();
-        });
+        transaction.objectStore(STORE_ORGS).delete(cacheKey);
+        for (const storeName of [STORE_OBJECTS, STORE_EDGES]) {
+            const store = transaction.objectStore(storeName);
+            const keys = await requestToPromise(store.index('cacheKey').getAllKeys(cacheKey));
+            keys.forEach(key => store.delete(key));
+        }
 
+        await transactionToPromise(transaction);
         db.close();
     } catch (error) {
         logger.warn('[Cache:IndexedDB] Delete failed', { error: error.message });
     }
 }
+
+// =============================================================================
+// SNAPSHOTS (IndexedDB)
+// =============================================================================
+
+/**
+ * Saves a dated copy of an org's metadata map and prunes the oldest snapshots beyond the limit.
+ * @param {string} cacheKey - The org cache key.
+ * @param {Object} metadataMap - The full map ({ nodes, edges }).
+ * @param {string} reason - Why it was taken ('manual', 'first-load', 'before-refresh', 'before-clear').
+ * @returns {Promise<Object|null>} The snapshot summary, or null on error.
+ */
+export async function saveSnapshotToIndexedDb(cacheKey, { nodes, edges }, reason) {
+    try {
+        const db = await initMetadataDb();
+        const transaction = db.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_DATA], 'readwrite');
+        const summaries = transaction.objectStore(STORE_SNAPSHOTS);
+        const data = transaction.objectStore(STORE_SNAPSHOT_DATA);
+
+        const summary = { cacheKey, createdAt: Date.now(), reason, objectCount: Object.keys(nodes).length };
+        summary.id = await requestToPromise(summaries.add(summary));
+        data.put({ id: summary.id, nodes, edges });
+
+        // Keys are auto-incremented, so the oldest snapshots come first
+        const ids = await requestToPromise(summaries.index('cacheKey').getAllKeys(cacheKey));
+        ids.slice(0, Math.max(0, ids.length - SNAPSHOT_LIMIT_PER_ORG)).forEach(id => {
+            summaries.delete(id);
+            data.delete(id);
+        });
+
+        await transactionToPromise(transaction);
+        db.close();
+        return summary;
+    } catch (error) {
+        logger.warn('[Cache:Snapshots] Save failed', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Lists the snapshot summaries of an org, oldest first.
+ * @param {string} cacheKey - The org cache key.
+ * @returns {Promise<Array<Object>>} The summaries (empty on error).
+ */
+export async function listSnapshotsFromIndexedDb(cacheKey) {
+    try {
+        const db = await initMetadataDb();
+        const store = db.transaction(STORE_SNAPSHOTS, 'readonly').objectStore(STORE_SNAPSHOTS);
+        const summaries = await requestToPromise(store.index('cacheKey').getAll(cacheKey));
+        db.close();
+        return summaries.sort((a, b) => a.id - b.id);
+    } catch (error) {
+        logger.warn('[Cache:Snapshots] List failed', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Loads the map stored in a snapshot.
+ * @param {number} id - The snapshot id.
+ * @returns {Promise<{nodes: Object, edges: Object}|null>} The map, or null if not found/error.
+ */
+export async function loadSnapshotFromIndexedDb(id) {
+    try {
+        const db = await initMetadataDb();
+        const store = db.transaction(STORE_SNAPSHOT_DATA, 'readonly').objectStore(STORE_SNAPSHOT_DATA);
+        const record = await requestToPromise(store.get(id));
+        db.close();
+        return record ? { nodes: record.nodes, edges: record.edges } : null;
+    } catch (error) {
+        logger.warn('[Cache:Snapshots] Load failed', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Deletes a snapshot.
+ * @param {number} id - The snapshot id.
+ */
+export async function deleteSnapshotFromIndexedDb(id) {
+    try {
+        const db = await initMetadataDb();
+        const transaction = db.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_DATA], 'readwrite');
+        transaction.objectStore(STORE_SNAPSHOTS).delete(id);
+        transaction.objectStore(STORE_SNAPSHOT_DATA).delete(id);
+        await transactionToPromise(transaction);
+        db.close();
+    } catch (error) {
+        logger.warn('[Cache:Snapshots] Delete failed', { error: error.message });
+    }
+}
@@ -9,18 +9,33 @@
 // Re-export handlers used by background.js
 export {
     handleBuildObjectMetadataMap,
-    handleClearMetadataCache
+    handleClearMetadataCache,
+    handleRevalidateMetadataCache,
+    handleListCachedOrgs,
+    handleLoadCachedMetadata,
+    handleCreateSnapshot,
+    handleGetObjectHistory,
+    handleDeleteSnapshot,
+    handleFetchObjectDocumentation,
+    handleCrawlOrgSchema,
+    handleMetadataBuildPort
 } from './metadata/handlers.js';
 
 // Re-export constants if needed by other modules (optional)
 export {
     METADATA_BATCH_SIZE,
-    METADATA_BATCH_DELAY_MS
+    METADATA_BATCH_DELAY_MS,
+    METADATA_INITIAL_CONCURRENCY,
+    METADATA_MAX_CONCURRENCY,
+    ORG_CRAWL_CHUNK_SIZE,
+    ROLLUP_QUERY_CONCURRENCY
 } from './metadata/config.js';
 
 // Re-export utilities if needed
 export {
     batchFetchObjectMetadata,
+    revalidateObjectMetadata,
+    fetchObjectDocumentation,
     filterObjectsForMetadataFetch
 } from './metadata/fetch.js';
 
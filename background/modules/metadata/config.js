@@ -2,7 +2,20 @@
  * Salesforce Schema Explorer - Metadata Configuration
  */
 
-// Optimization: Batch size of 15 balances browser concurrency limits (avg 6) with speed.
-// Delay of 100ms prevents "burstable" rate limiting from Salesforce.
-export const METADATA_BATCH_SIZE = 15;
+// Describes are packed into Composite API requests; 25 is the Composite subrequest limit.
+export const METADATA_BATCH_SIZE = 25;
+// Delay of 100ms between waves prevents "burstable" rate limiting from Salesforce.
 export const METADATA_BATCH_DELAY_MS = 100;
+
+// Adaptive concurrency: Composite requests in flight per wave. Halved when a wave is
+// throttled or much slower than the fastest wave seen, raised by one while responses stay fast.
+export const METADATA_INITIAL_CONCURRENCY = 2;
+export const METADATA_MAX_CONCURRENCY = 4;
+export const METADATA_SLOW_RESPONSE_FACTOR = 2;
+
+// Org map crawl: objects described per step (4 Composite requests). The cache is saved after
+// every step so a closed tab or a restarted service worker doesn't lose finished work.
+export const ORG_CRAWL_CHUNK_SIZE = 100;
+
+// Roll-up definitions: one Tooling query per field, so queries run in small waves.
+export const ROLLUP_QUERY_CONCURRENCY = 4;
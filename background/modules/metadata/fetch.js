@@ -3,8 +3,15 @@
  */
 
 import { logger, shouldExcludeObject } from '../utils.js';
-import { fetchWithRetry, MAX_RETRY_ATTEMPTS } from '../api.js';
-import { METADATA_BATCH_SIZE, METADATA_BATCH_DELAY_MS } from './config.js';
+import { fetchWithRetry, MAX_RETRY_ATTEMPTS, createAbortError } from '../api.js';
+import {
+    METADATA_BATCH_SIZE,
+    METADATA_BATCH_DELAY_MS,
+    METADATA_INITIAL_CONCURRENCY,
+    METADATA_MAX_CONCURRENCY,
+    METADATA_SLOW_RESPONSE_FACTOR,
+    ROLLUP_QUERY_CONCURRENCY
+} from './config.js';
 
 /**
  * Filters the list of objects to determine which ones should have their metadata fetched.
@@ -17,56 +24,129 @@ export function filterObjectsForMetadataFetch(allObjects) {
 
 /**
  * Fetches metadata for a list of objects in batches.
+ * Describes are packed into Composite API requests (up to 25 per round trip); several
+ * requests run in parallel, with concurrency adapted to how fast Salesforce responds.
  * @param {string} instanceUrl - The Salesforce instance URL.
  * @param {string} apiVersion - The API version.
  * @param {Array<string>} objectNames - List of object API names to fetch.
  * @param {string} sessionId - The session ID.
  * @param {boolean} isSetupDomain - Flag for setup domain.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts in-flight describes and skips the remaining batches.
+ * @param {Function} [options.onProgress] - Called after each batch with { fetched, failed, remaining, total }.
  * @returns {Promise<Object>} Map of object names to metadata.
+ * @throws {Error} AbortError when aborted; `error.partialResults` holds the metadata fetched so far.
  */
-export async function batchFetchObjectMetadata(instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain) {
+export async function batchFetchObjectMetadata(instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain, { signal, onProgress } = {}) {
+    const { metadataMap } = await fetchDescribes(instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain, { signal, onProgress });
+    return metadataMap;
+}
+
+/**
+ * Re-requests describes with `If-Modified-Since` so only objects changed since they were
+ * cached are downloaded again.
+ * @param {string} instanceUrl - The Salesforce instance URL.
+ * @param {string} apiVersion - The API version.
+ * @param {Object<string, number>} modifiedSince - Object API name → time its describe was fetched (ms).
+ * @param {string} sessionId - The session ID.
+ * @param {boolean} isSetupDomain - Flag for setup domain.
+ * @param {Object} [options] - Same `signal` / `onProgress` options as `batchFetchObjectMetadata`.
+ * @returns {Promise<{changed: Object, notModified: Array<string>, deleted: Array<string>, failed: Array<string>}>}
+ *   `changed` maps object names to their new metadata; `deleted` objects no longer exist (404).
+ */
+export async function revalidateObjectMetadata(instanceUrl, apiVersion, modifiedSince, sessionId, isSetupDomain, options = {}) {
+    const objectNames = Object.keys(modifiedSince);
+    const { metadataMap, notModified, failedObjects } = await fetchDescribes(
+        instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain, { ...options, modifiedSince }
+    );
+
+    return {
+        changed: metadataMap,
+        notModified,
+        deleted: failedObjects.filter(f => f.status === 404).map(f => f.objectName),
+        failed: failedObjects.filter(f => f.status !== 404).map(f => f.objectName)
+    };
+}
+
+/**
+ * Runs describes in waves of Composite requests.
+ * @returns {Promise<{metadataMap: Object, notModified: Array<string>, failedObjects: Array<Object>}>}
+ */
+async function fetchDescribes(instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain, { signal, onProgress, modifiedSince = {} } = {}) {
     const metadataMap = {};
+    const notModified = [];
     const failedObjects = [];
 
-    const totalBatches = Math.ceil(objectNames.length / METADATA_BATCH_SIZE);
+    const batches = [];
+    for (let i = 0; i < objectNames.length; i += METADATA_BATCH_SIZE) {
+        batches.push(objectNames.slice(i, i + METADATA_BATCH_SIZE));
+    }
+
     logger.info('[Metadata:batchFetch] Starting metadata fetch', {
         totalObjects: objectNames.length,
         batchSize: METADATA_BATCH_SIZE,
-        totalBatches
+        totalBatches: batches.length
     });
 
-    for (let i = 0; i < objectNames.length; i += METADATA_BATCH_SIZE) {
-        const batch = objectNames.slice(i, i + METADATA_BATCH_SIZE);
-        const batchNumber = Math.floor(i / METADATA_BATCH_SIZE) + 1;
-
-        // Fetch this batch in parallel
-        const batchPromises = batch.map(objectName =>
-            fetchWithRetry(
-                `${instanceUrl}/services/data/v${apiVersion}/sobjects/${objectName}/describe`,
-                MAX_RETRY_ATTEMPTS,
-                sessionId,
-                isSetupDomain
-            ).then(metadata => ({ objectName, metadata, success: true }))
-                .catch(error => {
-                    // Collect failures for summary logging
-                    return { objectName, metadata: null, success: false, error: error.message };
-                })
-        );
+    let concurrency = METADATA_INITIAL_CONCURRENCY;
+    let fastestMsPerObject = Infinity;
+    let delay = METADATA_BATCH_DELAY_MS;
+
+    while (batches.length > 0) {
+        throwIfAborted(signal, metadataMap);
+
+        // Fetch one wave of Composite requests in parallel
+        const wave = batches.splice(0, concurrency);
+        const waveSize = wave.reduce((sum, batch) => sum + batch.length, 0);
+        const startedAt = Date.now();
+
+        const waveResults = await Promise.all(wave.map(batch =>
+            fetchDescribeBatch(instanceUrl, apiVersion, batch, sessionId, isSetupDomain, signal, modifiedSince)
+        ));
+        const results = waveResults.flat();
 
-        const results = await Promise.all(batchPromises);
+        // Describes cut short by an abort are not failures; stop with what completed
+        throwIfAborted(signal, metadataMap, results);
 
         // Process results
         results.forEach(result => {
-            if (result.success && result.metadata) {
+            if (result.notModified) {
+                notModified.push(result.objectName);
+            } else if (result.success && result.metadata) {
                 metadataMap[result.objectName] = result.metadata;
             } else {
-                failedObjects.push({ objectName: result.objectName, error: result.error });
+                failedObjects.push(result);
             }
         });
 
-        // Delay before next batch (except after last batch)
-        if (i + METADATA_BATCH_SIZE < objectNames.length) {
-            await new Promise(resolve => setTimeout(resolve, METADATA_BATCH_DELAY_MS));
+        if (onProgress) {
+            const fetched = Object.keys(metadataMap).length + notModified.length;
+            onProgress({
+                fetched,
+                failed: failedObjects.length,
+                remaining: objectNames.length - fetched - failedObjects.length,
+                total: objectNames.length
+            });
+        }
+
+        // Adapt concurrency: back off on throttling or slow responses, ramp up while fast
+        const msPerObject = (Date.now() - startedAt) / waveSize;
+        const isThrottled = results.some(result => result.isThrottled);
+        const isSlow = msPerObject > fastestMsPerObject * METADATA_SLOW_RESPONSE_FACTOR;
+        fastestMsPerObject = Math.min(fastestMsPerObject, msPerObject);
+
+        if (isThrottled || isSlow) {
+            concurrency = Math.max(1, Math.floor(concurrency / 2));
+            delay = Math.min(delay * 2, METADATA_BATCH_DELAY_MS * 32);
+            logger.info('[Metadata:batchFetch] Backing off', { concurrency, delay, isThrottled, msPerObject: Math.round(msPerObject) });
+        } else {
+            concurrency = Math.min(METADATA_MAX_CONCURRENCY, concurrency + 1);
+            delay = METADATA_BATCH_DELAY_MS;
+        }
+
+        // Delay before next wave (except after last wave)
+        if (batches.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
 
@@ -75,16 +155,207 @@ export async function batchFetchObjectMetadata(instanceUrl, apiVersion, objectNa
     logger.info('[Metadata:batchFetch] Metadata fetch completed', {
         totalRequested: objectNames.length,
         successCount,
+        notModifiedCount: notModified.length,
         failedCount: failedObjects.length,
-        successRate: `${((successCount / objectNames.length) * 100).toFixed(1)}%`
+        successRate: `${(((successCount + notModified.length) / objectNames.length) * 100).toFixed(1)}%`
     });
 
     if (failedObjects.length > 0) {
         logger.warn('[Metadata:batchFetch] Some objects failed to fetch', {
             failedCount: failedObjects.length,
-            failedObjects: failedObjects.map(f => f.objectName).slice(0, 10) // Log first 10
+            failedObjects: failedObjects.slice(0, 10).map(f => `${f.objectName}: ${f.error}`) // Log first 10
         });
     }
 
-    return metadataMap;
+    return { metadataMap, notModified, failedObjects };
+}
+
+/**
+ * Describes up to 25 objects in one Composite API request.
+ * Subrequests are independent (allOrNone: false), so each object succeeds or fails on its own.
+ * Objects listed in `modifiedSince` are requested conditionally and may come back `notModified` (304).
+ * @returns {Promise<Array<{objectName: string, metadata: Object|null, success: boolean, notModified?: boolean, status?: number, error?: string, isThrottled?: boolean}>>}
+ */
+async function fetchDescribeBatch(instanceUrl, apiVersion, objectNames, sessionId, isSetupDomain, signal, modifiedSince = {}) {
+    const compositeRequest = objectNames.map((objectName, index) => {
+        const subrequest = {
+            method: 'GET',
+            url: `/services/data/v${apiVersion}/sobjects/${objectName}/describe`,
+            referenceId: `describe${index}`
+        };
+        if (modifiedSince[objectName]) {
+            subrequest.httpHeaders = { 'If-Modified-Since': new Date(modifiedSince[objectName]).toUTCString() };
+        }
+        return subrequest;
+    });
+
+    try {
+        const response = await fetchWithRetry(
+            `${instanceUrl}/services/data/v${apiVersion}/composite`,
+            MAX_RETRY_ATTEMPTS,
+            sessionId,
+            isSetupDomain,
+            { method: 'POST', body: { allOrNone: false, compositeRequest }, signal }
+        );
+
+        const responsesById = new Map((response.compositeResponse || []).map(sub => [sub.referenceId, sub]));
+
+        return objectNames.map((objectName, index) => {
+            const sub = responsesById.get(`describe${index}`);
+            if (sub?.httpStatusCode === 304) {
+                return { objectName, metadata: null, success: true, notModified: true };
+            }
+            if (sub && sub.httpStatusCode >= 200 && sub.httpStatusCode < 300) {
+                return { objectName, metadata: sub.body, success: true };
+            }
+            return {
+                objectName,
+                metadata: null,
+                success: false,
+                status: sub?.httpStatusCode,
+                error: sub ? `HTTP ${sub.httpStatusCode}: ${getSubrequestError(sub.body)}` : 'Missing from composite response',
+                isThrottled: sub?.httpStatusCode === 429
+            };
+        });
+    } catch (error) {
+        // The whole request failed (or was aborted): report it against every object of the batch
+        return objectNames.map(objectName => ({
+            objectName,
+            metadata: null,
+            success: false,
+            error: error.message,
+            isThrottled: error.status === 429 || error.status === 503
+        }));
+    }
+}
+
+/**
+ * Extracts the error message of a failed Composite subrequest (body is an array of errors).
+ */
+function getSubrequestError(body) {
+    if (Array.isArray(body) && body[0]?.message) {
+        return body.map(error => error.message).join('; ');
+    }
+    return typeof body === 'string' ? body : 'Unknown error';
+}
+
+/**
+ * Throws an AbortError carrying the describes completed so far if the signal was aborted.
+ * @param {AbortSignal} [signal] - The abort signal.
+ * @param {Object} metadataMap - Metadata fetched in previous batches.
+ * @param {Array<Object>} [batchResults=[]] - Results of the current batch.
+ */
+function throwIfAborted(signal, metadataMap, batchResults = []) {
+    if (!signal?.aborted) return;
+
+    batchResults.forEach(result => {
+        if (result.success && result.metadata) metadataMap[result.objectName] = result.metadata;
+    });
+
+    const error = createAbortError('Metadata fetch cancelled');
+    error.partialResults = metadataMap;
+    throw error;
+}
+
+// =============================================================================
+// TOOLING API DOCUMENTATION
+// =============================================================================
+
+/**
+ * Fetches the descriptions Setup shows for an object and its fields (Tooling API
+ * EntityDefinition and FieldDefinition), which the REST describe never returns,
+ * and the definitions of its roll-up summary fields (CustomField metadata).
+ * Help text and formulas are part of the describe and are kept by stripMetadataFields.
+ * @param {string} instanceUrl - The Salesforce instance URL.
+ * @param {string} apiVersion - The API version.
+ * @param {string} objectName - The object API name (validated by the caller).
+ * @param {string} sessionId - The session ID.
+ * @param {boolean} isSetupDomain - Flag for setup domain.
+ * @param {Array<string>} [rollupFieldNames=[]] - Fields that may be roll-up summaries.
+ * @returns {Promise<{description: string|null, fieldDescriptions: Object<string, string>, rollupSummaries: Object<string, Object>}>}
+ *   Field API name → description (only fields that have one), and field API name →
+ *   `{ operation, foreignKey, summarizedField, filterFields }` for roll-up summaries.
+ */
+export async function fetchObjectDocumentation(instanceUrl, apiVersion, objectName, sessionId, isSetupDomain, rollupFieldNames = []) {
+    const [entities, fields] = await Promise.all([
+        queryTooling(instanceUrl, apiVersion,
+            `SELECT QualifiedApiName, Description FROM EntityDefinition WHERE QualifiedApiName = '${objectName}'`,
+            sessionId, isSetupDomain),
+        queryTooling(instanceUrl, apiVersion,
+            `SELECT DurableId, QualifiedApiName, Description FROM FieldDefinition WHERE EntityDefinition.QualifiedApiName = '${objectName}'`,
+            sessionId, isSetupDomain)
+    ]);
+
+    const fieldDescriptions = {};
+    fields.forEach(record => {
+        if (record.Description) fieldDescriptions[record.QualifiedApiName] = record.Description;
+    });
+
+    const rollupSummaries = await fetchRollupSummaries(
+        instanceUrl, apiVersion, fields.filter(record => rollupFieldNames.includes(record.QualifiedApiName)), sessionId, isSetupDomain
+    );
+
+    return { description: entities[0]?.Description || null, fieldDescriptions, rollupSummaries };
+}
+
+/**
+ * Reads the roll-up definition of custom fields. `Metadata` can only be queried one record
+ * at a time; the CustomField id is the second part of the FieldDefinition `DurableId`.
+ * Queries run `ROLLUP_QUERY_CONCURRENCY` at a time; a failed query only loses its own field.
+ */
+async function fetchRollupSummaries(instanceUrl, apiVersion, fieldRecords, sessionId, isSetupDomain) {
+    const rollupSummaries = {};
+    const pending = fieldRecords.filter(record => record.DurableId?.split('.')[1]);
+    let failedCount = 0;
+
+    const readRollupSummary = async (record) => {
+        const customFieldId = record.DurableId.split('.')[1];
+
+        try {
+            const [customField] = await queryTooling(instanceUrl, apiVersion,
+                `SELECT Metadata FROM CustomField WHERE Id = '${customFieldId}'`, sessionId, isSetupDomain);
+            const metadata = customField?.Metadata;
+            if (!metadata?.summaryOperation) return;
+
+            rollupSummaries[record.QualifiedApiName] = {
+                operation: metadata.summaryOperation,
+                foreignKey: metadata.summaryForeignKey,
+                summarizedField: metadata.summarizedField || null,
+                filterFields: (metadata.summaryFilterItems || []).map(item => item.field).filter(Boolean)
+            };
+        } catch (error) {
+            failedCount++;
+            logger.warn('[Metadata:fetchRollupSummaries] Failed to read roll-up definition', { field: record.QualifiedApiName, error: error.message });
+        }
+    };
+
+    while (pending.length > 0) {
+        await Promise.all(pending.splice(0, ROLLUP_QUERY_CONCURRENCY).map(readRollupSummary));
+        if (pending.length > 0) await new Promise(resolve => setTimeout(resolve, METADATA_BATCH_DELAY_MS));
+    }
+
+    if (failedCount > 0) {
+        logger.warn('[Metadata:fetchRollupSummaries] Some roll-up definitions could not be read', {
+            failedCount,
+            readCount: Object.keys(rollupSummaries).length
+        });
+    }
+
+    return rollupSummaries;
+}
+
+/**
+ * Runs a Tooling API query, following `nextRecordsUrl` until all records are read.
+ */
+async function queryTooling(instanceUrl, apiVersion, soql, sessionId, isSetupDomain) {
+    const records = [];
+    let url = `${instanceUrl}/services/data/v${apiVersion}/tooling/query?q=${encodeURIComponent(soql)}`;
+
+    while (url) {
+        const result = await fetchWithRetry(url, MAX_RETRY_ATTEMPTS, sessionId, isSetupDomain);
+        records.push(...(result.records || []));
+        url = result.nextRecordsUrl ? `${instanceUrl}${result.nextRecordsUrl}` : null;
+    }
+
+    return records;
 }
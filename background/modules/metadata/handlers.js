@@ -3,10 +3,27 @@
  */
 
 import { logger, isSystemObject } from '../utils.js';
-import { getMetadataCacheKey, loadMetadataFromIndexedDb, saveMetadataToIndexedDb, deleteMetadataFromIndexedDb } from '../cache.js';
+import {
+    getMetadataCacheKey,
+    getHostFromCacheKey,
+    loadMetadataFromIndexedDb,
+    saveMetadataToIndexedDb,
+    deleteMetadataFromIndexedDb,
+    listCachedOrgsFromIndexedDb,
+    markOrgCrawledInIndexedDb,
+    saveSnapshotToIndexedDb,
+    listSnapshotsFromIndexedDb,
+    loadSnapshotFromIndexedDb,
+    deleteSnapshotFromIndexedDb
+} from '../cache.js';
 import { extractSessionIdFromCookies } from '../auth.js';
-import { batchFetchObjectMetadata } from './fetch.js';
+import { batchFetchObjectMetadata, revalidateObjectMetadata, fetchObjectDocumentation } from './fetch.js';
 import { stripMetadataFields, buildObjectMetadataMap } from './transform.js';
+import { ORG_CRAWL_CHUNK_SIZE } from './config.js';
+
+// Org crawls in progress, keyed by cache key (a second request joins the running crawl):
+// { promise, controller, listeners, subscribers }; the crawl is aborted when every subscriber cancelled
+const activeOrgCrawls = new Map();
 
 function isShadowNode(node) {
     return !node?.fields || Object.keys(node.fields).length === 0;
@@ -18,21 +35,79 @@ function isMissingOrShadow(nodes, objectName) {
 
 /**
  * Handles the message to build or fetch the Object Metadata Map.
- * Supports lazy loading by fetching only the specified root object and its neighbors.
+ * Supports lazy loading by fetching only the specified root object and its neighbors,
+ * or an explicit list of objects (without their neighbors) via `objectNames`.
  * @param {Object} message - The message object.
  * @param {Function} sendResponse - The response callback.
  */
 export async function handleBuildObjectMetadataMap(message, sendResponse) {
-    const { instanceUrl, apiVersion, isSetupDomain, forceRefresh, rootObjectName } = message;
+    sendResponse(await buildMetadataMap(message));
+}
+
+/**
+ * Handles a long-lived `metadataBuild` port: the same build as `buildObjectMetadataMap`
+ * (or, with `crawl: true`, as `crawlOrgSchema`), but with progress messages and cancellation.
+ * Client → background: `{ type: 'start', ...buildObjectMetadataMap message }`, `{ type: 'cancel' }`.
+ * Background → client: `{ type: 'progress', phase, fetched, failed, remaining, total }`
+ * (crawl: `{ type: 'progress', phase: 'crawl', completed, total, failedCount }`), `{ type: 'result', ...response }`.
+ * Disconnecting the port (e.g. closing the tab) cancels the build as well.
+ * @param {chrome.runtime.Port} port - The connected port.
+ */
+export function handleMetadataBuildPort(port) {
+    const controller = new AbortController();
+    let isFinished = false;
+
+    const post = (message) => {
+        try {
+            port.postMessage(message);
+        } catch {
+            // Port already closed by the page
+        }
+    };
+
+    port.onDisconnect.addListener(() => {
+        if (!isFinished) controller.abort();
+    });
+
+    port.onMessage.addListener(async (message) => {
+        if (message?.type === 'cancel') {
+            logger.info('[Metadata:port] Cancellation requested');
+            controller.abort();
+            return;
+        }
+        if (message?.type !== 'start') return;
+
+        const build = message.crawl ? runOrgCrawl : buildMetadataMap;
+        const response = await build(message, {
+            signal: controller.signal,
+            onProgress: progress => post({ type: 'progress', ...progress })
+        });
+
+        isFinished = true;
+        post({ type: 'result', ...response });
+    });
+}
+
+/**
+ * Builds (or loads) the Object Metadata Map and returns the response payload.
+ * When cancelled after some describes completed, those are merged and saved and the
+ * response is flagged `cancelled: true`; if nothing could be kept, it fails with `cancelled: true`.
+ * @param {Object} message - The build request.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels in-flight describes.
+ * @param {Function} [options.onProgress] - Receives per-batch progress.
+ * @returns {Promise<Object>} The response payload.
+ */
+async function buildMetadataMap(message, { signal, onProgress } = {}) {
+    const { instanceUrl, apiVersion, isSetupDomain, forceRefresh, rootObjectName, objectNames } = message;
 
     if (!instanceUrl || !apiVersion) {
-        sendResponse({ success: false, error: 'Missing instanceUrl or apiVersion' });
-        return;
+        return { success: false, error: 'Missing instanceUrl or apiVersion' };
     }
 
     try {
         // Load Cache
-        const { nodes, edges, cachedTimestamp, shouldReturnImmediately } = await loadInitialCache(instanceUrl, forceRefresh, rootObjectName);
+        const { nodes, edges, cachedTimestamp, shouldReturnImmediately } = await loadInitialCache(instanceUrl, forceRefresh, rootObjectName, objectNames);
 
         if (shouldReturnImmediately) {
             const cacheAge = Date.now() - cachedTimestamp;
@@ -42,35 +117,38 @@ export async function handleBuildObjectMetadataMap(message, sendResponse) {
                 edgeCount: Object.keys(edges).length,
                 cacheAgeHours
             });
-            sendResponse({ success: true, nodes, edges, fromCache: true, timestamp: cachedTimestamp });
-            return;
+            await snapshotFirstLoad(getMetadataCacheKey(instanceUrl), { nodes, edges });
+            return { success: true, nodes, edges, fromCache: true, timestamp: cachedTimestamp };
         }
 
         // Verify Session
         const sessionId = await extractSessionIdFromCookies(instanceUrl);
         if (!sessionId) {
-            sendResponse({ success: false, error: 'No valid session ID found. Please log in to Salesforce first.' });
-            return;
+            return { success: false, error: 'No valid session ID found. Please log in to Salesforce first.' };
         }
 
         // Determine Missing Objects
-        const objectsToFetch = determineObjectsToFetch(rootObjectName, nodes, edges);
+        const objectsToFetch = determineObjectsToFetch(rootObjectName, nodes, edges, objectNames);
         const initialNodeCount = Object.keys(nodes).length;
         const initialEdgeCount = Object.keys(edges).length;
 
         // Fetch & Merge
         let isUpdated = false;
+        let cancelled = false;
+        let changes = null;
         if (objectsToFetch.size > 0) {
             logger.info('[Metadata:handleBuild] Lazy loading initiated', {
                 rootObject: rootObjectName,
+                requestedObjects: objectNames?.length || 0,
                 missingObjects: objectsToFetch.size,
                 existingNodes: initialNodeCount,
                 existingEdges: initialEdgeCount
             });
-            isUpdated = await fetchAndMergeMissingObjects(
+            ({ isUpdated, cancelled, changes } = await fetchAndMergeMissingObjects(
                 instanceUrl, apiVersion, sessionId, isSetupDomain,
-                objectsToFetch, rootObjectName, nodes, edges
-            );
+                objectsToFetch, rootObjectName, nodes, edges,
+                { signal, onProgress }
+            ));
         } else {
             logger.info('[Metadata:handleBuild] All required objects already cached', {
                 rootObject: rootObjectName,
@@ -85,7 +163,7 @@ export async function handleBuildObjectMetadataMap(message, sendResponse) {
 
         if (isUpdated) {
             const cacheKey = getMetadataCacheKey(instanceUrl);
-            await saveMetadataToIndexedDb(cacheKey, { nodes, edges });
+            await saveMetadataToIndexedDb(cacheKey, changes);
             logger.info('[Metadata:handleBuild] Cache updated with new data', {
                 nodesAdded: finalNodeCount - initialNodeCount,
                 edgesAdded: finalEdgeCount - initialEdgeCount,
@@ -99,24 +177,31 @@ export async function handleBuildObjectMetadataMap(message, sendResponse) {
             });
         }
 
-        sendResponse({
+        await snapshotFirstLoad(getMetadataCacheKey(instanceUrl), { nodes, edges });
+
+        return {
             success: true,
             nodes,
             edges,
             fromCache: !isUpdated,
+            cancelled,
             timestamp: Date.now()
-        });
+        };
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            logger.info('[Metadata:handleBuild] Build cancelled before any object was loaded');
+            return { success: false, cancelled: true, error: 'Metadata loading cancelled' };
+        }
         logger.error('[Metadata:handleBuild] Error building Object Metadata Map', { error: error.message });
-        sendResponse({ success: false, error: error.message });
+        return { success: false, error: error.message };
     }
 }
 
 /**
  * Helper: Loads initial metadata from IndexedDB.
  */
-async function loadInitialCache(instanceUrl, forceRefresh, rootObjectName) {
+async function loadInitialCache(instanceUrl, forceRefresh, rootObjectName, objectNames) {
     let nodes = {};
     let edges = {}; // Standardized: always an object { [edgeId]: edge }
     let cachedTimestamp = null;
@@ -132,7 +217,7 @@ async function loadInitialCache(instanceUrl, forceRefresh, rootObjectName) {
 
             cachedTimestamp = cached.timestamp;
 
-            if (!rootObjectName) {
+            if (!rootObjectName && !objectNames?.length) {
                 shouldReturnImmediately = true;
             }
         }
@@ -140,9 +225,16 @@ async function loadInitialCache(instanceUrl, forceRefresh, rootObjectName) {
     return { nodes, edges, cachedTimestamp, shouldReturnImmediately };
 }
 
-function determineObjectsToFetch(rootObjectName, nodes, edges) {
+function determineObjectsToFetch(rootObjectName, nodes, edges, objectNames) {
     const objectsToFetch = new Set();
 
+    // Explicit object list: fetch only those that are missing or shadow nodes (no neighbors)
+    (objectNames || []).forEach(objectName => {
+        if (isMissingOrShadow(nodes, objectName) && !isSystemObject(objectName)) {
+            objectsToFetch.add(objectName);
+        }
+    });
+
     if (rootObjectName) {
         // If root is missing OR only a shadow node, fetch it to ensure edges are complete.
         if (isMissingOrShadow(nodes, rootObjectName)) {
@@ -187,32 +279,120 @@ function mergeEdges(existingEdges, newEdges) {
         const isNewMD = newEdge.isMasterDetail === true;
 
         // Don't overwrite Describe data with a Guess
+        // (but keep what only the parent's describe knows, like the child relationship name)
         if (isNewEdgeGuess && isExistingEdgeReal) {
+            mergeParentSideAttributes(existingEdge, newEdge);
             continue;
         }
 
         // Don't downgrade MD to Lookup if the new one is just a guess
         if (isExistingMD && !isNewMD && isNewEdgeGuess) {
+            mergeParentSideAttributes(existingEdge, newEdge);
             continue;
         }
 
         // If existing is a guess but new is real, OR if new discovered MD where existing was lookup guess
+        mergeParentSideAttributes(newEdge, existingEdge);
         existingEdges[id] = newEdge;
     }
 }
 
+/**
+ * Helper: Merges new nodes into the existing map without replacing a fully
+ * described node with a shadow node created from another object's childRelationships.
+ * @param {Object} existingNodes - The current node map.
+ * @param {Object} newNodes - The newly built nodes.
+ */
+function mergeNodes(existingNodes, newNodes) {
+    for (const [objectName, newNode] of Object.entries(newNodes)) {
+        if (isShadowNode(newNode) && !isShadowNode(existingNodes[objectName])) continue;
+        existingNodes[objectName] = newNode;
+    }
+}
+
+/**
+ * Helper: Returns the merged records for the given node and edge ids, i.e. what a merge wrote.
+ * Only these are saved, instead of the whole map.
+ * @param {Object} nodes - The merged node map.
+ * @param {Object} edges - The merged edge map.
+ * @param {Iterable<string>} objectNames - Names of the nodes that were merged.
+ * @param {Iterable<string>} edgeIds - Ids of the edges that were merged.
+ * @returns {{nodes: Object, edges: Object}} The records to save.
+ */
+function pickRecords(nodes, edges, objectNames, edgeIds) {
+    const picked = { nodes: {}, edges: {} };
+    for (const objectName of objectNames) {
+        if (nodes[objectName]) picked.nodes[objectName] = nodes[objectName];
+    }
+    for (const id of edgeIds) {
+        if (edges[id]) picked.edges[id] = edges[id];
+    }
+    return picked;
+}
+
+/**
+ * Helper: Flags the shadow nodes whose describe was requested but not returned
+ * (e.g. objects the user can't access), so they can be told apart from objects not loaded yet.
+ * A later successful describe replaces the node and drops the flag.
+ * @param {Object} nodes - The merged node map (mutated).
+ * @param {Array<string>} requestedNames - The objects whose describe was requested.
+ * @param {Object} metadataMap - The describes that were returned.
+ * @returns {Array<string>} The flagged object names.
+ */
+function markFailedDescribes(nodes, requestedNames, metadataMap) {
+    const failedAt = Date.now();
+    return requestedNames.filter(objectName => {
+        if (metadataMap[objectName] || !nodes[objectName] || !isShadowNode(nodes[objectName])) return false;
+        nodes[objectName] = { ...nodes[objectName], describeFailedAt: failedAt };
+        return true;
+    });
+}
+
+/**
+ * Helper: Copies attributes that only come from the parent's childRelationships
+ * (the child relationship name, junction parents and the delete rules) onto the edge that is kept.
+ * A guess edge was built from the parent's describe, so its delete rules replace older ones.
+ * @param {Object} targetEdge - The edge that is kept.
+ * @param {Object} donorEdge - The edge that is discarded.
+ */
+function mergeParentSideAttributes(targetEdge, donorEdge) {
+    if (!targetEdge.childRelationshipName && donorEdge.childRelationshipName) {
+        targetEdge.childRelationshipName = donorEdge.childRelationshipName;
+    }
+    if (!targetEdge.junctionReferenceTo && donorEdge.junctionReferenceTo) {
+        targetEdge.junctionReferenceTo = donorEdge.junctionReferenceTo;
+    }
+
+    for (const attribute of ['cascadeDelete', 'restrictedDelete']) {
+        if (donorEdge[attribute] === undefined) continue;
+        if (targetEdge[attribute] === undefined || donorEdge.discoveredFromDescribe === false) {
+            targetEdge[attribute] = donorEdge[attribute];
+        }
+    }
+}
+
 /**
  * Helper: Fetches missing objects in batches and merges them into the map.
  * Standardized to work with edges as an object { [edgeId]: edge }.
+ * If the neighbor fetch is cancelled, the describes completed so far are still merged.
+ * @returns {Promise<{isUpdated: boolean, cancelled: boolean, changes: {nodes: Object, edges: Object}}>}
+ *   `changes` holds the merged records to save.
+ * @throws {Error} AbortError if cancelled before the root object was described.
  */
-async function fetchAndMergeMissingObjects(instanceUrl, apiVersion, sessionId, isSetupDomain, objectsToFetch, rootObjectName, nodes, edges) {
+async function fetchAndMergeMissingObjects(instanceUrl, apiVersion, sessionId, isSetupDomain, objectsToFetch, rootObjectName, nodes, edges, { signal, onProgress } = {}) {
     let missingRootData = null;
     let rootNodes = null;
     let rootEdges = null;
+    let cancelled = false;
+    const mergedObjects = new Set();
+    const mergedEdges = new Set();
 
     // Fetch Root Object
     if (objectsToFetch.has(rootObjectName)) {
-        const rootMap = await batchFetchObjectMetadata(instanceUrl, apiVersion, [rootObjectName], sessionId, isSetupDomain);
+        const rootMap = await batchFetchObjectMetadata(instanceUrl, apiVersion, [rootObjectName], sessionId, isSetupDomain, {
+            signal,
+            onProgress: onProgress && (progress => onProgress({ phase: 'root', ...progress }))
+        });
         if (rootMap[rootObjectName]) {
             missingRootData = rootMap[rootObjectName];
 
@@ -238,27 +418,48 @@ async function fetchAndMergeMissingObjects(instanceUrl, apiVersion, sessionId, i
     // Fetch neighbors
     const neighborsToFetch = [...objectsToFetch];
     if (neighborsToFetch.length > 0) {
-        const neighborsMap = await batchFetchObjectMetadata(instanceUrl, apiVersion, neighborsToFetch, sessionId, isSetupDomain);
+        const neighborsMap = await batchFetchObjectMetadata(instanceUrl, apiVersion, neighborsToFetch, sessionId, isSetupDomain, {
+            signal,
+            onProgress: onProgress && (progress => onProgress({ phase: 'neighbors', ...progress }))
+        }).catch(error => {
+            if (error.name !== 'AbortError') throw error;
+            cancelled = true;
+            logger.info('[Metadata:fetchAndMerge] Neighbor fetch cancelled, keeping completed describes', {
+                completed: Object.keys(error.partialResults || {}).length,
+                requested: neighborsToFetch.length
+            });
+            return error.partialResults || {};
+        });
         const { nodes: newNodes, edges: newEdges } = buildObjectMetadataMap(neighborsMap);
 
         // Merge Nodes
-        Object.assign(nodes, newNodes);
+        mergeNodes(nodes, newNodes);
 
         // Merge Edges (using smart logic)
         mergeEdges(edges, newEdges);
+
+        Object.keys(newNodes).forEach(objectName => mergedObjects.add(objectName));
+        Object.keys(newEdges).forEach(id => mergedEdges.add(id));
+        if (!cancelled) {
+            markFailedDescribes(nodes, neighborsToFetch, neighborsMap).forEach(objectName => mergedObjects.add(objectName));
+        }
     }
 
     // Merge Root (if we have cached root data)
     if (missingRootData && rootNodes && rootEdges) {
-        Object.assign(nodes, rootNodes);
+        mergeNodes(nodes, rootNodes);
         mergeEdges(edges, rootEdges);
+
+        Object.keys(rootNodes).forEach(objectName => mergedObjects.add(objectName));
+        Object.keys(rootEdges).forEach(id => mergedEdges.add(id));
     }
 
-    return true;
+    return { isUpdated: true, cancelled, changes: pickRecords(nodes, edges, mergedObjects, mergedEdges) };
 }
 
 /**
  * Handles the message to clear the metadata cache.
+ * A snapshot of the cache is taken first, so the cleared schema stays in the history.
  * @param {Object} message - The message object.
  * @param {Function} sendResponse - The response callback.
  */
@@ -272,6 +473,7 @@ export async function handleClearMetadataCache(message, sendResponse) {
 
     try {
         const cacheKey = getMetadataCacheKey(instanceUrl);
+        await snapshotMap(cacheKey, await loadInitialCache(instanceUrl, false), 'before-clear');
         await deleteMetadataFromIndexedDb(cacheKey);
         logger.info('[Metadata:handleClear] Cleared metadata cache');
         sendResponse({ success: true });
@@ -280,3 +482,564 @@ export async function handleClearMetadataCache(message, sendResponse) {
         sendResponse({ success: false, error: error.message });
     }
 }
+
+// =============================================================================
+// CACHED ORGS
+// =============================================================================
+
+/**
+ * Handles the message to list the orgs with cached metadata (org compare).
+ * @param {Object} message - The message object (`instanceUrl` marks the current org).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleListCachedOrgs(message, sendResponse) {
+    try {
+        const currentKey = message.instanceUrl ? getMetadataCacheKey(message.instanceUrl) : null;
+        const orgs = await listCachedOrgsFromIndexedDb();
+
+        sendResponse({
+            success: true,
+            orgs: orgs.map(org => ({
+                ...org,
+                host: getHostFromCacheKey(org.cacheKey),
+                isCurrent: org.cacheKey === currentKey
+            }))
+        });
+    } catch (error) {
+        logger.error('[Metadata:listOrgs] Error listing cached orgs', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handles the message to read the cached metadata map of any org, without fetching anything.
+ * @param {Object} message - The message object (`cacheKey` from listCachedOrgs).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleLoadCachedMetadata(message, sendResponse) {
+    const { cacheKey } = message;
+
+    if (!cacheKey) {
+        sendResponse({ success: false, error: 'Missing cacheKey' });
+        return;
+    }
+
+    try {
+        const cached = await loadMetadataFromIndexedDb(cacheKey);
+        if (!cached) {
+            sendResponse({ success: false, error: `No cached metadata for ${getHostFromCacheKey(cacheKey)}` });
+            return;
+        }
+
+        sendResponse({
+            success: true,
+            nodes: cached.data.nodes,
+            edges: cached.data.edges,
+            timestamp: cached.timestamp,
+            crawledAt: cached.crawledAt
+        });
+    } catch (error) {
+        logger.error('[Metadata:loadCached] Error loading cached metadata', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+/**
+ * Handles the message to take a snapshot of the current org's cached map (on demand).
+ * @param {Object} message - The message object.
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleCreateSnapshot(message, sendResponse) {
+    const { instanceUrl } = message;
+
+    if (!instanceUrl) {
+        sendResponse({ success: false, error: 'Missing instanceUrl' });
+        return;
+    }
+
+    try {
+        const snapshot = await snapshotMap(getMetadataCacheKey(instanceUrl), await loadInitialCache(instanceUrl, false), 'manual');
+        if (!snapshot) {
+            sendResponse({ success: false, error: 'Nothing to snapshot: no objects are cached for this org yet' });
+            return;
+        }
+        sendResponse({ success: true, snapshot });
+    } catch (error) {
+        logger.error('[Metadata:snapshot] Error creating snapshot', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handles the message to read the history of one object: its describe and outgoing
+ * relationships in every snapshot of the org, followed by the live cache.
+ * @param {Object} message - The message object (`objectName`).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleGetObjectHistory(message, sendResponse) {
+    const { instanceUrl, objectName } = message;
+
+    if (!instanceUrl || !objectName) {
+        sendResponse({ success: false, error: 'Missing instanceUrl or objectName' });
+        return;
+    }
+
+    try {
+        const cacheKey = getMetadataCacheKey(instanceUrl);
+        const summaries = await listSnapshotsFromIndexedDb(cacheKey);
+
+        // Snapshots are read one at a time; only the requested object is kept from each
+        const points = [];
+        for (const summary of summaries) {
+            const map = await loadSnapshotFromIndexedDb(summary.id);
+            if (map) points.push({ ...summary, ...extractObjectState(map, objectName) });
+        }
+
+        const live = await loadMetadataFromIndexedDb(cacheKey);
+        if (live) {
+            points.push({ id: 'live', createdAt: live.timestamp, reason: 'live', ...extractObjectState(live.data, objectName) });
+        }
+
+        sendResponse({ success: true, points });
+    } catch (error) {
+        logger.error('[Metadata:history] Error reading object history', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handles the message to delete a snapshot.
+ * @param {Object} message - The message object (`id`).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleDeleteSnapshot(message, sendResponse) {
+    if (typeof message.id !== 'number') {
+        sendResponse({ success: false, error: 'Missing snapshot id' });
+        return;
+    }
+
+    try {
+        await deleteSnapshotFromIndexedDb(message.id);
+        sendResponse({ success: true });
+    } catch (error) {
+        logger.error('[Metadata:snapshot] Error deleting snapshot', { id: message.id, error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Helper: Saves a snapshot of a map if it holds at least one described object.
+ * @returns {Promise<Object|null>} The snapshot summary, or null if nothing was saved.
+ */
+async function snapshotMap(cacheKey, { nodes, edges }, reason) {
+    if (!Object.values(nodes).some(node => !isShadowNode(node))) return null;
+
+    const snapshot = await saveSnapshotToIndexedDb(cacheKey, { nodes, edges }, reason);
+    logger.info('[Metadata:snapshot] Snapshot saved', { reason, objectCount: snapshot?.objectCount });
+    return snapshot;
+}
+
+/**
+ * Helper: Takes the first snapshot of an org when its map is first loaded, so the history
+ * has a starting point before any refresh finds changes.
+ */
+async function snapshotFirstLoad(cacheKey, map) {
+    const summaries = await listSnapshotsFromIndexedDb(cacheKey);
+    if (summaries.length === 0) await snapshotMap(cacheKey, map, 'first-load');
+}
+
+/**
+ * Helper: Returns one object's node and describe-based outgoing edges from a map.
+ */
+function extractObjectState({ nodes, edges }, objectName) {
+    const node = nodes[objectName] && !isShadowNode(nodes[objectName]) ? nodes[objectName] : null;
+    const objectEdges = {};
+    if (node) {
+        for (const [id, edge] of Object.entries(edges)) {
+            if (edge.source === objectName && edge.discoveredFromDescribe !== false) objectEdges[id] = edge;
+        }
+    }
+    return { node, edges: objectEdges };
+}
+
+// =============================================================================
+// DOCUMENTATION
+// =============================================================================
+
+/**
+ * Handles the message to read the object and field descriptions of a cached object.
+ * Descriptions and roll-up definitions come from the Tooling API once per describe: they
+ * are stored on the cached node (`info.description`, `fields[name].description`,
+ * `fields[name].rollupSummary`, `documentedAt`) and dropped with it when a revalidation
+ * replaces the describe.
+ * @param {Object} message - The message object (`objectName`, optional `forceRefresh`).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleFetchObjectDocumentation(message, sendResponse) {
+    const { instanceUrl, apiVersion, isSetupDomain, objectName, forceRefresh = false } = message;
+
+    if (!instanceUrl || !apiVersion || !objectName) {
+        sendResponse({ success: false, error: 'Missing instanceUrl, apiVersion or objectName' });
+        return;
+    }
+
+    // The name is inlined in SOQL
+    if (!/^\w+$/.test(objectName)) {
+        sendResponse({ success: false, error: `Invalid object name: ${objectName}` });
+        return;
+    }
+
+    try {
+        const { nodes } = await loadInitialCache(instanceUrl, false);
+        const node = nodes[objectName];
+
+        if (isMissingOrShadow(nodes, objectName)) {
+            sendResponse({ success: false, error: `${objectName} is not described in the cache` });
+            return;
+        }
+
+        if (node.documentedAt && !forceRefresh) {
+            sendResponse({ success: true, ...getNodeDocumentation(node), fromCache: true });
+            return;
+        }
+
+        const sessionId = await extractSessionIdFromCookies(instanceUrl);
+        if (!sessionId) {
+            sendResponse({ success: false, error: 'No valid session ID found. Please log in to Salesforce first.' });
+            return;
+        }
+
+        // Roll-up summaries are the custom calculated fields without a formula
+        const rollupFieldNames = Object.values(node.fields)
+            .filter(field => field.calculated && !field.calculatedFormula && field.name.endsWith('__c'))
+            .map(field => field.name);
+
+        const { description, fieldDescriptions, rollupSummaries } = await fetchObjectDocumentation(
+            instanceUrl, apiVersion, objectName, sessionId, isSetupDomain, rollupFieldNames
+        );
+
+        node.info.description = description;
+        for (const [fieldName, field] of Object.entries(node.fields)) {
+            field.description = fieldDescriptions[fieldName] || null;
+            if (rollupSummaries[fieldName]) field.rollupSummary = rollupSummaries[fieldName];
+        }
+        node.documentedAt = Date.now();
+
+        await saveMetadataToIndexedDb(getMetadataCacheKey(instanceUrl), { nodes: { [objectName]: node }, edges: {} });
+
+        logger.info('[Metadata:documentation] Documentation fetched', {
+            object: objectName,
+            fieldDescriptions: Object.keys(fieldDescriptions).length,
+            rollupSummaries: Object.keys(rollupSummaries).length
+        });
+        sendResponse({ success: true, ...getNodeDocumentation(node), fromCache: false });
+    } catch (error) {
+        logger.error('[Metadata:documentation] Error fetching documentation', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Helper: Returns the descriptions and roll-up definitions stored on a node.
+ */
+function getNodeDocumentation(node) {
+    const fieldDescriptions = {};
+    const rollupSummaries = {};
+    for (const [fieldName, field] of Object.entries(node.fields)) {
+        if (field.description) fieldDescriptions[fieldName] = field.description;
+        if (field.rollupSummary) rollupSummaries[fieldName] = field.rollupSummary;
+    }
+    return { description: node.info.description || null, fieldDescriptions, rollupSummaries, documentedAt: node.documentedAt };
+}
+
+// =============================================================================
+// REVALIDATION
+// =============================================================================
+
+/**
+ * Handles the message to revalidate the cached describes of an org.
+ * Every described object is re-requested with `If-Modified-Since` its `fetchedAt`;
+ * only objects that changed are re-transformed, and deleted objects are dropped.
+ * @param {Object} message - The message object.
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleRevalidateMetadataCache(message, sendResponse) {
+    const { instanceUrl, apiVersion, isSetupDomain } = message;
+
+    if (!instanceUrl || !apiVersion) {
+        sendResponse({ success: false, error: 'Missing instanceUrl or apiVersion' });
+        return;
+    }
+
+    try {
+        const { nodes, edges } = await loadInitialCache(instanceUrl, false);
+
+        const modifiedSince = {};
+        for (const [objectName, node] of Object.entries(nodes)) {
+            // Nodes cached before `fetchedAt` existed (0) are described unconditionally
+            if (!isShadowNode(node)) modifiedSince[objectName] = node.fetchedAt || 0;
+        }
+
+        if (Object.keys(modifiedSince).length === 0) {
+            sendResponse({ success: true, nodes, edges, changed: [], deleted: [], notModifiedCount: 0, failedCount: 0, timestamp: Date.now() });
+            return;
+        }
+
+        const sessionId = await extractSessionIdFromCookies(instanceUrl);
+        if (!sessionId) {
+            sendResponse({ success: false, error: 'No valid session ID found. Please log in to Salesforce first.' });
+            return;
+        }
+
+        logger.info('[Metadata:revalidate] Revalidating cached describes', { count: Object.keys(modifiedSince).length });
+
+        const { changed, notModified, deleted, failed } = await revalidateObjectMetadata(
+            instanceUrl, apiVersion, modifiedSince, sessionId, isSetupDomain
+        );
+
+        // Keep what the schema looked like before the changes are applied
+        if (Object.keys(changed).length > 0 || deleted.length > 0) {
+            await snapshotMap(getMetadataCacheKey(instanceUrl), { nodes, edges }, 'before-refresh');
+        }
+
+        const { changes, removed } = applyRevalidation(nodes, edges, changed, deleted);
+        await saveMetadataToIndexedDb(getMetadataCacheKey(instanceUrl), changes, removed);
+
+        logger.info('[Metadata:revalidate] Revalidation completed', {
+            changed: Object.keys(changed).length,
+            notModified: notModified.length,
+            deleted: deleted.length,
+            failed: failed.length
+        });
+
+        sendResponse({
+            success: true,
+            nodes,
+            edges,
+            changed: Object.keys(changed),
+            deleted,
+            notModifiedCount: notModified.length,
+            failedCount: failed.length,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        logger.error('[Metadata:revalidate] Error revalidating metadata cache', { error: error.message });
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Helper: Replaces changed objects in the map and removes deleted ones.
+ * Edges derived from a changed object's previous describe (its reference fields and the
+ * guesses from its child relationships) are dropped first, so removed fields disappear.
+ * @param {Object} nodes - The cached nodes (mutated).
+ * @param {Object} edges - The cached edges { [edgeId]: edge } (mutated).
+ * @param {Object} changed - Object API name → new raw metadata.
+ * @param {Array<string>} deleted - Objects that no longer exist.
+ * @returns {{changes: {nodes: Object, edges: Object}, removed: {objectNames: Array<string>, edgeIds: Array<string>}}}
+ *   The records to save and to delete.
+ */
+function applyRevalidation(nodes, edges, changed, deleted) {
+    const changedNames = new Set(Object.keys(changed));
+    const deletedNames = new Set(deleted);
+    const removedEdgeIds = [];
+
+    for (const [id, edge] of Object.entries(edges)) {
+        const isGuess = edge.discoveredFromDescribe === false;
+        if (deletedNames.has(edge.source) || deletedNames.has(edge.target) ||
+            (changedNames.has(edge.source) && !isGuess) ||
+            (changedNames.has(edge.target) && isGuess)) {
+            delete edges[id];
+            removedEdgeIds.push(id);
+        }
+    }
+    deletedNames.forEach(objectName => delete nodes[objectName]);
+
+    const { nodes: newNodes, edges: newEdges } = buildObjectMetadataMap(changed);
+    mergeNodes(nodes, newNodes);
+    mergeEdges(edges, newEdges);
+
+    return {
+        changes: pickRecords(nodes, edges, Object.keys(newNodes), Object.keys(newEdges)),
+        removed: { objectNames: deleted, edgeIds: removedEdgeIds }
+    };
+}
+
+// =============================================================================
+// ORG CRAWL
+// =============================================================================
+
+/**
+ * Handles the message to describe every object of the org (org map mode).
+ * Objects already fully described in the cache are skipped. Progress is broadcast
+ * as `orgCrawlProgress` runtime messages while the crawl runs.
+ * The schema page runs crawls over the `metadataBuild` port instead, so they can be cancelled.
+ * @param {Object} message - The message object (`objectNames` from the fetchSObjects list).
+ * @param {Function} sendResponse - The response callback.
+ */
+export async function handleCrawlOrgSchema(message, sendResponse) {
+    sendResponse(await runOrgCrawl(message));
+}
+
+/**
+ * Runs (or joins) the org crawl and returns the response payload. A caller that cancels
+ * leaves the crawl; the crawl itself stops once every caller has cancelled, keeping the
+ * objects described so far. A cancelled response is flagged `cancelled: true`.
+ * @param {Object} message - The crawl request (`objectNames` from the fetchSObjects list).
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels this caller's interest in the crawl.
+ * @param {Function} [options.onProgress] - Receives { phase: 'crawl', completed, total, failedCount }.
+ * @returns {Promise<Object>} The response payload.
+ */
+async function runOrgCrawl(message, { signal, onProgress } = {}) {
+    const { instanceUrl, apiVersion, isSetupDomain, objectNames } = message;
+
+    if (!instanceUrl || !apiVersion || !objectNames?.length) {
+        return { success: false, error: 'Missing instanceUrl, apiVersion or objectNames' };
+    }
+
+    const cacheKey = getMetadataCacheKey(instanceUrl);
+    let crawl = activeOrgCrawls.get(cacheKey);
+
+    if (crawl) {
+        logger.info('[Metadata:handleCrawl] Joining org crawl already in progress');
+    } else {
+        const controller = new AbortController();
+        const listeners = new Set();
+        crawl = { controller, listeners, subscribers: 0 };
+        crawl.promise = crawlOrgSchema(instanceUrl, apiVersion, isSetupDomain, objectNames, {
+            signal: controller.signal,
+            onProgress: progress => {
+                broadcastCrawlProgress(instanceUrl, progress);
+                listeners.forEach(listener => listener({ phase: 'crawl', ...progress }));
+            }
+        }).finally(() => activeOrgCrawls.delete(cacheKey));
+        activeOrgCrawls.set(cacheKey, crawl);
+    }
+
+    crawl.subscribers++;
+    if (onProgress) crawl.listeners.add(onProgress);
+
+    let hasLeft = false;
+    const leave = () => {
+        if (hasLeft) return;
+        hasLeft = true;
+        crawl.listeners.delete(onProgress);
+        crawl.subscribers--;
+        if (crawl.subscribers === 0) crawl.controller.abort();
+    };
+
+    const cancelledByCaller = new Promise(resolve => {
+        if (signal?.aborted) resolve(null);
+        signal?.addEventListener('abort', () => resolve(null), { once: true });
+    });
+
+    try {
+        let result = await Promise.race([crawl.promise, cancelledByCaller]);
+
+        if (result === null) {
+            leave();
+            logger.info('[Metadata:handleCrawl] Org crawl cancelled by caller', { remainingSubscribers: crawl.subscribers });
+
+            // The last caller to leave stops the crawl and gets what it described; others keep running
+            result = crawl.subscribers === 0
+                ? await crawl.promise
+                : { ...(await loadInitialCache(instanceUrl, false)), failedCount: 0 };
+            return { success: true, ...pickResult(result), cancelled: true, timestamp: Date.now() };
+        }
+
+        return { success: true, ...pickResult(result), cancelled: result.cancelled === true, timestamp: Date.now() };
+    } catch (error) {
+        logger.error('[Metadata:handleCrawl] Org crawl failed', { error: error.message });
+        return { success: false, error: error.message };
+    } finally {
+        leave();
+    }
+}
+
+/**
+ * Helper: Picks the crawl fields sent back to the caller.
+ */
+function pickResult({ nodes, edges, failedCount }) {
+    return { nodes, edges, failedCount };
+}
+
+/**
+ * Helper: Describes all missing objects chunk by chunk, saving the cache after each chunk.
+ * Aborting stops after the describes in flight; those are saved and the result is flagged `cancelled`.
+ */
+async function crawlOrgSchema(instanceUrl, apiVersion, isSetupDomain, objectNames, { signal, onProgress } = {}) {
+    const sessionId = await extractSessionIdFromCookies(instanceUrl);
+    if (!sessionId) {
+        throw new Error('No valid session ID found. Please log in to Salesforce first.');
+    }
+
+    const cacheKey = getMetadataCacheKey(instanceUrl);
+    let { nodes, edges } = await loadInitialCache(instanceUrl, false);
+
+    const candidates = [...new Set(objectNames)].filter(objectName => !isSystemObject(objectName));
+    const pending = candidates.filter(objectName => isMissingOrShadow(nodes, objectName));
+    const total = candidates.length;
+    let completed = total - pending.length;
+    let failedCount = 0;
+
+    let cancelled = false;
+
+    logger.info('[Metadata:crawl] Org crawl started', { total, alreadyCached: completed, pending: pending.length });
+    onProgress?.({ completed, total, failedCount });
+
+    for (let i = 0; i < pending.length && !signal?.aborted; i += ORG_CRAWL_CHUNK_SIZE) {
+        const chunk = pending.slice(i, i + ORG_CRAWL_CHUNK_SIZE);
+
+        let metadataMap;
+        try {
+            metadataMap = await batchFetchObjectMetadata(instanceUrl, apiVersion, chunk, sessionId, isSetupDomain, { signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            metadataMap = error.partialResults || {};
+            cancelled = true;
+        }
+        const { nodes: newNodes, edges: newEdges } = buildObjectMetadataMap(metadataMap);
+
+        // Re-read the cache so describes saved by graph loads during the crawl aren't lost
+        ({ nodes, edges } = await loadInitialCache(instanceUrl, false));
+        mergeNodes(nodes, newNodes);
+        mergeEdges(edges, newEdges);
+
+        // Objects skipped by a cancel were not attempted, so they are not marked as failed
+        const attempted = cancelled ? Object.keys(metadataMap) : chunk;
+        const failedNames = markFailedDescribes(nodes, attempted, metadataMap);
+        await saveMetadataToIndexedDb(cacheKey, pickRecords(nodes, edges, [...Object.keys(newNodes), ...failedNames], Object.keys(newEdges)));
+
+        completed += attempted.length;
+        failedCount += attempted.length - Object.keys(metadataMap).length;
+        onProgress?.({ completed, total, failedCount });
+    }
+
+    cancelled = cancelled || signal?.aborted === true;
+
+    // A finished crawl makes the cached map complete: objects missing from it don't exist in the org
+    if (!cancelled) await markOrgCrawledInIndexedDb(cacheKey);
+
+    logger.info(`[Metadata:crawl] Org crawl ${cancelled ? 'cancelled' : 'completed'}`, {
+        total,
+        completed,
+        failedCount,
+        nodeCount: Object.keys(nodes).length,
+        edgeCount: Object.keys(edges).length
+    });
+
+    return { nodes, edges, failedCount, cancelled };
+}
+
+/**
+ * Helper: Notifies extension pages of crawl progress (ignored when no page is listening).
+ */
+function broadcastCrawlProgress(instanceUrl, progress) {
+    chrome.runtime.sendMessage({ action: 'orgCrawlProgress', instanceUrl, ...progress })
+        .catch(() => { /* No schema page open */ });
+}
@@ -25,9 +25,13 @@ export function stripMetadataFields(metadata) {
         relationshipName: field.relationshipName,
         relationshipOrder: field.relationshipOrder,
         calculated: field.calculated,
+        calculatedFormula: field.calculatedFormula,
+        defaultValueFormula: field.defaultValueFormula,
+        inlineHelpText: field.inlineHelpText,
         restrictedPicklist: field.restrictedPicklist,
         defaultedOnCreate: field.defaultedOnCreate,
-        cascadeDelete: field.cascadeDelete
+        cascadeDelete: field.cascadeDelete,
+        ...stripPicklistAttributes(field)
     }));
 
     // Extract childRelationships (incoming relationships)
@@ -56,15 +60,37 @@ export function stripMetadataFields(metadata) {
     };
 }
 
+/**
+ * Helper: Keeps the values and dependency info of picklist fields (nothing for other types).
+ * `validFor` is the base64 bitmask of the controlling values a dependent value is valid for.
+ */
+function stripPicklistAttributes(field) {
+    if (field.type !== 'picklist' && field.type !== 'multipicklist' && field.type !== 'combobox') return {};
+
+    return {
+        picklistValues: (field.picklistValues || []).map(entry => ({
+            value: entry.value,
+            label: entry.label,
+            active: entry.active,
+            defaultValue: entry.defaultValue,
+            validFor: entry.validFor
+        })),
+        controllerName: field.controllerName,
+        dependentPicklist: field.dependentPicklist
+    };
+}
+
 /**
  * Builds the Object Metadata Map, processing relationships.
  * Returns edges as an object { [edgeId]: edge } for efficient lookups and merging.
+ * Described nodes carry `fetchedAt`, used to revalidate them with If-Modified-Since.
  * @param {Object} metadataMap - The raw metadata map.
  * @returns {Object} The processed Object Metadata Map with nodes and edges.
  */
 export function buildObjectMetadataMap(metadataMap) {
     const nodes = {};
     const edges = {};
+    const fetchedAt = Date.now();
 
     // Pass 1: Create nodes and extract outgoing edges
     for (const [objectName, metadata] of Object.entries(metadataMap)) {
@@ -82,7 +108,8 @@ export function buildObjectMetadataMap(metadataMap) {
                 deletable: strippedMetadata.deletable,
                 keyPrefix: strippedMetadata.keyPrefix
             },
-            fields: fieldsMap
+            fields: fieldsMap,
+            fetchedAt
         };
 
         // Add outgoing edges to object
@@ -104,6 +131,8 @@ export function buildObjectMetadataMap(metadataMap) {
 
 /**
  * Helper: Processes outgoing relationships (Reference Fields) for an object.
+ * Self-references (e.g. Account.ParentId) are kept as edges whose source is their target.
+ * A polymorphic field (e.g. Task.WhatId) gets one edge per target, each listing all targets.
  */
 function processOutgoingRelationships(objectName, strippedMetadata) {
     const fieldsMap = {};
@@ -114,10 +143,9 @@ function processOutgoingRelationships(objectName, strippedMetadata) {
 
         if (field.type === 'reference' && field.referenceTo?.length) {
             const isMasterDetail = field.relationshipOrder !== undefined && field.relationshipOrder !== null;
+            const isPolymorphic = field.referenceTo.length > 1;
 
             for (const targetObject of field.referenceTo) {
-                if (targetObject === objectName) continue;
-
                 outgoingEdges.push({
                     id: `${objectName}.${field.name}.${targetObject}`, // Unique Edge ID including target
                     source: objectName,
@@ -129,6 +157,8 @@ function processOutgoingRelationships(objectName, strippedMetadata) {
                     type: isMasterDetail ? 'MasterDetail' : 'Lookup',
                     isMasterDetail,
                     order: field.relationshipOrder,
+                    isPolymorphic,
+                    polymorphicTargets: isPolymorphic ? field.referenceTo : null,
                     discoveredFromDescribe: true // High quality info
                 });
             }
@@ -164,7 +194,12 @@ function processIncomingFromChildRelationships(objectName, metadata, nodes, exis
         const edgeId = `${childSObject}.${fieldName}.${objectName}`;
         const alreadyExists = edgeId in existingEdges;
 
-        if (alreadyExists) continue;
+        if (alreadyExists) {
+            // The child's describe doesn't know the relationship name or the delete rules,
+            // which only the parent's childRelationships carry
+            Object.assign(existingEdges[edgeId], getParentSideAttributes(childRelationship));
+            continue;
+        }
 
         // If the child node already exists fully, we assume its outgoing pass covered it.
         // But if it's a Shadow Node or missing, we add this "reverse discovered" edge.
@@ -198,6 +233,7 @@ function processIncomingFromChildRelationships(objectName, metadata, nodes, exis
             fieldName: fieldName,
             fieldLabel: fieldName, // Best guess
             relationshipName: childRelationship.relationshipName,
+            ...getParentSideAttributes(childRelationship),
             type: isMasterDetail ? 'MasterDetail' : 'Lookup',
             isMasterDetail,
             order: null, // Not available from childRelationships
@@ -206,4 +242,22 @@ function processIncomingFromChildRelationships(objectName, metadata, nodes, exis
     }
 
     return incomingEdges;
+}
+
+/**
+ * Helper: Returns the edge attributes only the parent's childRelationships know.
+ * `cascadeDelete`: deleting the parent deletes the child records (master-detail, or a
+ * lookup set to "Delete this record also"); `restrictedDelete`: the parent cannot be
+ * deleted while child records reference it; `junctionReferenceTo`: the other parents of
+ * a junction child (e.g. OpportunityContactRole links Opportunity and Contact).
+ * @param {Object} childRelationship - The stripped child relationship.
+ * @returns {{childRelationshipName: string, cascadeDelete: boolean, restrictedDelete: boolean, junctionReferenceTo?: Array<string>}}
+ */
+function getParentSideAttributes(childRelationship) {
+    return {
+        childRelationshipName: childRelationship.relationshipName,
+        cascadeDelete: childRelationship.cascadeDelete === true,
+        restrictedDelete: childRelationship.restrictedDelete === true,
+        ...(childRelationship.junctionReferenceTo?.length ? { junctionReferenceTo: childRelationship.junctionReferenceTo } : {})
+    };
 }
\ No newline at end of file
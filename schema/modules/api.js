@@ -93,6 +93,7 @@ export async function fetchObjectMetadata(objectApiName) {
             const metadata = {
                 name: node.info.name,
                 label: node.info.label,
+                description: node.info.description,
                 custom: node.info.custom,
                 queryable: node.info.queryable,
                 createable: node.info.createable,
@@ -179,50 +180,446 @@ export async function loadObjectMetadataMap(forceRefresh = false) {
     });
 }
 
+// Ports of metadata builds in flight (cancelled together from the loading screen)
+const activeBuildPorts = new Set();
+
+/**
+ * Runs a metadata build over a `metadataBuild` port so progress can be streamed and the build cancelled.
+ * Resolves with the background response; a build cancelled before anything was loaded
+ * rejects with an AbortError.
+ * @param {Object} request - The build request (rootObjectName or objectNames).
+ * @param {Function} [onProgress] - Called with { phase, fetched, failed, remaining, total }.
+ * @returns {Promise<Object>} The background response.
+ */
+function runMetadataBuild(request, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'metadataBuild' });
+        activeBuildPorts.add(port);
+        let isSettled = false;
+
+        const settle = (callback, value) => {
+            if (isSettled) return;
+            isSettled = true;
+            activeBuildPorts.delete(port);
+            callback(value);
+        };
+
+        port.onMessage.addListener((message) => {
+            if (message?.type === 'progress') {
+                if (onProgress) onProgress(message);
+                return;
+            }
+            if (message?.type !== 'result') return;
+
+            port.disconnect();
+            if (message.success && message.nodes) {
+                settle(resolve, message);
+            } else {
+                const error = new Error(message.error || 'Failed to load metadata');
+                if (message.cancelled) error.name = 'AbortError';
+                settle(reject, error);
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            settle(reject, new Error(chrome.runtime.lastError?.message || 'Metadata build connection closed'));
+        });
+
+        port.postMessage({
+            type: 'start',
+            instanceUrl: state.instanceUrl,
+            apiVersion: state.apiVersion,
+            sessionId: state.sessionId,
+            isSetupDomain: state.isSetupDomain,
+            forceRefresh: false,
+            ...request
+        });
+    });
+}
+
+/**
+ * Cancels all metadata builds in flight. Describes already completed are kept.
+ */
+export function cancelMetadataBuilds() {
+    logger.info('[API:cancelMetadataBuilds] Cancelling metadata builds', { count: activeBuildPorts.size });
+    activeBuildPorts.forEach(port => port.postMessage({ type: 'cancel' }));
+}
+
 /**
  * Ensures metadata exists for the given root object and its neighbors.
  * Triggers a backend fetch if missing.
  * @param {string} rootObjectName - The object to center the graph on.
- * @returns {Promise<void>}
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with per-batch describe progress.
+ * @returns {Promise<{cancelled: boolean}>} Whether the neighbor fetch was cancelled (partial graph).
+ * @throws {Error} AbortError if cancelled before the root object was loaded.
  */
-export async function ensureGraphMetadata(rootObjectName) {
-    if (!rootObjectName) return;
+export async function ensureGraphMetadata(rootObjectName, { onProgress = null } = {}) {
+    if (!rootObjectName) return { cancelled: false };
 
     logger.debug('[API:ensureGraphMetadata] Ensuring metadata for graph', { root: rootObjectName });
 
+    const response = await runMetadataBuild({ rootObjectName }, onProgress);
+
+    // Update our local state with the enriched map
+    state.nodes = response.nodes;
+    state.edges = response.edges;
+
+    logger.info('[API:ensureGraphMetadata] Graph metadata ensured', {
+        rootObject: rootObjectName,
+        source: response.fromCache ? 'cache' : 'API',
+        nodeCount: Object.keys(response.nodes).length,
+        edgeCount: Object.keys(response.edges || {}).length,
+        cancelled: response.cancelled === true
+    });
+    return { cancelled: response.cancelled === true };
+}
+
+/**
+ * Ensures full describes exist for a specific set of objects (without fetching their neighbors).
+ * Only missing or shadow objects are fetched by the background.
+ * @param {Array<string>} objectNames - The object API names to describe.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with per-batch describe progress.
+ * @returns {Promise<void>}
+ */
+export async function ensureObjectsDescribed(objectNames, { onProgress = null } = {}) {
+    if (!objectNames?.length) return;
+
+    logger.debug('[API:ensureObjectsDescribed] Ensuring describes', { count: objectNames.length });
+
+    const response = await runMetadataBuild({ objectNames }, onProgress);
+
+    state.nodes = response.nodes;
+    state.edges = response.edges;
+
+    logger.info('[API:ensureObjectsDescribed] Describes ensured', {
+        requested: objectNames.length,
+        source: response.fromCache ? 'cache' : 'API',
+        nodeCount: Object.keys(response.nodes).length
+    });
+}
+
+/**
+ * Describes every given object through the background org crawl (org map mode).
+ * Objects already cached are skipped; progress is reported while the crawl runs.
+ * Runs over the `metadataBuild` port, so `cancelMetadataBuilds` stops it (objects described so far are kept).
+ * @param {Array<string>} objectNames - The object API names to describe.
+ * @param {Function} [onProgress] - Called with { completed, total, failedCount }.
+ * @returns {Promise<{failedCount: number, cancelled: boolean}>}
+ */
+export async function crawlOrgSchema(objectNames, onProgress = null) {
+    logger.info('[API:crawlOrgSchema] Starting org crawl', { count: objectNames.length });
+
+    const response = await runMetadataBuild({ crawl: true, objectNames }, (progress) => {
+        if (onProgress) onProgress({ completed: progress.completed, total: progress.total, failedCount: progress.failedCount });
+    });
+
+    state.nodes = response.nodes;
+    state.edges = response.edges;
+
+    logger.info(`[API:crawlOrgSchema] Org crawl ${response.cancelled ? 'cancelled' : 'finished'}`, {
+        nodeCount: Object.keys(response.nodes).length,
+        edgeCount: Object.keys(response.edges || {}).length,
+        failedCount: response.failedCount
+    });
+    return { failedCount: response.failedCount || 0, cancelled: response.cancelled === true };
+}
+
+/**
+ * Revalidates the cached describes in the background (If-Modified-Since per object).
+ * Only objects that changed are downloaded again; the refreshed map replaces the local state.
+ * @returns {Promise<{changed: Array<string>, deleted: Array<string>, notModifiedCount: number, failedCount: number, timestamp: number}>}
+ */
+export async function revalidateMetadataCache() {
+    logger.info('[API:revalidateMetadataCache] Revalidating metadata cache');
+
     return new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
-            action: 'buildObjectMetadataMap',
+            action: 'revalidateMetadataCache',
             instanceUrl: state.instanceUrl,
             apiVersion: state.apiVersion,
-            sessionId: state.sessionId,
-            isSetupDomain: state.isSetupDomain,
-            rootObjectName,
-            forceRefresh: false
+            isSetupDomain: state.isSetupDomain
         }, (response) => {
             if (chrome.runtime.lastError) {
-                logger.error('[API:ensureGraphMetadata] Runtime error', { error: chrome.runtime.lastError.message });
                 reject(new Error(chrome.runtime.lastError.message));
                 return;
             }
 
             if (response?.success && response.nodes) {
-                const nodeCount = Object.keys(response.nodes).length;
-                const edgeCount = Object.keys(response.edges || {}).length;
-
-                // Update our local state with the enriched map
                 state.nodes = response.nodes;
                 state.edges = response.edges;
 
-                logger.info('[API:ensureGraphMetadata] Graph metadata ensured', {
-                    rootObject: rootObjectName,
-                    source: response.fromCache ? 'cache' : 'API',
-                    nodeCount,
-                    edgeCount
+                logger.info('[API:revalidateMetadataCache] Metadata cache revalidated', {
+                    changed: response.changed.length,
+                    deleted: response.deleted.length,
+                    notModified: response.notModifiedCount,
+                    failed: response.failedCount
                 });
+                resolve({
+                    changed: response.changed,
+                    deleted: response.deleted,
+                    notModifiedCount: response.notModifiedCount,
+                    failedCount: response.failedCount,
+                    timestamp: response.timestamp
+                });
+            } else {
+                reject(new Error(response?.error || 'Failed to revalidate metadata cache'));
+            }
+        });
+    });
+}
+
+/**
+ * Lists the orgs whose metadata is cached in this browser.
+ * @returns {Promise<Array<{cacheKey: string, host: string, timestamp: number, crawledAt: number|null, objectCount: number, isCurrent: boolean}>>}
+ */
+export async function listCachedOrgs() {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'listCachedOrgs',
+            instanceUrl: state.instanceUrl
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success) {
+                resolve(response.orgs);
+            } else {
+                reject(new Error(response?.error || 'Failed to list cached orgs'));
+            }
+        });
+    });
+}
+
+/**
+ * Reads the cached metadata map of an org (no Salesforce calls, state is not modified).
+ * @param {string} cacheKey - The org cache key (from listCachedOrgs).
+ * @returns {Promise<{nodes: Object, edges: Object, timestamp: number, crawledAt: number|null}>} `crawledAt`: last complete org crawl.
+ */
+export async function loadCachedMetadata(cacheKey) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'loadCachedMetadata',
+            cacheKey
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success && response.nodes) {
+                resolve({ nodes: response.nodes, edges: response.edges || {}, timestamp: response.timestamp, crawledAt: response.crawledAt || null });
+            } else {
+                reject(new Error(response?.error || 'Failed to load cached metadata'));
+            }
+        });
+    });
+}
+
+/**
+ * Takes a snapshot of the current org's cached metadata.
+ * @returns {Promise<{id: number, createdAt: number, reason: string, objectCount: number}>} The snapshot summary.
+ */
+export async function createSnapshot() {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'createSnapshot',
+            instanceUrl: state.instanceUrl
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success) {
+                logger.info('[API:createSnapshot] Snapshot created', { id: response.snapshot.id });
+                resolve(response.snapshot);
+            } else {
+                reject(new Error(response?.error || 'Failed to create snapshot'));
+            }
+        });
+    });
+}
+
+/**
+ * Reads one object's state in every snapshot of the current org, followed by the live cache.
+ * @param {string} objectName - The object API name.
+ * @returns {Promise<Array<{id: number|string, createdAt: number, reason: string, node: Object|null, edges: Object}>>}
+ *   Oldest first; the live cache has id 'live'.
+ */
+export async function getObjectHistory(objectName) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'getObjectHistory',
+            instanceUrl: state.instanceUrl,
+            objectName
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success) {
+                resolve(response.points);
+            } else {
+                reject(new Error(response?.error || 'Failed to load object history'));
+            }
+        });
+    });
+}
+
+/**
+ * Deletes a snapshot.
+ * @param {number} id - The snapshot id.
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(id) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: 'deleteSnapshot', id }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success) {
                 resolve();
             } else {
-                reject(new Error(response?.error || 'Failed to ensure graph metadata'));
+                reject(new Error(response?.error || 'Failed to delete snapshot'));
+            }
+        });
+    });
+}
+
+/**
+ * Fetches the object and field descriptions and the roll-up definitions (Tooling API) of a
+ * cached object and stores them on the local node and metadata (`description`,
+ * `rollupSummary`, `documentedAt`).
+ * @param {string} objectName - The object API name.
+ * @returns {Promise<{description: string|null, fieldDescriptions: Object<string, string>, rollupSummaries: Object<string, Object>}>}
+ */
+export async function fetchObjectDocumentation(objectName) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'fetchObjectDocumentation',
+            instanceUrl: state.instanceUrl,
+            apiVersion: state.apiVersion,
+            isSetupDomain: state.isSetupDomain,
+            objectName
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (!response?.success) {
+                reject(new Error(response?.error || 'Failed to fetch documentation'));
+                return;
+            }
+
+            const node = state.nodes?.[objectName];
+            if (node) {
+                node.info.description = response.description;
+                node.documentedAt = response.documentedAt;
+                for (const [fieldName, field] of Object.entries(node.fields || {})) {
+                    field.description = response.fieldDescriptions[fieldName] || null;
+                    if (response.rollupSummaries[fieldName]) field.rollupSummary = response.rollupSummaries[fieldName];
+                }
+            }
+
+            const metadata = state.metadata.get(objectName);
+            if (metadata) {
+                metadata.description = response.description;
+                metadata.fields?.forEach(field => {
+                    field.description = response.fieldDescriptions[field.name] || null;
+                    if (response.rollupSummaries[field.name]) field.rollupSummary = response.rollupSummaries[field.name];
+                });
+            }
+
+            logger.debug('[API:fetchObjectDocumentation] Documentation loaded', {
+                object: objectName,
+                fromCache: response.fromCache
+            });
+            resolve({
+                description: response.description,
+                fieldDescriptions: response.fieldDescriptions,
+                rollupSummaries: response.rollupSummaries
+            });
+        });
+    });
+}
+
+/**
+ * Runs a SOQL query (REST query resource, GET only) and follows `nextRecordsUrl` until
+ * `maxRows` records are loaded.
+ * @param {string} soql - The query.
+ * @param {number} maxRows - The number of records to load at most.
+ * @returns {Promise<{records: Array<Object>, totalSize: number, done: boolean}>} done is false if more records exist.
+ */
+export async function runSoqlQuery(soql, maxRows) {
+    logger.debug('[API:runSoqlQuery] Running query', { length: soql.length, maxRows });
+
+    let response = await apiCall(`${state.instanceUrl}/services/data/v${state.apiVersion}/query?q=${encodeURIComponent(soql)}`);
+    const records = [...(response.records || [])];
+
+    while (!response.done && response.nextRecordsUrl && records.length < maxRows) {
+        response = await apiCall(`${state.instanceUrl}${response.nextRecordsUrl}`);
+        records.push(...(response.records || []));
+    }
+
+    logger.info('[API:runSoqlQuery] Query completed', { totalSize: response.totalSize, loaded: records.length });
+    return {
+        records: records.slice(0, maxRows),
+        totalSize: response.totalSize,
+        done: response.done && records.length <= maxRows
+    };
+}
+
+/**
+ * Counts the records of an object (`SELECT COUNT() FROM Object`) and keeps the count in
+ * `state.recordCounts`.
+ * @param {string} objectName - The object API name.
+ * @returns {Promise<number>} The record count.
+ */
+export async function fetchRecordCount(objectName) {
+    const { totalSize } = await runSoqlQuery(`SELECT COUNT() FROM ${objectName}`, 0);
+    state.recordCounts.set(objectName, totalSize);
+    return totalSize;
+}
+
+/**
+ * Fetches the approximate record counts Salesforce keeps per object (REST `limits/recordCount`)
+ * and the org's storage usage, and keeps the counts in `state.recordCounts`.
+ * @param {Array<string>} objectNames - The object API names.
+ * @returns {Promise<{counts: Object<string, number>, storage: Object|null}>} Storage in MB
+ *   ({ dataUsedMB, dataMaxMB, fileUsedMB, fileMaxMB }), null without permission to read org limits.
+ */
+export async function fetchRecordCountLimits(objectNames) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'fetchRecordCounts',
+            instanceUrl: state.instanceUrl,
+            apiVersion: state.apiVersion,
+            sessionId: state.sessionId,
+            isSetupDomain: state.isSetupDomain,
+            objectNames
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+
+            if (response?.success) {
+                Object.entries(response.counts).forEach(([objectName, count]) => state.recordCounts.set(objectName, count));
+                logger.debug('[API:fetchRecordCountLimits] Record counts loaded', {
+                    requested: objectNames.length,
+                    counted: Object.keys(response.counts).length
+                });
+                resolve({ counts: response.counts, storage: response.storage });
+            } else {
+                reject(new Error(response?.error || 'Failed to fetch record counts'));
             }
         });
     });
@@ -116,6 +116,121 @@ export function getFieldTypeCategory(field) {
     return categoryMap[field.type?.toLowerCase()] || field.type || 'Other';
 }
 
+// =============================================================================
+// PICKLISTS
+// =============================================================================
+
+/**
+ * Checks if a field has a list of values (picklist, multi-select or combobox).
+ * @param {Object} field - The field metadata.
+ * @returns {boolean} True if picklist.
+ */
+export function isPicklistField(field) {
+    return field.type === 'picklist' || field.type === 'multipicklist' || field.type === 'combobox';
+}
+
+/**
+ * Decodes the `validFor` of a dependent picklist value: a base64 bitmask with one bit
+ * per controlling value, most significant bit first.
+ * @param {string} validFor - The base64 bitmask.
+ * @returns {Array<number>} Indexes of the controlling values the value is valid for.
+ */
+export function decodeValidFor(validFor) {
+    if (!validFor) return [];
+
+    const bytes = atob(validFor);
+    const indexes = [];
+    for (let bit = 0; bit < bytes.length * 8; bit++) {
+        if (bytes.charCodeAt(bit >> 3) & (0x80 >> (bit % 8))) indexes.push(bit);
+    }
+    return indexes;
+}
+
+/**
+ * Builds the dependency matrix of a dependent picklist against its controlling field.
+ * Checkbox controllers have two controlling values: unchecked (bit 0) and checked (bit 1).
+ * @param {Object} field - The dependent picklist field.
+ * @param {Object} controllerField - The controlling field.
+ * @returns {{columns: Array<{label: string, active: boolean}>, rows: Array<{label: string, value: string, active: boolean, validFor: Set<number>}>}|null}
+ *   The matrix, or null if the field is not dependent or its values are unknown.
+ */
+export function getPicklistDependencyMatrix(field, controllerField) {
+    if (!field.dependentPicklist || !controllerField || !field.picklistValues) return null;
+
+    const columns = controllerField.type === 'boolean'
+        ? [{ label: 'Unchecked', active: true }, { label: 'Checked', active: true }]
+        : (controllerField.picklistValues || []).map(entry => ({ label: entry.label || entry.value, active: entry.active !== false }));
+
+    const rows = field.picklistValues.map(entry => ({
+        label: entry.label || entry.value,
+        value: entry.value,
+        active: entry.active !== false,
+        validFor: new Set(decodeValidFor(entry.validFor))
+    }));
+
+    return { columns, rows };
+}
+
+// =============================================================================
+// RELATIONSHIP NAMES
+// =============================================================================
+
+/**
+ * Checks if an object has a full describe in the cached map (not missing or a shadow node).
+ * @param {string} objectApiName - The object API name.
+ * @returns {boolean} True if the object's fields are known.
+ */
+export function isObjectDescribed(objectApiName) {
+    const node = state.nodes?.[objectApiName];
+    return !!node?.fields && Object.keys(node.fields).length > 0;
+}
+
+/**
+ * Gets the relationship name used to traverse an edge from child to parent (e.g. `Account`, `Parent__r`).
+ * @param {Object} edge - The normalized edge.
+ * @returns {string} The parent relationship name.
+ */
+export function getParentRelationshipName(edge) {
+    const field = state.nodes?.[edge.source]?.fields?.[edge.fieldName];
+    if (field?.relationshipName) return field.relationshipName;
+
+    // Edges discovered from the parent side carry the child relationship name; derive the parent one
+    if (edge.discoveredFromDescribe !== false && edge.relationshipName) return edge.relationshipName;
+    if (edge.fieldName.endsWith('__c')) return edge.fieldName.replace(/__c$/, '__r');
+    if (edge.fieldName.endsWith('Id')) return edge.fieldName.slice(0, -2);
+    return edge.fieldName;
+}
+
+/**
+ * Gets the relationship name used to traverse an edge from parent to child (e.g. `Contacts`).
+ * @param {Object} edge - The normalized edge.
+ * @returns {string|null} The child relationship name, or null if unknown.
+ */
+export function getChildRelationshipName(edge) {
+    if (edge.childRelationshipName) return edge.childRelationshipName;
+    if (edge.discoveredFromDescribe === false && edge.relationshipName) return edge.relationshipName;
+    return null;
+}
+
+/**
+ * Checks if an edge references its own object (e.g. Account.ParentId, User.ManagerId).
+ * @param {Object} edge - The normalized edge.
+ * @returns {boolean} True if self-referencing.
+ */
+export function isSelfReference(edge) {
+    return edge.source === edge.target;
+}
+
+/**
+ * Gets all targets of a polymorphic lookup (e.g. Task.WhatId, OwnerId → Group, User).
+ * Falls back to the source field for edges cached before targets were recorded on edges.
+ * @param {Object} edge - The normalized edge.
+ * @returns {Array<string>|null} The target objects, or null if the field has a single target.
+ */
+export function getPolymorphicTargets(edge) {
+    const targets = edge.polymorphicTargets || state.nodes?.[edge.source]?.fields?.[edge.fieldName]?.referenceTo;
+    return targets?.length > 1 ? targets : null;
+}
 
 // =============================================================================
 // URL GENERATION
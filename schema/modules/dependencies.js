@@ -0,0 +1,266 @@
+/**
+ * Salesforce Schema Explorer - Field Dependencies
+ * Parses formulas and roll-up summary definitions into field-level dependencies.
+ */
+
+import { state } from './state.js';
+import { logger } from './utils.js';
+import { isObjectDescribed } from './data.js';
+import { fetchObjectDocumentation } from './api.js';
+
+export const DEPENDENCY_KIND = {
+    formula: 'formula',
+    defaultValue: 'defaultValue',
+    rollup: 'rollup'
+};
+
+// Words that look like field references in formula text
+const FORMULA_KEYWORDS = new Set(['TRUE', 'FALSE', 'NULL']);
+
+// Roll-up definitions are loaded for the analyzed objects and their master objects;
+// each round may reach new objects, so the number of rounds is bounded
+const MAX_ROLLUP_ROUNDS = 3;
+
+// =============================================================================
+// FORMULA PARSING
+// =============================================================================
+
+/**
+ * Extracts the field references of a formula (e.g. `Amount__c`, `Account.Owner.Email`).
+ * Function names, string literals, comments and global variables (`$User.Id`) are skipped.
+ * @param {string} formula - The formula source.
+ * @returns {Array<Array<string>>} Unique references, each split into path segments.
+ */
+export function parseFormulaReferences(formula) {
+    if (!formula) return [];
+
+    const source = formula
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, ' ');
+
+    const references = new Map();
+    const tokenPattern = /\$?[A-Za-z_]\w*(?:\s*[.:]\s*[A-Za-z_]\w*)*/g;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+        // Skip the tail of another token (e.g. the exponent of 1e5)
+        if (/[\w.]/.test(source[match.index - 1] || '')) continue;
+
+        const token = match[0].replace(/\s+/g, '');
+        const nextChar = source.slice(tokenPattern.lastIndex).trimStart()[0];
+
+        if (nextChar === '(' || token.startsWith('$') || FORMULA_KEYWORDS.has(token.toUpperCase())) continue;
+        references.set(token.toLowerCase(), token.split('.'));
+    }
+
+    return [...references.values()];
+}
+
+/**
+ * Resolves a reference path from an object to the fields it goes through.
+ * Every relationship hop counts (deleting `AccountId` breaks `Account.Name`); polymorphic
+ * hops name their target (`Owner:User.Email`).
+ * @param {string} objectName - The object the formula belongs to.
+ * @param {Array<string>} segments - The reference path segments.
+ * @returns {Array<{objectName: string, fieldName: string}>} The referenced fields, in path order.
+ */
+export function resolveFieldPath(objectName, segments) {
+    const fields = [];
+    let current = objectName;
+
+    for (let index = 0; index < segments.length - 1; index++) {
+        const [relationshipName, polymorphicTarget] = segments[index].split(':');
+        const relationshipField = findRelationshipField(current, relationshipName);
+        if (!relationshipField) return fields;
+
+        fields.push({ objectName: current, fieldName: relationshipField.name });
+        current = polymorphicTarget || relationshipField.referenceTo[0];
+    }
+
+    const lastSegment = segments[segments.length - 1];
+    fields.push({ objectName: current, fieldName: findField(current, lastSegment)?.name || lastSegment });
+    return fields;
+}
+
+function findField(objectName, fieldName) {
+    const lowerName = fieldName.toLowerCase();
+    return Object.values(state.nodes?.[objectName]?.fields || {}).find(field => field.name.toLowerCase() === lowerName);
+}
+
+function findRelationshipField(objectName, relationshipName) {
+    const lowerName = relationshipName.toLowerCase();
+    return Object.values(state.nodes?.[objectName]?.fields || {}).find(field =>
+        field.type === 'reference' && field.referenceTo?.length && field.relationshipName?.toLowerCase() === lowerName
+    );
+}
+
+/**
+ * Resolves a roll-up reference (`Child__c.Amount__c`) to the child field.
+ */
+function resolveRollupReference(reference) {
+    const [childObject, fieldName] = reference.split('.');
+    const objectName = Object.keys(state.nodes || {}).find(name => name.toLowerCase() === childObject.toLowerCase()) || childObject;
+    return { objectName, fieldName: findField(objectName, fieldName)?.name || fieldName };
+}
+
+// =============================================================================
+// DEPENDENCY INDEX
+// =============================================================================
+
+/**
+ * Builds the key identifying a field across objects (e.g. `Account.Rating`).
+ * @param {string} objectName - The object API name.
+ * @param {string} fieldName - The field API name.
+ * @returns {string} The field key.
+ */
+export function getFieldKey(objectName, fieldName) {
+    return `${objectName}.${fieldName}`;
+}
+
+/**
+ * Returns the field a key was built from (object names never contain dots).
+ * @param {string} fieldKey - A key from getFieldKey.
+ * @returns {{objectName: string, fieldName: string}} The field.
+ */
+export function parseFieldKey(fieldKey) {
+    const separator = fieldKey.indexOf('.');
+    return { objectName: fieldKey.slice(0, separator), fieldName: fieldKey.slice(separator + 1) };
+}
+
+/**
+ * Checks if a field is a roll-up summary whose definition has not been loaded.
+ * Roll-ups are the custom calculated fields without a formula.
+ * @param {Object} field - The field metadata.
+ * @returns {boolean} True if the definition is unknown.
+ */
+export function isUnresolvedRollup(field) {
+    return field.calculated === true && !field.calculatedFormula && !field.rollupSummary && field.name.endsWith('__c');
+}
+
+/**
+ * Builds the dependencies of every formula, default value formula and roll-up of the cached objects.
+ * @returns {{uses: Map<string, Array<{key: string, kind: string}>>, usedBy: Map<string, Array<{key: string, kind: string}>>}}
+ *   Field key → fields it references, and field key → fields that reference it.
+ */
+export function buildFieldDependencyIndex() {
+    const uses = new Map();
+    const usedBy = new Map();
+
+    const addDependency = (fromKey, toField, kind) => {
+        const toKey = getFieldKey(toField.objectName, toField.fieldName);
+        if (toKey === fromKey) return;
+        if (!uses.has(fromKey)) uses.set(fromKey, []);
+        if (uses.get(fromKey).some(dependency => dependency.key === toKey)) return;
+
+        uses.get(fromKey).push({ key: toKey, kind });
+        if (!usedBy.has(toKey)) usedBy.set(toKey, []);
+        usedBy.get(toKey).push({ key: fromKey, kind });
+    };
+
+    for (const objectName of Object.keys(state.nodes || {})) {
+        if (!isObjectDescribed(objectName)) continue;
+
+        for (const field of Object.values(state.nodes[objectName].fields)) {
+            const fieldKey = getFieldKey(objectName, field.name);
+
+            [
+                { formula: field.calculatedFormula, kind: DEPENDENCY_KIND.formula },
+                { formula: field.defaultValueFormula, kind: DEPENDENCY_KIND.defaultValue }
+            ].forEach(({ formula, kind }) => {
+                parseFormulaReferences(formula).forEach(segments => {
+                    resolveFieldPath(objectName, segments).forEach(referenced => addDependency(fieldKey, referenced, kind));
+                });
+            });
+
+            const rollup = field.rollupSummary;
+            if (rollup) {
+                [rollup.foreignKey, rollup.summarizedField, ...rollup.filterFields]
+                    .filter(Boolean)
+                    .forEach(reference => addDependency(fieldKey, resolveRollupReference(reference), DEPENDENCY_KIND.rollup));
+            }
+        }
+    }
+
+    return { uses, usedBy };
+}
+
+/**
+ * Collects everything a field depends on and everything that depends on it, transitively.
+ * Levels are signed: dependents (what breaks if the field changes) are negative,
+ * referenced fields positive, the field itself 0.
+ * @param {string} objectName - The object API name.
+ * @param {string} fieldName - The field API name.
+ * @param {Object} [index] - A dependency index (built if omitted).
+ * @returns {{fields: Map<string, {objectName: string, fieldName: string, level: number}>, dependencies: Array<{source: string, target: string, kind: string}>}}
+ *   Dependencies point from the dependent field to the referenced field.
+ */
+export function getFieldDependencies(objectName, fieldName, index = buildFieldDependencyIndex()) {
+    const rootKey = getFieldKey(objectName, fieldName);
+    const fields = new Map([[rootKey, { objectName, fieldName, level: 0 }]]);
+    const dependencies = new Map();
+
+    const walk = (adjacency, step) => {
+        const queue = [rootKey];
+        while (queue.length > 0) {
+            const key = queue.shift();
+            const level = fields.get(key).level;
+
+            for (const { key: nextKey, kind } of adjacency.get(key) || []) {
+                const [source, target] = step > 0 ? [key, nextKey] : [nextKey, key];
+                dependencies.set(`${source}->${target}`, { source, target, kind });
+
+                if (!fields.has(nextKey)) {
+                    fields.set(nextKey, { ...parseFieldKey(nextKey), level: level + step });
+                    queue.push(nextKey);
+                }
+            }
+        }
+    };
+
+    walk(index.usedBy, -1);
+    walk(index.uses, 1);
+
+    return { fields, dependencies: [...dependencies.values()] };
+}
+
+// =============================================================================
+// ROLL-UP DEFINITIONS
+// =============================================================================
+
+/**
+ * Loads the roll-up definitions (Tooling API) a field's analysis needs: those of the objects
+ * in its dependency graph and of their master objects, where roll-ups on them are defined.
+ * @param {string} objectName - The object API name.
+ * @param {string} fieldName - The field API name.
+ * @returns {Promise<number>} The number of objects whose definitions could not be loaded.
+ */
+export async function loadRollupDefinitions(objectName, fieldName) {
+    const attempted = new Set();
+    let failedCount = 0;
+
+    for (let round = 0; round < MAX_ROLLUP_ROUNDS; round++) {
+        const { fields } = getFieldDependencies(objectName, fieldName);
+        const objectNames = new Set([...fields.values()].map(field => field.objectName));
+
+        Object.values(state.edges || {}).forEach(edge => {
+            if (edge.isMasterDetail && objectNames.has(edge.source)) objectNames.add(edge.target);
+        });
+
+        const pending = [...objectNames].filter(name =>
+            !attempted.has(name) && isObjectDescribed(name) && !state.nodes[name].documentedAt
+        );
+        if (pending.length === 0) break;
+
+        for (const name of pending) {
+            attempted.add(name);
+            try {
+                await fetchObjectDocumentation(name);
+            } catch (error) {
+                failedCount++;
+                logger.warn('[Dependencies:rollups] Roll-up definitions unavailable', { object: name, error: error.message });
+            }
+        }
+    }
+
+    return failedCount;
+}
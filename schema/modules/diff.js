@@ -0,0 +1,177 @@
+/**
+ * Salesforce Schema Explorer - Schema Diff
+ * Compares two metadata maps ({ nodes, edges }) object by object, field by field.
+ */
+
+import { isMasterDetailField } from './data.js';
+
+// Field properties compared between the two maps (from stripMetadataFields)
+export const DIFF_FIELD_PROPERTIES = [
+    { key: 'type', label: 'Type', read: field => field.type },
+    { key: 'length', label: 'Length', read: field => field.length || 0 },
+    { key: 'nillable', label: 'Nillable', read: field => field.nillable === true },
+    { key: 'referenceTo', label: 'References', read: field => [...(field.referenceTo || [])].sort().join(', ') },
+    { key: 'masterDetail', label: 'Master-Detail', read: field => isMasterDetailField(field) }
+];
+
+export const DIFF_STATUS = {
+    added: 'added',
+    removed: 'removed',
+    changed: 'changed'
+};
+
+function isDescribedNode(node) {
+    return !!node?.fields && Object.keys(node.fields).length > 0;
+}
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+/**
+ * Compares two metadata maps.
+ * Only objects described in both maps are compared field by field; an object described
+ * in one map and known only as a shadow node in the other is reported as `skipped`.
+ * An object absent from a map is only reported as added or removed when that map is
+ * `complete` (a full org crawl); otherwise it may never have been loaded there, and it is
+ * reported in `notLoaded` instead.
+ * @param {{nodes: Object, edges: Object, complete?: boolean}} base - The "before" map.
+ * @param {{nodes: Object, edges: Object, complete?: boolean}} compare - The "after" map.
+ * @returns {{objects: Array<Object>, fields: Array<Object>, relationships: Array<Object>, skipped: Array<string>, notLoaded: Array<string>, comparedCount: number}}
+ *   `objects`: { name, status }; `fields`: { objectName, fieldName, status, changes };
+ *   `relationships`: { id, source, target, fieldName, status, changes }.
+ *   A change is { property, label, before, after }.
+ */
+export function diffMetadataMaps(base, compare) {
+    const baseNodes = base?.nodes || {};
+    const compareNodes = compare?.nodes || {};
+    const objectNames = [...new Set([...Object.keys(baseNodes), ...Object.keys(compareNodes)])].sort();
+
+    const objects = [];
+    const fields = [];
+    const skipped = [];
+    const notLoaded = [];
+    const comparedObjects = new Set();
+
+    for (const objectName of objectNames) {
+        const baseNode = baseNodes[objectName];
+        const compareNode = compareNodes[objectName];
+        const inBase = isDescribedNode(baseNode);
+        const inCompare = isDescribedNode(compareNode);
+
+        if (!inBase && !inCompare) continue;
+
+        if (inBase && inCompare) {
+            comparedObjects.add(objectName);
+            const fieldDiffs = diffFields(objectName, baseNode.fields, compareNode.fields);
+            if (fieldDiffs.length > 0) {
+                objects.push({ name: objectName, status: DIFF_STATUS.changed });
+                fields.push(...fieldDiffs);
+            }
+        } else if (!baseNode) {
+            if (base?.complete === true) objects.push({ name: objectName, status: DIFF_STATUS.added });
+            else notLoaded.push(objectName);
+        } else if (!compareNode) {
+            if (compare?.complete === true) objects.push({ name: objectName, status: DIFF_STATUS.removed });
+            else notLoaded.push(objectName);
+        } else {
+            skipped.push(objectName);
+        }
+    }
+
+    const relationships = diffRelationships(base?.edges || {}, compare?.edges || {}, comparedObjects);
+
+    // Objects whose only difference is a relationship attribute still count as changed
+    const changedNames = new Set(objects.map(object => object.name));
+    relationships.forEach(relationship => {
+        if (!changedNames.has(relationship.source)) {
+            changedNames.add(relationship.source);
+            objects.push({ name: relationship.source, status: DIFF_STATUS.changed });
+        }
+    });
+    objects.sort((a, b) => a.name.localeCompare(b.name));
+
+    return { objects, fields, relationships, skipped, notLoaded, comparedCount: comparedObjects.size };
+}
+
+function diffFields(objectName, baseFields = {}, compareFields = {}) {
+    const fieldNames = [...new Set([...Object.keys(baseFields), ...Object.keys(compareFields)])].sort();
+    const diffs = [];
+
+    for (const fieldName of fieldNames) {
+        const baseField = baseFields[fieldName];
+        const compareField = compareFields[fieldName];
+
+        if (!baseField) {
+            diffs.push({ objectName, fieldName, status: DIFF_STATUS.added, changes: [] });
+        } else if (!compareField) {
+            diffs.push({ objectName, fieldName, status: DIFF_STATUS.removed, changes: [] });
+        } else {
+            const changes = DIFF_FIELD_PROPERTIES
+                .map(({ key, label, read }) => ({ property: key, label, before: read(baseField), after: read(compareField) }))
+                .filter(change => change.before !== change.after);
+            if (changes.length > 0) {
+                diffs.push({ objectName, fieldName, status: DIFF_STATUS.changed, changes });
+            }
+        }
+    }
+
+    return diffs;
+}
+
+/**
+ * Compares the describe-based relationships of objects described in both maps.
+ */
+function diffRelationships(baseEdges, compareEdges, comparedObjects) {
+    // Self-references show up in the field diff; caches built before they were kept as edges lack them
+    const isComparable = edge => comparedObjects.has(edge.source) && edge.discoveredFromDescribe !== false && edge.source !== edge.target;
+    const ids = new Set([
+        ...Object.values(baseEdges).filter(isComparable).map(edge => edge.id),
+        ...Object.values(compareEdges).filter(isComparable).map(edge => edge.id)
+    ]);
+
+    const diffs = [];
+    for (const id of [...ids].sort()) {
+        const baseEdge = baseEdges[id];
+        const compareEdge = compareEdges[id];
+        const edge = compareEdge || baseEdge;
+        const entry = { id, source: edge.source, target: edge.target, fieldName: edge.fieldName };
+
+        if (!baseEdge) {
+            diffs.push({ ...entry, status: DIFF_STATUS.added, changes: [] });
+        } else if (!compareEdge) {
+            diffs.push({ ...entry, status: DIFF_STATUS.removed, changes: [] });
+        } else if ((baseEdge.isMasterDetail === true) !== (compareEdge.isMasterDetail === true)) {
+            diffs.push({
+                ...entry,
+                status: DIFF_STATUS.changed,
+                changes: [{ property: 'masterDetail', label: 'Master-Detail', before: baseEdge.isMasterDetail === true, after: compareEdge.isMasterDetail === true }]
+            });
+        }
+    }
+
+    return diffs;
+}
+
+/**
+ * Counts diff entries by status.
+ * @param {Array<{status: string}>} entries - Diff entries.
+ * @returns {{added: number, removed: number, changed: number}} The counts.
+ */
+export function countByStatus(entries) {
+    const counts = { added: 0, removed: 0, changed: 0 };
+    entries.forEach(entry => { counts[entry.status]++; });
+    return counts;
+}
+
+/**
+ * Formats a compared property value for display.
+ * @param {*} value - The value.
+ * @returns {string} The display text.
+ */
+export function formatDiffValue(value) {
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    if (value === '' || value === null || value === undefined) return '—';
+    return String(value);
+}
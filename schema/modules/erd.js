@@ -0,0 +1,225 @@
+/**
+ * Salesforce Schema Explorer - ERD Layout
+ * Builds the field compartments of ERD nodes and places them in layers (parents left of
+ * their children) ordered to reduce edge crossings.
+ */
+
+import { state } from './state.js';
+import { isRequiredField } from './data.js';
+
+// Key fields listed in a compartment before the rest is summarized as "+N more"
+export const MAX_ERD_FIELDS = 12;
+
+// Compartment geometry (px): rows are monospace text lines
+export const ERD_FONT_SIZE = 11;
+export const ERD_ROW_HEIGHT = 16;
+const ERD_PADDING_Y = 8;
+const ERD_PADDING_X = 12;
+const ERD_CHAR_WIDTH = ERD_FONT_SIZE * 0.62;
+const ERD_MIN_WIDTH = 180;
+
+// Lines above the first field row: object label and a separator
+const HEADER_LINES = 2;
+
+// Gaps between layers (columns) and between nodes of a layer
+const LAYER_GAP = 140;
+const NODE_GAP = 40;
+
+// Barycenter sweeps run to order the nodes of each layer
+const ORDERING_SWEEPS = 4;
+
+// =============================================================================
+// COMPARTMENTS
+// =============================================================================
+
+/**
+ * Gets the key fields of an object for its ERD compartment: Id, Name, reference fields
+ * and required fields, in that order.
+ * @param {string} objectName - The object API name.
+ * @returns {{rows: Array<{fieldName: string, text: string}>, hiddenCount: number}} The
+ *   listed rows and the number of key fields left out.
+ */
+export function getErdFieldRows(objectName) {
+    const fields = getObjectFieldList(objectName);
+    const byName = new Map(fields.map(field => [field.name, field]));
+
+    const idField = byName.get('Id') || { name: 'Id', type: 'id' };
+    const nameField = fields.find(field => field.name === 'Name') || null;
+    const referenceFields = fields
+        .filter(field => field.type === 'reference' && field.referenceTo?.length)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const requiredFields = fields
+        .filter(field => field.type !== 'reference' && field.name !== 'Name' && field.name !== 'Id' && isRequiredField(field))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const keyFields = [idField, nameField, ...referenceFields, ...requiredFields].filter(Boolean);
+    const listed = keyFields.slice(0, MAX_ERD_FIELDS);
+
+    return {
+        rows: listed.map(field => ({ fieldName: field.name, text: formatFieldRow(field) })),
+        hiddenCount: keyFields.length - listed.length
+    };
+}
+
+function getObjectFieldList(objectName) {
+    const nodeFields = state.nodes?.[objectName]?.fields;
+    if (nodeFields && Object.keys(nodeFields).length > 0) return Object.values(nodeFields);
+    return state.metadata.get(objectName)?.fields || [];
+}
+
+function formatFieldRow(field) {
+    if (field.name === 'Id') return `PK ${field.name}`;
+    if (field.type === 'reference') {
+        const targets = field.referenceTo.length > 1 ? `${field.referenceTo.length} objects` : field.referenceTo[0];
+        return `FK ${field.name}${isRequiredField(field) ? '*' : ''} → ${targets}`;
+    }
+    return `   ${field.name}${isRequiredField(field) ? '*' : ''}`;
+}
+
+/**
+ * Builds the compartment of an ERD node: its label text, size and the vertical offset of
+ * each field row from the node center (where edges attach).
+ * @param {string} objectName - The object API name.
+ * @param {string} label - The object label shown in the header.
+ * @returns {{text: string, width: number, height: number, rowOffsets: Object<string, number>}}
+ */
+export function buildErdCompartment(objectName, label) {
+    const { rows, hiddenCount } = getErdFieldRows(objectName);
+    const lines = [label, '', ...rows.map(row => row.text)];
+    if (hiddenCount > 0) lines.push(`   +${hiddenCount} more`);
+
+    const longestLine = Math.max(...lines.map(line => line.length));
+    lines[1] = '─'.repeat(Math.max(longestLine, 12));
+
+    const width = Math.max(ERD_MIN_WIDTH, Math.ceil(longestLine * ERD_CHAR_WIDTH) + ERD_PADDING_X * 2);
+    const height = lines.length * ERD_ROW_HEIGHT + ERD_PADDING_Y * 2;
+
+    const rowOffsets = {};
+    rows.forEach((row, index) => {
+        rowOffsets[row.fieldName] = -height / 2 + ERD_PADDING_Y + ERD_ROW_HEIGHT * (HEADER_LINES + index + 0.5);
+    });
+
+    return { text: lines.join('\n'), width, height, rowOffsets };
+}
+
+// =============================================================================
+// LAYERED LAYOUT
+// =============================================================================
+
+/**
+ * Computes a layered layout: each child sits in a layer right of all its parents, and the
+ * nodes of each layer are ordered by the barycenter of their neighbors to reduce crossings.
+ * Cycles (e.g. two objects looking each other up) are broken by ignoring the closing edge.
+ * @param {Array<{id: string, width: number, height: number}>} nodes - The nodes to place.
+ * @param {Array<{source: string, target: string}>} edges - Child (source) to parent (target) edges.
+ * @returns {Map<string, {x: number, y: number}>} The center position of each node.
+ */
+export function computeLayeredLayout(nodes, edges) {
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const parentsOf = new Map(nodes.map(node => [node.id, new Set()]));
+    const neighborsOf = new Map(nodes.map(node => [node.id, new Set()]));
+
+    edges.forEach(({ source, target }) => {
+        if (source === target || !nodeIds.has(source) || !nodeIds.has(target)) return;
+        parentsOf.get(source).add(target);
+        neighborsOf.get(source).add(target);
+        neighborsOf.get(target).add(source);
+    });
+
+    const layerOf = assignLayers(nodes.map(node => node.id), parentsOf);
+    const layers = [];
+    nodes.forEach(node => {
+        const layer = layerOf.get(node.id);
+        (layers[layer] ||= []).push(node.id);
+    });
+    layers.forEach(layer => layer.sort());
+
+    orderLayers(layers, neighborsOf);
+
+    return assignCoordinates(layers, new Map(nodes.map(node => [node.id, node])));
+}
+
+/**
+ * Helper: Puts each node one layer right of its deepest parent (longest path), breaking
+ * cycles by skipping parents still being visited.
+ */
+function assignLayers(nodeIds, parentsOf) {
+    const layerOf = new Map();
+    const visiting = new Set();
+
+    const visit = (id) => {
+        if (layerOf.has(id)) return layerOf.get(id);
+        visiting.add(id);
+
+        let layer = 0;
+        for (const parent of parentsOf.get(id)) {
+            if (visiting.has(parent)) continue;
+            layer = Math.max(layer, visit(parent) + 1);
+        }
+
+        visiting.delete(id);
+        layerOf.set(id, layer);
+        return layer;
+    };
+
+    nodeIds.forEach(visit);
+    return layerOf;
+}
+
+/**
+ * Helper: Reorders each layer by the mean position of its neighbors in the layers already
+ * placed, sweeping left-to-right then right-to-left.
+ */
+function orderLayers(layers, neighborsOf) {
+    const positionOf = new Map();
+    const recordPositions = (layer) => layer.forEach((id, index) => positionOf.set(id, index / Math.max(layer.length - 1, 1)));
+    layers.forEach(layer => recordPositions(layer || []));
+
+    const reorder = (layer, fixedIds) => {
+        const barycenters = new Map(layer.map((id, index) => {
+            const anchors = [...neighborsOf.get(id)].filter(neighbor => fixedIds.has(neighbor));
+            const barycenter = anchors.length > 0
+                ? anchors.reduce((sum, neighbor) => sum + positionOf.get(neighbor), 0) / anchors.length
+                : positionOf.get(id) ?? index;
+            return [id, barycenter];
+        }));
+        layer.sort((a, b) => barycenters.get(a) - barycenters.get(b) || a.localeCompare(b));
+        recordPositions(layer);
+    };
+
+    for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+        const order = sweep % 2 === 0 ? layers.keys() : [...layers.keys()].reverse();
+        const fixedIds = new Set();
+        for (const layerIndex of order) {
+            const layer = layers[layerIndex] || [];
+            if (fixedIds.size > 0) reorder(layer, fixedIds);
+            layer.forEach(id => fixedIds.add(id));
+        }
+    }
+}
+
+/**
+ * Helper: Places layers as columns (widest node sets the column width) and stacks each
+ * layer's nodes vertically, centered on y = 0.
+ */
+function assignCoordinates(layers, nodesById) {
+    const positions = new Map();
+    let x = 0;
+
+    layers.forEach(layer => {
+        if (!layer?.length) return;
+        const columnWidth = Math.max(...layer.map(id => nodesById.get(id).width));
+        const totalHeight = layer.reduce((sum, id) => sum + nodesById.get(id).height, 0) + NODE_GAP * (layer.length - 1);
+
+        let y = -totalHeight / 2;
+        layer.forEach(id => {
+            const { height } = nodesById.get(id);
+            positions.set(id, { x: x + columnWidth / 2, y: y + height / 2 });
+            y += height + NODE_GAP;
+        });
+
+        x += columnWidth + LAYER_GAP;
+    });
+
+    return positions;
+}
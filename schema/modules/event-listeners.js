@@ -12,30 +12,70 @@ import {
 import {
     fitGraph,
     centerOnMain,
-    resetLayout
+    resetLayout,
+    setJunctionCollapse,
+    setErdLayout
 } from './graph.js';
 import {
     hideDetailsPanel,
+    handleFieldListClick,
+    retryDocumentation,
     hideRelationshipPopover,
     showObjectPopover,
     showRelationshipPopover,
     openFilterDropdown,
     closeFilterDropdown as uiCloseFilterDropdown,
-    applyFilters
+    applyFilters,
+    toggleHeaderMenu,
+    closeHeaderMenus,
+    hideToolPanel,
+    showPathFinder,
+    showDiagramExport,
+    showOrgCompare,
+    showSchemaHistory,
+    showDeleteImpact,
+    showLoadPlanner,
+    showHealthReport,
+    showSoqlBuilder,
+    showQueryConsole,
+    toggleRecordCountOverlay,
+    renderViewsMenu
 } from './ui.js';
+import { exportGraph } from './export.js';
+import { cancelMetadataBuilds } from './api.js';
+import { logger } from './utils.js';
+
+// Tools menu entries (data-tool attribute) mapped to the function that opens them
+const TOOL_HANDLERS = {
+    'path-finder': showPathFinder,
+    'diagram-export': showDiagramExport,
+    'org-compare': showOrgCompare,
+    'schema-history': showSchemaHistory,
+    'delete-impact': showDeleteImpact,
+    'load-plan': showLoadPlanner,
+    'schema-lint': showHealthReport,
+    'soql-builder': showSoqlBuilder,
+    'query-console': showQueryConsole
+};
 
 /**
  * Sets up all event listeners for the UI.
  * @param {Object} callbacks - Object containing callback functions for various events.
  * @param {Function} callbacks.onLoadObjectSchema - Callback to load object schema.
  * @param {Function} callbacks.onSwitchRelationshipView - Callback to switch relationship view.
- * @param {Function} callbacks.onRefreshCache - Callback to refresh cache.
+ * @param {Function} callbacks.onRefreshCache - Callback to refresh cache ({ full } clears it instead of revalidating).
+ * @param {Function} callbacks.onLoadOrgMap - Callback to show the whole-org map.
+ * @param {Function} callbacks.onShowFieldDependencies - Callback to show the dependency graph of a field.
+ * @param {Function} callbacks.onSearchAllObjects - Callback to describe every object, then analyze the field again.
  */
 export function setupEventListeners(callbacks) {
     const {
         onLoadObjectSchema,
         onSwitchRelationshipView,
-        onRefreshCache
+        onRefreshCache,
+        onLoadOrgMap,
+        onShowFieldDependencies,
+        onSearchAllObjects
     } = callbacks;
 
     // Object Search
@@ -57,6 +97,59 @@ export function setupEventListeners(callbacks) {
     elements.btnFit.addEventListener('click', fitGraph);
     elements.btnCenter.addEventListener('click', centerOnMain);
     elements.btnLayout.addEventListener('click', resetLayout);
+    if (elements.expandDepthSelect) {
+        elements.expandDepthSelect.addEventListener('change', () => {
+            state.expansionDepth = parseInt(elements.expandDepthSelect.value, 10) || 1;
+        });
+    }
+    elements.recordCountToggle.addEventListener('change', () => toggleRecordCountOverlay(elements.recordCountToggle.checked));
+    elements.junctionToggle.addEventListener('change', () => setJunctionCollapse(elements.junctionToggle.checked));
+    elements.erdToggle.addEventListener('change', () => setErdLayout(elements.erdToggle.checked));
+    // Org Map
+    elements.btnOrgMap.addEventListener('click', onLoadOrgMap);
+    elements.modeBannerBack.addEventListener('click', () => {
+        if (state.objectApiName) onLoadObjectSchema(state.objectApiName);
+    });
+    elements.modeBannerCrawl.addEventListener('click', onSearchAllObjects);
+
+    // Views Menu (rendered on open, for the current root object)
+    elements.btnViews.addEventListener('click', e => {
+        e.stopPropagation();
+        renderViewsMenu();
+        toggleHeaderMenu(elements.btnViews, elements.viewsMenu);
+    });
+
+    // Export Menu
+    elements.btnExport.addEventListener('click', e => {
+        e.stopPropagation();
+        toggleHeaderMenu(elements.btnExport, elements.exportMenu);
+    });
+    elements.exportMenu.querySelectorAll('.header-menu__item[data-format]').forEach(item => {
+        item.addEventListener('click', () => {
+            closeHeaderMenus();
+            handleExport(item.dataset.format);
+        });
+    });
+    // Tools Menu
+    elements.btnTools.addEventListener('click', e => {
+        e.stopPropagation();
+        toggleHeaderMenu(elements.btnTools, elements.toolsMenu);
+    });
+    elements.toolsMenu.querySelectorAll('.header-menu__item').forEach(item => {
+        item.addEventListener('click', () => {
+            closeHeaderMenus();
+            const openTool = TOOL_HANDLERS[item.dataset.tool];
+            if (openTool) openTool();
+        });
+    });
+    elements.toolPanelClose.addEventListener('click', hideToolPanel);
+
+    elements.loadingCancel.addEventListener('click', () => {
+        elements.loadingCancel.disabled = true;
+        elements.loadingText.textContent = 'Cancelling...';
+        cancelMetadataBuilds();
+    });
+
     elements.retryBtn.addEventListener('click', () => {
         if (state.objectApiName) onLoadObjectSchema(state.objectApiName);
     });
@@ -87,14 +180,18 @@ export function setupEventListeners(callbacks) {
 
     // Cache Refresh
     if (elements.cacheRefreshBtn) {
-        elements.cacheRefreshBtn.addEventListener('click', async () => {
-            await onRefreshCache();
+        // Click revalidates the cache, Shift+click clears it entirely
+        elements.cacheRefreshBtn.addEventListener('click', async (e) => {
+            await onRefreshCache({ full: e.shiftKey });
         });
     }
 
     // UI Interactions
     elements.popoverClose.addEventListener('click', hideRelationshipPopover);
     elements.detailsClose.addEventListener('click', hideDetailsPanel);
+    elements.soqlBuilderBtn.addEventListener('click', showSoqlBuilder);
+    elements.detailsDocumentationRetry.addEventListener('click', retryDocumentation);
+    elements.detailsFields.addEventListener('click', e => handleFieldListClick(e, { onShowFieldDependencies }));
 
     let fieldSearchTimeout;
     elements.fieldSearch.addEventListener('input', () => {
@@ -109,6 +206,10 @@ export function setupEventListeners(callbacks) {
 
     // Global Clicks
     document.addEventListener('click', e => {
+        if (!e.target.closest('.header-menu')) {
+            closeHeaderMenus();
+        }
+
         if (state.filterDropdownOpen && !elements.typeFilterMenu.contains(e.target) && !elements.typeFilterTrigger.contains(e.target)) {
             uiCloseFilterDropdown();
         }
@@ -134,6 +235,7 @@ export function setupEventListeners(callbacks) {
             hideRelationshipPopover();
             uiCloseFilterDropdown();
             hideSearchDropdown();
+            closeHeaderMenus();
         }
     });
 
@@ -157,3 +259,28 @@ export function setupEventListeners(callbacks) {
         }, 250);
     });
 }
+
+/**
+ * Runs a graph export, showing failures on the export button.
+ * @param {string} format - The export format.
+ */
+async function handleExport(format) {
+    const button = elements.btnExport;
+    button.disabled = true;
+
+    try {
+        await exportGraph(format, { full: elements.exportFullCheckbox.checked });
+    } catch (error) {
+        logger.error('[EventListeners:export] Export failed', { format, error: error.message });
+        const label = button.lastChild;
+        const originalText = label.textContent;
+        label.textContent = ' Export failed';
+        button.title = error.message;
+        setTimeout(() => {
+            label.textContent = originalText;
+            button.title = '';
+        }, 2500);
+    } finally {
+        button.disabled = !state.cy;
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Salesforce Schema Explorer - Graph Export
+ *
+ * FACADE MODULE
+ * Exports the rendered graph through the writers in the export/ directory.
+ */
+
+import { state } from './state.js';
+import { logger, downloadFile } from './utils.js';
+import { getExportContext, getExportFileName } from './export/context.js';
+import { buildGraphPng } from './export/image.js';
+import { buildGraphSvg } from './export/svg.js';
+import { buildGraphPdf } from './export/pdf.js';
+
+export const EXPORT_FORMATS = ['png', 'svg', 'pdf'];
+
+/**
+ * Exports the current graph and downloads the file.
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {Object} [options]
+ * @param {boolean} [options.full=true] - Export the full graph extents instead of the current viewport.
+ * @returns {Promise<void>}
+ */
+export async function exportGraph(format, { full = true } = {}) {
+    if (!state.cy || state.cy.elements().length === 0) {
+        throw new Error('Nothing to export: load an object first');
+    }
+
+    logger.info('[Export:graph] Exporting graph', { format, full });
+    const context = getExportContext();
+
+    switch (format) {
+        case 'png':
+            downloadFile(getExportFileName('png'), buildGraphPng(state.cy, { full }));
+            break;
+        case 'svg':
+            downloadFile(getExportFileName('svg'), buildGraphSvg(state.cy, context, { full }), 'image/svg+xml');
+            break;
+        case 'pdf':
+            downloadFile(getExportFileName('pdf'), await buildGraphPdf(state.cy, context, { full }));
+            break;
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Salesforce Schema Explorer - Export Context
+ * Title block information and legend shared by all diagram exporters.
+ */
+
+import { state } from '../state.js';
+
+// Legend entries drawn on SVG/PDF exports (colors match getCytoscapeStyles)
+export const EXPORT_LEGEND = [
+    { label: 'Lookup', color: '#6366f1', dashed: false },
+    { label: 'Master-Detail', color: '#dc2626', dashed: false },
+    { label: 'Incoming reference', color: '#6366f1', dashed: true },
+    { label: 'Self-reference', color: '#d97706', dashed: false },
+    { label: 'Polymorphic', color: '#0d9488', dashed: false },
+    { label: 'Many-to-many', color: '#c026d3', dashed: false }
+];
+
+/**
+ * Gets the title block information for the current graph.
+ * @returns {{title: string, host: string, rootObject: string, apiVersion: string, timestamp: Date}}
+ */
+export function getExportContext() {
+    let host = state.instanceUrl || '';
+    try {
+        host = new URL(state.instanceUrl).hostname;
+    } catch {
+        // Keep the raw value
+    }
+
+    if (state.graphMode === 'org') {
+        return { title: 'Org Schema Map', host, rootObject: '', apiVersion: state.apiVersion ? `v${state.apiVersion}` : '', timestamp: new Date() };
+    }
+
+    if (state.graphMode === 'fields' && state.dependencyField) {
+        const { objectName, fieldName } = state.dependencyField;
+        return { title: `Field Dependencies: ${objectName}.${fieldName}`, host, rootObject: objectName, apiVersion: state.apiVersion ? `v${state.apiVersion}` : '', timestamp: new Date() };
+    }
+
+    const rootObject = state.objectApiName || '';
+    const rootLabel = state.allObjects.find(o => o.name === rootObject)?.label;
+
+    return {
+        title: rootObject ? `Schema: ${rootLabel || rootObject}` : 'Salesforce Schema',
+        host,
+        rootObject,
+        apiVersion: state.apiVersion ? `v${state.apiVersion}` : '',
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Formats the title block details as display lines.
+ * @param {Object} context - The export context.
+ * @returns {Array<string>} Lines (org, root object, API version, timestamp).
+ */
+export function getTitleBlockLines(context) {
+    return [
+        `Org: ${context.host}`,
+        `Root object: ${context.rootObject || '-'}`,
+        `API version: ${context.apiVersion || '-'}`,
+        `Exported: ${context.timestamp.toLocaleString()}`
+    ];
+}
+
+/**
+ * Builds a file name for an export (e.g. `schema-Account-20250101-1200.png`).
+ * @param {string} extension - File extension without the dot.
+ * @param {string} [suffix=''] - Optional suffix before the timestamp.
+ * @returns {string} The file name.
+ */
+export function getExportFileName(extension, suffix = '') {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    let base = state.objectApiName ? `schema-${state.objectApiName}` : 'schema';
+    if (state.graphMode === 'org') base = 'schema-org-map';
+    if (state.graphMode === 'fields' && state.dependencyField) {
+        base = `dependencies-${state.dependencyField.objectName}.${state.dependencyField.fieldName}`;
+    }
+    return `${base}${suffix ? `-${suffix}` : ''}-${stamp}.${extension}`;
+}
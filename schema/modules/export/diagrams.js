@@ -0,0 +1,234 @@
+/**
+ * Salesforce Schema Explorer - Diagram-as-Code Export
+ * Converts a set of objects and their relationships into Mermaid, PlantUML and DBML.
+ */
+
+import { state } from '../state.js';
+import { getFieldTypeDisplay, isRequiredField } from '../data.js';
+
+export const DIAGRAM_FORMATS = {
+    mermaid: { label: 'Mermaid (erDiagram)', extension: 'mmd', mimeType: 'text/plain' },
+    plantuml: { label: 'PlantUML', extension: 'puml', mimeType: 'text/plain' },
+    dbml: { label: 'DBML', extension: 'dbml', mimeType: 'text/plain' }
+};
+
+// Field detail levels: every field, only Id + relationship fields, or no field lists
+export const FIELD_MODES = ['all', 'keys', 'none'];
+
+// =============================================================================
+// DIAGRAM MODEL
+// =============================================================================
+
+/**
+ * Collects the objects and relationships that a text diagram should contain.
+ * @param {Array<string>} objectNames - Objects to include.
+ * @param {Object} [options]
+ * @param {Array<Object>|null} [options.edges=null] - Edges to draw; defaults to every cached edge between the objects.
+ * @param {string} [options.fieldMode='all'] - One of FIELD_MODES.
+ * @returns {{objects: Array<Object>, relationships: Array<Object>}}
+ */
+export function buildDiagramModel(objectNames, { edges = null, fieldMode = 'all' } = {}) {
+    const included = new Set(objectNames);
+
+    const objects = [...included].sort().map(name => ({
+        name,
+        label: state.nodes?.[name]?.info?.label || state.metadata.get(name)?.label || name,
+        fields: fieldMode === 'none' ? [] : getDiagramFields(name, fieldMode)
+    }));
+
+    const candidateEdges = edges || Object.values(state.edges || {});
+    const seen = new Set();
+    const relationships = [];
+
+    for (const edge of candidateEdges) {
+        if (!edge || seen.has(edge.id)) continue;
+        if (!included.has(edge.source) || !included.has(edge.target)) continue;
+        seen.add(edge.id);
+
+        relationships.push({
+            parent: edge.target,
+            child: edge.source,
+            fieldName: edge.fieldName,
+            isMasterDetail: edge.isMasterDetail === true
+        });
+    }
+
+    relationships.sort((a, b) =>
+        a.parent.localeCompare(b.parent) || a.child.localeCompare(b.child) || a.fieldName.localeCompare(b.fieldName)
+    );
+
+    return { objects, relationships };
+}
+
+/**
+ * Gets the diagram fields of an object, Id first, then alphabetical.
+ * @param {string} objectName - The object API name.
+ * @param {string} fieldMode - 'all' or 'keys'.
+ * @returns {Array<Object>} Fields ({ name, type, isPrimaryKey, isForeignKey, isRequired }).
+ */
+function getDiagramFields(objectName, fieldMode) {
+    const nodeFields = Object.values(state.nodes?.[objectName]?.fields || {});
+    const fields = nodeFields.length > 0 ? nodeFields : (state.metadata.get(objectName)?.fields || []);
+
+    return fields
+        .map(field => {
+            const isForeignKey = field.type === 'reference' && field.referenceTo?.length > 0;
+            let type = getFieldTypeDisplay(field).label;
+            if (isForeignKey) type = `${type}(${field.referenceTo.join(',')})`;
+
+            return {
+                name: field.name,
+                type,
+                isPrimaryKey: field.type === 'id',
+                isForeignKey,
+                isRequired: field.type !== 'id' && isRequiredField(field)
+            };
+        })
+        .filter(field => fieldMode === 'all' || field.isPrimaryKey || field.isForeignKey)
+        .sort((a, b) => (b.isPrimaryKey - a.isPrimaryKey) || a.name.localeCompare(b.name));
+}
+
+// =============================================================================
+// FORMATTERS
+// =============================================================================
+
+/**
+ * Renders a diagram model in the given text format.
+ * @param {string} format - A key of DIAGRAM_FORMATS.
+ * @param {Object} model - The model from buildDiagramModel.
+ * @param {string} [title=''] - Optional diagram title.
+ * @returns {string} The diagram source.
+ */
+export function formatDiagram(format, model, title = '') {
+    switch (format) {
+        case 'mermaid': return formatMermaid(model, title);
+        case 'plantuml': return formatPlantUml(model, title);
+        case 'dbml': return formatDbml(model, title);
+        default: throw new Error(`Unsupported diagram format: ${format}`);
+    }
+}
+
+/**
+ * Mermaid erDiagram. Master-Detail children always have exactly one parent (`||`),
+ * lookup children have zero or one (`|o`).
+ */
+function formatMermaid({ objects, relationships }, title) {
+    const lines = [];
+    if (title) lines.push('---', `title: "${title.replace(/"/g, "'")}"`, '---');
+    lines.push('erDiagram');
+
+    for (const rel of relationships) {
+        const parentSide = rel.isMasterDetail ? '||' : '|o';
+        lines.push(`    ${rel.parent} ${parentSide}--o{ ${rel.child} : "${rel.fieldName}"`);
+    }
+
+    for (const obj of objects) {
+        if (obj.fields.length === 0) {
+            if (!relationships.some(rel => rel.parent === obj.name || rel.child === obj.name)) {
+                lines.push(`    ${obj.name} {`, '    }');
+            }
+            continue;
+        }
+
+        lines.push(`    ${obj.name} {`);
+        for (const field of obj.fields) {
+            const keys = [field.isPrimaryKey && 'PK', field.isForeignKey && 'FK'].filter(Boolean).join(',');
+            const comment = field.isRequired ? ' "required"' : '';
+            lines.push(`        ${toMermaidType(field.type)} ${field.name}${keys ? ` ${keys}` : ''}${comment}`);
+        }
+        lines.push('    }');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * PlantUML IE (crow's foot) entity diagram. Required fields are prefixed with `*`.
+ */
+function formatPlantUml({ objects, relationships }, title) {
+    const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho'];
+    if (title) lines.push(`title ${title}`);
+    lines.push('');
+
+    for (const obj of objects) {
+        lines.push(`entity "${obj.label.replace(/"/g, "'")}" as ${obj.name} {`);
+
+        const primaryKeys = obj.fields.filter(field => field.isPrimaryKey);
+        const otherFields = obj.fields.filter(field => !field.isPrimaryKey);
+        primaryKeys.forEach(field => lines.push(`  * ${field.name} : ${field.type} <<PK>>`));
+        if (primaryKeys.length > 0 && otherFields.length > 0) lines.push('  --');
+        otherFields.forEach(field => {
+            lines.push(`  ${field.isRequired ? '* ' : ''}${field.name} : ${field.type}${field.isForeignKey ? ' <<FK>>' : ''}`);
+        });
+
+        lines.push('}', '');
+    }
+
+    for (const rel of relationships) {
+        const parentSide = rel.isMasterDetail ? '||' : '|o';
+        lines.push(`${rel.parent} ${parentSide}--o{ ${rel.child} : ${rel.fieldName}`);
+    }
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * DBML (dbdiagram.io). Master-Detail references cascade on delete.
+ */
+function formatDbml({ objects, relationships }, title) {
+    const lines = [];
+    if (title) lines.push(`// ${title}`, '');
+
+    for (const obj of objects) {
+        const note = obj.label !== obj.name ? ` [note: '${escapeDbmlString(obj.label)}']` : '';
+        lines.push(`Table ${obj.name}${note} {`);
+
+        // References need both endpoints declared, even when field lists are off
+        const fields = [...obj.fields];
+        const declared = new Set(fields.map(field => field.name));
+        if (!declared.has('Id')) fields.unshift({ name: 'Id', type: 'ID', isPrimaryKey: true });
+        relationships
+            .filter(rel => rel.child === obj.name && !declared.has(rel.fieldName))
+            .forEach(rel => {
+                declared.add(rel.fieldName);
+                fields.push({ name: rel.fieldName, type: 'ID' });
+            });
+
+        for (const field of fields) {
+            const settings = [field.isPrimaryKey && 'pk', field.isRequired && 'not null'].filter(Boolean);
+            lines.push(`  ${field.name} ${toDbmlType(field.type)}${settings.length ? ` [${settings.join(', ')}]` : ''}`);
+        }
+
+        lines.push('}', '');
+    }
+
+    for (const rel of relationships) {
+        const settings = rel.isMasterDetail ? ' [delete: cascade]' : '';
+        lines.push(`Ref: ${rel.child}.${rel.fieldName} > ${rel.parent}.Id${settings}`);
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Mermaid attribute types must be a single token (e.g. `Number(16,2)` → `Number(16_2)`).
+ */
+function toMermaidType(type) {
+    return type.replace(/,/g, '_').replace(/[^A-Za-z0-9_()[\]-]/g, '');
+}
+
+/**
+ * DBML types are quoted unless they are a plain identifier with an optional size.
+ */
+function toDbmlType(type) {
+    return /^[A-Za-z_]\w*(\([\d,]+\))?$/.test(type) ? type : `"${type.replace(/"/g, "'")}"`;
+}
+
+function escapeDbmlString(value) {
+    return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
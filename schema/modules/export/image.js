@@ -0,0 +1,37 @@
+/**
+ * Salesforce Schema Explorer - Image Export
+ * High-resolution raster export using Cytoscape's built-in renderer.
+ */
+
+// Pixel ratio used for PNG exports (sharp enough to paste into design docs)
+const PNG_SCALE = 3;
+
+// Browsers cap canvas dimensions; stay under the common limit
+const MAX_CANVAS_SIZE = 16000;
+
+/**
+ * Renders the graph to a PNG blob.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} [options]
+ * @param {boolean} [options.full=true] - Export the full graph extents instead of the current viewport.
+ * @returns {Blob} The PNG image.
+ */
+export function buildGraphPng(cy, { full = true } = {}) {
+    const scale = getRasterScale(cy, full, PNG_SCALE, MAX_CANVAS_SIZE);
+    return cy.png({ output: 'blob', full, scale, bg: '#ffffff' });
+}
+
+/**
+ * Gets the scale of a raster export, lowered so the longest side of the image stays within a size.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {boolean} full - Whether the full graph extents are rendered instead of the viewport.
+ * @param {number} preferredScale - The scale used when the image fits.
+ * @param {number} maxSize - The longest side allowed, in pixels.
+ * @returns {number} The scale to pass to `cy.png` / `cy.jpg`.
+ */
+export function getRasterScale(cy, full, preferredScale, maxSize) {
+    // A full export renders the model-space extents (independent of zoom); a view export the viewport
+    const box = full ? cy.elements().boundingBox() : { w: cy.width(), h: cy.height() };
+    const largestSide = Math.max(box.w, box.h, 1);
+    return Math.min(preferredScale, maxSize / largestSide);
+}
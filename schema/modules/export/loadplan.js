@@ -0,0 +1,130 @@
+/**
+ * Salesforce Schema Explorer - Load Plan Export
+ * Converts a load order plan into CSV (one row per insert/update operation) or JSON.
+ */
+
+import { SECOND_PASS_REASON } from '../loadplan.js';
+
+export const LOAD_PLAN_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+export const SECOND_PASS_LABELS = {
+    [SECOND_PASS_REASON.cycle]: 'Breaks a cycle of required lookups',
+    [SECOND_PASS_REASON.self]: 'References the same object',
+    [SECOND_PASS_REASON.order]: 'Target is loaded in the same or a later step'
+};
+
+// =============================================================================
+// FORMATTERS
+// =============================================================================
+
+/**
+ * Renders a load plan in the given format.
+ * @param {string} format - A key of LOAD_PLAN_FORMATS.
+ * @param {Object} plan - The plan from planLoadOrder.
+ * @param {Object} context - The export context ({ host, apiVersion, timestamp }).
+ * @returns {string} The file content.
+ */
+export function formatLoadPlan(format, plan, context) {
+    switch (format) {
+        case 'csv': return formatCsv(plan);
+        case 'json': return formatJson(plan, context);
+        default: throw new Error(`Unsupported load plan format: ${format}`);
+    }
+}
+
+/**
+ * CSV with the inserts in step order followed by the second-pass updates.
+ */
+function formatCsv(plan) {
+    const rows = [['Step', 'Operation', 'Object', 'Label', 'Lookup Fields', 'Notes']];
+
+    plan.steps.forEach((objects, index) => {
+        objects.forEach(object => {
+            rows.push([
+                index + 1,
+                'Insert',
+                object.objectName,
+                object.label,
+                object.lookups.map(formatLookup).join('; '),
+                plan.undescribed.includes(object.objectName) ? 'Fields not described: lookups unknown' : ''
+            ]);
+        });
+    });
+
+    const updateStep = plan.steps.length + 1;
+    groupByObject(plan.secondPass).forEach((lookups, objectName) => {
+        rows.push([
+            updateStep,
+            'Update',
+            objectName,
+            plan.steps.flat().find(object => object.objectName === objectName)?.label || objectName,
+            lookups.map(formatLookup).join('; '),
+            [...new Set(lookups.map(lookup => SECOND_PASS_LABELS[lookup.reason]))].join('; ')
+        ]);
+    });
+
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
+
+function formatJson(plan, context) {
+    return JSON.stringify({
+        org: context.host,
+        apiVersion: context.apiVersion,
+        generatedAt: context.timestamp.toISOString(),
+        steps: plan.steps.map((objects, index) => ({
+            step: index + 1,
+            objects: objects.map(object => ({
+                name: object.objectName,
+                label: object.label,
+                lookups: object.lookups.map(toJsonLookup)
+            }))
+        })),
+        secondPass: plan.secondPass.map(lookup => ({ object: lookup.objectName, ...toJsonLookup(lookup), reason: lookup.reason })),
+        cycles: plan.cycles,
+        undescribed: plan.undescribed
+    }, null, 2);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Formats a lookup as `Field → Target` (e.g. `AccountId → Account`).
+ * @param {Object} lookup - A lookup of the plan.
+ * @returns {string} The text.
+ */
+export function formatLookup(lookup) {
+    return `${lookup.fieldName} → ${lookup.target}`;
+}
+
+/**
+ * Groups lookups by the object that holds them, keeping their order.
+ * @param {Array<Object>} lookups - Lookups of the plan.
+ * @returns {Map<string, Array<Object>>} Object name → its lookups.
+ */
+export function groupByObject(lookups) {
+    const byObject = new Map();
+    lookups.forEach(lookup => {
+        if (!byObject.has(lookup.objectName)) byObject.set(lookup.objectName, []);
+        byObject.get(lookup.objectName).push(lookup);
+    });
+    return byObject;
+}
+
+function toJsonLookup(lookup) {
+    return {
+        field: lookup.fieldName,
+        target: lookup.target,
+        required: lookup.isRequired,
+        masterDetail: lookup.isMasterDetail
+    };
+}
+
+function toCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,203 @@
+/**
+ * Salesforce Schema Explorer - PDF Export
+ * Minimal PDF writer: one A4 landscape page with a title block, the graph
+ * rendered as an embedded JPEG and a vector legend.
+ */
+
+import { EXPORT_LEGEND, getTitleBlockLines } from './context.js';
+import { getRasterScale } from './image.js';
+
+// A4 landscape in PDF points
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const TITLE_BLOCK_HEIGHT = 64;
+const LEGEND_HEIGHT = 28;
+
+// The bitmap only fills part of an A4 page: 4000 px is about 350 dpi across the drawing area
+const JPEG_SCALE = 2;
+const MAX_JPEG_SIZE = 4000;
+
+/**
+ * Builds a printable PDF of the graph.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} context - Export context (title block information).
+ * @param {Object} [options]
+ * @param {boolean} [options.full=true] - Export the full graph extents instead of the current viewport.
+ * @returns {Promise<Blob>} The PDF file.
+ */
+export async function buildGraphPdf(cy, context, { full = true } = {}) {
+    const scale = getRasterScale(cy, full, JPEG_SCALE, MAX_JPEG_SIZE);
+    const jpegBlob = cy.jpg({ output: 'blob', full, scale, bg: '#ffffff', quality: 0.92 });
+    const jpegBytes = new Uint8Array(await jpegBlob.arrayBuffer());
+    const image = { bytes: jpegBytes, ...readJpegSize(jpegBytes) };
+
+    const content = buildPageContent(context, image);
+    return writePdf(content, image);
+}
+
+// =============================================================================
+// PAGE CONTENT
+// =============================================================================
+
+function buildPageContent(context, image) {
+    const ops = [];
+    const lines = getTitleBlockLines(context);
+
+    // Title block (PDF origin is bottom-left)
+    const titleTop = PAGE_HEIGHT - MARGIN;
+    ops.push('0.957 0.965 0.976 rg');
+    ops.push(`${MARGIN} ${titleTop - TITLE_BLOCK_HEIGHT} ${PAGE_WIDTH - MARGIN * 2} ${TITLE_BLOCK_HEIGHT} re f`);
+    ops.push(text('F2', 16, MARGIN + 12, titleTop - 24, context.title, '0.094 0.094 0.094'));
+    ops.push(text('F1', 9, MARGIN + 12, titleTop - 42, lines.slice(0, 2).join('    '), '0.267 0.267 0.267'));
+    ops.push(text('F1', 9, MARGIN + 12, titleTop - 55, lines.slice(2).join('    '), '0.267 0.267 0.267'));
+
+    // Graph image, scaled to fit between the title block and the legend
+    const areaTop = titleTop - TITLE_BLOCK_HEIGHT - 12;
+    const areaBottom = MARGIN + LEGEND_HEIGHT;
+    const areaWidth = PAGE_WIDTH - MARGIN * 2;
+    const areaHeight = areaTop - areaBottom;
+    const scale = Math.min(areaWidth / image.width, areaHeight / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    const drawX = MARGIN + (areaWidth - drawWidth) / 2;
+    const drawY = areaBottom + (areaHeight - drawHeight) / 2;
+    ops.push(`q ${fixed(drawWidth)} 0 0 ${fixed(drawHeight)} ${fixed(drawX)} ${fixed(drawY)} cm /Im1 Do Q`);
+
+    // Legend
+    let x = MARGIN;
+    const y = MARGIN + 8;
+    EXPORT_LEGEND.forEach(item => {
+        ops.push(`${hexToRgb(item.color)} RG 2.5 w ${item.dashed ? '[5 3] 0 d' : '[] 0 d'}`);
+        ops.push(`${x} ${y + 3} m ${x + 24} ${y + 3} l S`);
+        ops.push(text('F1', 9, x + 30, y, item.label, '0.267 0.267 0.267'));
+        x += 30 + item.label.length * 5 + 24;
+    });
+
+    return ops.join('\n');
+}
+
+function text(font, size, x, y, value, color) {
+    return `BT ${color} rg /${font} ${size} Tf ${fixed(x)} ${fixed(y)} Td (${escapePdfText(value)}) Tj ET`;
+}
+
+// =============================================================================
+// PDF SERIALIZATION
+// =============================================================================
+
+/**
+ * Serializes the PDF objects, tracking byte offsets for the cross-reference table.
+ */
+function writePdf(content, image) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const push = (data) => {
+        const bytes = typeof data === 'string' ? encodeLatin1(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (number) => {
+        offsets[number] = length;
+        push(`${number} 0 obj\n`);
+    };
+
+    push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    startObject(1);
+    push('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    startObject(2);
+    push('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+
+    startObject(3);
+    push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << /Im1 6 0 R >> >> /Contents 7 0 R >>\nendobj\n');
+
+    startObject(4);
+    push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    startObject(5);
+    push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    startObject(6);
+    push(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`);
+    push(image.bytes);
+    push('\nendstream\nendobj\n');
+
+    const contentBytes = encodeLatin1(content);
+    startObject(7);
+    push(`<< /Length ${contentBytes.length} >>\nstream\n`);
+    push(contentBytes);
+    push('\nendstream\nendobj\n');
+
+    const xrefOffset = length;
+    const objectCount = offsets.length;
+    push(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let i = 1; i < objectCount; i++) {
+        push(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+    }
+    push(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+/**
+ * Reads the pixel dimensions from a JPEG's start-of-frame marker.
+ * @param {Uint8Array} bytes - The JPEG data.
+ * @returns {{width: number, height: number}}
+ */
+function readJpegSize(bytes) {
+    let offset = 2;
+    while (offset < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        const segmentLength = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+            };
+        }
+        offset += 2 + segmentLength;
+    }
+    throw new Error('Could not read image size for PDF export');
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Encodes a string byte-per-character (content is already restricted to Latin-1).
+ */
+function encodeLatin1(value) {
+    return Uint8Array.from(value, char => char.charCodeAt(0) & 0xFF);
+}
+
+/**
+ * Escapes text for a PDF literal string. The standard fonts use WinAnsi,
+ * so characters outside Latin-1 are replaced.
+ */
+function escapePdfText(value) {
+    return String(value)
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => fixed(c / 255)).join(' ');
+}
+
+function fixed(value) {
+    return Number(value.toFixed(3));
+}
@@ -0,0 +1,249 @@
+/**
+ * Salesforce Schema Explorer - SVG Export
+ * Serializes the rendered Cytoscape graph into a standalone vector SVG.
+ */
+
+import { EXPORT_LEGEND, getTitleBlockLines } from './context.js';
+
+const SVG_PADDING = 40;
+const TITLE_BLOCK_HEIGHT = 96;
+const LEGEND_HEIGHT = 40;
+const ARROW_SIZE = 10;
+
+/**
+ * Builds an SVG document of the graph.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} context - Export context (title block information).
+ * @param {Object} [options]
+ * @param {boolean} [options.full=true] - Export the full graph extents instead of the current viewport.
+ * @returns {string} The SVG markup.
+ */
+export function buildGraphSvg(cy, context, { full = true } = {}) {
+    const box = full ? cy.elements().boundingBox() : cy.extent();
+    const graphWidth = Math.max(box.w, 1);
+    const graphHeight = Math.max(box.h, 1);
+
+    const width = Math.max(graphWidth + SVG_PADDING * 2, 480);
+    const height = graphHeight + SVG_PADDING * 2 + TITLE_BLOCK_HEIGHT + LEGEND_HEIGHT;
+
+    // Shift model coordinates so the exported area starts below the title block
+    const offsetX = SVG_PADDING - box.x1 + (width - graphWidth - SVG_PADDING * 2) / 2;
+    const offsetY = SVG_PADDING + TITLE_BLOCK_HEIGHT - box.y1;
+    const tx = point => ({ x: point.x + offsetX, y: point.y + offsetY });
+
+    const edgesSvg = cy.edges(':visible').map(edge => renderEdge(edge, tx)).join('\n');
+    const nodesSvg = cy.nodes(':visible').map(node => renderNode(node, tx)).join('\n');
+
+    // A view export draws what the viewport shows: elements partly outside it are cut at its edges,
+    // and nothing spills over the title block or the legend
+    const clip = full
+        ? { x: 0, y: TITLE_BLOCK_HEIGHT, width, height: height - TITLE_BLOCK_HEIGHT - LEGEND_HEIGHT }
+        : { ...tx({ x: box.x1, y: box.y1 }), width: graphWidth, height: graphHeight };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}" font-family="Helvetica, Arial, sans-serif">
+<rect x="0" y="0" width="${round(width)}" height="${round(height)}" fill="#ffffff"/>
+<defs><clipPath id="graph-area"><rect x="${round(clip.x)}" y="${round(clip.y)}" width="${round(clip.width)}" height="${round(clip.height)}"/></clipPath></defs>
+${renderTitleBlock(context, width)}
+<g clip-path="url(#graph-area)">
+<g class="edges">
+${edgesSvg}
+</g>
+<g class="nodes">
+${nodesSvg}
+</g>
+</g>
+${renderLegend(height - LEGEND_HEIGHT)}
+</svg>`;
+}
+
+// =============================================================================
+// ELEMENT RENDERING
+// =============================================================================
+
+function renderNode(node, tx) {
+    const center = tx(node.position());
+    const width = node.width();
+    const height = node.height();
+    const x = center.x - width / 2;
+    const y = center.y - height / 2;
+    const opacity = parseFloat(node.style('opacity'));
+    const fontSize = parseFloat(node.style('font-size')) || 14;
+    const color = node.style('color');
+    const isCompound = node.isParent();
+
+    // The label as drawn: ERD compartments, record counts and other style-mapped labels included
+    const lines = wrapText(String(node.style('label') ?? ''), parseFloat(node.style('text-max-width')) || width, fontSize);
+    const lineHeight = fontSize * (parseFloat(node.style('line-height')) || 1.2);
+    const textY = isCompound
+        ? y + fontSize + 6
+        : center.y - ((lines.length - 1) * lineHeight) / 2 + fontSize * 0.35;
+
+    // Left-justified lines start at the left edge of the (centered) text block
+    const isLeftJustified = node.style('text-justification') === 'left';
+    const blockWidth = Math.min(width, Math.max(...lines.map(line => line.length)) * fontSize * 0.6);
+    const textX = isLeftJustified ? center.x - blockWidth / 2 : center.x;
+
+    const textSvg = lines.map((line, index) =>
+        `<tspan x="${round(textX)}" y="${round(textY + index * lineHeight)}">${escapeXml(line)}</tspan>`
+    ).join('');
+
+    const corner = node.style('shape') === 'rectangle' ? 0 : 8;
+
+    return `<g opacity="${isNaN(opacity) ? 1 : opacity}">
+<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="${corner}" ry="${corner}" fill="${node.style('background-color')}" fill-opacity="${node.style('background-opacity')}" stroke="${node.style('border-color')}" stroke-width="${parseFloat(node.style('border-width')) || 0}"/>
+<text text-anchor="${isLeftJustified ? 'start' : 'middle'}" font-family="${escapeXml(node.style('font-family'))}" font-size="${fontSize}" font-weight="${node.style('font-weight')}" fill="${color}" xml:space="preserve">${textSvg}</text>
+</g>`;
+}
+
+function renderEdge(edge, tx) {
+    const source = tx(edge.sourceEndpoint());
+    const target = tx(edge.targetEndpoint());
+    const color = edge.style('line-color');
+    const width = parseFloat(edge.style('width')) || 2;
+    const opacity = parseFloat(edge.style('opacity'));
+    const dashArray = edge.style('line-style') === 'dashed' ? ' stroke-dasharray="6 3"' : '';
+
+    const { d, arrowFrom } = buildEdgePath(edge, source, target, tx);
+    const arrow = renderArrow(arrowFrom, target, color);
+
+    // ERD edges hide their labels; the export shows what the graph draws
+    const label = edge.style('label');
+    let labelSvg = '';
+    if (label) {
+        const mid = tx(edge.midpoint());
+        const fontSize = parseFloat(edge.style('font-size')) || 11;
+        const labelWidth = label.length * fontSize * 0.6 + 8;
+        labelSvg = `<rect x="${round(mid.x - labelWidth / 2)}" y="${round(mid.y - fontSize / 2 - 4)}" width="${round(labelWidth)}" height="${round(fontSize + 8)}" fill="#f4f6f9"/>
+<text x="${round(mid.x)}" y="${round(mid.y + fontSize * 0.35)}" text-anchor="middle" font-family="${escapeXml(edge.style('font-family'))}" font-size="${fontSize}" fill="#181818">${escapeXml(label)}</text>`;
+    }
+
+    return `<g opacity="${isNaN(opacity) ? 1 : opacity}">
+<path d="${d}" fill="none" stroke="${color}" stroke-width="${width}"${dashArray}/>
+${arrow}
+${labelSvg}
+</g>`;
+}
+
+/**
+ * Builds the SVG path for an edge following Cytoscape's routing
+ * (straight, bezier control points or taxi/segment points).
+ */
+function buildEdgePath(edge, source, target, tx) {
+    const segmentPoints = edge.segmentPoints?.();
+    if (segmentPoints?.length) {
+        const points = segmentPoints.map(tx);
+        return {
+            d: `M ${pt(source)} ${points.map(point => `L ${pt(point)}`).join(' ')} L ${pt(target)}`,
+            arrowFrom: points[points.length - 1]
+        };
+    }
+
+    const controlPoints = edge.controlPoints?.();
+    if (controlPoints?.length) {
+        // Cytoscape chains quadratic curves through the midpoints of consecutive control points
+        const points = controlPoints.map(tx);
+        let d = `M ${pt(source)}`;
+        points.forEach((point, index) => {
+            const next = points[index + 1];
+            const end = next ? { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 } : target;
+            d += ` Q ${pt(point)} ${pt(end)}`;
+        });
+        return { d, arrowFrom: points[points.length - 1] };
+    }
+
+    return { d: `M ${pt(source)} L ${pt(target)}`, arrowFrom: source };
+}
+
+function renderArrow(from, to, color) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const left = {
+        x: to.x - ARROW_SIZE * Math.cos(angle - Math.PI / 7),
+        y: to.y - ARROW_SIZE * Math.sin(angle - Math.PI / 7)
+    };
+    const right = {
+        x: to.x - ARROW_SIZE * Math.cos(angle + Math.PI / 7),
+        y: to.y - ARROW_SIZE * Math.sin(angle + Math.PI / 7)
+    };
+    return `<polygon points="${pt(to)} ${pt(left)} ${pt(right)}" fill="${color}"/>`;
+}
+
+// =============================================================================
+// TITLE BLOCK & LEGEND
+// =============================================================================
+
+function renderTitleBlock(context, width) {
+    const lines = getTitleBlockLines(context);
+    return `<g class="title-block">
+<rect x="0" y="0" width="${round(width)}" height="${TITLE_BLOCK_HEIGHT}" fill="#f4f6f9"/>
+<line x1="0" y1="${TITLE_BLOCK_HEIGHT}" x2="${round(width)}" y2="${TITLE_BLOCK_HEIGHT}" stroke="#c9c9c9"/>
+<text x="${SVG_PADDING}" y="32" font-size="20" font-weight="700" fill="#181818">${escapeXml(context.title)}</text>
+<text x="${SVG_PADDING}" y="56" font-size="12" fill="#444444">${escapeXml(lines.slice(0, 2).join('   ·   '))}</text>
+<text x="${SVG_PADDING}" y="76" font-size="12" fill="#444444">${escapeXml(lines.slice(2).join('   ·   '))}</text>
+</g>`;
+}
+
+function renderLegend(top) {
+    let x = SVG_PADDING;
+    const y = top + LEGEND_HEIGHT / 2;
+
+    const items = EXPORT_LEGEND.map(item => {
+        const dash = item.dashed ? ' stroke-dasharray="6 3"' : '';
+        const svg = `<line x1="${x}" y1="${y}" x2="${x + 28}" y2="${y}" stroke="${item.color}" stroke-width="3"${dash}/>
+<text x="${x + 36}" y="${y + 4}" font-size="12" fill="#444444">${escapeXml(item.label)}</text>`;
+        x += 36 + item.label.length * 7 + 24;
+        return svg;
+    });
+
+    return `<g class="legend">\n${items.join('\n')}\n</g>`;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Approximates Cytoscape's word wrapping for a label.
+ */
+function wrapText(text, maxWidth, fontSize) {
+    const maxChars = Math.max(4, Math.floor(maxWidth / (fontSize * 0.55)));
+    const lines = [];
+
+    text.split('\n').forEach(paragraph => {
+        // Lines that fit are kept as-is, so aligned text (ERD rows) keeps its leading spaces
+        if (paragraph.length <= maxChars) {
+            lines.push(paragraph);
+            return;
+        }
+
+        let current = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (candidate.length > maxChars && current) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        lines.push(current);
+    });
+
+    return lines;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function pt(point) {
+    return `${round(point.x)},${round(point.y)}`;
+}
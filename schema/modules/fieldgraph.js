@@ -0,0 +1,222 @@
+/**
+ * Salesforce Schema Explorer - Field Dependency Graph
+ * Renders the formulas and roll-ups around one field as a graph of field nodes.
+ */
+
+import { state, elements } from './state.js';
+import { logger } from './utils.js';
+import { fetchObjectMetadata } from './api.js';
+import { isCalculatedField, isObjectDescribed } from './data.js';
+import { DEPENDENCY_KIND, getFieldDependencies, isUnresolvedRollup } from './dependencies.js';
+import { showDetailsPanel, hideDetailsPanel } from './ui.js';
+
+// Column spacing between dependency levels and row spacing inside a level
+const LEVEL_SPACING_X = 300;
+const NODE_SPACING_Y = 90;
+
+// Taps closer together than this are treated as a double-tap (analyze field)
+const DOUBLE_TAP_DELAY_MS = 250;
+
+const KIND_COLORS = {
+    [DEPENDENCY_KIND.formula]: '#6366f1',
+    [DEPENDENCY_KIND.defaultValue]: '#0d9488',
+    [DEPENDENCY_KIND.rollup]: '#dc2626'
+};
+
+// =============================================================================
+// GRAPH BUILDING
+// =============================================================================
+
+/**
+ * Builds the dependency graph of a field: fields whose formula or roll-up uses it on the
+ * left (what breaks if it changes), fields it uses on the right.
+ * @param {string} objectName - The object API name.
+ * @param {string} fieldName - The field API name.
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onAnalyzeField - Called with (objectName, fieldName) on double-click.
+ * @returns {{dependentCount: number, referencedCount: number, analyzedObjectCount: number, unresolvedRollupCount: number}} Graph statistics.
+ */
+export function buildFieldDependencyGraph(objectName, fieldName, { onAnalyzeField }) {
+    const { fields, dependencies } = getFieldDependencies(objectName, fieldName);
+    let unresolvedRollupCount = 0;
+
+    const nodes = [...fields.entries()].map(([key, entry]) => {
+        const field = state.nodes?.[entry.objectName]?.fields?.[entry.fieldName];
+        if (field && isUnresolvedRollup(field)) unresolvedRollupCount++;
+
+        return {
+            data: {
+                id: key,
+                label: `${field?.label || entry.fieldName}\n${entry.objectName}`,
+                objectName: entry.objectName,
+                fieldName: entry.fieldName,
+                level: entry.level,
+                isMain: entry.level === 0 ? 'true' : 'false',
+                fieldKind: getFieldKind(field),
+                hasMetadata: field ? 'true' : 'false'
+            }
+        };
+    });
+
+    const edges = dependencies.map(dependency => ({
+        data: {
+            id: `${dependency.source}->${dependency.target}`,
+            source: dependency.source,
+            target: dependency.target,
+            kind: dependency.kind,
+            label: dependency.kind === DEPENDENCY_KIND.rollup ? 'roll-up' : dependency.kind === DEPENDENCY_KIND.defaultValue ? 'default' : ''
+        }
+    }));
+
+    logger.info('[FieldGraph:build] Building field dependency graph', {
+        field: `${objectName}.${fieldName}`,
+        fields: nodes.length,
+        dependencies: edges.length
+    });
+
+    if (state.cy) state.cy.destroy();
+
+    state.cy = cytoscape({
+        container: elements.cyContainer,
+        elements: { nodes, edges },
+        style: getFieldGraphStyles(),
+        layout: getFieldGraphLayout(nodes.map(node => node.data)),
+        minZoom: 0.1,
+        maxZoom: 3,
+        boxSelectionEnabled: false
+    });
+
+    attachFieldGraphListeners(onAnalyzeField);
+
+    const levels = [...fields.values()].map(entry => entry.level);
+    return {
+        dependentCount: levels.filter(level => level < 0).length,
+        referencedCount: levels.filter(level => level > 0).length,
+        analyzedObjectCount: Object.keys(state.nodes || {}).filter(isObjectDescribed).length,
+        unresolvedRollupCount
+    };
+}
+
+function getFieldKind(field) {
+    if (!field) return 'field';
+    if (field.rollupSummary || isUnresolvedRollup(field)) return 'rollup';
+    if (isCalculatedField(field)) return 'formula';
+    return 'field';
+}
+
+function attachFieldGraphListeners(onAnalyzeField) {
+    const cy = state.cy;
+
+    let tapTimeout = null;
+    cy.on('tap', 'node', e => {
+        clearTimeout(tapTimeout);
+        tapTimeout = setTimeout(() => focusField(e.target), DOUBLE_TAP_DELAY_MS);
+    });
+
+    cy.on('dbltap', 'node', e => {
+        clearTimeout(tapTimeout);
+        if (e.target.data('isMain') === 'true') return;
+        onAnalyzeField(e.target.data('objectName'), e.target.data('fieldName'));
+    });
+
+    cy.on('mouseover', 'node', e => {
+        elements.cyContainer.style.cursor = 'pointer';
+        elements.cyContainer.title = `${e.target.id()} · Click to show the object's fields · Double-click to analyze this field`;
+    });
+
+    cy.on('mouseout', 'node', () => {
+        elements.cyContainer.style.cursor = 'default';
+        elements.cyContainer.title = '';
+    });
+
+    cy.on('tap', e => {
+        if (e.target === cy) {
+            cy.elements().removeClass('field-focus field-faded');
+            hideDetailsPanel();
+        }
+    });
+}
+
+/**
+ * Highlights a field and its direct dependencies and shows the fields of its object.
+ * @param {Object} node - The Cytoscape node.
+ */
+async function focusField(node) {
+    const cy = state.cy;
+    const neighborhood = node.closedNeighborhood();
+
+    cy.batch(() => {
+        cy.elements().removeClass('field-focus').addClass('field-faded');
+        neighborhood.removeClass('field-faded').addClass('field-focus');
+    });
+
+    const objectName = node.data('objectName');
+    try {
+        await fetchObjectMetadata(objectName);
+        showDetailsPanel(objectName);
+    } catch (error) {
+        logger.warn('[FieldGraph:focus] Failed to load object fields', { object: objectName, error: error.message });
+    }
+}
+
+// =============================================================================
+// LAYOUT
+// =============================================================================
+
+/**
+ * Re-applies the field dependency layout.
+ */
+export function resetFieldGraphLayout() {
+    if (!state.cy) return;
+    state.cy.layout(getFieldGraphLayout(state.cy.nodes().map(node => node.data()))).run();
+}
+
+/**
+ * Computes a preset layout with one column per dependency level, the analyzed field in the middle.
+ * @param {Array<Object>} nodeData - The node data ({ id, level, objectName }).
+ * @returns {Object} The Cytoscape layout options.
+ */
+function getFieldGraphLayout(nodeData) {
+    const columns = new Map();
+    [...nodeData]
+        .sort((a, b) => a.objectName.localeCompare(b.objectName) || a.id.localeCompare(b.id))
+        .forEach(data => {
+            if (!columns.has(data.level)) columns.set(data.level, []);
+            columns.get(data.level).push(data.id);
+        });
+
+    const positions = {};
+    for (const [level, ids] of columns) {
+        ids.forEach((id, index) => {
+            positions[id] = {
+                x: level * LEVEL_SPACING_X,
+                y: (index - (ids.length - 1) / 2) * NODE_SPACING_Y
+            };
+        });
+    }
+
+    return {
+        name: 'preset',
+        positions: node => positions[node.id()],
+        fit: true,
+        padding: 80,
+        animate: false
+    };
+}
+
+function getFieldGraphStyles() {
+    return [
+        { selector: 'node', style: { 'shape': 'round-rectangle', 'width': 200, 'height': 56, 'background-color': '#6b7280', 'border-width': 2, 'border-color': '#4b5563', 'label': 'data(label)', 'text-valign': 'center', 'text-halign': 'center', 'color': '#fff', 'font-size': 12, 'font-weight': 600, 'text-wrap': 'wrap', 'text-max-width': 185 } },
+        { selector: 'node[fieldKind = "formula"]', style: { 'background-color': KIND_COLORS.formula, 'border-color': '#4338ca' } },
+        { selector: 'node[fieldKind = "rollup"]', style: { 'background-color': KIND_COLORS.rollup, 'border-color': '#991b1b' } },
+        { selector: 'node[hasMetadata = "false"]', style: { 'background-color': '#9ca3af', 'border-style': 'dashed' } },
+        { selector: 'node[isMain = "true"]', style: { 'background-color': '#0176d3', 'border-color': '#014486', 'border-width': 3, 'width': 230, 'height': 66, 'font-size': 14, 'font-weight': 700 } },
+        { selector: 'node:selected', style: { 'border-width': 4, 'border-color': '#0176d3' } },
+        { selector: 'edge', style: { 'width': 2, 'line-color': KIND_COLORS.formula, 'target-arrow-color': KIND_COLORS.formula, 'target-arrow-shape': 'triangle', 'curve-style': 'bezier', 'label': 'data(label)', 'font-size': 10, 'text-background-color': '#f4f6f9', 'text-background-opacity': 1, 'text-background-padding': 3 } },
+        { selector: `edge[kind = "${DEPENDENCY_KIND.defaultValue}"]`, style: { 'line-color': KIND_COLORS.defaultValue, 'target-arrow-color': KIND_COLORS.defaultValue, 'line-style': 'dashed' } },
+        { selector: `edge[kind = "${DEPENDENCY_KIND.rollup}"]`, style: { 'line-color': KIND_COLORS.rollup, 'target-arrow-color': KIND_COLORS.rollup, 'width': 3 } },
+        { selector: '.field-faded', style: { 'opacity': 0.15 } },
+        { selector: 'node.field-focus', style: { 'border-color': '#f59e0b', 'border-width': 4 } },
+        { selector: 'edge.field-focus', style: { 'width': 4, 'z-index': 10 } }
+    ];
+}
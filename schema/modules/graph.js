@@ -4,14 +4,63 @@
 
 import { state, elements } from './state.js';
 import { logger } from './utils.js';
-import { fetchObjectMetadata } from './api.js';
+import { fetchObjectMetadata, ensureGraphMetadata, fetchRecordCountLimits } from './api.js';
 import { getActiveRelationships } from './ui.js';
-import { showDetailsPanel, hideDetailsPanel, hideRelationshipPopover, updateLegendCounts, updateObjectsCount } from './ui.js';
+import {
+    showDetailsPanel,
+    hideDetailsPanel,
+    hideRelationshipPopover,
+    updateLegendCounts,
+    updateObjectsCount,
+    startLoadingOperation,
+    completeLoadingOperation
+} from './ui.js';
 import { loadObjectExclusions } from './storage.js';
+import { isObjectDescribed, isSelfReference, getPolymorphicTargets } from './data.js';
+import { findJunctionObjects } from './junctions.js';
+import { ERD_FONT_SIZE, ERD_ROW_HEIGHT, buildErdCompartment, computeLayeredLayout } from './erd.js';
+import { resetOrgMapLayout } from './orgmap.js';
+import { resetFieldGraphLayout } from './fieldgraph.js';
 
 // Global from excludedObjects.js
 import { isObjectExcluded } from './excludedObjects.js';
 
+// Taps closer together than this are treated as a double-tap (expand/collapse)
+const DOUBLE_TAP_DELAY_MS = 250;
+
+// Upper bound on nodes expanded by a single multi-level expansion
+const MAX_EXPANSION_NODES = 25;
+
+/**
+ * Record count tiers of the record count overlay: counts below `below` get the tier's node color.
+ */
+export const RECORD_COUNT_TIERS = [
+    { tier: 'empty', label: 'No records', below: 1, color: '#94a3b8' },
+    { tier: 'small', label: 'Under 1K', below: 1000, color: '#0d9488' },
+    { tier: 'medium', label: '1K–100K', below: 100000, color: '#0369a1' },
+    { tier: 'large', label: '100K–1M', below: 1000000, color: '#7c3aed' },
+    { tier: 'huge', label: '1M+', below: Infinity, color: '#be123c' }
+];
+
+// Objects whose count was requested from limits/recordCount (Salesforce keeps no count for some)
+const requestedRecordCounts = new Set();
+
+// Duration of the fade and viewport animations of incremental graph updates
+const UPDATE_ANIMATION_MS = 300;
+
+// Distance of objects added by an update from the object they are connected to
+const NEW_NODE_DISTANCE = 280;
+
+// Classes set by collectGraphElements. An update only replaces these, so the overlays of open
+// tools (path, diff, delete impact, record counts) stay on the elements that remain.
+const GRAPH_ELEMENT_CLASSES = ['erd'];
+
+// Data keys that identify an element and are never removed by an update
+const ELEMENT_IDENTITY_KEYS = new Set(['id', 'source', 'target', 'parent']);
+
+// The object graph last built by buildGraph ({ cy, rootName }), updated in place while it is shown
+let objectGraph = null;
+
 // =============================================================================
 // GRAPH BUILDING
 // =============================================================================
@@ -19,9 +68,275 @@ import { isObjectExcluded } from './excludedObjects.js';
 /**
  * Builds the graph visualization for a given root object.
  * @param {Object} mainMetadata - The metadata of the root object.
+ * @param {Object} [savedLayout] - Node positions and viewport of a saved view, replacing the automatic layout.
+ * @param {Object<string, {x: number, y: number}>} [savedLayout.positions] - Node positions by object API name.
+ * @param {{zoom: number, pan: {x: number, y: number}}} [savedLayout.viewport] - Zoom and pan to restore.
+ * @returns {Promise<void>}
+ */
+export async function buildGraph(mainMetadata, savedLayout = {}) {
+    const { nodes, edges } = await collectGraphElements(mainMetadata);
+
+    if (state.cy) state.cy.destroy();
+
+    let layout = getOptimalLayout(nodes.length);
+    if (savedLayout.positions) layout = getSavedLayout(nodes, savedLayout);
+    else if (state.erdLayout) layout = getErdLayout(nodes.map(node => node.data), edges.map(edge => edge.data));
+
+    state.cy = cytoscape({
+        container: elements.cyContainer,
+        elements: { nodes, edges },
+        style: getCytoscapeStyles(),
+        layout,
+        minZoom: 0.2,
+        maxZoom: 3,
+        boxSelectionEnabled: false
+    });
+    objectGraph = { cy: state.cy, rootName: mainMetadata.name };
+
+    // Interaction listeners
+    // Single taps are deferred so that a double-tap (expand) doesn't also toggle the details panel
+    let tapTimeout = null;
+    state.cy.on('tap', 'node', e => {
+        clearTimeout(tapTimeout);
+        tapTimeout = setTimeout(() => handleNodeTap(e.target), DOUBLE_TAP_DELAY_MS);
+    });
+
+    state.cy.on('dbltap', 'node', e => {
+        clearTimeout(tapTimeout);
+        toggleNodeExpansion(e.target.id());
+    });
+
+    state.cy.on('cxttap', 'node', e => toggleNodeExpansion(e.target.id()));
+
+    state.cy.on('tap', 'edge[relationshipType = "manyToMany"]', e => expandJunction(e.target.data('junctionObject')));
+
+    state.cy.on('mouseover', 'node', e => {
+        const node = e.target;
+        const hasMetadata = node.data('hasMetadata') === 'true';
+        elements.cyContainer.style.cursor = hasMetadata ? 'pointer' : 'default';
+
+        const hints = [];
+        if (node.data('recordCountLabel')) hints.push(node.data('recordCountLabel'));
+        if (node.data('isJunction') === 'true') {
+            const parents = findJunctionObjects().get(node.id())?.parents.map(parent => parent.objectName) || [];
+            hints.push(`Junction of ${parents.join(' and ')}`);
+        }
+        if (hasMetadata) hints.push('Click to view fields');
+        if (node.data('isMain') !== 'true') {
+            hints.push(node.data('isExpanded') === 'true' ? 'Double-click to collapse' : 'Double-click to expand');
+        }
+        elements.cyContainer.title = hints.join(' · ');
+    });
+
+    state.cy.on('mouseover', 'edge[relationshipType = "manyToMany"]', e => {
+        elements.cyContainer.style.cursor = 'pointer';
+        elements.cyContainer.title = `Many-to-many through ${e.target.data('junctionObject')} · Click to show it as an object`;
+    });
+
+    state.cy.on('mouseout', 'node, edge', () => {
+        elements.cyContainer.style.cursor = 'default';
+        elements.cyContainer.title = '';
+    });
+    state.cy.on('tap', e => { if (e.target === state.cy) { hideDetailsPanel(); hideRelationshipPopover(); } });
+
+    // A restored view keeps its saved zoom and pan; later layouts fit the graph again
+    let keepViewport = Boolean(savedLayout.viewport);
+    state.cy.on('layoutstop', () => {
+        if (keepViewport) {
+            keepViewport = false;
+            return;
+        }
+        setTimeout(() => state.cy.fit(50), 100);
+    });
+
+    // ERD edges attach on the side facing the other object, which changes as nodes move
+    if (state.erdLayout) {
+        state.cy.on('layoutstop dragfree', () => state.cy.style().update());
+    }
+
+    if (state.recordCountOverlay) {
+        showRecordCountOverlay().catch(error => logger.warn('[Graph:build] Record count overlay failed', { error: error.message }));
+    }
+}
+
+// =============================================================================
+// INCREMENTAL UPDATES
+// =============================================================================
+
+/**
+ * Updates the graph of the root object in place: objects and edges that leave the view
+ * fade out, new ones fade in next to the objects they connect to, and the objects that
+ * remain keep their positions. Builds the graph instead if another graph is shown.
+ * @param {Object} mainMetadata - The metadata of the root object.
  * @returns {Promise<void>}
  */
-export async function buildGraph(mainMetadata) {
+export async function updateGraph(mainMetadata) {
+    if (!isObjectGraphShown(mainMetadata.name)) {
+        await buildGraph(mainMetadata);
+        return;
+    }
+
+    const { nodes, edges } = await collectGraphElements(mainMetadata);
+
+    // The graph may have been rebuilt (or another one opened) while metadata loaded
+    if (!isObjectGraphShown(mainMetadata.name)) return;
+
+    const cy = state.cy;
+    const overlayClass = state.recordCountOverlay ? ' record-count-overlay' : '';
+
+    // Elements still fading out from a previous update go now, so their ids can be reused
+    cy.remove('.graph-leaving');
+
+    const nextIds = new Set([...nodes, ...edges].map(element => element.data.id));
+    const leaving = cy.elements().filter(element => !nextIds.has(element.id()));
+    const enteringNodes = nodes.filter(({ data }) => cy.getElementById(data.id).empty());
+    const enteringEdges = edges.filter(({ data }) => cy.getElementById(data.id).empty());
+
+    placeEnteringNodes(cy, enteringNodes, [...enteringEdges, ...edges], leaving);
+
+    let entering = cy.collection();
+    cy.batch(() => {
+        // Remaining elements take the new data (labels, expansion, counts); keys the new data
+        // no longer has (a cleared count, a flag turned off) are removed
+        [...nodes, ...edges].forEach(({ data, classes = '' }) => {
+            const element = cy.getElementById(data.id);
+            if (element.empty()) return;
+            const { id, source, target, ...changes } = data;
+            const staleKeys = Object.keys(element.data()).filter(key => !ELEMENT_IDENTITY_KEYS.has(key) && !(key in data));
+            if (staleKeys.length > 0) element.removeData(staleKeys.join(' '));
+            element.data(changes);
+            element.removeClass(GRAPH_ELEMENT_CLASSES.join(' ')).addClass(classes);
+        });
+
+        leaving.addClass('graph-leaving');
+        entering = cy.add([
+            ...enteringNodes.map(node => ({ group: 'nodes', ...node, classes: `${node.classes || ''}${overlayClass}` })),
+            ...enteringEdges.map(edge => ({ group: 'edges', ...edge }))
+        ]);
+        entering.style('opacity', 0);
+    });
+
+    leaving.forEach(element => element.animate(
+        { style: { opacity: 0 } },
+        { duration: UPDATE_ANIMATION_MS, complete: () => element.remove() }
+    ));
+    entering.forEach(element => element.animate(
+        { style: { opacity: 1 } },
+        { duration: UPDATE_ANIMATION_MS, complete: () => element.removeStyle('opacity') }
+    ));
+
+    if (state.erdLayout) cy.style().update();
+    if (enteringNodes.length > 0) revealGraph(cy, leaving);
+
+    logger.info('[Graph:update] Graph updated in place', {
+        mainObject: mainMetadata.name,
+        added: entering.length,
+        removed: leaving.length
+    });
+
+    if (state.recordCountOverlay) {
+        showRecordCountOverlay().catch(error => logger.warn('[Graph:update] Record count overlay failed', { error: error.message }));
+    }
+}
+
+/**
+ * Checks whether the object graph of a root object is the graph currently shown.
+ * @param {string} rootName - The root object API name.
+ * @returns {boolean} True if it can be updated in place.
+ */
+function isObjectGraphShown(rootName) {
+    return Boolean(state.cy) && state.graphMode === 'object'
+        && objectGraph?.cy === state.cy && objectGraph.rootName === rootName && !state.cy.destroyed();
+}
+
+/**
+ * Gives each entering node a position next to the remaining objects it is connected to,
+ * spread around them on the side facing away from the rest of the graph. Nodes connected
+ * only through other entering nodes are placed once those have a position.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Array<Object>} enteringNodes - The node elements to add (mutated with `position`).
+ * @param {Array<Object>} edges - The edge elements of the updated graph.
+ * @param {Object} leaving - The elements being removed.
+ */
+function placeEnteringNodes(cy, enteringNodes, edges, leaving) {
+    if (enteringNodes.length === 0) return;
+
+    const positions = new Map();
+    cy.nodes().not(leaving).forEach(node => positions.set(node.id(), { ...node.position() }));
+
+    const placed = [...positions.values()];
+    const center = placed.length > 0
+        ? { x: placed.reduce((sum, p) => sum + p.x, 0) / placed.length, y: placed.reduce((sum, p) => sum + p.y, 0) / placed.length }
+        : { x: 0, y: 0 };
+
+    const neighborsOf = (id) => edges
+        .filter(({ data }) => data.source === id || data.target === id)
+        .map(({ data }) => (data.source === id ? data.target : data.source));
+
+    let pending = [...enteringNodes];
+    while (pending.length > 0) {
+        // Group the nodes that can be placed now by the placed object they hang off
+        const byAnchor = new Map();
+        const waiting = [];
+        pending.forEach(node => {
+            const anchor = neighborsOf(node.data.id).find(id => positions.has(id));
+            if (anchor) {
+                if (!byAnchor.has(anchor)) byAnchor.set(anchor, []);
+                byAnchor.get(anchor).push(node);
+            } else {
+                waiting.push(node);
+            }
+        });
+
+        // Nothing connects the rest to the graph: line them up below it
+        if (byAnchor.size === 0) {
+            const bottom = placed.length > 0 ? Math.max(...placed.map(p => p.y)) + NEW_NODE_DISTANCE : 0;
+            waiting.forEach((node, index) => {
+                node.position = { x: center.x + (index - (waiting.length - 1) / 2) * 240, y: bottom };
+                positions.set(node.data.id, node.position);
+            });
+            return;
+        }
+
+        for (const [anchor, group] of byAnchor) {
+            const origin = positions.get(anchor);
+            const outward = origin.x === center.x && origin.y === center.y
+                ? -Math.PI / 2
+                : Math.atan2(origin.y - center.y, origin.x - center.x);
+            const step = Math.min(Math.PI / 6, (2 * Math.PI) / group.length);
+
+            group.forEach((node, index) => {
+                const angle = outward + (index - (group.length - 1) / 2) * step;
+                const distance = NEW_NODE_DISTANCE * (1 + Math.floor(index / 12) * 0.5);
+                node.position = { x: origin.x + Math.cos(angle) * distance, y: origin.y + Math.sin(angle) * distance };
+                positions.set(node.data.id, node.position);
+            });
+        }
+
+        pending = waiting;
+    }
+}
+
+/**
+ * Pans and zooms out to the updated graph if part of it is outside the viewport.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} leaving - The elements being removed (not part of the updated graph).
+ */
+function revealGraph(cy, leaving) {
+    const shown = cy.elements().not(leaving);
+    const box = shown.boundingBox();
+    const extent = cy.extent();
+    const isVisible = box.x1 >= extent.x1 && box.x2 <= extent.x2 && box.y1 >= extent.y1 && box.y2 <= extent.y2;
+    if (!isVisible) cy.animate({ fit: { eles: shown, padding: 50 }, duration: UPDATE_ANIMATION_MS });
+}
+
+/**
+ * Collects the Cytoscape elements of the graph of a root object: the root, the related
+ * objects of the active view (with expansions, exclusions and junctions applied) and their edges.
+ * @param {Object} mainMetadata - The metadata of the root object.
+ * @returns {Promise<{nodes: Array<Object>, edges: Array<Object>}>} The node and edge elements.
+ */
+async function collectGraphElements(mainMetadata) {
     updateLegendCounts();
     updateObjectsCount();
 
@@ -36,43 +351,20 @@ export async function buildGraph(mainMetadata) {
         userExcludedCount: state.userExcludedObjects.size
     });
 
-    // Build the set of related objects from Edges
-    const relatedObjects = new Set();
-    const edgesToRender = [];
-    let excludedBySystem = 0;
-    let excludedByUser = 0;
-
-    // Filter relevant edges (connected to Main AND matching active view)
-    for (const edge of edgesList) {
-        // Must be connected to main
-        if (edge.source !== mainMetadata.name && edge.target !== mainMetadata.name) continue;
-
-        // Filter by active relationship view (tab)
-        const isOutgoing = edge.source === mainMetadata.name;
-        const isIncoming = edge.target === mainMetadata.name;
+    // Build the set of related objects from Edges (root + expanded neighbors)
+    const { relatedObjects, edgesToRender: scopeEdges, excludedBySystem, excludedByUser } = collectGraphScope(mainMetadata.name, edgesList);
 
-        if (state.activeRelationshipView === 'outgoing' && !isOutgoing) continue;
-        if (state.activeRelationshipView === 'incoming' && !isIncoming) continue;
-        // 'all' shows both outgoing and incoming
-
-        const neighbor = isOutgoing ? edge.target : edge.source;
-
-        if (isObjectExcluded(neighbor)) {
-            excludedBySystem++;
-            continue;
-        }
-        if (state.userExcludedObjects.has(neighbor)) {
-            excludedByUser++;
-            continue;
-        }
-
-        relatedObjects.add(neighbor);
-        edgesToRender.push(edge);
-    }
+    // Junction objects, optionally collapsed into many-to-many edges between their parents
+    const junctions = findJunctionObjects();
+    const { edgesToRender, junctionEdges } = state.collapseJunctions
+        ? collapseJunctionObjects(mainMetadata.name, relatedObjects, scopeEdges, junctions)
+        : { edgesToRender: scopeEdges, junctionEdges: [] };
 
     logger.info('[Graph:build] Graph scope determined', {
         relatedObjects: relatedObjects.size,
         edgesToRender: edgesToRender.length,
+        expandedNodes: state.expandedNodes.size,
+        collapsedJunctions: junctionEdges.length,
         excludedBySystem,
         excludedByUser
     });
@@ -82,7 +374,13 @@ export async function buildGraph(mainMetadata) {
 
     // Build nodes: main object first, then each related object
     const nodes = [{
-        data: { id: mainMetadata.name, label: mainMetadata.label || mainMetadata.name, isMain: 'true', hasMetadata: 'true' }
+        data: withRecordCount({
+            id: mainMetadata.name,
+            label: mainMetadata.label || mainMetadata.name,
+            isMain: 'true',
+            hasMetadata: 'true',
+            isJunction: junctions.has(mainMetadata.name) ? 'true' : 'false'
+        })
     }];
 
     for (const objectName of relatedObjects) {
@@ -97,119 +395,354 @@ export async function buildGraph(mainMetadata) {
         }
 
         nodes.push({
-            data: {
+            data: withRecordCount({
                 id: objectName,
                 label: objectMetadata?.label ?? objectName,
                 isMain: 'false',
-                hasMetadata: hasMetadata ? 'true' : 'false'
-            }
+                hasMetadata: hasMetadata ? 'true' : 'false',
+                isExpanded: state.expandedNodes.has(objectName) ? 'true' : 'false',
+                isJunction: junctions.has(objectName) ? 'true' : 'false'
+            })
         });
     }
 
-    // Helper: should we include this edge? (both endpoints must be in the graph)
-    const shouldIncludeEdge = (source, target) => {
-        if (source !== mainMetadata.name && !relatedObjects.has(source)) return false;
-        if (target !== mainMetadata.name && !relatedObjects.has(target)) return false;
-        return true;
-    };
-
     // Build edges (Cytoscape format)
-    const edges = edgesToRender.map((edge, index) => {
-        const isOutgoing = edge.source === mainMetadata.name;
-        const isMasterDetail = edge.isMasterDetail === true || edge.type === 'MasterDetail';
-
-        let label = 'Lookup';
-        let type = 'lookup';
-
-        if (isMasterDetail) {
-            type = 'masterDetail';
-            if (edge.order === 0) label = 'MD (Primary)';
-            else if (edge.order === 1) label = 'MD (Secondary)';
-            else label = 'MD';
-        }
+    const edges = [...edgesToRender.map(({ edge, anchor }) => toCytoscapeEdge(edge, anchor)), ...junctionEdges];
+    labelPolymorphicBundles(edges);
+    if (state.erdLayout) applyErdCompartments(nodes, edges);
 
-        return {
-            data: {
-                id: `edge-${index}`,
-                source: edge.source,
-                target: edge.target,
-                label: label,
-                relationshipType: type,
-                direction: isOutgoing ? 'outgoing' : 'incoming'
-            }
-        };
-    });
-
-    logger.info('[Graph:build] Graph visualization rendered', {
+    logger.info('[Graph:build] Graph elements collected', {
         totalNodes: nodes.length,
         totalEdges: edges.length,
         mainObject: mainMetadata.name,
         relatedObjects: relatedObjects.size
     });
 
-    if (state.cy) state.cy.destroy();
+    return { nodes, edges };
+}
 
-    state.cy = cytoscape({
-        container: elements.cyContainer,
-        elements: { nodes, edges },
-        style: getCytoscapeStyles(),
-        layout: getOptimalLayout(nodes.length),
-        minZoom: 0.2,
-        maxZoom: 3,
-        boxSelectionEnabled: false
-    });
+/**
+ * Converts a normalized edge into a Cytoscape edge definition.
+ * @param {Object} edge - The normalized edge.
+ * @param {string} anchor - The object the edge is rendered relative to (drives direction styling).
+ * @returns {Object} The Cytoscape edge element.
+ */
+function toCytoscapeEdge(edge, anchor) {
+    const isOutgoing = edge.source === anchor;
+    const isMasterDetail = edge.isMasterDetail === true || edge.type === 'MasterDetail';
+    const polymorphicTargets = getPolymorphicTargets(edge);
 
-    // Interaction listeners
-    state.cy.on('tap', 'node', async e => {
-        const node = e.target;
-        const objectName = node.id();
+    let label = 'Lookup';
+    let type = 'lookup';
 
-        hideRelationshipPopover();
+    if (isMasterDetail) {
+        type = 'masterDetail';
+        if (edge.order === 0) label = 'MD (Primary)';
+        else if (edge.order === 1) label = 'MD (Secondary)';
+        else label = 'MD';
+    }
+
+    if (isSelfReference(edge)) label = `↻ ${edge.fieldName}`;
+    else if (polymorphicTargets) label = `${edge.fieldName} · Polymorphic (${polymorphicTargets.length})`;
 
-        // Lazy Load: Check if we have metadata for this node
-        let hasMetadata = node.data('hasMetadata') === 'true';
+    return {
+        data: {
+            id: edge.id,
+            source: edge.source,
+            target: edge.target,
+            label: label,
+            fieldName: edge.fieldName,
+            relationshipType: type,
+            direction: isOutgoing ? 'outgoing' : 'incoming',
+            isSelfReference: isSelfReference(edge) ? 'true' : 'false',
+            isPolymorphic: polymorphicTargets ? 'true' : 'false',
+            polymorphicField: polymorphicTargets ? `${edge.source}.${edge.fieldName}` : null
+        }
+    };
+}
+
+/**
+ * Draws the edges of one polymorphic field as a bundle: only the first edge of each field
+ * carries the "Polymorphic" badge, the others are left unlabeled.
+ * @param {Array<Object>} edges - The Cytoscape edge elements (mutated).
+ */
+function labelPolymorphicBundles(edges) {
+    const labeledFields = new Set();
+    edges
+        .filter(edge => edge.data.isPolymorphic === 'true')
+        .sort((a, b) => a.data.target.localeCompare(b.data.target))
+        .forEach(edge => {
+            if (labeledFields.has(edge.data.polymorphicField)) edge.data.label = '';
+            labeledFields.add(edge.data.polymorphicField);
+        });
+}
+
+/**
+ * Replaces junction objects with a many-to-many edge between their two parents. The parent
+ * that is not in the graph yet is added, so the root's junctions show what they link it to.
+ * A junction stays a node while it is the root, expanded, or one of its parents is excluded.
+ * @param {string} rootName - The root object API name.
+ * @param {Set<string>} relatedObjects - The objects of the graph besides the root (mutated).
+ * @param {Array<{edge: Object, anchor: string}>} edgesToRender - The edges of the graph.
+ * @param {Map<string, Object>} junctions - The junctions returned by findJunctionObjects.
+ * @returns {{edgesToRender: Array<{edge: Object, anchor: string}>, junctionEdges: Array<Object>}}
+ *   The edges left and the Cytoscape many-to-many edges.
+ */
+function collapseJunctionObjects(rootName, relatedObjects, edgesToRender, junctions) {
+    const isInGraph = objectName => objectName === rootName || relatedObjects.has(objectName);
+    const isHidden = objectName => isObjectExcluded(objectName) || state.userExcludedObjects.has(objectName);
+    const collapsed = new Set();
+    const junctionEdges = [];
 
-        if (!hasMetadata) {
-            // It's a shallow node. Try to fetch metadata for it so we can show details.
-            try {
-                const { fetchObjectMetadata } = await import('./api.js');
-                const metadata = await fetchObjectMetadata(objectName);
-                if (metadata) {
-                    node.data('hasMetadata', 'true');
-                    hasMetadata = true;
+    for (const [junctionName, { parents }] of junctions) {
+        if (!relatedObjects.has(junctionName)) continue;
+        if (state.expandedJunctions.has(junctionName) || state.expandedNodes.has(junctionName)) continue;
+
+        const [source, target] = parents.map(parent => parent.objectName);
+        if (!isInGraph(source) && !isInGraph(target)) continue;
+        if ([source, target].some(objectName => !isInGraph(objectName) && isHidden(objectName))) continue;
+
+        relatedObjects.delete(junctionName);
+        [source, target].forEach(objectName => { if (objectName !== rootName) relatedObjects.add(objectName); });
+        collapsed.add(junctionName);
+
+        junctionEdges.push({
+            data: {
+                id: `junction:${junctionName}`,
+                source,
+                target,
+                label: `⇄ ${state.nodes?.[junctionName]?.info?.label || junctionName}`,
+                relationshipType: 'manyToMany',
+                direction: 'outgoing',
+                junctionObject: junctionName
+            }
+        });
+    }
+
+    return {
+        edgesToRender: edgesToRender.filter(({ edge }) => !collapsed.has(edge.source) && !collapsed.has(edge.target)),
+        junctionEdges
+    };
+}
+
+/**
+ * Determines which objects and edges belong in the graph.
+ * Starts at the root and walks through every expanded node reachable from it,
+ * applying the active relationship view relative to each anchor.
+ * @param {string} rootName - The root object API name.
+ * @param {Array<Object>} edgesList - All cached edges.
+ * @returns {{relatedObjects: Set<string>, edgesToRender: Array<{edge: Object, anchor: string}>, excludedBySystem: number, excludedByUser: number}}
+ */
+function collectGraphScope(rootName, edgesList) {
+    const relatedObjects = new Set();
+    const edgesToRender = [];
+    const renderedEdgeIds = new Set();
+    const visitedAnchors = new Set([rootName]);
+    const anchorQueue = [rootName];
+    let excludedBySystem = 0;
+    let excludedByUser = 0;
+
+    while (anchorQueue.length > 0) {
+        const anchor = anchorQueue.shift();
+
+        for (const edge of edgesList) {
+            // Self-references are added below, once their object is known to be in the graph
+            if (isSelfReference(edge)) continue;
+
+            // Must be connected to the anchor
+            const isOutgoing = edge.source === anchor;
+            const isIncoming = edge.target === anchor;
+            if (!isOutgoing && !isIncoming) continue;
+
+            // Filter by active relationship view (tab)
+            if (state.activeRelationshipView === 'outgoing' && !isOutgoing) continue;
+            if (state.activeRelationshipView === 'incoming' && !isIncoming) continue;
+            // 'all' shows both outgoing and incoming
+
+            const neighbor = isOutgoing ? edge.target : edge.source;
+            if (neighbor === rootName) {
+                // Edge back to the root from an expanded node: both endpoints are already in the graph
+                if (anchor !== rootName && !renderedEdgeIds.has(edge.id)) {
+                    renderedEdgeIds.add(edge.id);
+                    edgesToRender.push({ edge, anchor });
                 }
-            } catch (err) {
-                logger.warn('[Graph:tap] Failed to lazy-load metadata for node', { object: objectName });
+                continue;
+            }
+
+            if (isObjectExcluded(neighbor)) {
+                if (anchor === rootName) excludedBySystem++;
+                continue;
+            }
+            if (state.userExcludedObjects.has(neighbor)) {
+                if (anchor === rootName) excludedByUser++;
+                continue;
+            }
+
+            relatedObjects.add(neighbor);
+            if (!renderedEdgeIds.has(edge.id)) {
+                renderedEdgeIds.add(edge.id);
+                edgesToRender.push({ edge, anchor });
+            }
+
+            if (state.expandedNodes.has(neighbor) && !visitedAnchors.has(neighbor)) {
+                visitedAnchors.add(neighbor);
+                anchorQueue.push(neighbor);
             }
         }
+    }
 
-        if (!hasMetadata) return;
+    // Self-references (hierarchies such as Account.ParentId) are loops on any object in the graph, in every view
+    for (const edge of edgesList) {
+        if (isSelfReference(edge) && (edge.source === rootName || relatedObjects.has(edge.source))) {
+            edgesToRender.push({ edge, anchor: edge.source });
+        }
+    }
 
-        const detailsPanel = document.getElementById('details-panel');
-        const isPanelOpen = !detailsPanel.classList.contains('hidden');
-        const currentTitle = document.getElementById('details-title').textContent;
-        const clickedLabel = node.data('label');
+    return { relatedObjects, edgesToRender, excludedBySystem, excludedByUser };
+}
 
-        // Toggle logic: Close if already open for the same node, otherwise open
-        if (isPanelOpen && currentTitle === clickedLabel) {
-            hideDetailsPanel();
-        } else {
-            showDetailsPanel(node.id());
+/**
+ * Handles a single tap on a node: lazy-loads its metadata and toggles the details panel.
+ * @param {Object} node - The Cytoscape node that was tapped.
+ * @returns {Promise<void>}
+ */
+async function handleNodeTap(node) {
+    const objectName = node.id();
+
+    hideRelationshipPopover();
+
+    // Lazy Load: Check if we have metadata for this node
+    let hasMetadata = node.data('hasMetadata') === 'true';
+
+    if (!hasMetadata) {
+        // It's a shallow node. Try to fetch metadata for it so we can show details.
+        try {
+            const metadata = await fetchObjectMetadata(objectName);
+            if (metadata) {
+                node.data('hasMetadata', 'true');
+                hasMetadata = true;
+            }
+        } catch (err) {
+            logger.warn('[Graph:tap] Failed to lazy-load metadata for node', { object: objectName });
         }
+    }
+
+    if (!hasMetadata) return;
+
+    const detailsPanel = document.getElementById('details-panel');
+    const isPanelOpen = !detailsPanel.classList.contains('hidden');
+    const currentTitle = document.getElementById('details-title').textContent;
+    const clickedLabel = node.data('label');
+
+    // Toggle logic: Close if already open for the same node, otherwise open
+    if (isPanelOpen && currentTitle === clickedLabel) {
+        hideDetailsPanel();
+    } else {
+        showDetailsPanel(node.id());
+    }
+}
+
+// =============================================================================
+// ERD MODE
+// =============================================================================
+
+/**
+ * Turns graph elements into ERD elements: each node becomes a compartment listing its key
+ * fields, and each edge records the rows it attaches to (the referencing field on the
+ * child, the Id on the parent).
+ * @param {Array<Object>} nodes - The Cytoscape node elements (mutated).
+ * @param {Array<Object>} edges - The Cytoscape edge elements (mutated).
+ */
+function applyErdCompartments(nodes, edges) {
+    const rowOffsetsById = new Map();
+
+    nodes.forEach(node => {
+        const { text, width, height, rowOffsets } = buildErdCompartment(node.data.id, node.data.label);
+        Object.assign(node.data, { erdLabel: text, erdWidth: width, erdHeight: height });
+        node.classes = 'erd';
+        rowOffsetsById.set(node.data.id, rowOffsets);
     });
 
-    state.cy.on('mouseover', 'node', e => {
-        const hasMetadata = e.target.data('hasMetadata') === 'true';
-        elements.cyContainer.style.cursor = hasMetadata ? 'pointer' : 'default';
-        if (hasMetadata) elements.cyContainer.title = 'Click to view fields';
+    edges.forEach(edge => {
+        edge.classes = 'erd';
+        const sourceRowOffset = rowOffsetsById.get(edge.data.source)?.[edge.data.fieldName];
+        const targetRowOffset = rowOffsetsById.get(edge.data.target)?.Id;
+        if (sourceRowOffset !== undefined) edge.data.sourceRowOffset = sourceRowOffset;
+        if (targetRowOffset !== undefined) edge.data.targetRowOffset = targetRowOffset;
     });
+}
 
-    state.cy.on('mouseout', 'node', () => {
-        elements.cyContainer.style.cursor = 'default';
-        elements.cyContainer.title = '';
+/**
+ * Gets a preset layout placing ERD nodes in layers, parents left of their children.
+ * @param {Array<Object>} nodeData - The data of the ERD nodes.
+ * @param {Array<Object>} edgeData - The data of the edges.
+ * @returns {Object} The Cytoscape layout options.
+ */
+function getErdLayout(nodeData, edgeData) {
+    const positions = computeLayeredLayout(
+        nodeData.map(data => ({ id: data.id, width: data.erdWidth, height: data.erdHeight })),
+        edgeData.filter(data => data.relationshipType !== 'manyToMany')
+    );
+    return { name: 'preset', positions: node => positions.get(node.id()), padding: 50, animate: true, animationDuration: 500 };
+}
+
+/**
+ * Gets the endpoint of an ERD edge on a node: the node side facing the other end, at the given row.
+ * @param {Object} node - The Cytoscape node the edge attaches to.
+ * @param {Object} otherNode - The node at the other end of the edge.
+ * @param {number} rowOffset - The row's vertical offset from the node center.
+ * @returns {string} The Cytoscape endpoint position.
+ */
+function getErdEndpoint(node, otherNode, rowOffset) {
+    const side = otherNode.position('x') >= node.position('x') ? '50%' : '-50%';
+    return `${side} ${rowOffset}px`;
+}
+
+// =============================================================================
+// SAVED VIEWS
+// =============================================================================
+
+/**
+ * Gets a preset layout from saved node positions. Objects without a saved position
+ * (e.g. relationships added since the view was saved) are lined up below the saved ones.
+ * @param {Array<Object>} nodes - The Cytoscape node elements.
+ * @param {Object} savedLayout - The saved positions and viewport (see buildGraph).
+ * @returns {Object} The Cytoscape layout options.
+ */
+function getSavedLayout(nodes, { positions, viewport }) {
+    const saved = Object.values(positions);
+    const left = saved.length > 0 ? Math.min(...saved.map(position => position.x)) : 0;
+    const bottom = saved.length > 0 ? Math.max(...saved.map(position => position.y)) + 160 : 0;
+
+    let unplacedCount = 0;
+    const positionById = new Map(nodes.map(({ data }) => [
+        data.id,
+        positions[data.id] || { x: left + 240 * unplacedCount++, y: bottom }
+    ]));
+
+    return {
+        name: 'preset',
+        positions: node => positionById.get(node.id()),
+        fit: !viewport,
+        padding: 50,
+        ...(viewport ? { zoom: viewport.zoom, pan: viewport.pan } : {})
+    };
+}
+
+/**
+ * Captures the node positions and viewport of the current graph, for a saved view.
+ * @returns {{positions: Object<string, {x: number, y: number}>, viewport: {zoom: number, pan: {x: number, y: number}}}|null}
+ */
+export function getGraphLayoutSnapshot() {
+    if (!state.cy) return null;
+
+    const positions = {};
+    state.cy.nodes().forEach(node => {
+        const { x, y } = node.position();
+        positions[node.id()] = { x: Math.round(x), y: Math.round(y) };
     });
-    state.cy.on('tap', e => { if (e.target === state.cy) { hideDetailsPanel(); hideRelationshipPopover(); } });
-    state.cy.on('layoutstop', () => setTimeout(() => state.cy.fit(50), 100));
+
+    return { positions, viewport: { zoom: state.cy.zoom(), pan: { ...state.cy.pan() } } };
 }
 
 function getOptimalLayout(nodeCount) {
@@ -227,12 +760,42 @@ function getCytoscapeStyles() {
         { selector: 'node', style: { 'shape': 'round-rectangle', 'width': 180, 'height': 70, 'background-color': '#6b7280', 'border-width': 2, 'border-color': '#4b5563', 'label': 'data(label)', 'text-valign': 'center', 'text-halign': 'center', 'color': '#fff', 'font-size': 14, 'font-weight': 600, 'text-wrap': 'wrap', 'text-max-width': 160 } },
         { selector: 'node[isMain = "true"]', style: { 'background-color': '#0176d3', 'border-color': '#014486', 'border-width': 3, 'width': 220, 'height': 85, 'font-size': 16, 'font-weight': 700 } },
         { selector: 'node[hasMetadata = "false"]', style: { 'background-color': '#9ca3af', 'opacity': 0.85 } },
+        { selector: 'node[isExpanded = "true"]', style: { 'background-color': '#475569', 'border-color': '#0176d3', 'border-width': 3, 'border-style': 'double' } },
+        { selector: 'node.record-count-overlay[recordCountMagnitude >= 0]', style: { 'width': 'mapData(recordCountMagnitude, 0, 8, 150, 300)', 'height': 'mapData(recordCountMagnitude, 0, 8, 60, 110)' } },
+        ...RECORD_COUNT_TIERS.map(({ tier, color }) => ({ selector: `node.record-count-overlay[recordCountTier = "${tier}"]`, style: { 'background-color': color } })),
+        { selector: 'node[recordCountLabel]', style: { 'label': node => `${node.data('label')}\n${node.data('recordCountLabel')}` } },
+        { selector: 'node.erd', style: { 'shape': 'rectangle', 'width': 'data(erdWidth)', 'height': 'data(erdHeight)', 'label': 'data(erdLabel)', 'background-color': '#ffffff', 'border-width': 1, 'border-color': '#94a3b8', 'color': '#1f2937', 'font-family': 'Menlo, Consolas, monospace', 'font-size': ERD_FONT_SIZE, 'font-weight': 400, 'line-height': ERD_ROW_HEIGHT / ERD_FONT_SIZE, 'text-justification': 'left', 'text-max-width': node => `${node.data('erdWidth')}px` } },
+        { selector: 'node.erd[isMain = "true"]', style: { 'background-color': '#eff6ff', 'border-color': '#0176d3', 'border-width': 3 } },
+        { selector: 'node.erd[hasMetadata = "false"]', style: { 'background-color': '#f1f5f9', 'opacity': 1 } },
+        { selector: 'node.erd[isExpanded = "true"]', style: { 'border-color': '#0176d3', 'border-width': 3, 'border-style': 'double' } },
         { selector: 'node:active', style: { 'overlay-color': '#0176d3', 'overlay-padding': 10, 'overlay-opacity': 0.2 } },
         { selector: 'node:selected', style: { 'border-width': 4, 'border-color': '#0176d3' } },
         { selector: 'edge', style: { 'width': 2, 'line-color': '#6366f1', 'target-arrow-color': '#6366f1', 'target-arrow-shape': 'triangle', 'curve-style': 'bezier', 'label': 'data(label)', 'font-size': 11, 'text-background-color': '#f4f6f9', 'text-background-opacity': 1, 'text-background-padding': 4 } },
         { selector: 'edge[direction = "incoming"]', style: { 'line-color': '#6366f1', 'target-arrow-color': '#6366f1', 'line-style': 'dashed', 'line-dash-pattern': [6, 3], 'width': 2 } },
         { selector: 'edge[relationshipType = "masterDetail"]', style: { 'line-color': '#dc2626', 'target-arrow-color': '#dc2626', 'width': 3 } },
-        { selector: 'edge[relationshipType = "masterDetail"][direction = "incoming"]', style: { 'line-color': '#b91c1c', 'target-arrow-color': '#b91c1c', 'line-style': 'dashed' } }
+        { selector: 'edge[relationshipType = "masterDetail"][direction = "incoming"]', style: { 'line-color': '#b91c1c', 'target-arrow-color': '#b91c1c', 'line-style': 'dashed' } },
+        { selector: 'edge[isPolymorphic = "true"]', style: { 'line-color': '#0d9488', 'target-arrow-color': '#0d9488', 'text-background-color': '#ccfbf1', 'text-border-color': '#0d9488', 'text-border-width': 1, 'text-border-opacity': 1, 'text-background-shape': 'roundrectangle' } },
+        { selector: 'edge[relationshipType = "manyToMany"]', style: { 'line-color': '#c026d3', 'target-arrow-color': '#c026d3', 'source-arrow-color': '#c026d3', 'source-arrow-shape': 'triangle', 'line-style': 'solid', 'width': 3, 'text-background-color': '#fae8ff', 'text-border-color': '#c026d3', 'text-border-width': 1, 'text-border-opacity': 1, 'text-background-shape': 'roundrectangle' } },
+        { selector: 'node[isJunction = "true"]', style: { 'shape': 'cut-rectangle' } },
+        { selector: 'edge.erd', style: { 'curve-style': 'taxi', 'taxi-direction': 'horizontal', 'label': '' } },
+        { selector: 'edge.erd[sourceRowOffset]', style: { 'source-endpoint': edge => getErdEndpoint(edge.source(), edge.target(), edge.data('sourceRowOffset')) } },
+        { selector: 'edge.erd[targetRowOffset]', style: { 'target-endpoint': edge => getErdEndpoint(edge.target(), edge.source(), edge.data('targetRowOffset')) } },
+        { selector: 'edge.erd[relationshipType = "manyToMany"]', style: { 'label': 'data(label)' } },
+        { selector: 'edge[isSelfReference = "true"]', style: { 'line-color': '#d97706', 'target-arrow-color': '#d97706', 'line-style': 'solid', 'loop-direction': '-45deg', 'loop-sweep': '-60deg', 'control-point-step-size': 50 } },
+        { selector: 'edge.erd[isSelfReference = "true"]', style: { 'curve-style': 'bezier', 'source-endpoint': 'outside-to-node', 'target-endpoint': 'outside-to-node', 'label': 'data(label)' } },
+        { selector: '.path-faded', style: { 'opacity': 0.15 } },
+        { selector: 'node.path-highlight', style: { 'border-color': '#f59e0b', 'border-width': 5 } },
+        { selector: 'edge.path-highlight', style: { 'line-color': '#f59e0b', 'target-arrow-color': '#f59e0b', 'width': 4, 'z-index': 10 } },
+        { selector: '.diff-unchanged', style: { 'opacity': 0.3 } },
+        { selector: 'node.diff-added', style: { 'border-color': '#16a34a', 'border-width': 5 } },
+        { selector: 'node.diff-removed', style: { 'border-color': '#dc2626', 'border-width': 5, 'border-style': 'dashed' } },
+        { selector: 'node.diff-changed', style: { 'border-color': '#f59e0b', 'border-width': 5 } },
+        { selector: 'edge.diff-added', style: { 'line-color': '#16a34a', 'target-arrow-color': '#16a34a', 'width': 4 } },
+        { selector: 'edge.diff-removed', style: { 'line-color': '#dc2626', 'target-arrow-color': '#dc2626', 'width': 4, 'line-style': 'dotted' } },
+        { selector: 'edge.diff-changed', style: { 'line-color': '#f59e0b', 'target-arrow-color': '#f59e0b', 'width': 4 } },
+        { selector: '.impact-unaffected', style: { 'opacity': 0.3 } },
+        { selector: 'node.impact-deleted', style: { 'border-color': '#dc2626', 'border-width': 5 } },
+        { selector: 'node.impact-blocked', style: { 'border-color': '#f59e0b', 'border-width': 5, 'border-style': 'dashed' } }
     ];
 }
 
@@ -258,18 +821,378 @@ export function centerOnMain() {
  * Resets the graph layout to the optimal one for the node count.
  */
 export function resetLayout() {
-    if (state.cy) state.cy.layout(getOptimalLayout(state.cy.nodes().length)).run();
+    if (state.graphMode === 'org') {
+        resetOrgMapLayout();
+        return;
+    }
+    if (state.graphMode === 'fields') {
+        resetFieldGraphLayout();
+        return;
+    }
+    if (!state.cy) return;
+    const layout = state.erdLayout
+        ? getErdLayout(state.cy.nodes().map(node => node.data()), state.cy.edges().map(edge => edge.data()))
+        : getOptimalLayout(state.cy.nodes().length);
+    state.cy.layout(layout).run();
+}
+
+/**
+ * Switches the object graph between the relationship graph and the ERD view.
+ * @param {boolean} enabled - Whether objects are drawn as field compartments in layers.
+ * @returns {Promise<void>}
+ */
+export async function setErdLayout(enabled) {
+    state.erdLayout = enabled;
+
+    // Compartments change every node's shape, so the graph is rebuilt and laid out again
+    const mainMetadata = state.metadata.get(state.objectApiName);
+    if (mainMetadata && state.graphMode === 'object') await buildGraph(mainMetadata);
+}
+
+/**
+ * Switches between drawing junction objects as nodes and as many-to-many edges.
+ * @param {boolean} enabled - Whether junctions are collapsed into edges.
+ * @returns {Promise<void>}
+ */
+export async function setJunctionCollapse(enabled) {
+    state.collapseJunctions = enabled;
+    state.expandedJunctions.clear();
+    await refreshGraphVisibility();
+}
+
+/**
+ * Shows a collapsed junction as an object node again, with its relationships to both parents.
+ * @param {string} junctionName - The junction object API name.
+ * @returns {Promise<void>}
+ */
+export async function expandJunction(junctionName) {
+    if (!junctionName) return;
+    state.expandedJunctions.add(junctionName);
+    await refreshGraphVisibility();
 }
 
 /**
  * Refresh graph visibility based on current exclusion state
- * Re-runs the graph build process using cached metadata
+ * Updates the rendered graph in place using cached metadata
  */
 export async function refreshGraphVisibility() {
     if (!state.objectApiName) return;
 
     const mainMetadata = state.metadata.get(state.objectApiName);
     if (mainMetadata) {
-        await buildGraph(mainMetadata);
+        await updateGraph(mainMetadata);
     }
 }
+
+// =============================================================================
+// MULTI-HOP EXPANSION
+// =============================================================================
+
+/**
+ * Gets the neighbors of an object that would be rendered if it were expanded.
+ * @param {string} objectName - The object API name.
+ * @returns {Array<string>} Neighbor API names (excluding root, system and user exclusions).
+ */
+function getExpansionNeighbors(objectName) {
+    const neighbors = new Set();
+
+    Object.values(state.edges || {}).forEach(edge => {
+        const isOutgoing = edge.source === objectName;
+        const isIncoming = edge.target === objectName;
+        if (!isOutgoing && !isIncoming) return;
+        if (state.activeRelationshipView === 'outgoing' && !isOutgoing) return;
+        if (state.activeRelationshipView === 'incoming' && !isIncoming) return;
+
+        const neighbor = isOutgoing ? edge.target : edge.source;
+        if (neighbor === state.objectApiName || neighbor === objectName) return;
+        if (isObjectExcluded(neighbor) || state.userExcludedObjects.has(neighbor)) return;
+
+        neighbors.add(neighbor);
+    });
+
+    return [...neighbors];
+}
+
+/**
+ * Expands a neighbor node in place, pulling in its own relationships.
+ * Metadata for the node and its neighbors is fetched lazily through the background.
+ * @param {string} objectName - The object API name to expand.
+ * @param {number} [depth=state.expansionDepth] - Number of hops to expand.
+ * @returns {Promise<void>}
+ */
+export async function expandNode(objectName, depth = state.expansionDepth) {
+    if (!objectName || objectName === state.objectApiName) return;
+
+    startLoadingOperation();
+
+    try {
+        let frontier = [objectName];
+        let expandedCount = 0;
+
+        for (let level = 0; level < depth && frontier.length > 0; level++) {
+            const nextFrontier = new Set();
+
+            for (const name of frontier) {
+                if (expandedCount >= MAX_EXPANSION_NODES) break;
+                if (name === state.objectApiName || state.expandedNodes.has(name)) continue;
+
+                await ensureGraphMetadata(name);
+                state.expandedNodes.add(name);
+                expandedCount++;
+
+                getExpansionNeighbors(name).forEach(neighbor => nextFrontier.add(neighbor));
+            }
+
+            frontier = [...nextFrontier];
+        }
+
+        logger.info('[Graph:expand] Node expanded', {
+            object: objectName,
+            depth,
+            expandedCount,
+            totalExpanded: state.expandedNodes.size
+        });
+    } catch (error) {
+        logger.error('[Graph:expand] Expansion failed', { object: objectName, error: error.message });
+    } finally {
+        completeLoadingOperation();
+    }
+
+    await refreshGraphVisibility();
+}
+
+/**
+ * Collapses an expanded node, hiding the branch that was only reachable through it.
+ * @param {string} objectName - The object API name to collapse.
+ * @returns {Promise<void>}
+ */
+export async function collapseNode(objectName) {
+    if (!state.expandedNodes.delete(objectName)) return;
+
+    // Drop expansions that are no longer reachable from the root
+    const { relatedObjects } = collectGraphScope(state.objectApiName, Object.values(state.edges || {}));
+    for (const name of [...state.expandedNodes]) {
+        if (!relatedObjects.has(name)) state.expandedNodes.delete(name);
+    }
+
+    logger.info('[Graph:collapse] Node collapsed', { object: objectName, totalExpanded: state.expandedNodes.size });
+    await refreshGraphVisibility();
+}
+
+/**
+ * Expands a node if collapsed, collapses it if expanded.
+ * @param {string} objectName - The object API name.
+ * @returns {Promise<void>}
+ */
+export async function toggleNodeExpansion(objectName) {
+    if (objectName === state.objectApiName) return;
+
+    if (state.expandedNodes.has(objectName)) {
+        await collapseNode(objectName);
+    } else {
+        await expandNode(objectName);
+    }
+}
+
+// =============================================================================
+// PATH HIGHLIGHTING
+// =============================================================================
+
+/**
+ * Highlights a relationship path on the current graph.
+ * Objects and edges of the path that are not rendered yet are added temporarily.
+ * @param {Object} path - The path returned by findRelationshipPath.
+ */
+export function highlightPath(path) {
+    if (!state.cy || !path) return;
+
+    clearPathHighlight();
+
+    const cy = state.cy;
+    const objectNames = [path.source, ...path.steps.map(step => step.to)];
+
+    cy.batch(() => {
+        let previousPosition = null;
+
+        objectNames.forEach(objectName => {
+            let node = cy.getElementById(objectName);
+            if (node.empty()) {
+                const position = previousPosition
+                    ? { x: previousPosition.x + 260, y: previousPosition.y + 140 }
+                    : { x: 0, y: 0 };
+                node = cy.add({
+                    group: 'nodes',
+                    data: {
+                        id: objectName,
+                        label: state.nodes?.[objectName]?.info?.label || objectName,
+                        isMain: 'false',
+                        hasMetadata: isObjectDescribed(objectName) ? 'true' : 'false'
+                    },
+                    position,
+                    classes: 'path-added'
+                });
+            }
+            previousPosition = node.position();
+        });
+
+        path.steps.forEach(step => {
+            const edge = state.edges?.[step.edgeId];
+            if (edge && cy.getElementById(step.edgeId).empty()) {
+                cy.add({ group: 'edges', ...toCytoscapeEdge(edge, edge.source), classes: 'path-added' });
+            }
+        });
+
+        const pathElements = cy.collection();
+        objectNames.forEach(objectName => pathElements.merge(cy.getElementById(objectName)));
+        path.steps.forEach(step => pathElements.merge(cy.getElementById(step.edgeId)));
+
+        cy.elements().addClass('path-faded');
+        pathElements.removeClass('path-faded').addClass('path-highlight');
+    });
+
+    cy.animate({ fit: { eles: cy.elements('.path-highlight'), padding: 80 }, duration: 300 });
+}
+
+/**
+ * Removes any path highlighting (and temporarily added path elements) from the graph.
+ */
+export function clearPathHighlight() {
+    if (!state.cy) return;
+
+    state.cy.batch(() => {
+        state.cy.remove('.path-added');
+        state.cy.elements().removeClass('path-faded path-highlight');
+    });
+}
+
+/**
+ * Colors graph elements by diff status (org compare): added, removed or changed.
+ * Elements without a status are faded.
+ * @param {Map<string, string>} statusById - Node or edge id → 'added' | 'removed' | 'changed'.
+ * @returns {number} The number of graph elements that have a status.
+ */
+export function applyDiffOverlay(statusById) {
+    if (!state.cy) return 0;
+
+    let matched = 0;
+    state.cy.batch(() => {
+        clearDiffOverlay();
+        state.cy.elements().forEach(element => {
+            const status = statusById.get(element.id());
+            if (status) {
+                element.addClass(`diff-${status}`);
+                matched++;
+            } else {
+                element.addClass('diff-unchanged');
+            }
+        });
+    });
+    return matched;
+}
+
+/**
+ * Removes the org compare coloring from the graph.
+ */
+export function clearDiffOverlay() {
+    state.cy?.elements().removeClass('diff-added diff-removed diff-changed diff-unchanged');
+}
+
+/**
+ * Colors the objects affected by a delete (delete impact): deleted or blocking.
+ * Other nodes and all edges are faded.
+ * @param {Map<string, string>} effectById - Object API name → 'deleted' | 'blocked'.
+ */
+export function applyImpactOverlay(effectById) {
+    if (!state.cy) return;
+
+    state.cy.batch(() => {
+        clearImpactOverlay();
+        state.cy.edges().addClass('impact-unaffected');
+        state.cy.nodes().forEach(node => {
+            const effect = effectById.get(node.id());
+            node.addClass(effect ? `impact-${effect}` : 'impact-unaffected');
+        });
+    });
+}
+
+/**
+ * Removes the delete impact coloring from the graph.
+ */
+export function clearImpactOverlay() {
+    state.cy?.elements().removeClass('impact-deleted impact-blocked impact-unaffected');
+}
+
+// =============================================================================
+// RECORD COUNTS
+// =============================================================================
+
+/**
+ * Adds the known record count (`state.recordCounts`) of an object to its node data.
+ * @param {Object} data - The Cytoscape node data.
+ * @returns {Object} The node data, with `recordCount` and `recordCountLabel` if the count is known.
+ */
+function withRecordCount(data) {
+    const count = state.recordCounts.get(data.objectName || data.id);
+    if (count === undefined) return data;
+    return {
+        ...data,
+        recordCount: count,
+        recordCountLabel: `${count.toLocaleString()} record${count === 1 ? '' : 's'}`,
+        recordCountMagnitude: Math.log10(count + 1),
+        recordCountTier: RECORD_COUNT_TIERS.find(tier => count < tier.below).tier
+    };
+}
+
+/**
+ * Shows the known record counts on the nodes of the current graph.
+ */
+export function applyRecordCounts() {
+    if (!state.cy) return;
+
+    state.cy.batch(() => {
+        state.cy.nodes().forEach(node => {
+            const { recordCount, recordCountLabel, recordCountMagnitude, recordCountTier } = withRecordCount(node.data());
+            if (recordCount !== undefined) node.data({ recordCount, recordCountLabel, recordCountMagnitude, recordCountTier });
+        });
+    });
+}
+
+/**
+ * Sizes and colors the nodes of the current graph by record count. Counts missing from
+ * `state.recordCounts` are fetched first (approximate counts from limits/recordCount).
+ * @returns {Promise<{storage: Object|null, uncounted: Array<string>}>} The org storage usage
+ *   (null if unavailable or already known) and the objects without a count.
+ */
+export async function showRecordCountOverlay() {
+    if (!state.cy) return { storage: null, uncounted: [] };
+
+    const objectNames = [...new Set(state.cy.nodes().not(':parent').map(node => node.data('objectName') || node.id()))];
+    const missing = objectNames.filter(objectName => !state.recordCounts.has(objectName) && !requestedRecordCounts.has(objectName));
+
+    let storage = null;
+    if (missing.length > 0) {
+        missing.forEach(objectName => requestedRecordCounts.add(objectName));
+        try {
+            ({ storage } = await fetchRecordCountLimits(missing));
+        } catch (error) {
+            missing.forEach(objectName => requestedRecordCounts.delete(objectName));
+            throw error;
+        }
+    }
+
+    // The overlay may have been switched off (or the graph rebuilt) while counts loaded
+    if (!state.recordCountOverlay || !state.cy) return { storage, uncounted: [] };
+
+    applyRecordCounts();
+    state.cy.nodes().not(':parent').addClass('record-count-overlay');
+
+    logger.info('[Graph:recordCounts] Record count overlay shown', { objects: objectNames.length, fetched: missing.length });
+    return { storage, uncounted: objectNames.filter(objectName => !state.recordCounts.has(objectName)) };
+}
+
+/**
+ * Restores the default node size and colors.
+ */
+export function hideRecordCountOverlay() {
+    state.cy?.nodes().removeClass('record-count-overlay');
+}
@@ -0,0 +1,184 @@
+/**
+ * Salesforce Schema Explorer - Delete Impact
+ * Walks the cascade-delete and restricted-delete child relationships of an object to
+ * find which records deleting one of its records would also delete, or would be blocked by.
+ */
+
+import { state } from './state.js';
+import { logger } from './utils.js';
+import { ensureObjectsDescribed } from './api.js';
+import { isObjectDescribed, getChildRelationshipName } from './data.js';
+
+// Maximum number of cascade levels walked below the deleted object
+export const MAX_IMPACT_DEPTH = 10;
+
+// Upper bound on objects described per level (keeps large orgs from fanning out)
+const MAX_DESCRIBES_PER_LEVEL = 150;
+
+export const IMPACT_EFFECT = {
+    deleted: 'deleted',
+    blocked: 'blocked'
+};
+
+export const DELETE_RULE = {
+    cascade: 'cascade',
+    restrict: 'restrict',
+    clear: 'clear'
+};
+
+// =============================================================================
+// DELETE RULES
+// =============================================================================
+
+/**
+ * Returns what deleting a parent record does to the child records of a relationship.
+ * The rules come from the parent's childRelationships: until the parent has been
+ * described, only master-detail relationships are known to cascade.
+ * @param {Object} edge - The relationship edge (child → parent).
+ * @returns {string|null} A DELETE_RULE value, or null if the rule is not known.
+ */
+export function getDeleteRule(edge) {
+    if (edge.cascadeDelete === true || edge.isMasterDetail === true) return DELETE_RULE.cascade;
+    if (edge.restrictedDelete === true) return DELETE_RULE.restrict;
+    if (edge.cascadeDelete === false) return DELETE_RULE.clear;
+    return null;
+}
+
+// =============================================================================
+// IMPACT ANALYSIS
+// =============================================================================
+
+/**
+ * Builds the tree of objects affected by deleting a record of an object.
+ * Cascade-deleted children are walked recursively level by level (each object is expanded
+ * once, at its shallowest level); restricted children are leaves that block the delete.
+ * Missing describes are fetched through the background as the walk expands.
+ * @param {string} objectName - The object whose record is deleted.
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=MAX_IMPACT_DEPTH] - Maximum number of cascade levels.
+ * @returns {Promise<Object>} The impact:
+ *   - root: tree node { objectName, effect, fieldName, relationshipName, isMasterDetail, isRepeat, children }
+ *   - deletedObjects / blockingObjects: unique object names (root excluded)
+ *   - clearedLookups / unknownRules: { objectName, fieldName, parentName } of lookups that are
+ *     cleared, or whose rule is not cached yet
+ *   - truncated: true if the depth limit stopped the walk
+ */
+export async function analyzeDeleteImpact(objectName, { maxDepth = MAX_IMPACT_DEPTH } = {}) {
+    logger.info('[Impact:analyze] Analyzing delete impact', { object: objectName, maxDepth });
+
+    const root = createImpactNode(objectName, IMPACT_EFFECT.deleted, null);
+    const expanded = new Set([objectName]);
+    const deletedObjects = new Set();
+    const blockingObjects = new Set();
+    const clearedLookups = [];
+    const unknownRules = [];
+
+    let frontier = [root];
+    let depth = 0;
+
+    for (; depth < maxDepth && frontier.length > 0; depth++) {
+        await describeFrontier(frontier.map(node => node.objectName));
+
+        const childEdgesByParent = groupChildEdges();
+        const nextFrontier = [];
+
+        for (const parent of frontier) {
+            for (const edge of childEdgesByParent.get(parent.objectName) || []) {
+                const rule = getDeleteRule(edge);
+                const lookup = { objectName: edge.source, fieldName: edge.fieldName, parentName: parent.objectName };
+
+                if (rule === DELETE_RULE.clear) {
+                    clearedLookups.push(lookup);
+                    continue;
+                }
+                if (rule === null) {
+                    unknownRules.push(lookup);
+                    continue;
+                }
+
+                const effect = rule === DELETE_RULE.cascade ? IMPACT_EFFECT.deleted : IMPACT_EFFECT.blocked;
+                const child = createImpactNode(edge.source, effect, edge);
+                parent.children.push(child);
+
+                if (effect === IMPACT_EFFECT.blocked) {
+                    blockingObjects.add(edge.source);
+                } else if (expanded.has(edge.source)) {
+                    child.isRepeat = true;
+                } else {
+                    expanded.add(edge.source);
+                    deletedObjects.add(edge.source);
+                    nextFrontier.push(child);
+                }
+            }
+        }
+
+        frontier = nextFrontier;
+    }
+
+    const impact = {
+        root,
+        deletedObjects: [...deletedObjects],
+        blockingObjects: [...blockingObjects],
+        clearedLookups,
+        unknownRules,
+        truncated: frontier.length > 0
+    };
+
+    logger.info('[Impact:analyze] Delete impact computed', {
+        object: objectName,
+        deleted: impact.deletedObjects.length,
+        blocking: impact.blockingObjects.length,
+        unknownRules: unknownRules.length,
+        levels: depth
+    });
+
+    return impact;
+}
+
+function createImpactNode(objectName, effect, edge) {
+    return {
+        objectName,
+        effect,
+        fieldName: edge?.fieldName || null,
+        relationshipName: edge ? getChildRelationshipName(edge) : null,
+        isMasterDetail: edge?.isMasterDetail === true,
+        isRepeat: false,
+        children: []
+    };
+}
+
+/**
+ * Groups the cached relationship edges by parent object, sorted by child name.
+ * @returns {Map<string, Array<Object>>} Parent object → edges pointing to it.
+ */
+function groupChildEdges() {
+    const byParent = new Map();
+
+    for (const edge of Object.values(state.edges || {})) {
+        if (edge.source === edge.target) continue;
+        if (!byParent.has(edge.target)) byParent.set(edge.target, []);
+        byParent.get(edge.target).push(edge);
+    }
+
+    for (const edges of byParent.values()) {
+        edges.sort((a, b) => a.source.localeCompare(b.source) || a.fieldName.localeCompare(b.fieldName));
+    }
+    return byParent;
+}
+
+/**
+ * Ensures every object about to be expanded has a full describe, so its childRelationships
+ * (and with them the delete rules) are known.
+ * @param {Array<string>} objectNames - Object API names about to be expanded.
+ * @returns {Promise<void>}
+ */
+async function describeFrontier(objectNames) {
+    const missing = objectNames.filter(objectName => !isObjectDescribed(objectName)).slice(0, MAX_DESCRIBES_PER_LEVEL);
+    if (missing.length === 0) return;
+
+    try {
+        await ensureObjectsDescribed(missing);
+    } catch (error) {
+        logger.warn('[Impact:describe] Failed to describe frontier', { count: missing.length, error: error.message });
+    }
+}
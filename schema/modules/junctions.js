@@ -0,0 +1,56 @@
+/**
+ * Salesforce Schema Explorer - Junction Objects
+ * Detects junction objects, which link two parent objects many-to-many
+ * (e.g. OpportunityContactRole links Opportunity and Contact).
+ */
+
+import { state } from './state.js';
+import { isSelfReference } from './data.js';
+
+/**
+ * Finds the junction objects among the cached edges. An object is a junction when its
+ * parents' describes say so (childRelationships with `junctionReferenceTo`) or when it has
+ * master-detail relationships to two different parents.
+ * @returns {Map<string, {parents: Array<{objectName: string, fieldName: string}>}>} The two
+ *   parents of each junction, primary master-detail first.
+ */
+export function findJunctionObjects() {
+    const edges = Object.values(state.edges || {}).filter(edge => !isSelfReference(edge));
+    const parentEdgesBySource = new Map();
+
+    const addParentEdge = (edge) => {
+        if (!parentEdgesBySource.has(edge.source)) parentEdgesBySource.set(edge.source, new Map());
+        const parents = parentEdgesBySource.get(edge.source);
+        if (!parents.has(edge.target)) parents.set(edge.target, edge);
+    };
+
+    edges.forEach(edge => {
+        if (edge.isMasterDetail === true || edge.type === 'MasterDetail') addParentEdge(edge);
+    });
+
+    // Standard junctions use lookups: the parent's describe names the junction's other parents
+    edges.filter(edge => edge.junctionReferenceTo?.length).forEach(edge => {
+        const otherParentEdges = edges.filter(other =>
+            other.source === edge.source && other.target !== edge.target && edge.junctionReferenceTo.includes(other.target)
+        );
+        if (otherParentEdges.length === 0) return;
+
+        addParentEdge(edge);
+        otherParentEdges.forEach(addParentEdge);
+    });
+
+    const junctions = new Map();
+    for (const [objectName, parents] of parentEdgesBySource) {
+        if (parents.size < 2) continue;
+
+        const parentEdges = [...parents.values()]
+            .sort((a, b) => (a.order ?? 2) - (b.order ?? 2) || a.target.localeCompare(b.target))
+            .slice(0, 2);
+
+        junctions.set(objectName, {
+            parents: parentEdges.map(edge => ({ objectName: edge.target, fieldName: edge.fieldName }))
+        });
+    }
+
+    return junctions;
+}
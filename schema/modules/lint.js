@@ -0,0 +1,280 @@
+/**
+ * Salesforce Schema Explorer - Schema Lint
+ * Rule-based checks of the cached metadata map: governor limits and design smells per object.
+ */
+
+import { state } from './state.js';
+import { logger } from './utils.js';
+import { isObjectDescribed, isMasterDetailField, isRequiredField } from './data.js';
+
+export const LINT_SEVERITY = {
+    error: 'error',
+    warning: 'warning',
+    info: 'info'
+};
+
+// Salesforce limits per object
+const MAX_MASTER_DETAIL_FIELDS = 2;
+const MAX_RELATIONSHIP_FIELDS = 40;
+const MAX_CUSTOM_FIELDS = 500; // Enterprise Edition (Unlimited allows 800)
+
+// Share of a limit from which a warning is raised
+const LIMIT_WARNING_RATIO = 0.8;
+
+// Objects referenced by at least this many objects make required fields costly for integrations
+const MANY_INBOUND_REFERENCES = 10;
+
+function isCustomField(field) {
+    return field.name.endsWith('__c');
+}
+
+function isReferenceField(field) {
+    return field.type === 'reference' && field.referenceTo?.length > 0;
+}
+
+function hasDefaultValue(field) {
+    return !!field.defaultValueFormula || field.picklistValues?.some(value => value.defaultValue) === true;
+}
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+/**
+ * Lint rules. Each check receives the lint context and returns issues
+ * ({ objectName, severity, message }).
+ */
+export const LINT_RULES = [
+    {
+        id: 'master-detail-limit',
+        label: 'Master-detail limit',
+        check: ({ objectNames }) => objectNames.flatMap(objectName => {
+            const count = getFields(objectName).filter(isMasterDetailField).length;
+            return count > MAX_MASTER_DETAIL_FIELDS
+                ? [{ objectName, severity: LINT_SEVERITY.error, message: `${count} master-detail relationships (limit ${MAX_MASTER_DETAIL_FIELDS})` }]
+                : [];
+        })
+    },
+    {
+        id: 'relationship-field-limit',
+        label: 'Relationship field limit',
+        check: ({ objectNames }) => objectNames.flatMap(objectName => {
+            const count = getFields(objectName).filter(field => isReferenceField(field) && isCustomField(field)).length;
+            if (count >= MAX_RELATIONSHIP_FIELDS) {
+                return [{ objectName, severity: LINT_SEVERITY.error, message: `${count} custom relationship fields: at the limit of ${MAX_RELATIONSHIP_FIELDS}` }];
+            }
+            return count >= MAX_RELATIONSHIP_FIELDS * LIMIT_WARNING_RATIO
+                ? [{ objectName, severity: LINT_SEVERITY.warning, message: `${count} custom relationship fields, approaching the limit of ${MAX_RELATIONSHIP_FIELDS}` }]
+                : [];
+        })
+    },
+    {
+        id: 'circular-lookups',
+        label: 'Circular lookups',
+        check: ({ objectNames }) => findCustomLookupCycles(objectNames).flatMap(cycle => cycle.map(objectName => ({
+            objectName,
+            severity: LINT_SEVERITY.warning,
+            message: `Circular custom lookups with ${cycle.filter(name => name !== objectName).join(', ')}`
+        })))
+    },
+    {
+        id: 'duplicate-relationship-names',
+        label: 'Duplicate relationship names',
+        check: ({ objectNames }) => objectNames.flatMap(objectName => {
+            const issues = [];
+
+            findDuplicates(getFields(objectName).filter(isReferenceField), field => field.relationshipName)
+                .forEach(fields => issues.push({
+                    objectName,
+                    severity: LINT_SEVERITY.warning,
+                    message: `Relationship name "${fields[0].relationshipName}" used by ${fields.map(field => field.name).join(', ')}`
+                }));
+
+            const childEdges = Object.values(state.edges || {}).filter(edge => edge.target === objectName);
+            findDuplicates(childEdges, edge => edge.childRelationshipName)
+                .forEach(edges => issues.push({
+                    objectName,
+                    severity: LINT_SEVERITY.warning,
+                    message: `Child relationship name "${edges[0].childRelationshipName}" used by ${edges.map(edge => `${edge.source}.${edge.fieldName}`).join(', ')}`
+                }));
+
+            return issues;
+        })
+    },
+    {
+        id: 'required-without-default',
+        label: 'Required fields without default',
+        check: ({ objectNames, inboundCounts }) => objectNames.flatMap(objectName => {
+            const inboundCount = inboundCounts.get(objectName) || 0;
+            if (inboundCount < MANY_INBOUND_REFERENCES) return [];
+
+            const fields = getFields(objectName).filter(field =>
+                isCustomField(field) && isRequiredField(field) && !isReferenceField(field) && !field.calculated && !hasDefaultValue(field)
+            );
+            return fields.length > 0
+                ? [{ objectName, severity: LINT_SEVERITY.info, message: `Referenced by ${inboundCount} objects, but ${fields.length} required custom field${fields.length === 1 ? ' has' : 's have'} no default: ${fields.map(field => field.name).join(', ')}` }]
+                : [];
+        })
+    },
+    {
+        id: 'field-count',
+        label: 'Field count',
+        check: ({ objectNames }) => objectNames.flatMap(objectName => {
+            const count = getFields(objectName).filter(isCustomField).length;
+            if (count >= MAX_CUSTOM_FIELDS) {
+                return [{ objectName, severity: LINT_SEVERITY.error, message: `${count} custom fields: at the Enterprise Edition limit of ${MAX_CUSTOM_FIELDS}` }];
+            }
+            return count >= MAX_CUSTOM_FIELDS * LIMIT_WARNING_RATIO
+                ? [{ objectName, severity: LINT_SEVERITY.warning, message: `${count} custom fields, approaching the Enterprise Edition limit of ${MAX_CUSTOM_FIELDS}` }]
+                : [];
+        })
+    },
+    {
+        id: 'describe-failed',
+        label: 'Failed describes',
+        check: () => Object.entries(state.nodes || {})
+            .filter(([objectName, node]) => node.describeFailedAt && !isObjectDescribed(objectName))
+            .map(([objectName]) => ({
+                objectName,
+                severity: LINT_SEVERITY.warning,
+                message: 'Referenced by other objects, but its describe failed (no access, or the object was removed)'
+            }))
+    }
+];
+
+// =============================================================================
+// LINT RUN
+// =============================================================================
+
+/**
+ * Runs every lint rule over the described objects of the cache.
+ * @returns {{issues: Array<{ruleId: string, objectName: string, severity: string, message: string}>, objectCount: number}}
+ *   Issues sorted by object, then severity.
+ */
+export function runSchemaLint() {
+    const objectNames = Object.keys(state.nodes || {}).filter(isObjectDescribed).sort();
+    const context = { objectNames, inboundCounts: countInboundObjects() };
+
+    const issues = LINT_RULES.flatMap(rule => {
+        try {
+            return rule.check(context).map(issue => ({ ruleId: rule.id, ...issue }));
+        } catch (error) {
+            logger.warn('[Lint:run] Rule failed', { rule: rule.id, error: error.message });
+            return [];
+        }
+    });
+
+    const severityOrder = Object.values(LINT_SEVERITY);
+    issues.sort((a, b) =>
+        a.objectName.localeCompare(b.objectName) || severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity)
+    );
+
+    logger.info('[Lint:run] Schema lint completed', { objects: objectNames.length, issues: issues.length });
+    return { issues, objectCount: objectNames.length };
+}
+
+function getFields(objectName) {
+    return Object.values(state.nodes?.[objectName]?.fields || {});
+}
+
+/**
+ * Counts the distinct objects referencing each object.
+ * @returns {Map<string, number>} Object name → number of referencing objects.
+ */
+function countInboundObjects() {
+    const sourcesByTarget = new Map();
+    for (const edge of Object.values(state.edges || {})) {
+        if (edge.source === edge.target) continue;
+        if (!sourcesByTarget.has(edge.target)) sourcesByTarget.set(edge.target, new Set());
+        sourcesByTarget.get(edge.target).add(edge.source);
+    }
+    return new Map([...sourcesByTarget].map(([target, sources]) => [target, sources.size]));
+}
+
+function findDuplicates(items, getKey) {
+    const byKey = new Map();
+    items.forEach(item => {
+        const key = getKey(item)?.toLowerCase();
+        if (!key) return;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(item);
+    });
+    return [...byKey.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Finds the groups of objects that reference each other in a cycle through custom lookup
+ * or master-detail fields (strongly connected components, Tarjan). Standard fields are left
+ * out: owner and audit lookups to User would join most of the org into one cycle.
+ * @param {Array<string>} objectNames - The described objects.
+ * @returns {Array<Array<string>>} The cycles, each a sorted list of objects.
+ */
+function findCustomLookupCycles(objectNames) {
+    const included = new Set(objectNames);
+    const adjacency = new Map(objectNames.map(name => [name, new Set()]));
+
+    for (const objectName of objectNames) {
+        for (const field of getFields(objectName)) {
+            if (!isReferenceField(field) || !isCustomField(field)) continue;
+            field.referenceTo
+                .filter(target => target !== objectName && included.has(target))
+                .forEach(target => adjacency.get(objectName).add(target));
+        }
+    }
+
+    const indexByObject = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let nextIndex = 0;
+
+    // Iterative Tarjan: large orgs would overflow the call stack with recursion
+    for (const start of objectNames) {
+        if (indexByObject.has(start)) continue;
+
+        const work = [{ objectName: start, targets: [...adjacency.get(start)], position: 0 }];
+        indexByObject.set(start, nextIndex);
+        lowLink.set(start, nextIndex++);
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+
+            if (frame.position < frame.targets.length) {
+                const target = frame.targets[frame.position++];
+                if (!indexByObject.has(target)) {
+                    indexByObject.set(target, nextIndex);
+                    lowLink.set(target, nextIndex++);
+                    stack.push(target);
+                    onStack.add(target);
+                    work.push({ objectName: target, targets: [...adjacency.get(target)], position: 0 });
+                } else if (onStack.has(target)) {
+                    lowLink.set(frame.objectName, Math.min(lowLink.get(frame.objectName), indexByObject.get(target)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].objectName;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.objectName)));
+            }
+
+            if (lowLink.get(frame.objectName) === indexByObject.get(frame.objectName)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.objectName);
+
+                if (component.length > 1) cycles.push(component.sort());
+            }
+        }
+    }
+
+    return cycles;
+}
@@ -0,0 +1,167 @@
+/**
+ * Salesforce Schema Explorer - Load Order Planner
+ * Orders a set of objects for a data load: parents before the children that require them.
+ */
+
+import { state } from './state.js';
+import { logger } from './utils.js';
+import { isRequiredField } from './data.js';
+
+export const SECOND_PASS_REASON = {
+    cycle: 'cycle',
+    self: 'self',
+    order: 'order'
+};
+
+// =============================================================================
+// LOOKUP COLLECTION
+// =============================================================================
+
+/**
+ * Collects the lookups between the planned objects.
+ * Master-detail and required lookups must be set on insert (hard); optional lookups can
+ * be set on insert if their target is already loaded, or in a second pass (soft).
+ * @param {Set<string>} included - The planned object names.
+ * @returns {Array<{objectName: string, fieldName: string, target: string, isMasterDetail: boolean, isRequired: boolean}>}
+ */
+function collectLookups(included) {
+    const lookups = new Map();
+
+    const addLookup = (objectName, fieldName, target, isMasterDetail) => {
+        const key = `${objectName}.${fieldName}.${target}`;
+        if (lookups.has(key)) return;
+
+        const field = state.nodes?.[objectName]?.fields?.[fieldName];
+        lookups.set(key, {
+            objectName,
+            fieldName,
+            target,
+            isMasterDetail,
+            isRequired: isMasterDetail || (field ? isRequiredField(field) : false)
+        });
+    };
+
+    for (const edge of Object.values(state.edges || {})) {
+        if (!included.has(edge.source) || !included.has(edge.target)) continue;
+        addLookup(edge.source, edge.fieldName, edge.target, edge.isMasterDetail === true);
+    }
+
+    // Caches built before self-references were kept as edges lack them (e.g. Account.ParentId); read them from the fields
+    for (const objectName of included) {
+        for (const field of Object.values(state.nodes?.[objectName]?.fields || {})) {
+            if (field.type === 'reference' && field.referenceTo?.includes(objectName)) {
+                addLookup(objectName, field.name, objectName, false);
+            }
+        }
+    }
+
+    return [...lookups.values()].sort((a, b) =>
+        a.objectName.localeCompare(b.objectName) || a.fieldName.localeCompare(b.fieldName) || a.target.localeCompare(b.target)
+    );
+}
+
+// =============================================================================
+// PLANNING
+// =============================================================================
+
+/**
+ * Computes the load order of a set of objects with a layered topological sort over their
+ * master-detail and required lookups. Objects in the same step don't depend on each other.
+ * When the required lookups form a cycle, one lookup of the cycle (never a master-detail
+ * if avoidable) is moved to a second pass so the sort can continue.
+ * @param {Array<string>} objectNames - The objects to load.
+ * @returns {{steps: Array<Array<Object>>, secondPass: Array<Object>, cycles: Array<Array<string>>, undescribed: Array<string>}}
+ *   - steps: objects per step ({ objectName, label, lookups }), lookups being set on insert
+ *   - secondPass: lookups to populate with an update once every step is loaded ({ ...lookup, reason })
+ *   - cycles: the object chains that required a second pass
+ *   - undescribed: objects whose fields are unknown (their lookups could not be planned)
+ */
+export function planLoadOrder(objectNames) {
+    const included = new Set(objectNames);
+    const lookups = collectLookups(included);
+    const deferred = new Set();
+    const cycles = [];
+
+    const hardLookups = lookups.filter(lookup => lookup.isRequired && lookup.target !== lookup.objectName);
+    const stepByObject = new Map();
+    const steps = [];
+    let remaining = [...included].sort();
+
+    while (remaining.length > 0) {
+        const pendingLookups = hardLookups.filter(lookup =>
+            !deferred.has(lookup) && !stepByObject.has(lookup.target)
+        );
+        const blocked = new Set(pendingLookups.map(lookup => lookup.objectName));
+        const ready = remaining.filter(objectName => !blocked.has(objectName));
+
+        if (ready.length === 0) {
+            const cycle = findCycle(remaining, pendingLookups);
+            cycles.push(cycle.map(lookup => lookup.objectName));
+            deferred.add(cycle.find(lookup => !lookup.isMasterDetail) || cycle[0]);
+            continue;
+        }
+
+        ready.forEach(objectName => stepByObject.set(objectName, steps.length));
+        steps.push(ready);
+        remaining = remaining.filter(objectName => !stepByObject.has(objectName));
+    }
+
+    const secondPass = [];
+    const insertLookups = new Map();
+
+    for (const lookup of lookups) {
+        const reason = deferred.has(lookup) ? SECOND_PASS_REASON.cycle
+            : lookup.target === lookup.objectName ? SECOND_PASS_REASON.self
+                : stepByObject.get(lookup.target) >= stepByObject.get(lookup.objectName) ? SECOND_PASS_REASON.order
+                    : null;
+
+        if (reason) {
+            secondPass.push({ ...lookup, reason });
+        } else {
+            if (!insertLookups.has(lookup.objectName)) insertLookups.set(lookup.objectName, []);
+            insertLookups.get(lookup.objectName).push(lookup);
+        }
+    }
+
+    const plan = {
+        steps: steps.map(objectNamesInStep => objectNamesInStep.map(objectName => ({
+            objectName,
+            label: state.nodes?.[objectName]?.info?.label || objectName,
+            lookups: insertLookups.get(objectName) || []
+        }))),
+        secondPass,
+        cycles,
+        undescribed: [...included].filter(objectName => !Object.keys(state.nodes?.[objectName]?.fields || {}).length).sort()
+    };
+
+    logger.info('[LoadPlan:plan] Load order computed', {
+        objects: included.size,
+        steps: plan.steps.length,
+        secondPass: secondPass.length,
+        cycles: cycles.length
+    });
+
+    return plan;
+}
+
+/**
+ * Finds a cycle among objects that are all blocked: following any pending lookup from a
+ * blocked object always leads to another blocked object, so the walk ends on a cycle.
+ * @param {Array<string>} remaining - The objects not placed yet (sorted).
+ * @param {Array<Object>} pendingLookups - The hard lookups whose target is not placed yet.
+ * @returns {Array<Object>} The lookups forming the cycle, in order.
+ */
+function findCycle(remaining, pendingLookups) {
+    const path = [];
+    const positionByObject = new Map();
+    let current = remaining[0];
+
+    while (!positionByObject.has(current)) {
+        positionByObject.set(current, path.length);
+        const lookup = pendingLookups.find(candidate => candidate.objectName === current);
+        path.push(lookup);
+        current = lookup.target;
+    }
+
+    return path.slice(positionByObject.get(current));
+}
@@ -0,0 +1,293 @@
+/**
+ * Salesforce Schema Explorer - Org Map
+ * Renders every described object of the org as one clustered graph.
+ */
+
+import { state, elements } from './state.js';
+import { logger } from './utils.js';
+import { fetchObjectMetadata } from './api.js';
+import { isObjectDescribed } from './data.js';
+import { isObjectExcluded } from './excludedObjects.js';
+import { showDetailsPanel, hideDetailsPanel, hideRelationshipPopover } from './ui.js';
+
+// Grid spacing of objects inside a cluster, and gap between clusters
+const NODE_SPACING_X = 190;
+const NODE_SPACING_Y = 90;
+const CLUSTER_GAP = 260;
+
+// Labels are only drawn once they would render at least this many pixels tall
+const MIN_ZOOMED_FONT_SIZE = 9;
+
+// Taps closer together than this are treated as a double-tap (open object)
+const DOUBLE_TAP_DELAY_MS = 250;
+
+const CLUSTER_COLORS = {
+    standard: '#0176d3',
+    custom: '#7c3aed',
+    namespace: '#0d9488'
+};
+
+// =============================================================================
+// CLUSTERING
+// =============================================================================
+
+/**
+ * Determines the cluster of an object: its managed package namespace,
+ * or the standard/custom group for unpackaged objects.
+ * @param {string} objectName - The object API name.
+ * @param {Object} [info] - The node info (custom flag).
+ * @returns {{id: string, label: string, type: string}} The cluster.
+ */
+export function getObjectCluster(objectName, info = {}) {
+    // Namespaced objects look like ns__Object__c (three parts)
+    const parts = objectName.split('__');
+    if (parts.length >= 3 && parts[0]) {
+        return { id: `cluster:ns:${parts[0]}`, label: `${parts[0]} (package)`, type: 'namespace' };
+    }
+
+    if (info.custom || parts.length === 2) {
+        return { id: 'cluster:custom', label: 'Custom', type: 'custom' };
+    }
+
+    return { id: 'cluster:standard', label: 'Standard', type: 'standard' };
+}
+
+// =============================================================================
+// GRAPH BUILDING
+// =============================================================================
+
+/**
+ * Builds the org map from the cached nodes and edges.
+ * Relationships between the same two objects are drawn as a single edge.
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onOpenObject - Called with an object API name on double-click.
+ * @returns {{objectCount: number, edgeCount: number, clusterCount: number}} Map statistics.
+ */
+export function buildOrgMapGraph({ onOpenObject }) {
+    const objectNames = Object.keys(state.nodes || {})
+        .filter(objectName => isObjectDescribed(objectName) && !isObjectExcluded(objectName))
+        .sort();
+    const included = new Set(objectNames);
+
+    // Collapse parallel relationships into one edge per object pair
+    const pairs = new Map();
+    const degree = new Map();
+    for (const edge of Object.values(state.edges || {})) {
+        if (edge.source === edge.target) continue;
+        if (!included.has(edge.source) || !included.has(edge.target)) continue;
+
+        const pairId = `${edge.source}->${edge.target}`;
+        const pair = pairs.get(pairId);
+        if (pair) {
+            pair.count++;
+            pair.isMasterDetail = pair.isMasterDetail || edge.isMasterDetail === true;
+            continue;
+        }
+
+        pairs.set(pairId, { id: pairId, source: edge.source, target: edge.target, count: 1, isMasterDetail: edge.isMasterDetail === true });
+        degree.set(edge.source, (degree.get(edge.source) || 0) + 1);
+        degree.set(edge.target, (degree.get(edge.target) || 0) + 1);
+    }
+
+    const clusters = new Map();
+    const nodes = objectNames.map(objectName => {
+        const info = state.nodes[objectName].info || {};
+        const cluster = getObjectCluster(objectName, info);
+        if (!clusters.has(cluster.id)) clusters.set(cluster.id, { ...cluster, members: [] });
+        clusters.get(cluster.id).members.push(objectName);
+
+        return {
+            data: {
+                id: objectName,
+                label: info.label || objectName,
+                parent: cluster.id,
+                isCluster: 'false',
+                clusterType: cluster.type,
+                degree: degree.get(objectName) || 0
+            }
+        };
+    });
+
+    const clusterNodes = [...clusters.values()].map(cluster => ({
+        data: { id: cluster.id, label: `${cluster.label} · ${cluster.members.length}`, clusterType: cluster.type, isCluster: 'true' }
+    }));
+
+    const edges = [...pairs.values()].map(pair => ({
+        data: {
+            id: pair.id,
+            source: pair.source,
+            target: pair.target,
+            count: pair.count,
+            relationshipType: pair.isMasterDetail ? 'masterDetail' : 'lookup'
+        }
+    }));
+
+    logger.info('[OrgMap:build] Building org map', {
+        objects: nodes.length,
+        edges: edges.length,
+        clusters: clusterNodes.length
+    });
+
+    if (state.cy) state.cy.destroy();
+
+    state.cy = cytoscape({
+        container: elements.cyContainer,
+        elements: { nodes: [...clusterNodes, ...nodes], edges },
+        style: getOrgMapStyles(),
+        layout: getOrgMapLayout([...clusters.values()], objectName => degree.get(objectName) || 0),
+        minZoom: 0.02,
+        maxZoom: 3,
+        boxSelectionEnabled: false,
+        hideEdgesOnViewport: true,
+        textureOnViewport: true
+    });
+
+    attachOrgMapListeners(onOpenObject);
+
+    return { objectCount: nodes.length, edgeCount: edges.length, clusterCount: clusterNodes.length };
+}
+
+function attachOrgMapListeners(onOpenObject) {
+    const cy = state.cy;
+
+    let tapTimeout = null;
+    cy.on('tap', 'node[isCluster = "false"]', e => {
+        clearTimeout(tapTimeout);
+        tapTimeout = setTimeout(() => focusObject(e.target), DOUBLE_TAP_DELAY_MS);
+    });
+
+    cy.on('dbltap', 'node[isCluster = "false"]', e => {
+        clearTimeout(tapTimeout);
+        onOpenObject(e.target.id());
+    });
+
+    cy.on('mouseover', 'node[isCluster = "false"]', e => {
+        elements.cyContainer.style.cursor = 'pointer';
+        elements.cyContainer.title = `${e.target.data('label')} (${e.target.id()}) · Click to highlight relationships · Double-click to open`;
+    });
+
+    cy.on('mouseout', 'node', () => {
+        elements.cyContainer.style.cursor = 'default';
+        elements.cyContainer.title = '';
+    });
+
+    cy.on('tap', e => {
+        if (e.target === cy) {
+            clearOrgMapFocus();
+            hideDetailsPanel();
+            hideRelationshipPopover();
+        }
+    });
+}
+
+/**
+ * Highlights an object and its direct relationships and shows its fields.
+ * @param {Object} node - The Cytoscape node.
+ */
+async function focusObject(node) {
+    const cy = state.cy;
+    const neighborhood = node.closedNeighborhood();
+
+    cy.batch(() => {
+        cy.elements().removeClass('org-focus').addClass('org-faded');
+        neighborhood.removeClass('org-faded').addClass('org-focus');
+        neighborhood.nodes().parents().removeClass('org-faded');
+    });
+
+    try {
+        await fetchObjectMetadata(node.id());
+        showDetailsPanel(node.id());
+    } catch (error) {
+        logger.warn('[OrgMap:focus] Failed to load object fields', { object: node.id(), error: error.message });
+    }
+}
+
+function clearOrgMapFocus() {
+    state.cy?.elements().removeClass('org-focus org-faded');
+}
+
+// =============================================================================
+// LAYOUT
+// =============================================================================
+
+/**
+ * Re-applies the clustered org map layout.
+ */
+export function resetOrgMapLayout() {
+    if (!state.cy) return;
+
+    const clusters = state.cy.nodes('[isCluster = "true"]').map(clusterNode => ({
+        id: clusterNode.id(),
+        members: clusterNode.children().map(child => child.id()).sort()
+    }));
+    state.cy.layout(getOrgMapLayout(clusters, objectName => state.cy.getElementById(objectName).data('degree') || 0)).run();
+}
+
+/**
+ * Computes a preset layout: objects are placed on a grid inside their cluster
+ * (most connected first) and clusters are packed in rows, largest first.
+ * Force-directed layouts don't scale to several hundred compound nodes.
+ * @param {Array<{id: string, members: Array<string>}>} clusters - The clusters.
+ * @param {Function} getDegree - Returns the number of relationships of an object.
+ * @returns {Object} The Cytoscape layout options.
+ */
+function getOrgMapLayout(clusters, getDegree) {
+    const positions = {};
+    const sorted = [...clusters].sort((a, b) => b.members.length - a.members.length);
+    const totalObjects = sorted.reduce((sum, cluster) => sum + cluster.members.length, 0);
+    const maxRowWidth = Math.max(1600, Math.sqrt(totalObjects) * NODE_SPACING_X * 1.6);
+
+    let offsetX = 0;
+    let offsetY = 0;
+    let rowHeight = 0;
+
+    for (const cluster of sorted) {
+        const members = [...cluster.members].sort((a, b) => getDegree(b) - getDegree(a));
+        const columns = Math.max(1, Math.ceil(Math.sqrt(members.length * 1.5)));
+        const rows = Math.ceil(members.length / columns);
+        const width = columns * NODE_SPACING_X;
+        const height = rows * NODE_SPACING_Y;
+
+        if (offsetX > 0 && offsetX + width > maxRowWidth) {
+            offsetX = 0;
+            offsetY += rowHeight + CLUSTER_GAP;
+            rowHeight = 0;
+        }
+
+        members.forEach((objectName, index) => {
+            positions[objectName] = {
+                x: offsetX + (index % columns) * NODE_SPACING_X,
+                y: offsetY + Math.floor(index / columns) * NODE_SPACING_Y
+            };
+        });
+
+        offsetX += width + CLUSTER_GAP;
+        rowHeight = Math.max(rowHeight, height);
+    }
+
+    return {
+        name: 'preset',
+        positions: node => positions[node.id()],
+        fit: true,
+        padding: 50,
+        animate: false
+    };
+}
+
+function getOrgMapStyles() {
+    return [
+        { selector: 'node', style: { 'shape': 'round-rectangle', 'width': 'mapData(degree, 0, 40, 140, 200)', 'height': 'mapData(degree, 0, 40, 44, 70)', 'background-color': CLUSTER_COLORS.standard, 'border-width': 1, 'border-color': '#1e293b', 'label': 'data(label)', 'text-valign': 'center', 'text-halign': 'center', 'color': '#fff', 'font-size': 12, 'font-weight': 600, 'text-wrap': 'ellipsis', 'text-max-width': 130, 'min-zoomed-font-size': MIN_ZOOMED_FONT_SIZE } },
+        { selector: 'node[clusterType = "custom"]', style: { 'background-color': CLUSTER_COLORS.custom } },
+        { selector: 'node[clusterType = "namespace"]', style: { 'background-color': CLUSTER_COLORS.namespace } },
+        { selector: 'node[isCluster = "true"]', style: { 'shape': 'round-rectangle', 'background-opacity': 0.06, 'border-width': 2, 'border-style': 'dashed', 'border-color': '#94a3b8', 'label': 'data(label)', 'text-valign': 'top', 'text-halign': 'center', 'color': '#334155', 'font-size': 36, 'font-weight': 700, 'padding': 40, 'min-zoomed-font-size': 0 } },
+        { selector: 'edge', style: { 'curve-style': 'haystack', 'haystack-radius': 0, 'width': 1, 'line-color': '#94a3b8', 'opacity': 0.35 } },
+        { selector: 'edge[relationshipType = "masterDetail"]', style: { 'line-color': '#dc2626' } },
+        { selector: '.org-faded', style: { 'opacity': 0.08 } },
+        { selector: 'node.org-focus', style: { 'border-color': '#f59e0b', 'border-width': 4, 'min-zoomed-font-size': 0 } },
+        { selector: 'edge.org-focus', style: { 'opacity': 1, 'width': 2, 'z-index': 10 } },
+        { selector: 'node.diff-unchanged[isCluster = "false"]', style: { 'opacity': 0.3 } },
+        { selector: 'node.diff-added', style: { 'border-color': '#16a34a', 'border-width': 5 } },
+        { selector: 'node.diff-removed', style: { 'border-color': '#dc2626', 'border-width': 5, 'border-style': 'dashed' } },
+        { selector: 'node.diff-changed', style: { 'border-color': '#f59e0b', 'border-width': 5 } }
+    ];
+}
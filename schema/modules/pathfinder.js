@@ -0,0 +1,176 @@
+/**
+ * Salesforce Schema Explorer - Relationship Path Finder
+ * Computes the shortest chain of lookup/master-detail edges between two objects.
+ */
+
+import { state } from './state.js';
+import { logger } from './utils.js';
+import { ensureObjectsDescribed } from './api.js';
+import { isObjectDescribed, getParentRelationshipName, getChildRelationshipName } from './data.js';
+import { isObjectExcluded } from './excludedObjects.js';
+
+// Maximum number of relationship hops explored before giving up
+export const MAX_PATH_DEPTH = 5;
+
+// Upper bound on objects described per BFS level (keeps large orgs from fanning out)
+const MAX_DESCRIBES_PER_LEVEL = 150;
+
+// =============================================================================
+// PATH SEARCH
+// =============================================================================
+
+/**
+ * Finds the shortest relationship path between two objects.
+ * Child-to-parent paths are preferred because they can be written as a single
+ * SOQL dot-notation traversal (e.g. `Contact.Account.Owner`). If none exists within
+ * the depth limit, paths that also walk parent-to-child relationships are considered.
+ * Missing describes are fetched through the background as the search expands.
+ * @param {string} sourceName - The starting object API name.
+ * @param {string} targetName - The destination object API name.
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=MAX_PATH_DEPTH] - Maximum number of hops.
+ * @returns {Promise<Object|null>} The path ({ source, target, steps, traversable, soqlPath }) or null.
+ */
+export async function findRelationshipPath(sourceName, targetName, { maxDepth = MAX_PATH_DEPTH } = {}) {
+    if (!sourceName || !targetName) return null;
+
+    if (sourceName === targetName) {
+        return buildPathResult(sourceName, targetName, []);
+    }
+
+    logger.info('[PathFinder:find] Searching relationship path', { source: sourceName, target: targetName, maxDepth });
+
+    const upwardSteps = await searchPath(sourceName, targetName, maxDepth, false);
+    if (upwardSteps) return buildPathResult(sourceName, targetName, upwardSteps);
+
+    const mixedSteps = await searchPath(sourceName, targetName, maxDepth, true);
+    if (mixedSteps) return buildPathResult(sourceName, targetName, mixedSteps);
+
+    logger.info('[PathFinder:find] No path found', { source: sourceName, target: targetName });
+    return null;
+}
+
+/**
+ * Level-by-level BFS over the cached edges, describing each frontier before expanding it.
+ * @param {string} sourceName - The starting object.
+ * @param {string} targetName - The destination object.
+ * @param {number} maxDepth - Maximum number of hops.
+ * @param {boolean} allowDownward - Whether parent-to-child steps are allowed.
+ * @returns {Promise<Array<Object>|null>} The list of steps, or null if no path was found.
+ */
+async function searchPath(sourceName, targetName, maxDepth, allowDownward) {
+    const previous = new Map([[sourceName, null]]);
+    let frontier = [sourceName];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+        await describeFrontier(frontier);
+
+        const edgesList = Object.values(state.edges || {});
+        const frontierSet = new Set(frontier);
+        const nextFrontier = [];
+
+        for (const edge of edgesList) {
+            if (edge.source === edge.target) continue;
+
+            const candidates = [];
+            if (frontierSet.has(edge.source)) candidates.push({ from: edge.source, to: edge.target, direction: 'up' });
+            if (allowDownward && frontierSet.has(edge.target)) candidates.push({ from: edge.target, to: edge.source, direction: 'down' });
+
+            for (const step of candidates) {
+                if (previous.has(step.to)) continue;
+                if (step.to !== targetName && isObjectExcluded(step.to)) continue;
+
+                previous.set(step.to, { ...step, edge });
+                if (step.to === targetName) return unwindPath(previous, targetName);
+                nextFrontier.push(step.to);
+            }
+        }
+
+        frontier = nextFrontier;
+    }
+
+    return null;
+}
+
+/**
+ * Ensures every object on the BFS frontier has a full describe.
+ * @param {Array<string>} frontier - Object API names about to be expanded.
+ * @returns {Promise<void>}
+ */
+async function describeFrontier(frontier) {
+    const missing = frontier.filter(objectName => !isObjectDescribed(objectName)).slice(0, MAX_DESCRIBES_PER_LEVEL);
+    if (missing.length === 0) return;
+
+    try {
+        await ensureObjectsDescribed(missing);
+    } catch (error) {
+        logger.warn('[PathFinder:describe] Failed to describe frontier', { count: missing.length, error: error.message });
+    }
+}
+
+/**
+ * Walks the BFS predecessor map back from the target to build the ordered steps.
+ * @param {Map<string, Object|null>} previous - Predecessor map.
+ * @param {string} targetName - The destination object.
+ * @returns {Array<Object>} Ordered steps from source to target.
+ */
+function unwindPath(previous, targetName) {
+    const steps = [];
+    let current = previous.get(targetName);
+    while (current) {
+        steps.unshift(current);
+        current = previous.get(current.from);
+    }
+    return steps;
+}
+
+// =============================================================================
+// RESULT FORMATTING
+// =============================================================================
+
+/**
+ * Converts raw BFS steps into a displayable path with SOQL relationship names.
+ * @param {string} sourceName - The starting object.
+ * @param {string} targetName - The destination object.
+ * @param {Array<Object>} steps - Raw BFS steps.
+ * @returns {Object} The formatted path.
+ */
+function buildPathResult(sourceName, targetName, steps) {
+    const formattedSteps = steps.map(step => {
+        const relationshipName = step.direction === 'up'
+            ? getParentRelationshipName(step.edge)
+            : getChildRelationshipName(step.edge);
+
+        return {
+            from: step.from,
+            to: step.to,
+            direction: step.direction,
+            fieldName: step.edge.fieldName,
+            relationshipName: relationshipName || `${step.edge.source}.${step.edge.fieldName}`,
+            isMasterDetail: step.edge.isMasterDetail === true,
+            edgeId: step.edge.id
+        };
+    });
+
+    const traversable = formattedSteps.every(step => step.direction === 'up');
+
+    return {
+        source: sourceName,
+        target: targetName,
+        steps: formattedSteps,
+        traversable,
+        soqlPath: traversable
+            ? [sourceName, ...formattedSteps.map(step => step.relationshipName)].join('.')
+            : null
+    };
+}
+
+/**
+ * Formats a path as readable text (used for non-traversable, mixed-direction paths).
+ * @param {Object} path - The path returned by findRelationshipPath.
+ * @returns {string} e.g. `Account → Contacts ↓ → Owner ↑`
+ */
+export function formatPathText(path) {
+    if (path.soqlPath) return path.soqlPath;
+    return [path.source, ...path.steps.map(step => `${step.relationshipName} ${step.direction === 'up' ? '↑' : '↓'}`)].join(' → ');
+}
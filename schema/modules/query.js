@@ -0,0 +1,115 @@
+/**
+ * Salesforce Schema Explorer - Query Console
+ * Validates SOQL for the read-only console, applies the row limit and flattens query results into table rows.
+ */
+
+// Default and maximum number of rows fetched by the console
+export const DEFAULT_ROW_LIMIT = 200;
+export const MAX_ROW_LIMIT = 2000;
+
+// Trailing clauses of the outer query, in SOQL order: `LIMIT n`, `OFFSET n`, `FOR VIEW|REFERENCE`
+const TRAILING_CLAUSES_PATTERN = /(?:(\s+)LIMIT\s+(\d+))?((?:\s+OFFSET\s+\d+)?(?:\s+FOR\s+(?:VIEW|REFERENCE))?)\s*$/i;
+
+// `SELECT COUNT() FROM Object` without filters: the result is the object's record count
+const OBJECT_COUNT_PATTERN = /^SELECT\s+COUNT\(\s*\)\s+FROM\s+(\w+)\s*$/i;
+
+/**
+ * Checks that a query can be run by the console and applies the row limit: a LIMIT above
+ * the row limit is lowered, a query without one gets it ahead of any OFFSET or FOR VIEW/REFERENCE.
+ * @param {string} soql - The query typed by the user.
+ * @param {number} [rowLimit=DEFAULT_ROW_LIMIT] - The number of rows to fetch at most.
+ * @returns {{soql: string, isCount: boolean}} The query to run; isCount for `SELECT COUNT()` queries.
+ * @throws {Error} If the query is empty, not a SELECT statement or writes (FOR UPDATE, UPDATE TRACKING/VIEWSTAT).
+ */
+export function prepareQuery(soql, rowLimit = DEFAULT_ROW_LIMIT) {
+    const trimmed = String(soql ?? '').trim().replace(/;\s*$/, '');
+    if (!trimmed) throw new Error('Enter a SOQL query.');
+    if (!/^SELECT\s/i.test(trimmed)) throw new Error('Only SELECT queries can be run.');
+    if (/\bFOR\s+UPDATE\b/i.test(trimmed)) throw new Error('FOR UPDATE locks records and is not allowed here.');
+    if (/\bUPDATE\s+(?:TRACKING|VIEWSTAT)\b/i.test(trimmed)) throw new Error('UPDATE TRACKING and UPDATE VIEWSTAT write to the org and are not allowed here.');
+
+    const limit = Math.min(Math.max(1, Math.floor(rowLimit) || DEFAULT_ROW_LIMIT), MAX_ROW_LIMIT);
+    const isCount = /^SELECT\s+COUNT\(\s*\)\s/i.test(trimmed);
+
+    // COUNT() returns a single number; a LIMIT would cap the count
+    if (isCount) return { soql: trimmed, isCount };
+
+    const [clauses, limitSpacing, currentLimit, followingClauses] = trimmed.match(TRAILING_CLAUSES_PATTERN);
+    if (currentLimit !== undefined && Number(currentLimit) <= limit) return { soql: trimmed, isCount };
+
+    const head = trimmed.slice(0, trimmed.length - clauses.length);
+    return { soql: `${head}${limitSpacing ?? '\n'}LIMIT ${limit}${followingClauses}`, isCount };
+}
+
+/**
+ * Gets the object whose total record count a query returns (`SELECT COUNT() FROM Object`).
+ * @param {string} soql - The query.
+ * @returns {string|null} The object API name, or null for any other query.
+ */
+export function getCountedObject(soql) {
+    return String(soql ?? '').trim().replace(/;\s*$/, '').match(OBJECT_COUNT_PATTERN)?.[1] || null;
+}
+
+// =============================================================================
+// RESULT FLATTENING
+// =============================================================================
+
+/**
+ * Flattens query records into table rows: parent relationships become dotted columns
+ * (`Account.Owner.Name`) and child subqueries a single column holding their records.
+ * @param {Array<Object>} records - The records of a query response.
+ * @returns {{columns: Array<string>, rows: Array<Object<string, *>>}} Columns in first-seen order.
+ */
+export function flattenRecords(records) {
+    const columns = [];
+    const seenColumns = new Set();
+
+    const addColumn = (column) => {
+        if (seenColumns.has(column)) return;
+        seenColumns.add(column);
+        columns.push(column);
+    };
+
+    const flattenInto = (row, record, prefix) => {
+        for (const [key, value] of Object.entries(record)) {
+            if (key === 'attributes') continue;
+            const column = prefix ? `${prefix}.${key}` : key;
+
+            if (value && typeof value === 'object' && Array.isArray(value.records)) {
+                addColumn(column);
+                row[column] = value.records;
+            } else if (value && typeof value === 'object' && value.attributes) {
+                flattenInto(row, value, column);
+            } else {
+                addColumn(column);
+                row[column] = value;
+            }
+        }
+    };
+
+    const rows = (records || []).map(record => {
+        const row = {};
+        flattenInto(row, record, '');
+        return row;
+    });
+
+    // An empty parent (`Account: null`) is not a column of its own when other rows have its fields
+    const parentColumns = columns.filter(column =>
+        columns.some(other => other.startsWith(`${column}.`)) && rows.every(row => row[column] === null || row[column] === undefined)
+    );
+
+    return { columns: columns.filter(column => !parentColumns.includes(column)), rows };
+}
+
+/**
+ * Formats a flattened cell for display: child records as a count, objects (addresses,
+ * locations) as JSON and empty values as an empty string.
+ * @param {*} value - The cell value.
+ * @returns {string} The display text.
+ */
+export function formatCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return `${value.length} record${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
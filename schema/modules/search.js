@@ -187,6 +187,7 @@ export function clearSchema() {
     }
 
     state.objectApiName = null;
+    state.graphMode = 'object';
     state.relationships = { outgoing: { lookup: [], masterDetail: [] }, incoming: { lookup: [], masterDetail: [] } };
     state.excludedRelationships = { outgoing: { lookup: [], masterDetail: [] }, incoming: { lookup: [], masterDetail: [] } };
 
@@ -0,0 +1,228 @@
+/**
+ * Salesforce Schema Explorer - SOQL Builder
+ * Builds SELECT statements from selected fields, relationship traversals, filters and sorting.
+ */
+
+import { state } from './state.js';
+import { getFieldTypeCategory, getChildRelationshipName } from './data.js';
+
+// SOQL allows up to 5 levels of child-to-parent traversal
+export const MAX_PARENT_DEPTH = 5;
+
+/**
+ * Filter operators. `soql` is the SOQL operator; `hasValue` is false for null checks;
+ * `isList` operators take a comma-separated list of values.
+ */
+export const SOQL_OPERATORS = {
+    eq: { label: 'equals', soql: '=', hasValue: true },
+    ne: { label: 'not equal to', soql: '!=', hasValue: true },
+    lt: { label: 'less than', soql: '<', hasValue: true },
+    le: { label: 'less or equal', soql: '<=', hasValue: true },
+    gt: { label: 'greater than', soql: '>', hasValue: true },
+    ge: { label: 'greater or equal', soql: '>=', hasValue: true },
+    contains: { label: 'contains', soql: 'LIKE', hasValue: true },
+    startsWith: { label: 'starts with', soql: 'LIKE', hasValue: true },
+    in: { label: 'in (a, b)', soql: 'IN', hasValue: true, isList: true },
+    notIn: { label: 'not in (a, b)', soql: 'NOT IN', hasValue: true, isList: true },
+    includes: { label: 'includes (a, b)', soql: 'INCLUDES', hasValue: true, isList: true },
+    excludes: { label: 'excludes (a, b)', soql: 'EXCLUDES', hasValue: true, isList: true },
+    isNull: { label: 'is empty', soql: '=', hasValue: false },
+    isNotNull: { label: 'is not empty', soql: '!=', hasValue: false }
+};
+
+// Operators offered per field type category (see getFieldTypeCategory)
+const OPERATORS_BY_CATEGORY = {
+    'Text': ['eq', 'ne', 'contains', 'startsWith', 'in', 'notIn', 'isNull', 'isNotNull'],
+    'Number': ['eq', 'ne', 'lt', 'le', 'gt', 'ge', 'in', 'notIn', 'isNull', 'isNotNull'],
+    'Date/Time': ['eq', 'ne', 'lt', 'le', 'gt', 'ge', 'isNull', 'isNotNull'],
+    'Checkbox': ['eq', 'ne'],
+    'ID': ['eq', 'ne', 'in', 'notIn'],
+    'Lookup': ['eq', 'ne', 'in', 'notIn', 'isNull', 'isNotNull'],
+    'Master-Detail': ['eq', 'ne', 'in', 'notIn'],
+    'Picklist': ['eq', 'ne', 'in', 'notIn', 'isNull', 'isNotNull']
+};
+
+const MULTIPICKLIST_OPERATORS = ['eq', 'ne', 'includes', 'excludes', 'isNull', 'isNotNull'];
+
+// SOQL date literals, written unquoted (TODAY, THIS_FISCAL_QUARTER...)
+const DATE_LITERALS = new Set([
+    'YESTERDAY', 'TODAY', 'TOMORROW',
+    'LAST_WEEK', 'THIS_WEEK', 'NEXT_WEEK',
+    'LAST_MONTH', 'THIS_MONTH', 'NEXT_MONTH',
+    'LAST_90_DAYS', 'NEXT_90_DAYS',
+    'LAST_QUARTER', 'THIS_QUARTER', 'NEXT_QUARTER',
+    'LAST_YEAR', 'THIS_YEAR', 'NEXT_YEAR',
+    'LAST_FISCAL_QUARTER', 'THIS_FISCAL_QUARTER', 'NEXT_FISCAL_QUARTER',
+    'LAST_FISCAL_YEAR', 'THIS_FISCAL_YEAR', 'NEXT_FISCAL_YEAR'
+]);
+
+// Date literals that take a number of units (LAST_N_DAYS:30, N_FISCAL_YEARS_AGO:2)
+const DATE_LITERALS_WITH_COUNT = new Set(
+    ['DAYS', 'WEEKS', 'MONTHS', 'QUARTERS', 'YEARS', 'FISCAL_QUARTERS', 'FISCAL_YEARS']
+        .flatMap(unit => [`LAST_N_${unit}`, `NEXT_N_${unit}`, `N_${unit}_AGO`])
+);
+
+// =============================================================================
+// FIELDS AND RELATIONSHIPS
+// =============================================================================
+
+/**
+ * Gets the fields of an object, sorted by API name.
+ * @param {string} objectName - The object API name.
+ * @returns {Array<Object>} The field metadata.
+ */
+export function getObjectFields(objectName) {
+    const nodeFields = Object.values(state.nodes?.[objectName]?.fields || {});
+    const fields = nodeFields.length > 0 ? nodeFields : (state.metadata.get(objectName)?.fields || []);
+    return [...fields].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets the child-to-parent relationships of an object (lookup and master-detail fields).
+ * @param {string} objectName - The object API name.
+ * @returns {Array<{relationshipName: string, fieldName: string, targets: Array<string>}>}
+ */
+export function getParentRelationships(objectName) {
+    return getObjectFields(objectName)
+        .filter(field => field.type === 'reference' && field.relationshipName && field.referenceTo?.length)
+        .map(field => ({ relationshipName: field.relationshipName, fieldName: field.name, targets: field.referenceTo }));
+}
+
+/**
+ * Gets the parent-to-child relationships of an object usable in subqueries.
+ * @param {string} objectName - The object API name.
+ * @returns {Array<{relationshipName: string, childObject: string, fieldName: string}>} Sorted by name.
+ */
+export function getChildRelationships(objectName) {
+    const relationships = new Map();
+    for (const edge of Object.values(state.edges || {})) {
+        if (edge.target !== objectName) continue;
+        const relationshipName = getChildRelationshipName(edge);
+        if (relationshipName && !relationships.has(relationshipName)) {
+            relationships.set(relationshipName, { relationshipName, childObject: edge.source, fieldName: edge.fieldName });
+        }
+    }
+    return [...relationships.values()].sort((a, b) => a.relationshipName.localeCompare(b.relationshipName));
+}
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+/**
+ * Gets the operators that apply to a field, based on its type category.
+ * @param {Object} field - The field metadata.
+ * @returns {Array<string>} Keys of SOQL_OPERATORS.
+ */
+export function getOperatorsForField(field) {
+    if (field.type === 'multipicklist') return MULTIPICKLIST_OPERATORS;
+    return OPERATORS_BY_CATEGORY[getFieldTypeCategory(field)] || ['eq', 'ne', 'isNull', 'isNotNull'];
+}
+
+/**
+ * Formats a single value as a SOQL literal for a field.
+ * @param {Object} field - The field metadata.
+ * @param {string} value - The raw value typed by the user.
+ * @returns {string|null} The literal, or null if the value is not valid for the field.
+ */
+export function formatSoqlValue(field, value) {
+    const trimmed = String(value ?? '').trim();
+
+    switch (field.type) {
+        case 'int':
+        case 'double':
+        case 'currency':
+        case 'percent':
+            return trimmed !== '' && Number.isFinite(Number(trimmed)) ? trimmed : null;
+        case 'boolean':
+            return /^(true|false)$/i.test(trimmed) ? trimmed.toLowerCase() : null;
+        case 'date':
+            if (isDateLiteral(trimmed)) return trimmed.toUpperCase();
+            return /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? trimmed : null;
+        case 'datetime':
+            if (isDateLiteral(trimmed)) return trimmed.toUpperCase();
+            if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return `${trimmed}T00:00:00Z`;
+            if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(trimmed)) return `${trimmed}:00Z`;
+            return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(trimmed) ? trimmed : null;
+        case 'time':
+            return /^\d{2}:\d{2}(:\d{2}(\.\d{3})?)?Z?$/.test(trimmed) ? trimmed : null;
+        default:
+            return quote(trimmed);
+    }
+}
+
+function escapeSoqlString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function quote(text) {
+    return `'${escapeSoqlString(text)}'`;
+}
+
+function isDateLiteral(text) {
+    const [name, count, ...rest] = text.toUpperCase().split(':');
+    if (rest.length > 0) return false;
+    if (count === undefined) return DATE_LITERALS.has(name);
+    return DATE_LITERALS_WITH_COUNT.has(name) && /^\d+$/.test(count);
+}
+
+/**
+ * Formats a filter condition as a SOQL expression.
+ * @param {Object} field - The field metadata.
+ * @param {Object} condition - { fieldPath, operator, value }.
+ * @returns {string|null} The expression, or null if incomplete or invalid.
+ */
+export function formatCondition(field, { fieldPath, operator, value }) {
+    const definition = SOQL_OPERATORS[operator];
+    if (!field || !definition) return null;
+
+    if (!definition.hasValue) return `${fieldPath} ${definition.soql} null`;
+
+    if (operator === 'contains' || operator === 'startsWith') {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+        const pattern = escapeSoqlString(text).replace(/([%_])/g, '\\$1');
+        return `${fieldPath} LIKE '${operator === 'contains' ? `%${pattern}%` : `${pattern}%`}'`;
+    }
+
+    if (definition.isList) {
+        const values = String(value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+        const literals = values.map(item => formatSoqlValue(field, item));
+        if (literals.length === 0 || literals.includes(null)) return null;
+        return `${fieldPath} ${definition.soql} (${literals.join(', ')})`;
+    }
+
+    const literal = formatSoqlValue(field, value);
+    return literal === null ? null : `${fieldPath} ${definition.soql} ${literal}`;
+}
+
+// =============================================================================
+// QUERY
+// =============================================================================
+
+/**
+ * Builds a SOQL SELECT statement.
+ * @param {Object} query
+ * @param {string} query.objectName - The FROM object.
+ * @param {Array<string>} [query.fields=[]] - Field paths (e.g. `Name`, `Account.Owner.Email`); Id if empty.
+ * @param {Array<{relationshipName: string, fields: Array<string>}>} [query.subqueries=[]] - Child subqueries.
+ * @param {Array<string>} [query.conditions=[]] - Formatted filter expressions.
+ * @param {string} [query.conjunction='AND'] - 'AND' or 'OR' between conditions.
+ * @param {Array<{fieldPath: string, direction: string}>} [query.orderBy=[]] - Sort fields.
+ * @param {number|null} [query.limit=null] - Maximum number of rows.
+ * @returns {string} The query.
+ */
+export function buildSoqlQuery({ objectName, fields = [], subqueries = [], conditions = [], conjunction = 'AND', orderBy = [], limit = null }) {
+    const selectItems = [...new Set(fields.length > 0 ? fields : ['Id'])];
+
+    subqueries
+        .filter(subquery => subquery.fields.length > 0)
+        .forEach(subquery => selectItems.push(`(SELECT ${subquery.fields.join(', ')} FROM ${subquery.relationshipName})`));
+
+    const lines = [`SELECT ${selectItems.join(', ')}`, `FROM ${objectName}`];
+    if (conditions.length > 0) lines.push(`WHERE ${conditions.join(` ${conjunction} `)}`);
+    if (orderBy.length > 0) lines.push(`ORDER BY ${orderBy.map(sort => `${sort.fieldPath} ${sort.direction}`).join(', ')}`);
+    if (limit) lines.push(`LIMIT ${limit}`);
+
+    return lines.join('\n');
+}
@@ -18,6 +18,19 @@ export const state = {
     nodes: {},
     edges: {},
 
+    // Record counts per object API name (query console, record count overlay), shown on graph nodes
+    recordCounts: new Map(),
+
+    // Whether graph nodes are sized and colored by record count
+    recordCountOverlay: false,
+
+    // Whether junction objects are drawn as many-to-many edges between their parents,
+    // and the junctions expanded back into nodes while collapsing is on
+    collapseJunctions: false,
+    expandedJunctions: new Set(),
+
+    // Whether the object graph is drawn as an ERD (field compartments, layered layout)
+    erdLayout: false,
 
     // User-excluded objects (Set of object API names)
     userExcludedObjects: new Set(),
@@ -25,13 +38,34 @@ export const state = {
     // Object popover selection state (Set of object API names being toggled)
     objectPopoverSelection: new Set(),
 
+    // Graph mode: 'object' (root neighborhood), 'org' (whole-org map) or 'fields' (field dependencies)
+    graphMode: 'object',
+
+    // Field analyzed in 'fields' mode ({ objectName, fieldName }), or null
+    dependencyField: null,
+
+    // True once an org crawl finished this session (every object described or attempted)
+    orgCrawled: false,
+
     // Active view tab: 'outgoing', 'incoming', or 'all'
     activeRelationshipView: 'outgoing',
 
+    // Multi-hop expansion: neighbor nodes whose own relationships are rendered
+    expandedNodes: new Set(),
+    expansionDepth: 1,
+
+    // Background loading operations in flight (drives the cache status indicator)
+    activeLoadingOperations: 0,
+
     // Field Panel State
     currentPanelFields: [],
     currentPanelObject: null,
     selectedTypes: new Set(),
+    // Fields checked in the details panel, for the SOQL builder
+    selectedFields: new Set(),
+
+    // Tool panel currently shown (e.g. 'path-finder'), or null
+    activeTool: null,
 
     // UI Interaction State
     filterDropdownOpen: false,
@@ -43,11 +77,20 @@ export const elements = {
     // Main Content Areas
     get emptyState() { return document.getElementById('empty-state'); },
     get loading() { return document.getElementById('loading'); },
+    get loadingText() { return document.getElementById('loading-text'); },
+    get loadingCancel() { return document.getElementById('loading-cancel'); },
     get error() { return document.getElementById('error'); },
     get errorMessage() { return document.getElementById('error-message'); },
     get cyContainer() { return document.getElementById('cy'); },
     get apiVersion() { return document.getElementById('api-version'); },
 
+    // Mode Banner (org map, field dependencies)
+    get modeBanner() { return document.getElementById('mode-banner'); },
+    get modeBannerTitle() { return document.getElementById('mode-banner-title'); },
+    get modeBannerStats() { return document.getElementById('mode-banner-stats'); },
+    get modeBannerBack() { return document.getElementById('mode-banner-back'); },
+    get modeBannerCrawl() { return document.getElementById('mode-banner-crawl'); },
+
     // Object Search
     get objectSearchInput() { return document.getElementById('object-search-input'); },
     get objectSearchClear() { return document.getElementById('object-search-clear'); },
@@ -57,8 +100,23 @@ export const elements = {
     get btnFit() { return document.getElementById('btn-fit'); },
     get btnCenter() { return document.getElementById('btn-center'); },
     get btnLayout() { return document.getElementById('btn-layout'); },
+    get expandDepthSelect() { return document.getElementById('expand-depth'); },
+    get recordCountToggle() { return document.getElementById('record-count-toggle'); },
+    get recordCountStatus() { return document.getElementById('record-count-status'); },
+    get junctionToggle() { return document.getElementById('junction-toggle'); },
+    get erdToggle() { return document.getElementById('erd-toggle'); },
     get retryBtn() { return document.getElementById('retry-btn'); },
 
+    // Header Menus
+    get btnOrgMap() { return document.getElementById('btn-org-map'); },
+    get btnExport() { return document.getElementById('btn-export'); },
+    get exportMenu() { return document.getElementById('export-menu'); },
+    get exportFullCheckbox() { return document.getElementById('export-full'); },
+    get btnViews() { return document.getElementById('btn-views'); },
+    get viewsMenu() { return document.getElementById('views-menu'); },
+    get btnTools() { return document.getElementById('btn-tools'); },
+    get toolsMenu() { return document.getElementById('tools-menu'); },
+
     // Legend
     get legend() { return document.getElementById('legend'); },
     get lookupCount() { return document.getElementById('legend-lookup-count'); },
@@ -88,11 +146,21 @@ export const elements = {
     get detailsTitle() { return document.getElementById('details-title'); },
     get detailsApiName() { return document.getElementById('details-api-name'); },
     get detailsDescription() { return document.getElementById('details-description'); },
+    get detailsDocumentationError() { return document.getElementById('details-documentation-error'); },
+    get detailsDocumentationRetry() { return document.getElementById('details-documentation-retry'); },
     get detailsFieldCount() { return document.getElementById('details-field-count'); },
     get detailsFields() { return document.getElementById('details-fields'); },
     get detailsClose() { return document.getElementById('details-close'); },
     get objectManagerLink() { return document.getElementById('object-manager-link'); },
     get fieldSearch() { return document.getElementById('field-search'); },
+    get soqlBuilderBtn() { return document.getElementById('soql-builder-btn'); },
+    get soqlSelectedCount() { return document.getElementById('soql-selected-count'); },
+
+    // Tool Panel
+    get toolPanel() { return document.getElementById('tool-panel'); },
+    get toolPanelTitle() { return document.getElementById('tool-panel-title'); },
+    get toolPanelBody() { return document.getElementById('tool-panel-body'); },
+    get toolPanelClose() { return document.getElementById('tool-panel-close'); },
 
     // Type Filter
     get typeFilterTrigger() { return document.getElementById('type-filter-trigger'); },
@@ -93,3 +93,75 @@ export function loadObjectExclusions(instanceUrl, rootObjectName) {
     return new Set();
 }
 
+
+/**
+ * Helper: Gets the storage key of the saved views of a root object.
+ */
+function getSavedViewsKey(instanceUrl, rootObjectName) {
+    return `${STORAGE_PREFIX}${getStorageIdentifier(instanceUrl)}_${rootObjectName}_saved_views`;
+}
+
+/**
+ * Load the saved graph views of a specific root object
+ * PERMANENT STORAGE (No Expiration)
+ * @param {string} instanceUrl - The Salesforce instance URL (for scoping)
+ * @param {string} rootObjectName - The API name of the root object
+ * @returns {Array<Object>} The saved views, sorted by name
+ */
+export function loadSavedViews(instanceUrl, rootObjectName) {
+    if (!rootObjectName) return [];
+
+    try {
+        const data = localStorage.getItem(getSavedViewsKey(instanceUrl, rootObjectName));
+        const views = data ? JSON.parse(data) : {};
+        return Object.values(views).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (e) {
+        logger.error('[Storage:loadViews] Load failed', { error: e.message });
+        return [];
+    }
+}
+
+/**
+ * Save a graph view of a specific root object, replacing the view with the same name
+ * PERMANENT STORAGE (No Expiration)
+ * @param {string} instanceUrl - The Salesforce instance URL (for scoping)
+ * @param {string} rootObjectName - The API name of the root object
+ * @param {Object} view - The view snapshot (must have a `name`)
+ * @returns {boolean} True if the view was stored
+ */
+export function saveSavedView(instanceUrl, rootObjectName, view) {
+    if (!rootObjectName || !view?.name) return false;
+
+    const key = getSavedViewsKey(instanceUrl, rootObjectName);
+
+    try {
+        const views = JSON.parse(localStorage.getItem(key) || '{}');
+        views[view.name] = view;
+        localStorage.setItem(key, JSON.stringify(views));
+        logger.debug('[Storage:saveView] Saved graph view', { object: rootObjectName, view: view.name });
+        return true;
+    } catch (e) {
+        logger.error('[Storage:saveView] Save failed', { error: e.message });
+        return false;
+    }
+}
+
+/**
+ * Delete a saved graph view of a specific root object
+ * @param {string} instanceUrl - The Salesforce instance URL (for scoping)
+ * @param {string} rootObjectName - The API name of the root object
+ * @param {string} viewName - The name of the view to delete
+ */
+export function deleteSavedView(instanceUrl, rootObjectName, viewName) {
+    if (!rootObjectName) return;
+
+    const key = getSavedViewsKey(instanceUrl, rootObjectName);
+
+    try {
+        const views = JSON.parse(localStorage.getItem(key) || '{}');
+        delete views[viewName];
+        localStorage.setItem(key, JSON.stringify(views));
+    } catch (e) {
+        logger.error('[Storage:deleteView] Delete failed', { error: e.message });
+    }
+}
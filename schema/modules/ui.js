@@ -8,3 +8,16 @@ export * from './ui/details.js';
 export * from './ui/filters.js';
 export * from './ui/legend.js';
 export * from './ui/popovers.js';
+export * from './ui/tools.js';
+export * from './ui/pathfinder.js';
+export * from './ui/diagrams.js';
+export * from './ui/orgmap.js';
+export * from './ui/fieldgraph.js';
+export * from './ui/orgdiff.js';
+export * from './ui/history.js';
+export * from './ui/impact.js';
+export * from './ui/loadplan.js';
+export * from './ui/lint.js';
+export * from './ui/soql.js';
+export * from './ui/query.js';
+export * from './ui/views.js';
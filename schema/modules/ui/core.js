@@ -18,22 +18,38 @@ export function showEmptyState() {
     elements.error.classList.add('hidden');
     elements.cyContainer.classList.add('hidden');
     elements.legend.classList.add('hidden');
+    elements.modeBanner.classList.add('hidden');
     if (elements.relationshipTabs) elements.relationshipTabs.classList.add('hidden');
     setControlsEnabled(false);
 }
 
 /**
  * Displays the loading state UI.
+ * @param {string} [message='Loading schema...'] - The loading message.
  */
-export function showLoading() {
+export function showLoading(message = 'Loading schema...') {
+    elements.loadingText.textContent = message;
+    elements.loadingCancel.classList.add('hidden');
+    elements.loadingCancel.disabled = false;
     elements.emptyState.classList.add('hidden');
     elements.loading.classList.remove('hidden');
     elements.error.classList.add('hidden');
     elements.cyContainer.classList.add('hidden');
     elements.legend.classList.add('hidden');
+    elements.modeBanner.classList.add('hidden');
     if (elements.relationshipTabs) elements.relationshipTabs.classList.add('hidden');
 }
 
+/**
+ * Shows metadata describe progress in the loading view and offers to cancel.
+ * @param {{fetched: number, failed: number, total: number}} progress - Batch progress from the background.
+ */
+export function showLoadingProgress({ fetched, failed, total }) {
+    const failures = failed > 0 ? ` · ${failed} failed` : '';
+    elements.loadingText.textContent = `Loading relationships... ${fetched + failed} / ${total} objects${failures}`;
+    elements.loadingCancel.classList.remove('hidden');
+}
+
 /**
  * Displays an error message.
  * @param {string} message - The error message to display.
@@ -44,6 +60,7 @@ export function showError(message) {
     elements.error.classList.remove('hidden');
     elements.cyContainer.classList.add('hidden');
     elements.legend.classList.add('hidden');
+    elements.modeBanner.classList.add('hidden');
     if (elements.relationshipTabs) elements.relationshipTabs.classList.add('hidden');
     elements.errorMessage.textContent = message;
     setControlsEnabled(false);
@@ -51,14 +68,20 @@ export function showError(message) {
 
 /**
  * Displays the graph UI.
+ * The org map and the field dependency graph replace the root-centric legend and
+ * relationship tabs with the mode banner.
  */
 export function showGraph() {
+    const hasModeBanner = state.graphMode !== 'object';
+
     elements.emptyState.classList.add('hidden');
     elements.loading.classList.add('hidden');
     elements.error.classList.add('hidden');
     elements.cyContainer.classList.remove('hidden');
-    elements.legend.classList.remove('hidden');
-    if (elements.relationshipTabs) elements.relationshipTabs.classList.remove('hidden');
+    elements.legend.classList.toggle('hidden', hasModeBanner);
+    elements.modeBanner.classList.toggle('hidden', !hasModeBanner);
+    elements.modeBanner.dataset.mode = state.graphMode;
+    if (elements.relationshipTabs) elements.relationshipTabs.classList.toggle('hidden', hasModeBanner);
     setControlsEnabled(true);
 }
 
@@ -70,8 +93,40 @@ export function setControlsEnabled(enabled) {
     elements.btnFit.disabled = !enabled;
     elements.btnCenter.disabled = !enabled;
     elements.btnLayout.disabled = !enabled;
+    elements.btnViews.disabled = !enabled;
+    elements.btnExport.disabled = !enabled;
+}
+
+// =============================================================================
+// HEADER MENUS
+// =============================================================================
+
+/**
+ * Toggles a header dropdown menu, closing any other open menu.
+ * @param {HTMLElement} trigger - The button that opens the menu.
+ * @param {HTMLElement} menu - The menu list element.
+ */
+export function toggleHeaderMenu(trigger, menu) {
+    const isOpen = !menu.classList.contains('hidden');
+    closeHeaderMenus();
+    if (isOpen) return;
+
+    menu.classList.remove('hidden');
+    trigger.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Closes all open header dropdown menus.
+ */
+export function closeHeaderMenus() {
+    document.querySelectorAll('.header-menu__list').forEach(menu => menu.classList.add('hidden'));
+    document.querySelectorAll('.header-menu__trigger').forEach(trigger => trigger.setAttribute('aria-expanded', 'false'));
 }
 
+// =============================================================================
+// CACHE STATUS
+// =============================================================================
+
 /**
  * Signals the start of a background loading operation.
  */
@@ -4,12 +4,16 @@
  */
 
 import { state, elements } from '../state.js';
-import { escapeHtml } from '../utils.js';
+import { escapeHtml, logger } from '../utils.js';
+import { fetchObjectDocumentation } from '../api.js';
 import {
     getFieldTypeCategory,
     getFieldTypeDisplay,
     getFieldAttributes,
     isMasterDetailField,
+    isPicklistField,
+    getPicklistDependencyMatrix,
+    isObjectDescribed,
     getObjectManagerFieldsUrl,
     getObjectManagerUrl
 } from '../data.js';
@@ -19,6 +23,14 @@ import {
     closeFilterDropdown,
     applyFilters
 } from './filters.js';
+import { refreshSoqlBuilder, updateSoqlSelectionCount } from './soql.js';
+
+// Fields expanded in the current panel, and picklists showing the dependency matrix
+const expandedFields = new Set();
+const matrixPicklists = new Set();
+
+// Objects whose descriptions failed to load this session: not requested again until a retry
+const documentationFailures = new Set();
 
 // =============================================================================
 // DETAILS PANEL
@@ -32,9 +44,12 @@ export function showDetailsPanel(objectApiName) {
     const metadata = state.metadata.get(objectApiName);
     if (!metadata) return;
 
+    if (state.currentPanelObject !== objectApiName) state.selectedFields.clear();
     state.currentPanelObject = objectApiName;
     state.currentPanelFields = metadata.fields;
     state.selectedTypes.clear();
+    expandedFields.clear();
+    matrixPicklists.clear();
 
     elements.detailsTitle.textContent = metadata.label || metadata.name;
     elements.detailsApiName.textContent = objectApiName;
@@ -47,10 +62,48 @@ export function showDetailsPanel(objectApiName) {
     updateActiveFiltersDisplay();
     closeFilterDropdown();
     renderFields(metadata.fields);
+    updateSoqlSelectionCount();
+    refreshSoqlBuilder();
 
     elements.detailsFields.scrollTop = 0;
     elements.detailsPanel.classList.remove('hidden');
     requestAnimationFrame(() => elements.detailsPanel.classList.add('visible'));
+
+    loadDocumentation(objectApiName);
+}
+
+/**
+ * Loads the object and field descriptions (Tooling API, once per cached describe),
+ * then refreshes the panel if it still shows the object. A failure is remembered for the
+ * session and shown with a retry button instead of being requested on every open.
+ */
+async function loadDocumentation(objectApiName) {
+    elements.detailsDocumentationError.classList.toggle('hidden', !documentationFailures.has(objectApiName));
+    if (!isObjectDescribed(objectApiName) || state.nodes[objectApiName].documentedAt || documentationFailures.has(objectApiName)) return;
+
+    try {
+        await fetchObjectDocumentation(objectApiName);
+    } catch (error) {
+        logger.warn('[Details:documentation] Descriptions unavailable', { object: objectApiName, error: error.message });
+        documentationFailures.add(objectApiName);
+        if (state.currentPanelObject === objectApiName) elements.detailsDocumentationError.classList.remove('hidden');
+        return;
+    }
+
+    if (state.currentPanelObject !== objectApiName) return;
+    elements.detailsDescription.textContent = state.metadata.get(objectApiName)?.description || '';
+    applyFilters();
+}
+
+/**
+ * Requests the descriptions of the object shown in the details panel again, after a failure.
+ */
+export function retryDocumentation() {
+    const objectApiName = state.currentPanelObject;
+    if (!objectApiName) return;
+
+    documentationFailures.delete(objectApiName);
+    loadDocumentation(objectApiName);
 }
 
 /**
@@ -71,36 +124,193 @@ export function renderFields(fields) {
         (fieldA.label || fieldA.name).localeCompare(fieldB.label || fieldB.name)
     );
 
-    elements.detailsFields.innerHTML = sorted.map(field => {
-        const typeInfo = getFieldTypeDisplay(field);
-        const fieldAttributes = getFieldAttributes(field);
-
-        let typeHtml;
-        let typeClass = 'field-item__type';
-        if (field.type === 'reference' && field.referenceTo?.length) {
-            const isMasterDetail = isMasterDetailField(field);
-            const refLinks = field.referenceTo
-                .map(targetObject =>
-                    `<a href="${getObjectManagerUrl(targetObject)}" target="_blank" class="field-item__ref-link">${escapeHtml(targetObject)}</a>`
-                )
-                .join(', ');
-            typeHtml = `${isMasterDetail ? 'Master-Detail' : 'Lookup'} (${refLinks})`;
-            if (isMasterDetail) typeClass += ' field-item__type--master-detail';
-        } else {
-            typeHtml = escapeHtml(typeInfo.label);
-        }
-
-        const attributesHtml = fieldAttributes
-            .map(attr => `<span class="field-attr field-attr--${attr.type}">${attr.label}</span>`)
-            .join('');
-
-        return `
-      <div class="field-item" data-type="${escapeHtml(getFieldTypeCategory(field))}">
-        <div class="field-item__label" title="${escapeHtml(field.label || field.name)}">${escapeHtml(field.label || field.name)}</div>
+    elements.detailsFields.innerHTML = sorted.map(renderFieldItem).join('');
+}
+
+/**
+ * Handles clicks in the fields list: selects fields for the SOQL builder, expands rows
+ * (formulas, picklist values), switches dependent picklists to the dependency matrix and
+ * opens the field dependency graph.
+ * @param {MouseEvent} event - The click event.
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onShowFieldDependencies - Called with (objectName, fieldName).
+ */
+export function handleFieldListClick(event, { onShowFieldDependencies }) {
+    const button = event.target.closest('[data-field-action]');
+    if (!button) return;
+
+    const item = button.closest('.field-item');
+    const field = state.currentPanelFields.find(candidate => candidate.name === item.dataset.field);
+    if (!field) return;
+
+    if (button.dataset.fieldAction === 'select') {
+        button.checked ? state.selectedFields.add(field.name) : state.selectedFields.delete(field.name);
+        updateSoqlSelectionCount();
+        refreshSoqlBuilder();
+        return;
+    }
+
+    if (button.dataset.fieldAction === 'dependencies') {
+        onShowFieldDependencies(state.currentPanelObject, field.name);
+        return;
+    }
+
+    if (button.dataset.fieldAction === 'toggle') {
+        expandedFields.has(field.name) ? expandedFields.delete(field.name) : expandedFields.add(field.name);
+    } else {
+        matrixPicklists.has(field.name) ? matrixPicklists.delete(field.name) : matrixPicklists.add(field.name);
+    }
+
+    item.outerHTML = renderFieldItem(field);
+}
+
+function renderFieldItem(field) {
+    const typeInfo = getFieldTypeDisplay(field);
+    const fieldAttributes = getFieldAttributes(field);
+
+    let typeHtml;
+    let typeClass = 'field-item__type';
+    if (field.type === 'reference' && field.referenceTo?.length) {
+        const isMasterDetail = isMasterDetailField(field);
+        const refLinks = field.referenceTo
+            .map(targetObject =>
+                `<a href="${getObjectManagerUrl(targetObject)}" target="_blank" class="field-item__ref-link">${escapeHtml(targetObject)}</a>`
+            )
+            .join(', ');
+        typeHtml = `${isMasterDetail ? 'Master-Detail' : 'Lookup'} (${refLinks})`;
+        if (isMasterDetail) typeClass += ' field-item__type--master-detail';
+    } else {
+        typeHtml = escapeHtml(typeInfo.label);
+    }
+
+    const attributesHtml = fieldAttributes
+        .map(attr => `<span class="field-attr field-attr--${attr.type}">${attr.label}</span>`)
+        .join('');
+
+    const isExpandable = isPicklistField(field) || !!field.calculatedFormula || !!field.defaultValueFormula;
+    const isExpanded = isExpandable && expandedFields.has(field.name);
+    const toggleHtml = isExpandable
+        ? `<button class="field-item__toggle" data-field-action="toggle" aria-expanded="${isExpanded}">${getToggleLabel(field)}</button>`
+        : '';
+
+    const docHtml = field.description || field.inlineHelpText
+        ? `<div class="field-item__doc">
+            ${field.description ? `<p class="field-item__description" title="${escapeHtml(field.description)}">${escapeHtml(field.description)}</p>` : ''}
+            ${field.inlineHelpText ? `<p class="field-item__help" title="Help text">ⓘ ${escapeHtml(field.inlineHelpText)}</p>` : ''}
+          </div>`
+        : '';
+
+    return `
+      <div class="field-item${isExpanded ? ' field-item--expanded' : ''}" data-type="${escapeHtml(getFieldTypeCategory(field))}" data-field="${escapeHtml(field.name)}">
+        <div class="field-item__label" title="${escapeHtml(field.label || field.name)}">
+          <input type="checkbox" class="field-item__checkbox" data-field-action="select" aria-label="Select ${escapeHtml(field.name)} for SOQL" ${state.selectedFields.has(field.name) ? 'checked' : ''}>
+          ${escapeHtml(field.label || field.name)}
+        </div>
         <div class="field-item__api" title="${escapeHtml(field.name)}">${escapeHtml(field.name)}</div>
         <div class="${typeClass}" title="${escapeHtml(typeInfo.label)}">${typeHtml}</div>
-        <div class="field-item__attrs">${attributesHtml}</div>
+        <div class="field-item__attrs">
+          ${attributesHtml}${toggleHtml}
+          <button class="field-item__action" data-field-action="dependencies" title="Formulas and roll-ups using this field">Where used</button>
+        </div>
+        ${docHtml}
+        ${isExpanded ? renderFieldDetails(field) : ''}
       </div>
     `;
-    }).join('');
+}
+
+function getToggleLabel(field) {
+    if (isPicklistField(field)) {
+        return `${field.picklistValues ? `${field.picklistValues.length} values` : 'Values'}${field.dependentPicklist ? ' · Dependent' : ''}`;
+    }
+    return field.calculatedFormula ? 'Formula' : 'Default formula';
+}
+
+/**
+ * Renders the expanded part of a row: formula sources, then picklist values.
+ */
+function renderFieldDetails(field) {
+    const formulaHtml = [
+        { label: 'Formula', source: field.calculatedFormula },
+        { label: 'Default value', source: field.defaultValueFormula }
+    ].filter(formula => formula.source).map(formula => `
+        <div class="field-formula">
+            <span class="field-formula__label">${formula.label}</span>
+            <pre class="field-formula__source">${escapeHtml(formula.source)}</pre>
+        </div>`).join('');
+
+    return `${formulaHtml}${isPicklistField(field) ? renderPicklistDetails(field) : ''}`;
+}
+
+// =============================================================================
+// PICKLIST DETAILS
+// =============================================================================
+
+function renderPicklistDetails(field) {
+    if (!field.picklistValues) {
+        return `<div class="picklist-details">
+            <p class="picklist-details__hint">The describe lists no values for this picklist.</p>
+        </div>`;
+    }
+
+    const controllerField = field.controllerName
+        ? state.currentPanelFields.find(candidate => candidate.name === field.controllerName)
+        : null;
+    const controllerHtml = field.controllerName
+        ? `<p class="picklist-details__hint">Controlled by <strong>${escapeHtml(controllerField?.label || field.controllerName)}</strong> (${escapeHtml(field.controllerName)})</p>`
+        : '';
+
+    const activeCount = field.picklistValues.filter(entry => entry.active !== false).length;
+    const inactiveCount = field.picklistValues.length - activeCount;
+    const summary = `${activeCount} active${inactiveCount > 0 ? ` · ${inactiveCount} inactive` : ''}`;
+
+    const matrix = getPicklistDependencyMatrix(field, controllerField);
+    const showMatrix = matrix && matrixPicklists.has(field.name);
+    const matrixButton = matrix
+        ? `<button class="picklist-details__switch" data-field-action="matrix">${showMatrix ? 'Show values' : 'Dependency matrix'}</button>`
+        : '';
+
+    return `
+        <div class="picklist-details">
+            ${controllerHtml}
+            <div class="picklist-details__bar">
+                <span class="picklist-details__hint">${summary}</span>
+                ${matrixButton}
+            </div>
+            ${showMatrix ? renderDependencyMatrix(matrix) : renderPicklistValues(field.picklistValues)}
+        </div>`;
+}
+
+function renderPicklistValues(values) {
+    if (values.length === 0) return '<p class="picklist-details__hint">No values</p>';
+
+    return `<ul class="picklist-values">${values.map(entry => `
+        <li class="picklist-value${entry.active === false ? ' picklist-value--inactive' : ''}">
+            <span class="picklist-value__label">${escapeHtml(entry.label || entry.value)}</span>
+            ${entry.label && entry.label !== entry.value ? `<code class="picklist-value__api">${escapeHtml(entry.value)}</code>` : ''}
+            ${entry.defaultValue ? '<span class="field-attr field-attr--default">Default</span>' : ''}
+            ${entry.active === false ? '<span class="field-attr field-attr--inactive">Inactive</span>' : ''}
+        </li>`).join('')}</ul>`;
+}
+
+/**
+ * Renders dependent values (rows) against controlling values (columns).
+ */
+function renderDependencyMatrix({ columns, rows }) {
+    const headerHtml = columns
+        .map(column => `<th class="${column.active ? '' : 'picklist-matrix__inactive'}" title="${escapeHtml(column.label)}"><span>${escapeHtml(column.label)}</span></th>`)
+        .join('');
+
+    const rowsHtml = rows.map(row => `
+        <tr class="${row.active ? '' : 'picklist-matrix__inactive'}">
+            <th title="${escapeHtml(row.value)}">${escapeHtml(row.label)}</th>
+            ${columns.map((column, index) => `<td>${row.validFor.has(index) ? '✓' : ''}</td>`).join('')}
+        </tr>`).join('');
+
+    return `
+        <div class="picklist-matrix">
+            <table>
+                <thead><tr><th></th>${headerHtml}</tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        </div>`;
 }
@@ -0,0 +1,141 @@
+/**
+ * Salesforce Schema Explorer - UI Diagram Export
+ * Renders the "Diagram as code" tool (Mermaid, PlantUML, DBML).
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger, downloadFile } from '../utils.js';
+import { ensureObjectsDescribed } from '../api.js';
+import { isObjectDescribed } from '../data.js';
+import { buildDiagramModel, formatDiagram, DIAGRAM_FORMATS } from '../export/diagrams.js';
+import { getExportContext, getExportFileName } from '../export/context.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel, renderObjectPicker, attachObjectSelection, attachCopyButton } from './tools.js';
+
+const TOOL_ID = 'diagram-export';
+
+// =============================================================================
+// DIAGRAM EXPORT PANEL
+// =============================================================================
+
+/**
+ * Shows the diagram-as-code export tool (toggles it closed if already open).
+ */
+export function showDiagramExport() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const formatOptions = Object.entries(DIAGRAM_FORMATS)
+        .map(([key, format]) => `<option value="${key}">${escapeHtml(format.label)}</option>`).join('');
+
+    const bodyHtml = `
+    <div class="tool-section">
+        <label class="tool-label" for="diagram-format">Format</label>
+        <select id="diagram-format" class="tool-input">${formatOptions}</select>
+        <label class="tool-label" for="diagram-fields">Fields</label>
+        <select id="diagram-fields" class="tool-input">
+            <option value="all">All fields</option>
+            <option value="keys">Id and relationship fields</option>
+            <option value="none">No fields</option>
+        </select>
+        <label class="tool-label" for="diagram-scope">Objects</label>
+        <select id="diagram-scope" class="tool-input">
+            <option value="graph">Objects in the current graph</option>
+            <option value="custom">Selected objects</option>
+        </select>
+        <div id="diagram-custom" class="tool-section tool-section--nested hidden">
+            ${renderObjectPicker('diagram-object', 'Add object...')}
+            <div id="diagram-selected" class="tool-chips"></div>
+        </div>
+        <button id="diagram-generate-btn" class="btn btn--brand btn--full">Generate</button>
+    </div>
+    <div id="diagram-result" class="tool-section"></div>`;
+
+    showToolPanel(TOOL_ID, 'Diagram as Code', bodyHtml);
+
+    const selectedObjects = new Set(state.objectApiName ? [state.objectApiName] : []);
+    const scopeSelect = document.getElementById('diagram-scope');
+    const customSection = document.getElementById('diagram-custom');
+
+    attachObjectSelection('diagram-object', 'diagram-selected', selectedObjects);
+
+    scopeSelect.addEventListener('change', () => {
+        customSection.classList.toggle('hidden', scopeSelect.value !== 'custom');
+    });
+
+    document.getElementById('diagram-generate-btn').addEventListener('click', () => {
+        const objectNames = scopeSelect.value === 'custom' ? [...selectedObjects] : null;
+        generateDiagram(objectNames);
+    });
+}
+
+/**
+ * Generates the diagram for the chosen scope and renders it with copy/download actions.
+ * @param {Array<string>|null} objectNames - Selected objects, or null for the current graph.
+ */
+async function generateDiagram(objectNames) {
+    const resultEl = document.getElementById('diagram-result');
+    const generateBtn = document.getElementById('diagram-generate-btn');
+    if (!resultEl) return;
+
+    const format = document.getElementById('diagram-format').value;
+    const fieldMode = document.getElementById('diagram-fields').value;
+
+    let scope;
+    if (objectNames) {
+        scope = { objectNames, edges: null };
+    } else if (state.cy) {
+        // Only the object graph draws edges by their cached ids; the org map and field mode
+        // draw their own, so those fall back to every cached edge between the objects.
+        scope = {
+            objectNames: [...new Set(state.cy.nodes().not(':parent').map(node => node.data('objectName') || node.id()))],
+            edges: state.graphMode === 'object'
+                ? state.cy.edges().map(edge => state.edges?.[edge.id()]).filter(Boolean)
+                : null
+        };
+    }
+
+    if (!scope || scope.objectNames.length === 0) {
+        resultEl.innerHTML = '<p class="tool-empty">No objects to export. Load an object or select objects first.</p>';
+        return;
+    }
+
+    generateBtn.disabled = true;
+
+    try {
+        if (fieldMode !== 'none') {
+            const missing = scope.objectNames.filter(name => !isObjectDescribed(name));
+            if (missing.length > 0) {
+                resultEl.innerHTML = '<p class="tool-hint">Describing objects...</p>';
+                await ensureObjectsDescribed(missing);
+            }
+        }
+        if (!isToolPanelOpen(TOOL_ID)) return;
+
+        const model = buildDiagramModel(scope.objectNames, { edges: scope.edges, fieldMode });
+        const source = formatDiagram(format, model, getExportContext().title);
+        renderDiagramResult(resultEl, source, format, model);
+    } catch (error) {
+        logger.error('[Diagrams:generate] Diagram export failed', { format, error: error.message });
+        resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Diagram export failed')}</p>`;
+    } finally {
+        generateBtn.disabled = false;
+    }
+}
+
+function renderDiagramResult(resultEl, source, format, model) {
+    resultEl.innerHTML = `
+        <p class="tool-hint">${model.objects.length} objects, ${model.relationships.length} relationships</p>
+        <textarea id="diagram-output" class="tool-output" readonly spellcheck="false">${escapeHtml(source)}</textarea>
+        <div class="tool-actions">
+            <button id="diagram-copy-btn" class="btn btn--neutral btn--xs">Copy</button>
+            <button id="diagram-download-btn" class="btn btn--neutral btn--xs">Download .${DIAGRAM_FORMATS[format].extension}</button>
+        </div>`;
+
+    attachCopyButton(document.getElementById('diagram-copy-btn'), () => source);
+    document.getElementById('diagram-download-btn').addEventListener('click', () => {
+        const { extension, mimeType } = DIAGRAM_FORMATS[format];
+        downloadFile(getExportFileName(extension), source, mimeType);
+    });
+}
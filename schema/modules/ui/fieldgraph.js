@@ -0,0 +1,33 @@
+/**
+ * Salesforce Schema Explorer - UI Field Dependencies
+ * Mode banner for the field dependency graph.
+ */
+
+import { state, elements } from '../state.js';
+
+// =============================================================================
+// FIELD DEPENDENCIES
+// =============================================================================
+
+/**
+ * Fills the mode banner with the analyzed field and the graph statistics.
+ * @param {string} fieldKey - The analyzed field (`Object.Field`).
+ * @param {Object} stats - { dependentCount, referencedCount, analyzedObjectCount, unresolvedRollupCount, failedCount }.
+ */
+export function renderFieldDependencyBanner(fieldKey, { dependentCount, referencedCount, analyzedObjectCount, unresolvedRollupCount = 0, failedCount = 0 }) {
+    const warnings = [];
+    if (unresolvedRollupCount > 0) warnings.push(`${unresolvedRollupCount} roll-up definitions unknown`);
+    if (failedCount > 0) warnings.push(`roll-ups of ${failedCount} objects could not be read`);
+
+    elements.modeBannerTitle.textContent = `Dependencies of ${fieldKey}`;
+    elements.modeBannerStats.textContent = [
+        `${dependentCount} fields use it`,
+        `${referencedCount} fields used`,
+        state.orgCrawled
+            ? `formulas of all ${analyzedObjectCount} objects`
+            : `only the ${analyzedObjectCount} loaded objects searched`,
+        ...warnings
+    ].join(' · ');
+    elements.modeBannerCrawl.classList.toggle('hidden', state.orgCrawled);
+    elements.modeBannerBack.classList.toggle('hidden', !state.objectApiName);
+}
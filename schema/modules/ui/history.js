@@ -0,0 +1,218 @@
+/**
+ * Salesforce Schema Explorer - UI Schema History
+ * Renders the snapshot timeline of the current object and compares any two points.
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { createSnapshot, getObjectHistory, deleteSnapshot } from '../api.js';
+import { diffMetadataMaps, formatDiffValue } from '../diff.js';
+import { renderDiffResult } from './orgdiff.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel } from './tools.js';
+
+const TOOL_ID = 'schema-history';
+
+const REASON_LABELS = {
+    'manual': 'Manual snapshot',
+    'first-load': 'First load',
+    'before-refresh': 'Before refresh',
+    'before-clear': 'Before cache clear',
+    'live': 'Live cache'
+};
+
+// =============================================================================
+// SCHEMA HISTORY PANEL
+// =============================================================================
+
+/**
+ * Shows the schema history tool for the current object (toggles it closed if already open).
+ */
+export function showSchemaHistory() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const objectName = state.objectApiName;
+    if (!objectName) {
+        showToolPanel(TOOL_ID, 'Schema History', '<div class="tool-section"><p class="tool-empty">Load an object to see its history.</p></div>');
+        return;
+    }
+
+    const bodyHtml = `
+    <div class="tool-section">
+        <p class="tool-hint">Changes to <strong>${escapeHtml(objectName)}</strong> across snapshots of this org's cache. A snapshot is taken when the org is first loaded, before every refresh that finds changes, and on demand.</p>
+        <button id="history-snapshot-btn" class="btn btn--neutral btn--full">Take snapshot now</button>
+    </div>
+    <div id="history-timeline" class="tool-section"><p class="tool-hint">Loading history...</p></div>
+    <div id="history-compare" class="tool-section hidden">
+        <label class="tool-label" for="history-from">From</label>
+        <select id="history-from" class="tool-input"></select>
+        <label class="tool-label" for="history-to">To</label>
+        <select id="history-to" class="tool-input"></select>
+        <button id="history-compare-btn" class="btn btn--brand btn--full">Compare</button>
+    </div>
+    <div id="history-result" class="tool-section"></div>`;
+
+    showToolPanel(TOOL_ID, 'Schema History', bodyHtml);
+
+    const snapshotBtn = document.getElementById('history-snapshot-btn');
+    snapshotBtn.addEventListener('click', async () => {
+        snapshotBtn.disabled = true;
+        try {
+            await createSnapshot();
+            await loadTimeline(objectName);
+        } catch (error) {
+            logger.error('[History:snapshot] Snapshot failed', { error: error.message });
+            document.getElementById('history-result').innerHTML = `<p class="tool-empty">${escapeHtml(error.message)}</p>`;
+        } finally {
+            snapshotBtn.disabled = false;
+        }
+    });
+
+    loadTimeline(objectName);
+}
+
+async function loadTimeline(objectName) {
+    let points;
+    try {
+        points = await getObjectHistory(objectName);
+    } catch (error) {
+        logger.error('[History:load] Failed to load history', { error: error.message });
+        points = null;
+    }
+
+    const timelineEl = document.getElementById('history-timeline');
+    if (!isToolPanelOpen(TOOL_ID) || !timelineEl) return;
+
+    if (!points) {
+        timelineEl.innerHTML = '<p class="tool-empty">Failed to load the history.</p>';
+        return;
+    }
+
+    const hasSnapshots = points.some(point => point.id !== 'live');
+    timelineEl.innerHTML = hasSnapshots
+        ? renderTimeline(objectName, points)
+        : '<p class="tool-empty">No snapshots yet. Take one now to start tracking changes to this object.</p>';
+
+    timelineEl.querySelectorAll('.history-entry__delete').forEach(button => {
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await deleteSnapshot(Number(button.dataset.id));
+            } catch (error) {
+                logger.warn('[History:delete] Failed to delete snapshot', { error: error.message });
+            }
+            loadTimeline(objectName);
+        });
+    });
+
+    setupCompare(objectName, points);
+}
+
+// =============================================================================
+// TIMELINE
+// =============================================================================
+
+function getPointLabel(point) {
+    const date = new Date(point.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    return `${date} · ${REASON_LABELS[point.reason] || point.reason}`;
+}
+
+function toObjectMap(objectName, point) {
+    return { nodes: point.node ? { [objectName]: point.node } : {}, edges: point.edges || {} };
+}
+
+/**
+ * Renders the timeline newest first; each entry lists what changed since the previous point.
+ */
+function renderTimeline(objectName, points) {
+    return points.map((point, index) => {
+        const previous = points[index - 1];
+        let changesHtml;
+
+        if (!point.node) {
+            changesHtml = '<p class="tool-hint">Object not cached at this point</p>';
+        } else if (!previous) {
+            changesHtml = `<p class="tool-hint">Earliest snapshot · ${Object.keys(point.node.fields).length} fields</p>`;
+        } else if (!previous.node) {
+            changesHtml = `<p class="tool-hint">First cached here · ${Object.keys(point.node.fields).length} fields</p>`;
+        } else {
+            changesHtml = renderEntryChanges(diffMetadataMaps(toObjectMap(objectName, previous), toObjectMap(objectName, point)));
+        }
+
+        const deleteButton = point.id === 'live'
+            ? ''
+            : `<button class="tool-chip__remove history-entry__delete" data-id="${point.id}" title="Delete snapshot" aria-label="Delete snapshot">×</button>`;
+
+        return `
+            <div class="history-entry ${point.id === 'live' ? 'history-entry--live' : ''}">
+                <div class="history-entry__header">
+                    <span class="history-entry__title">${escapeHtml(getPointLabel(point))}</span>
+                    ${deleteButton}
+                </div>
+                ${changesHtml}
+            </div>`;
+    }).reverse().join('');
+}
+
+function renderEntryChanges(diff) {
+    const items = [
+        ...diff.fields.map(field => ({
+            status: field.status,
+            text: field.fieldName,
+            details: field.changes
+        })),
+        ...diff.relationships.map(relationship => ({
+            status: relationship.status,
+            text: `${relationship.fieldName} → ${relationship.target}`,
+            details: relationship.changes
+        }))
+    ];
+
+    if (items.length === 0) return '<p class="tool-hint">No changes</p>';
+
+    return `<ul class="history-entry__changes">${items.map(item => `
+        <li>
+            <span class="diff-badge diff-badge--${item.status}">${item.status === 'added' ? '+' : item.status === 'removed' ? '−' : '~'}</span>
+            ${escapeHtml(item.text)}
+            ${item.details.length > 0
+                ? `<span class="diff-table__details">${item.details.map(change =>
+                    `${escapeHtml(change.label)}: ${escapeHtml(formatDiffValue(change.before))} → ${escapeHtml(formatDiffValue(change.after))}`).join(', ')}</span>`
+                : ''}
+        </li>`).join('')}</ul>`;
+}
+
+// =============================================================================
+// COMPARE TWO POINTS
+// =============================================================================
+
+function setupCompare(objectName, points) {
+    const compareEl = document.getElementById('history-compare');
+    if (!compareEl) return;
+
+    compareEl.classList.toggle('hidden', points.length < 2);
+    if (points.length < 2) return;
+
+    const options = points.map((point, index) => `<option value="${index}">${escapeHtml(getPointLabel(point))}</option>`).join('');
+    const fromSelect = document.getElementById('history-from');
+    const toSelect = document.getElementById('history-to');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.value = String(points.length - 2);
+    toSelect.value = String(points.length - 1);
+
+    // Replace the button to drop listeners bound to a previous timeline
+    const oldButton = document.getElementById('history-compare-btn');
+    const compareBtn = oldButton.cloneNode(true);
+    oldButton.replaceWith(compareBtn);
+
+    compareBtn.addEventListener('click', () => {
+        const from = points[Number(fromSelect.value)];
+        const to = points[Number(toSelect.value)];
+        const resultEl = document.getElementById('history-result');
+
+        const diff = diffMetadataMaps(toObjectMap(objectName, from), toObjectMap(objectName, to));
+        renderDiffResult(resultEl, diff, getPointLabel(from), getPointLabel(to));
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Salesforce Schema Explorer - UI Delete Impact
+ * Renders the tree of records deleted or blocking when a record of the current object is deleted.
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { analyzeDeleteImpact, IMPACT_EFFECT, MAX_IMPACT_DEPTH } from '../impact.js';
+import { applyImpactOverlay, clearImpactOverlay } from '../graph.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel } from './tools.js';
+
+const TOOL_ID = 'delete-impact';
+
+// Lookups listed by name in the cleared/unknown hints before summarizing the rest
+const MAX_LISTED_LOOKUPS = 10;
+
+// =============================================================================
+// DELETE IMPACT PANEL
+// =============================================================================
+
+/**
+ * Shows the delete impact tool for the current object (toggles it closed if already open).
+ */
+export async function showDeleteImpact() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const objectName = state.objectApiName;
+    if (!objectName) {
+        showToolPanel(TOOL_ID, 'Delete Impact', '<div class="tool-section"><p class="tool-empty">Load an object to see what deleting one of its records affects.</p></div>');
+        return;
+    }
+
+    showToolPanel(TOOL_ID, 'Delete Impact', `
+        <div class="tool-section">
+            <p class="tool-hint">What happens to related records when a <strong>${escapeHtml(objectName)}</strong> record is deleted: master-detail and cascade-delete children are deleted with it, recursively; restricted lookups block the delete.</p>
+        </div>
+        <div id="impact-result" class="tool-section"><p class="tool-hint">Walking child relationships...</p></div>`, clearImpactOverlay);
+
+    let impact;
+    try {
+        impact = await analyzeDeleteImpact(objectName);
+    } catch (error) {
+        logger.error('[Impact:show] Delete impact analysis failed', { error: error.message });
+        const resultEl = document.getElementById('impact-result');
+        if (isToolPanelOpen(TOOL_ID) && resultEl) {
+            resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Analysis failed')}</p>`;
+        }
+        return;
+    }
+
+    const resultEl = document.getElementById('impact-result');
+    if (!isToolPanelOpen(TOOL_ID) || !resultEl || state.objectApiName !== objectName) return;
+
+    renderImpactResult(resultEl, impact);
+
+    const statusById = new Map([[objectName, IMPACT_EFFECT.deleted]]);
+    impact.deletedObjects.forEach(name => statusById.set(name, IMPACT_EFFECT.deleted));
+    impact.blockingObjects.forEach(name => statusById.set(name, IMPACT_EFFECT.blocked));
+    applyImpactOverlay(statusById);
+}
+
+// =============================================================================
+// RESULT RENDERING
+// =============================================================================
+
+function renderImpactResult(resultEl, impact) {
+    const { root, deletedObjects, blockingObjects, clearedLookups, unknownRules, truncated } = impact;
+
+    const summary = blockingObjects.length > 0
+        ? `<p class="impact-summary impact-summary--blocked">The delete is blocked while related ${escapeHtml(blockingObjects.join(', '))} records exist.</p>`
+        : '';
+
+    const clearedHint = clearedLookups.length > 0
+        ? `<p class="tool-hint">${clearedLookups.length} other lookup${clearedLookups.length === 1 ? '' : 's'} to deleted records ${clearedLookups.length === 1 ? 'is' : 'are'} cleared: ${escapeHtml(formatLookups(clearedLookups))}</p>`
+        : '';
+
+    const unknownHint = unknownRules.length > 0
+        ? `<p class="tool-hint">The delete rule of ${unknownRules.length} lookup${unknownRules.length === 1 ? '' : 's'} is missing from the cached describes (${escapeHtml(formatLookups(unknownRules))}).</p>`
+        : '';
+
+    const truncatedHint = truncated
+        ? `<p class="tool-hint">Stopped after ${MAX_IMPACT_DEPTH} cascade levels.</p>`
+        : '';
+
+    resultEl.innerHTML = `
+        <div class="diff-summary">
+            <div class="diff-summary__item">
+                <span class="diff-summary__label">Objects deleted with it</span>
+                <span class="impact-badge impact-badge--deleted">${deletedObjects.length}</span>
+            </div>
+            <div class="diff-summary__item">
+                <span class="diff-summary__label">Objects blocking the delete</span>
+                <span class="impact-badge impact-badge--blocked">${blockingObjects.length}</span>
+            </div>
+        </div>
+        ${summary}
+        <ul class="impact-tree">${renderImpactNode(root)}</ul>
+        ${root.children.length === 0 ? '<p class="tool-empty">No child records are deleted or block the delete.</p>' : ''}
+        ${clearedHint}
+        ${unknownHint}
+        ${truncatedHint}`;
+}
+
+function renderImpactNode(node) {
+    const label = state.nodes?.[node.objectName]?.info?.label;
+    const via = node.fieldName
+        ? `<span class="impact-node__meta">${escapeHtml(node.relationshipName || node.fieldName)} · ${escapeHtml(node.fieldName)} · ${node.isMasterDetail ? 'Master-Detail' : 'Lookup'}</span>`
+        : '';
+    const effectLabel = node.effect === IMPACT_EFFECT.blocked ? 'blocks' : 'deleted';
+    const repeatHint = node.isRepeat ? '<span class="impact-node__meta">(children listed at its first occurrence)</span>' : '';
+    const children = node.children.length > 0
+        ? `<ul class="impact-tree">${node.children.map(renderImpactNode).join('')}</ul>`
+        : '';
+
+    return `
+        <li class="impact-node impact-node--${node.effect}">
+            <div class="impact-node__name">
+                <span class="impact-badge impact-badge--${node.effect}">${effectLabel}</span>
+                ${escapeHtml(node.objectName)}
+                ${label && label !== node.objectName ? `<span class="impact-node__label">${escapeHtml(label)}</span>` : ''}
+            </div>
+            ${via}
+            ${repeatHint}
+            ${children}
+        </li>`;
+}
+
+function formatLookups(lookups) {
+    const names = lookups.slice(0, MAX_LISTED_LOOKUPS).map(lookup => `${lookup.objectName}.${lookup.fieldName}`);
+    const rest = lookups.length - names.length;
+    return rest > 0 ? `${names.join(', ')} and ${rest} more` : names.join(', ');
+}
@@ -4,7 +4,13 @@
  */
 
 import { state, elements } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
 import { isObjectExcluded } from '../excludedObjects.js';
+import { isSelfReference, getPolymorphicTargets } from '../data.js';
+import { RECORD_COUNT_TIERS, showRecordCountOverlay, hideRecordCountOverlay } from '../graph.js';
+
+// Org storage usage from the last record count fetch
+let orgStorage = null;
 
 // =============================================================================
 // LEGEND & TABS
@@ -109,21 +115,45 @@ export function getActiveRelationships() {
 }
 
 /**
- * Updates the relationship type counts (Lookup/Master-Detail) in the legend.
+ * Gets the relationships of the active view whose partner object is shown. Self-references
+ * are always shown; the edges of an outgoing polymorphic field are grouped into one relationship.
+ * @returns {{lookup: Array<Object>, masterDetail: Array<Object>}} Relationships with
+ *   `polymorphicTargets` set (all targets) for polymorphic fields.
  */
-export function updateLegendCounts() {
+export function getVisibleRelationships() {
     const activeRels = getActiveRelationships();
 
     // Helper to check if a relationship is visible (target/source object is not excluded)
     const isRelVisible = (rel) => {
+        if (isSelfReference(rel)) return true;
+
         const partner = rel.targetObject === state.objectApiName ? rel.sourceObject : rel.targetObject;
         if (!partner || partner === state.objectApiName) return false;
 
         return !state.userExcludedObjects.has(partner) && !isObjectExcluded(partner);
     };
 
-    const visibleLookup = activeRels.lookup.filter(isRelVisible);
-    const visibleMD = activeRels.masterDetail.filter(isRelVisible);
+    const groupPolymorphic = (relationships) => {
+        const grouped = new Map();
+        relationships.forEach(rel => {
+            const polymorphicTargets = getPolymorphicTargets(rel);
+            const key = polymorphicTargets && rel.sourceObject === state.objectApiName ? `${rel.sourceObject}.${rel.fieldName}` : rel.id;
+            if (!grouped.has(key)) grouped.set(key, { ...rel, polymorphicTargets });
+        });
+        return [...grouped.values()];
+    };
+
+    return {
+        lookup: groupPolymorphic(activeRels.lookup.filter(isRelVisible)),
+        masterDetail: activeRels.masterDetail.filter(isRelVisible)
+    };
+}
+
+/**
+ * Updates the relationship type counts (Lookup/Master-Detail) in the legend.
+ */
+export function updateLegendCounts() {
+    const { lookup: visibleLookup, masterDetail: visibleMD } = getVisibleRelationships();
 
     elements.lookupCount.textContent = visibleLookup.length;
     elements.mdCount.textContent = visibleMD.length;
@@ -182,3 +212,58 @@ export function getRelatedObjectsList(includeSystemExcluded = true) {
     return result;
 }
 
+// =============================================================================
+// RECORD COUNT OVERLAY
+// =============================================================================
+
+/**
+ * Switches the record count overlay on or off and shows its legend (count tiers and
+ * org storage usage) below the toggle.
+ * @param {boolean} enabled - Whether nodes are sized and colored by record count.
+ */
+export async function toggleRecordCountOverlay(enabled) {
+    state.recordCountOverlay = enabled;
+    const statusEl = elements.recordCountStatus;
+
+    if (!enabled) {
+        hideRecordCountOverlay();
+        statusEl.classList.add('hidden');
+        return;
+    }
+
+    statusEl.classList.remove('hidden');
+    statusEl.innerHTML = '<span class="legend__record-hint">Loading record counts...</span>';
+    elements.recordCountToggle.disabled = true;
+
+    try {
+        const { storage, uncounted } = await showRecordCountOverlay();
+        if (storage) orgStorage = storage;
+        if (!state.recordCountOverlay) return;
+        statusEl.innerHTML = renderRecordCountLegend(uncounted);
+    } catch (error) {
+        logger.warn('[Legend:recordCounts] Record counts unavailable', { error: error.message });
+        statusEl.innerHTML = `<span class="legend__record-hint">${escapeHtml(error.message || 'Record counts unavailable')}</span>`;
+    } finally {
+        elements.recordCountToggle.disabled = false;
+    }
+}
+
+function renderRecordCountLegend(uncounted) {
+    const tiersHtml = RECORD_COUNT_TIERS.map(({ label, color }) => `
+        <span class="legend__record-tier"><span class="legend__record-swatch" style="background-color: ${color}"></span>${label}</span>`
+    ).join('');
+
+    const storageHtml = orgStorage?.dataMaxMB
+        ? `<span class="legend__record-hint">Data storage: ${formatMegabytes(orgStorage.dataUsedMB)} of ${formatMegabytes(orgStorage.dataMaxMB)} used${orgStorage.fileMaxMB ? ` · Files: ${formatMegabytes(orgStorage.fileUsedMB)} of ${formatMegabytes(orgStorage.fileMaxMB)}` : ''}</span>`
+        : '';
+
+    const uncountedHtml = uncounted.length > 0
+        ? `<span class="legend__record-hint" title="${escapeHtml(uncounted.join(', '))}">No count for ${uncounted.length} object${uncounted.length === 1 ? '' : 's'}</span>`
+        : '';
+
+    return `<div class="legend__record-tiers">${tiersHtml}</div>${storageHtml}${uncountedHtml}`;
+}
+
+function formatMegabytes(megabytes) {
+    return megabytes >= 1024 ? `${(megabytes / 1024).toFixed(1)} GB` : `${megabytes} MB`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Salesforce Schema Explorer - UI Health Report
+ * Renders the schema lint results per object, with links to Object Manager.
+ */
+
+import { escapeHtml } from '../utils.js';
+import { getObjectManagerUrl } from '../data.js';
+import { runSchemaLint, LINT_RULES, LINT_SEVERITY } from '../lint.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel } from './tools.js';
+
+const TOOL_ID = 'schema-lint';
+
+const SEVERITY_LABELS = {
+    [LINT_SEVERITY.error]: 'Error',
+    [LINT_SEVERITY.warning]: 'Warning',
+    [LINT_SEVERITY.info]: 'Info'
+};
+
+const SEVERITY_COUNT_LABELS = {
+    [LINT_SEVERITY.error]: 'Errors',
+    [LINT_SEVERITY.warning]: 'Warnings',
+    [LINT_SEVERITY.info]: 'Info'
+};
+
+// =============================================================================
+// HEALTH REPORT PANEL
+// =============================================================================
+
+/**
+ * Shows the schema health report (toggles it closed if already open).
+ */
+export function showHealthReport() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const { issues, objectCount } = runSchemaLint();
+
+    showToolPanel(TOOL_ID, 'Health Report', `
+        <div class="tool-section">
+            <p class="tool-hint">Checks the ${objectCount} objects described in this org's cache against Salesforce limits and common design problems. Build the Org Map first for a report on the whole org.</p>
+            <label class="tool-label" for="lint-severity">Show</label>
+            <select id="lint-severity" class="tool-input">
+                <option value="all">All issues</option>
+                <option value="${LINT_SEVERITY.error}">Errors only</option>
+                <option value="${LINT_SEVERITY.warning}">Errors and warnings</option>
+            </select>
+            ${renderSeverityCounts(issues)}
+        </div>
+        <div id="lint-result" class="tool-section"></div>`);
+
+    const severitySelect = document.getElementById('lint-severity');
+    const renderIssues = () => {
+        const minimum = severitySelect.value;
+        const visible = minimum === 'all' ? issues : issues.filter(issue =>
+            issue.severity === LINT_SEVERITY.error || (minimum === LINT_SEVERITY.warning && issue.severity === LINT_SEVERITY.warning)
+        );
+        document.getElementById('lint-result').innerHTML = renderObjectIssues(visible);
+    };
+
+    severitySelect.addEventListener('change', renderIssues);
+    renderIssues();
+}
+
+// =============================================================================
+// RESULT RENDERING
+// =============================================================================
+
+function renderSeverityCounts(issues) {
+    return `
+        <div class="diff-summary">
+            ${Object.values(LINT_SEVERITY).map(severity => `
+                <div class="diff-summary__item">
+                    <span class="diff-summary__label">${SEVERITY_COUNT_LABELS[severity]}</span>
+                    <span class="lint-badge lint-badge--${severity}">${issues.filter(issue => issue.severity === severity).length}</span>
+                </div>`).join('')}
+        </div>`;
+}
+
+function renderObjectIssues(issues) {
+    if (issues.length === 0) return '<p class="tool-empty">No issues found.</p>';
+
+    const byObject = new Map();
+    issues.forEach(issue => {
+        if (!byObject.has(issue.objectName)) byObject.set(issue.objectName, []);
+        byObject.get(issue.objectName).push(issue);
+    });
+
+    const ruleLabels = new Map(LINT_RULES.map(rule => [rule.id, rule.label]));
+
+    return [...byObject].map(([objectName, objectIssues]) => `
+        <div class="lint-object">
+            <div class="lint-object__header">
+                <span class="lint-object__name">${escapeHtml(objectName)}</span>
+                <a class="lint-object__link" href="${escapeHtml(getObjectManagerUrl(objectName))}" target="_blank" rel="noopener noreferrer">Object Manager ↗</a>
+            </div>
+            <ul class="lint-object__issues">
+                ${objectIssues.map(issue => `
+                    <li class="lint-issue">
+                        <span class="lint-badge lint-badge--${issue.severity}">${SEVERITY_LABELS[issue.severity]}</span>
+                        <span class="lint-issue__message">
+                            <span class="lint-issue__rule">${escapeHtml(ruleLabels.get(issue.ruleId))}</span>
+                            ${escapeHtml(issue.message)}
+                        </span>
+                    </li>`).join('')}
+            </ul>
+        </div>`).join('');
+}
@@ -0,0 +1,158 @@
+/**
+ * Salesforce Schema Explorer - UI Load Order Planner
+ * Renders the "Load order" tool: insert steps, second-pass updates and plan export.
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger, downloadFile } from '../utils.js';
+import { ensureObjectsDescribed } from '../api.js';
+import { isObjectDescribed } from '../data.js';
+import { planLoadOrder } from '../loadplan.js';
+import { formatLoadPlan, formatLookup, groupByObject, LOAD_PLAN_FORMATS, SECOND_PASS_LABELS } from '../export/loadplan.js';
+import { getExportContext, getExportFileName } from '../export/context.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel, renderObjectPicker, attachObjectSelection } from './tools.js';
+
+const TOOL_ID = 'load-plan';
+
+// =============================================================================
+// LOAD PLAN PANEL
+// =============================================================================
+
+/**
+ * Shows the load order planner (toggles it closed if already open).
+ */
+export function showLoadPlanner() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const bodyHtml = `
+    <div class="tool-section">
+        <label class="tool-label" for="loadplan-scope">Objects</label>
+        <select id="loadplan-scope" class="tool-input">
+            <option value="graph">Objects in the current graph</option>
+            <option value="custom">Selected objects</option>
+        </select>
+        <div id="loadplan-custom" class="tool-section tool-section--nested hidden">
+            ${renderObjectPicker('loadplan-object', 'Add object...')}
+            <div id="loadplan-selected" class="tool-chips"></div>
+        </div>
+        <button id="loadplan-run-btn" class="btn btn--brand btn--full">Plan load order</button>
+        <p class="tool-hint">Orders the objects so that master-detail and required lookup targets are inserted first. Optional lookups to objects loaded later are set in a second pass.</p>
+    </div>
+    <div id="loadplan-result" class="tool-section"></div>`;
+
+    showToolPanel(TOOL_ID, 'Load Order', bodyHtml);
+
+    const selectedObjects = new Set(state.objectApiName ? [state.objectApiName] : []);
+    const scopeSelect = document.getElementById('loadplan-scope');
+    const customSection = document.getElementById('loadplan-custom');
+
+    attachObjectSelection('loadplan-object', 'loadplan-selected', selectedObjects);
+
+    scopeSelect.addEventListener('change', () => {
+        customSection.classList.toggle('hidden', scopeSelect.value !== 'custom');
+    });
+
+    document.getElementById('loadplan-run-btn').addEventListener('click', () => {
+        const objectNames = scopeSelect.value === 'custom'
+            ? [...selectedObjects]
+            : (state.cy?.nodes().not(':parent').map(node => node.data('objectName') || node.id()) || []);
+        runLoadPlan([...new Set(objectNames)]);
+    });
+}
+
+async function runLoadPlan(objectNames) {
+    const resultEl = document.getElementById('loadplan-result');
+    const runBtn = document.getElementById('loadplan-run-btn');
+    if (!resultEl) return;
+
+    if (objectNames.length === 0) {
+        resultEl.innerHTML = '<p class="tool-empty">No objects to plan. Load an object or select objects first.</p>';
+        return;
+    }
+
+    runBtn.disabled = true;
+
+    try {
+        const missing = objectNames.filter(name => !isObjectDescribed(name));
+        if (missing.length > 0) {
+            resultEl.innerHTML = '<p class="tool-hint">Describing objects...</p>';
+            await ensureObjectsDescribed(missing);
+        }
+        if (!isToolPanelOpen(TOOL_ID)) return;
+
+        renderLoadPlan(resultEl, planLoadOrder(objectNames));
+    } catch (error) {
+        logger.error('[LoadPlan:run] Load planning failed', { error: error.message });
+        resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Load planning failed')}</p>`;
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+// =============================================================================
+// RESULT RENDERING
+// =============================================================================
+
+function renderLoadPlan(resultEl, plan) {
+    const objectCount = plan.steps.reduce((count, objects) => count + objects.length, 0);
+
+    const cyclesHtml = plan.cycles.length > 0
+        ? `<div class="loadplan-warning">
+            <strong>${plan.cycles.length} cycle${plan.cycles.length === 1 ? '' : 's'} of required lookups</strong>
+            ${plan.cycles.map(cycle => `<div class="loadplan-warning__cycle">${escapeHtml([...cycle, cycle[0]].join(' → '))}</div>`).join('')}
+            <p class="tool-hint">A lookup of each cycle is set in the second pass; if it is required, insert a placeholder value first or relax the requirement during the load.</p>
+        </div>`
+        : '';
+
+    const undescribedHint = plan.undescribed.length > 0
+        ? `<p class="tool-hint">Not described, lookups unknown: ${escapeHtml(plan.undescribed.join(', '))}</p>`
+        : '';
+
+    const stepsHtml = plan.steps.map((objects, index) => `
+        <div class="loadplan-step">
+            <div class="loadplan-step__title">Step ${index + 1} · Insert</div>
+            ${objects.map(object => `
+                <div class="loadplan-object">
+                    <span class="loadplan-object__name">${escapeHtml(object.objectName)}</span>
+                    ${object.lookups.length > 0
+                        ? `<span class="loadplan-object__meta">${escapeHtml(object.lookups.map(formatLookup).join(', '))}</span>`
+                        : ''}
+                </div>`).join('')}
+        </div>`).join('');
+
+    const secondPassHtml = plan.secondPass.length > 0
+        ? `<div class="loadplan-step loadplan-step--update">
+            <div class="loadplan-step__title">Step ${plan.steps.length + 1} · Update (second pass)</div>
+            ${[...groupByObject(plan.secondPass)].map(([objectName, lookups]) => `
+                <div class="loadplan-object">
+                    <span class="loadplan-object__name">${escapeHtml(objectName)}</span>
+                    ${lookups.map(lookup => `
+                        <span class="loadplan-object__meta" title="${escapeHtml(SECOND_PASS_LABELS[lookup.reason])}">
+                            ${escapeHtml(formatLookup(lookup))}${lookup.isRequired ? ' (required)' : ''} · ${escapeHtml(SECOND_PASS_LABELS[lookup.reason])}
+                        </span>`).join('')}
+                </div>`).join('')}
+        </div>`
+        : '';
+
+    resultEl.innerHTML = `
+        <p class="tool-hint">${objectCount} objects in ${plan.steps.length} step${plan.steps.length === 1 ? '' : 's'}${plan.secondPass.length > 0 ? `, ${plan.secondPass.length} lookup${plan.secondPass.length === 1 ? '' : 's'} in a second pass` : ''}</p>
+        ${cyclesHtml}
+        ${stepsHtml}
+        ${secondPassHtml}
+        ${undescribedHint}
+        <div class="tool-actions">
+            ${Object.entries(LOAD_PLAN_FORMATS).map(([format, { label }]) =>
+                `<button class="btn btn--neutral btn--xs" data-format="${format}">Download ${label}</button>`).join('')}
+        </div>`;
+
+    resultEl.querySelectorAll('[data-format]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { extension, mimeType } = LOAD_PLAN_FORMATS[button.dataset.format];
+            const content = formatLoadPlan(button.dataset.format, plan, getExportContext());
+            downloadFile(getExportFileName(extension, 'load-plan'), content, mimeType);
+        });
+    });
+}
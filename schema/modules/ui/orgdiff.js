@@ -0,0 +1,193 @@
+/**
+ * Salesforce Schema Explorer - UI Org Compare
+ * Renders the org-to-org schema diff (e.g. sandbox vs production) from cached metadata.
+ */
+
+import { escapeHtml, logger } from '../utils.js';
+import { listCachedOrgs, loadCachedMetadata } from '../api.js';
+import { diffMetadataMaps, countByStatus, formatDiffValue } from '../diff.js';
+import { applyDiffOverlay, clearDiffOverlay } from '../graph.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel } from './tools.js';
+
+const TOOL_ID = 'org-compare';
+
+const STATUS_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    changed: 'Changed'
+};
+
+// =============================================================================
+// ORG COMPARE PANEL
+// =============================================================================
+
+/**
+ * Shows the org compare tool (toggles it closed if already open).
+ */
+export async function showOrgCompare() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    showToolPanel(TOOL_ID, 'Compare Orgs', `
+        <div id="compare-setup" class="tool-section"><p class="tool-hint">Loading cached orgs...</p></div>
+        <div id="compare-result" class="tool-section"></div>`, clearDiffOverlay);
+
+    let orgs;
+    try {
+        orgs = await listCachedOrgs();
+    } catch (error) {
+        logger.error('[OrgDiff:list] Failed to list cached orgs', { error: error.message });
+        orgs = [];
+    }
+
+    const setupEl = document.getElementById('compare-setup');
+    if (!isToolPanelOpen(TOOL_ID) || !setupEl) return;
+
+    if (orgs.length < 2) {
+        setupEl.innerHTML = `<p class="tool-empty">Comparing needs the metadata of two orgs cached in this browser.
+            Open the Schema Explorer from the other org (e.g. the sandbox) and load its objects or its Org Map first.</p>`;
+        return;
+    }
+
+    const current = orgs.find(org => org.isCurrent);
+    const other = orgs.find(org => !org.isCurrent);
+    const renderOptions = selected => orgs.map(org => `
+        <option value="${escapeHtml(org.cacheKey)}" ${org === selected ? 'selected' : ''}>
+            ${escapeHtml(org.host)}${org.isCurrent ? ' (this org)' : ''} · ${org.objectCount} objects${org.crawledAt ? ' (full crawl)' : ''}
+        </option>`).join('');
+
+    setupEl.innerHTML = `
+        <label class="tool-label" for="compare-base">Base (before)</label>
+        <select id="compare-base" class="tool-input">${renderOptions(other)}</select>
+        <label class="tool-label" for="compare-target">Compare with (after)</label>
+        <select id="compare-target" class="tool-input">${renderOptions(current || orgs[0])}</select>
+        <label class="tool-checkbox"><input type="checkbox" id="compare-overlay" checked> Highlight differences on the graph</label>
+        <button id="compare-run-btn" class="btn btn--brand btn--full">Compare</button>
+        <p class="tool-hint">Compares the cached describes of both orgs: objects, fields (type, length, nillable, references, master-detail) and relationships.
+            Objects are only reported as added or removed against an org whose Org Map was fully crawled.</p>`;
+
+    document.getElementById('compare-run-btn').addEventListener('click', () => {
+        const baseOrg = orgs.find(org => org.cacheKey === document.getElementById('compare-base').value);
+        const targetOrg = orgs.find(org => org.cacheKey === document.getElementById('compare-target').value);
+        runCompare(baseOrg, targetOrg);
+    });
+}
+
+async function runCompare(baseOrg, targetOrg) {
+    const resultEl = document.getElementById('compare-result');
+    const runBtn = document.getElementById('compare-run-btn');
+    if (!resultEl) return;
+
+    clearDiffOverlay();
+
+    if (baseOrg.cacheKey === targetOrg.cacheKey) {
+        resultEl.innerHTML = '<p class="tool-empty">Select two different orgs.</p>';
+        return;
+    }
+
+    runBtn.disabled = true;
+    resultEl.innerHTML = '<p class="tool-hint">Comparing...</p>';
+
+    try {
+        const [base, target] = await Promise.all([
+            loadCachedMetadata(baseOrg.cacheKey),
+            loadCachedMetadata(targetOrg.cacheKey)
+        ]);
+        if (!isToolPanelOpen(TOOL_ID)) return;
+
+        // A side without a full crawl may lack objects that exist in the org
+        const diff = diffMetadataMaps({ ...base, complete: !!base.crawledAt }, { ...target, complete: !!target.crawledAt });
+        renderDiffResult(resultEl, diff, baseOrg.host, targetOrg.host);
+
+        if (document.getElementById('compare-overlay')?.checked && (baseOrg.isCurrent || targetOrg.isCurrent)) {
+            const statusById = new Map();
+            diff.objects.forEach(object => statusById.set(object.name, object.status));
+            diff.relationships.forEach(relationship => statusById.set(relationship.id, relationship.status));
+            applyDiffOverlay(statusById);
+        }
+    } catch (error) {
+        logger.error('[OrgDiff:compare] Compare failed', { error: error.message });
+        resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Compare failed')}</p>`;
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+// =============================================================================
+// RESULT RENDERING
+// =============================================================================
+
+/**
+ * Renders a diff as summary counts and tables (objects, fields, relationships).
+ * @param {HTMLElement} resultEl - The container.
+ * @param {Object} diff - The result of diffMetadataMaps.
+ * @param {string} baseLabel - Name of the base side (e.g. the org host).
+ * @param {string} targetLabel - Name of the compared side.
+ */
+export function renderDiffResult(resultEl, diff, baseLabel, targetLabel) {
+    const skippedHint = diff.skipped.length > 0
+        ? ` · ${diff.skipped.length} described in only one cache (not compared)`
+        : '';
+    const notLoadedHint = diff.notLoaded?.length > 0
+        ? ` · ${diff.notLoaded.length} not loaded on one side (not compared)`
+        : '';
+
+    const isEmpty = diff.objects.length === 0;
+
+    resultEl.innerHTML = `
+        <p class="tool-hint">${escapeHtml(baseLabel)} → ${escapeHtml(targetLabel)} · ${diff.comparedCount} objects compared${skippedHint}${notLoadedHint}</p>
+        <div class="diff-summary">
+            ${renderCounts('Objects', diff.objects)}
+            ${renderCounts('Fields', diff.fields)}
+            ${renderCounts('Relationships', diff.relationships)}
+        </div>
+        ${isEmpty ? '<p class="tool-empty">No differences in the cached metadata.</p>' : ''}
+        ${renderTable('Objects', diff.objects, object => [escapeHtml(object.name), ''])}
+        ${renderTable('Fields', diff.fields, field => [
+            `${escapeHtml(field.objectName)}.<strong>${escapeHtml(field.fieldName)}</strong>`,
+            renderChanges(field.changes)
+        ])}
+        ${renderTable('Relationships', diff.relationships, relationship => [
+            `${escapeHtml(relationship.source)}.${escapeHtml(relationship.fieldName)} → ${escapeHtml(relationship.target)}`,
+            renderChanges(relationship.changes)
+        ])}
+        ${diff.notLoaded?.length > 0
+            ? `<p class="tool-hint">Not loaded on one side: ${diff.notLoaded.map(escapeHtml).join(', ')}. Their describes were never cached there, so they are neither added nor removed.</p>`
+            : ''}`;
+}
+
+function renderCounts(label, entries) {
+    const counts = countByStatus(entries);
+    return `
+        <div class="diff-summary__item">
+            <span class="diff-summary__label">${label}</span>
+            <span class="diff-badge diff-badge--added">+${counts.added}</span>
+            <span class="diff-badge diff-badge--removed">−${counts.removed}</span>
+            <span class="diff-badge diff-badge--changed">~${counts.changed}</span>
+        </div>`;
+}
+
+function renderTable(title, entries, renderCells) {
+    if (entries.length === 0) return '';
+
+    const rows = entries.map(entry => {
+        const [name, details] = renderCells(entry);
+        return `
+            <tr class="diff-table__row diff-table__row--${entry.status}">
+                <td><span class="diff-badge diff-badge--${entry.status}">${STATUS_LABELS[entry.status]}</span></td>
+                <td class="diff-table__name">${name}${details ? `<div class="diff-table__details">${details}</div>` : ''}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <h4 class="diff-table__title">${title} (${entries.length})</h4>
+        <table class="diff-table"><tbody>${rows}</tbody></table>`;
+}
+
+function renderChanges(changes) {
+    return changes.map(change =>
+        `${escapeHtml(change.label)}: ${escapeHtml(formatDiffValue(change.before))} → ${escapeHtml(formatDiffValue(change.after))}`
+    ).join('<br>');
+}
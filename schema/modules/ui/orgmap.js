@@ -0,0 +1,34 @@
+/**
+ * Salesforce Schema Explorer - UI Org Map
+ * Mode banner and crawl progress for the whole-org schema map.
+ */
+
+import { state, elements } from '../state.js';
+
+// =============================================================================
+// ORG MAP
+// =============================================================================
+
+/**
+ * Shows the org crawl progress in the loading view.
+ * @param {{completed: number, total: number, failedCount: number}} progress - Crawl progress.
+ */
+export function updateOrgCrawlProgress({ completed, total, failedCount }) {
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+    const failures = failedCount > 0 ? ` · ${failedCount} failed` : '';
+    elements.loadingText.textContent = `Describing org objects... ${completed} / ${total} (${percent}%)${failures}`;
+    elements.loadingCancel.classList.remove('hidden');
+}
+
+/**
+ * Fills the org map mode banner with the map statistics.
+ * @param {Object} stats - { objectCount, edgeCount, clusterCount, failedCount, cancelled }.
+ */
+export function renderOrgMapBanner({ objectCount, edgeCount, clusterCount, failedCount = 0, cancelled = false }) {
+    const failures = failedCount > 0 ? ` · ${failedCount} could not be described` : '';
+    const partial = cancelled ? ' · crawl cancelled, map is partial' : '';
+    elements.modeBannerTitle.textContent = 'Org Map';
+    elements.modeBannerStats.textContent =
+        `${objectCount} objects · ${edgeCount} relationships · ${clusterCount} clusters${failures}${partial}`;
+    elements.modeBannerBack.classList.toggle('hidden', !state.objectApiName);
+}
@@ -0,0 +1,105 @@
+/**
+ * Salesforce Schema Explorer - UI Path Finder
+ * Renders the "Find path" tool and highlights the result on the graph.
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { findRelationshipPath, formatPathText, MAX_PATH_DEPTH } from '../pathfinder.js';
+import { highlightPath, clearPathHighlight } from '../graph.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel, renderObjectPicker, attachObjectPicker, attachCopyButton } from './tools.js';
+
+const TOOL_ID = 'path-finder';
+
+// =============================================================================
+// PATH FINDER PANEL
+// =============================================================================
+
+/**
+ * Shows the path finder tool (toggles it closed if already open).
+ */
+export function showPathFinder() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const rootLabel = state.allObjects.find(o => o.name === state.objectApiName)?.label || state.objectApiName || '';
+
+    const bodyHtml = `
+    <div class="tool-section">
+        <label class="tool-label" for="path-source">From</label>
+        ${renderObjectPicker('path-source', 'Source object...', rootLabel)}
+        <label class="tool-label" for="path-target">To</label>
+        ${renderObjectPicker('path-target', 'Target object...')}
+        <button id="path-find-btn" class="btn btn--brand btn--full" disabled>Find path</button>
+        <p class="tool-hint">Shortest chain of lookup/master-detail relationships, up to ${MAX_PATH_DEPTH} hops. Missing objects are described on the fly.</p>
+    </div>
+    <div id="path-result" class="tool-section"></div>`;
+
+    showToolPanel(TOOL_ID, 'Find Path', bodyHtml, clearPathHighlight);
+
+    const selection = { source: state.objectApiName, target: null };
+    const findBtn = document.getElementById('path-find-btn');
+    const updateButton = () => { findBtn.disabled = !selection.source || !selection.target; };
+
+    attachObjectPicker('path-source', apiName => { selection.source = apiName; updateButton(); });
+    attachObjectPicker('path-target', apiName => { selection.target = apiName; updateButton(); });
+    findBtn.addEventListener('click', () => runPathSearch(selection.source, selection.target));
+
+    updateButton();
+    document.getElementById('path-target')?.focus();
+}
+
+async function runPathSearch(sourceName, targetName) {
+    const resultEl = document.getElementById('path-result');
+    const findBtn = document.getElementById('path-find-btn');
+    if (!resultEl) return;
+
+    clearPathHighlight();
+    findBtn.disabled = true;
+    resultEl.innerHTML = '<p class="tool-hint">Searching relationships...</p>';
+
+    try {
+        const path = await findRelationshipPath(sourceName, targetName);
+        if (!isToolPanelOpen(TOOL_ID)) return;
+
+        if (!path) {
+            resultEl.innerHTML = `<p class="tool-empty">No relationship path found between ${escapeHtml(sourceName)} and ${escapeHtml(targetName)} within ${MAX_PATH_DEPTH} hops.</p>`;
+            return;
+        }
+
+        renderPathResult(resultEl, path);
+        highlightPath(path);
+    } catch (error) {
+        logger.error('[PathFinder:search] Path search failed', { error: error.message });
+        resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Path search failed')}</p>`;
+    } finally {
+        findBtn.disabled = false;
+    }
+}
+
+function renderPathResult(resultEl, path) {
+    const pathText = formatPathText(path);
+
+    const stepsHtml = path.steps.map(step => `
+        <div class="path-step">
+            <div class="path-step__name">
+                <span class="path-step__direction" title="${step.direction === 'up' ? 'Child to parent' : 'Parent to child (subquery)'}">${step.direction === 'up' ? '↑' : '↓'}</span>
+                ${escapeHtml(step.relationshipName)}
+            </div>
+            <div class="path-step__meta">${escapeHtml(step.from)} → ${escapeHtml(step.to)} · ${escapeHtml(step.fieldName)} · ${step.isMasterDetail ? 'Master-Detail' : 'Lookup'}</div>
+        </div>`).join('');
+
+    resultEl.innerHTML = `
+        <div class="tool-code">
+            <code id="path-soql">${escapeHtml(pathText)}</code>
+            <button id="path-copy-btn" class="btn btn--neutral btn--xs">Copy</button>
+        </div>
+        ${path.traversable
+            ? '<p class="tool-hint">Child-to-parent path: usable as-is in a SOQL SELECT or WHERE clause.</p>'
+            : '<p class="tool-hint">This path walks parent-to-child relationships (↓), which need a subquery in SOQL.</p>'}
+        <div class="path-steps">${stepsHtml || '<p class="tool-hint">Source and target are the same object.</p>'}</div>`;
+
+    attachCopyButton(document.getElementById('path-copy-btn'), () => pathText);
+}
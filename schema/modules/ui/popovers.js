@@ -12,7 +12,7 @@ import {
     updateRelationshipTabs,
     updateObjectsCount,
     getRelatedObjectsList,
-    getActiveRelationships
+    getVisibleRelationships
 } from './legend.js';
 
 // =============================================================================
@@ -211,7 +211,7 @@ async function handleObjectPopoverSave() {
     saveObjectExclusions(state.instanceUrl, state.objectApiName, state.userExcludedObjects);
 
     // Refresh the graph
-    refreshGraphVisibility(); // This rebuilds the graph
+    refreshGraphVisibility(); // Updates the graph in place
 
     // Explicitly update UI counts to reflect new exclusions
     updateRelationshipTabs();
@@ -241,12 +241,32 @@ export function hideRelationshipPopover() {
 // =============================================================================
 
 function renderRelationshipPopoverItem(relationship) {
+    const isSelf = relationship.sourceObject === relationship.targetObject;
     const isOutgoing = relationship.sourceObject === state.objectApiName;
-    const directionIcon = isOutgoing ? '→' : '←';
+    const targets = relationship.polymorphicTargets;
+    const isGroupedPolymorphic = isOutgoing && !!targets;
+    const directionIcon = isSelf ? '↻' : (isOutgoing ? '→' : '←');
     const targetOrSource = isOutgoing ? relationship.targetObject : relationship.sourceObject;
-    const directionTitle = isOutgoing ? 'references' : 'referenced by';
+    const directionTitle = isSelf ? 'references its own object' : (isOutgoing ? 'references' : 'referenced by');
     const typeLabel = relationship.isMasterDetail ? 'Master-Detail' : 'Lookup';
 
+    const apiHtml = isGroupedPolymorphic
+        ? `${escapeHtml(relationship.fieldName)} · ${typeLabel}`
+        : `${escapeHtml(targetOrSource)} · ${typeLabel}${isSelf ? ' · Self-reference' : ''}`;
+
+    const polymorphicHtml = targets
+        ? `<div class="rel-item__targets" title="${escapeHtml(targets.join(', '))}">
+            <span class="rel-item__badge rel-item__badge--polymorphic">Polymorphic</span>
+            ${escapeHtml(targets.join(', '))}
+          </div>`
+        : '';
+
+    // A grouped polymorphic field has no single object to open
+    const linkHtml = isGroupedPolymorphic
+        ? ''
+        : `<a href="${getObjectManagerUrl(targetOrSource)}" target="_blank" rel="noopener noreferrer" 
+         class="rel-item__link" title="Open in Object Manager">↗</a>`;
+
     return `
     <div class="rel-item">
       <div class="rel-item__info">
@@ -254,10 +274,10 @@ function renderRelationshipPopoverItem(relationship) {
           <span class="rel-item__direction" title="${directionTitle}">${directionIcon}</span>
           ${escapeHtml(relationship.fieldLabel || relationship.fieldName)}
         </div>
-        <div class="rel-item__api">${escapeHtml(targetOrSource)} · ${typeLabel}</div>
+        <div class="rel-item__api">${apiHtml}</div>
+        ${polymorphicHtml}
       </div>
-      <a href="${getObjectManagerUrl(targetOrSource)}" target="_blank" rel="noopener noreferrer" 
-         class="rel-item__link" title="Open in Object Manager">↗</a>
+      ${linkHtml}
     </div>
   `;
 }
@@ -276,16 +296,8 @@ export function showRelationshipPopover(type) {
         return;
     }
 
-    const activeRelationships = getActiveRelationships(); // Only active (visible) relationships
-    let relationships = type === 'lookup' ? activeRelationships.lookup : activeRelationships.masterDetail;
-
-    // Filter by visibility
-    relationships = relationships.filter(rel => {
-        const partner = rel.targetObject === state.objectApiName ? rel.sourceObject : rel.targetObject;
-        if (!partner || partner === state.objectApiName) return false;
-
-        return !state.userExcludedObjects.has(partner) && !isObjectExcluded(partner);
-    });
+    const visibleRelationships = getVisibleRelationships(); // Active view, shown partners only
+    const relationships = type === 'lookup' ? visibleRelationships.lookup : visibleRelationships.masterDetail;
 
     if (relationships.length === 0) return;
 
@@ -0,0 +1,194 @@
+/**
+ * Salesforce Schema Explorer - UI Query Console
+ * Runs read-only SOQL queries against the current org and renders the records as a table;
+ * counts the records of the objects in the graph.
+ */
+
+import { state } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { runSoqlQuery, fetchRecordCount } from '../api.js';
+import { DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT, prepareQuery, getCountedObject, flattenRecords, formatCellValue } from '../query.js';
+import { applyRecordCounts } from '../graph.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel } from './tools.js';
+
+const TOOL_ID = 'query-console';
+
+// Upper bound on objects counted in one run (one COUNT() query each)
+const MAX_COUNTED_OBJECTS = 50;
+
+// =============================================================================
+// QUERY CONSOLE PANEL
+// =============================================================================
+
+/**
+ * Shows the query console (toggles it closed if already open).
+ * @param {string} [initialQuery] - Query to put in the editor (e.g. from the SOQL builder).
+ */
+export function showQueryConsole(initialQuery) {
+    if (isToolPanelOpen(TOOL_ID) && typeof initialQuery !== 'string') {
+        hideToolPanel();
+        return;
+    }
+
+    const objectName = state.currentPanelObject || state.objectApiName;
+    const query = typeof initialQuery === 'string'
+        ? initialQuery
+        : (objectName ? `SELECT Id FROM ${objectName}` : '');
+
+    showToolPanel(TOOL_ID, 'Query Console', `
+    <div class="tool-section">
+        <label class="tool-label" for="query-input">SOQL</label>
+        <textarea id="query-input" class="tool-output query-input" spellcheck="false" placeholder="SELECT Id, Name FROM Account">${escapeHtml(query)}</textarea>
+        <div class="query-options">
+            <label class="tool-label" for="query-row-limit">Rows</label>
+            <input type="number" id="query-row-limit" class="tool-input query-options__limit" min="1" max="${MAX_ROW_LIMIT}" value="${DEFAULT_ROW_LIMIT}">
+            <button id="query-run-btn" class="btn btn--brand btn--xs">Run</button>
+        </div>
+        <p class="tool-hint">Read-only: only SELECT queries run, with at most ${MAX_ROW_LIMIT} rows. Ctrl+Enter runs the query.</p>
+    </div>
+    <div id="query-result" class="tool-section"></div>
+    <div class="tool-section">
+        <span class="tool-label">Record counts</span>
+        <button id="query-count-btn" class="btn btn--neutral btn--full">Count records of graph objects</button>
+        <p class="tool-hint">Runs a COUNT() query per object in the current graph (at most ${MAX_COUNTED_OBJECTS}) and shows the counts on the nodes.</p>
+        <div id="query-counts"></div>
+    </div>`);
+
+    const input = document.getElementById('query-input');
+    const run = () => runQuery(input.value, Number(document.getElementById('query-row-limit').value));
+
+    document.getElementById('query-run-btn').addEventListener('click', run);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            run();
+        }
+    });
+    document.getElementById('query-count-btn').addEventListener('click', countGraphObjects);
+
+    input.focus();
+}
+
+async function runQuery(soql, rowLimit) {
+    const resultEl = document.getElementById('query-result');
+    const runBtn = document.getElementById('query-run-btn');
+    if (!resultEl) return;
+
+    let prepared;
+    try {
+        prepared = prepareQuery(soql, rowLimit);
+    } catch (error) {
+        resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    runBtn.disabled = true;
+    resultEl.innerHTML = '<p class="tool-hint">Running query...</p>';
+
+    try {
+        const maxRows = Math.min(Math.max(1, rowLimit || DEFAULT_ROW_LIMIT), MAX_ROW_LIMIT);
+        const result = await runSoqlQuery(prepared.soql, prepared.isCount ? 0 : maxRows);
+        if (!isToolPanelOpen(TOOL_ID)) return;
+
+        if (prepared.isCount) {
+            const countedObject = getCountedObject(prepared.soql);
+            if (countedObject) {
+                state.recordCounts.set(countedObject, result.totalSize);
+                applyRecordCounts();
+            }
+            resultEl.innerHTML = `<p class="query-count">${result.totalSize.toLocaleString()} record${result.totalSize === 1 ? '' : 's'}</p>`;
+            return;
+        }
+
+        renderRecords(resultEl, result);
+    } catch (error) {
+        logger.warn('[Query:run] Query failed', { error: error.message });
+        if (isToolPanelOpen(TOOL_ID)) {
+            resultEl.innerHTML = `<p class="tool-empty">${escapeHtml(error.message || 'Query failed')}</p>`;
+        }
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+// =============================================================================
+// RESULT RENDERING
+// =============================================================================
+
+function renderRecords(resultEl, { records, totalSize, done }) {
+    if (records.length === 0) {
+        resultEl.innerHTML = '<p class="tool-empty">No records found.</p>';
+        return;
+    }
+
+    const { columns, rows } = flattenRecords(records);
+    const summary = done
+        ? `${records.length} row${records.length === 1 ? '' : 's'}`
+        : `First ${records.length} of ${totalSize.toLocaleString()} rows`;
+
+    resultEl.innerHTML = `
+        <p class="tool-hint">${summary}</p>
+        <div class="query-table-wrapper">
+            <table class="query-table">
+                <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${columns.map(column => {
+                        const text = formatCellValue(row[column]);
+                        return `<td title="${escapeHtml(text)}">${escapeHtml(text)}</td>`;
+                    }).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// =============================================================================
+// RECORD COUNTS
+// =============================================================================
+
+async function countGraphObjects() {
+    const countsEl = document.getElementById('query-counts');
+    const countBtn = document.getElementById('query-count-btn');
+    if (!countsEl) return;
+
+    const objectNames = [...new Set(state.cy?.nodes().not(':parent').map(node => node.data('objectName') || node.id()) || [])]
+        .filter(objectName => state.nodes?.[objectName]?.info?.queryable !== false);
+
+    if (objectNames.length === 0) {
+        countsEl.innerHTML = '<p class="tool-empty">No queryable objects in the graph.</p>';
+        return;
+    }
+
+    const counted = objectNames.slice(0, MAX_COUNTED_OBJECTS);
+    const failed = [];
+    countBtn.disabled = true;
+
+    for (const [index, objectName] of counted.entries()) {
+        countsEl.innerHTML = `<p class="tool-hint">Counting ${escapeHtml(objectName)} (${index + 1}/${counted.length})...</p>`;
+        try {
+            await fetchRecordCount(objectName);
+        } catch (error) {
+            logger.warn('[Query:count] Record count failed', { object: objectName, error: error.message });
+            failed.push(objectName);
+        }
+        if (!isToolPanelOpen(TOOL_ID)) break;
+    }
+
+    applyRecordCounts();
+    if (!isToolPanelOpen(TOOL_ID)) return;
+    countBtn.disabled = false;
+
+    const counts = counted
+        .filter(objectName => state.recordCounts.has(objectName) && !failed.includes(objectName))
+        .sort((a, b) => state.recordCounts.get(b) - state.recordCounts.get(a));
+
+    countsEl.innerHTML = `
+        <ul class="query-counts">
+            ${counts.map(objectName => `
+                <li class="query-counts__item">
+                    <span>${escapeHtml(objectName)}</span>
+                    <span class="query-counts__value">${state.recordCounts.get(objectName).toLocaleString()}</span>
+                </li>`).join('')}
+        </ul>
+        ${failed.length > 0 ? `<p class="tool-hint">Could not count: ${escapeHtml(failed.join(', '))}</p>` : ''}
+        ${objectNames.length > counted.length ? `<p class="tool-hint">${objectNames.length - counted.length} more objects not counted.</p>` : ''}`;
+}
@@ -0,0 +1,490 @@
+/**
+ * Salesforce Schema Explorer - UI SOQL Builder
+ * Turns the fields checked in the details panel, parent traversals, child subqueries,
+ * filters and sorting into a SOQL query.
+ */
+
+import { state, elements } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { ensureObjectsDescribed } from '../api.js';
+import { isObjectDescribed, isPicklistField } from '../data.js';
+import {
+    MAX_PARENT_DEPTH,
+    SOQL_OPERATORS,
+    getObjectFields,
+    getParentRelationships,
+    getChildRelationships,
+    getOperatorsForField,
+    formatCondition,
+    buildSoqlQuery
+} from '../soql.js';
+import { applyFilters } from './filters.js';
+import { showToolPanel, isToolPanelOpen, hideToolPanel, attachCopyButton } from './tools.js';
+import { showQueryConsole } from './query.js';
+
+const TOOL_ID = 'soql-builder';
+
+// Compound and long text fields can't be used in WHERE or ORDER BY
+const UNFILTERABLE_TYPES = new Set(['address', 'location', 'base64']);
+const MAX_FILTERABLE_TEXT_LENGTH = 255;
+
+const VALUE_PLACEHOLDERS = {
+    date: 'YYYY-MM-DD or TODAY, LAST_N_DAYS:30...',
+    datetime: 'YYYY-MM-DDThh:mm:ssZ or YESTERDAY...',
+    time: 'hh:mm:ss.000Z'
+};
+
+// Query parts that aren't field checkboxes, for the object shown in the builder
+let builder = null;
+
+function createBuilder(objectName) {
+    return {
+        objectName,
+        parentPath: [],
+        parentFields: [],
+        subqueries: new Map(),
+        conditions: [],
+        nextConditionId: 1,
+        conjunction: 'AND',
+        orderBy: { fieldName: '', direction: 'ASC' },
+        limit: ''
+    };
+}
+
+// =============================================================================
+// SOQL BUILDER PANEL
+// =============================================================================
+
+/**
+ * Shows the SOQL builder for the object of the details panel (toggles it closed if already open).
+ */
+export function showSoqlBuilder() {
+    if (isToolPanelOpen(TOOL_ID)) {
+        hideToolPanel();
+        return;
+    }
+
+    const objectName = state.currentPanelObject;
+    if (!objectName) {
+        showToolPanel(TOOL_ID, 'SOQL Builder', '<div class="tool-section"><p class="tool-empty">Click an object to open its fields, then check the fields to query.</p></div>');
+        return;
+    }
+
+    builder = createBuilder(objectName);
+    showToolPanel(TOOL_ID, 'SOQL Builder', renderBuilderBody());
+    attachBuilderListeners();
+    renderQuery();
+}
+
+/**
+ * Updates the builder after the field selection or the details panel object changed.
+ */
+export function refreshSoqlBuilder() {
+    if (!isToolPanelOpen(TOOL_ID)) return;
+
+    if (!builder || builder.objectName !== state.currentPanelObject) {
+        hideToolPanel();
+        showSoqlBuilder();
+        return;
+    }
+    renderQuery();
+}
+
+function renderBuilderBody() {
+    const childOptions = getChildRelationships(builder.objectName).map(relationship =>
+        `<option value="${escapeHtml(relationship.relationshipName)}">${escapeHtml(relationship.relationshipName)} (${escapeHtml(relationship.childObject)})</option>`
+    ).join('');
+
+    const sortOptions = getFilterableFields(builder.objectName)
+        .map(field => `<option value="${escapeHtml(field.name)}">${escapeHtml(field.name)}</option>`).join('');
+
+    return `
+    <div class="tool-section">
+        <p class="tool-hint">Querying <strong>${escapeHtml(builder.objectName)}</strong>. Check fields in the details panel to select them.</p>
+        <div id="soql-fields" class="tool-chips"></div>
+    </div>
+    <div class="tool-section">
+        <label class="tool-label" for="soql-parent-0">Parent field</label>
+        <div id="soql-parent-path" class="soql-path"></div>
+        <button id="soql-parent-add" class="btn btn--neutral btn--xs" disabled>Add parent field</button>
+    </div>
+    <div class="tool-section">
+        <label class="tool-label" for="soql-child-relationship">Child subquery</label>
+        <select id="soql-child-relationship" class="tool-input">
+            <option value="">${childOptions ? 'Choose a child relationship...' : 'No child relationships cached'}</option>
+            ${childOptions}
+        </select>
+        <select id="soql-child-field" class="tool-input" disabled><option value="">Field...</option></select>
+        <button id="soql-child-add" class="btn btn--neutral btn--xs" disabled>Add to subquery</button>
+    </div>
+    <div class="tool-section">
+        <div class="soql-section__header">
+            <span class="tool-label">Filters</span>
+            <select id="soql-conjunction" class="soql-conjunction" aria-label="Combine filters with">
+                <option value="AND">All match (AND)</option>
+                <option value="OR">Any matches (OR)</option>
+            </select>
+        </div>
+        <div id="soql-conditions"></div>
+        <button id="soql-condition-add" class="btn btn--neutral btn--xs">Add filter</button>
+    </div>
+    <div class="tool-section">
+        <label class="tool-label" for="soql-order-field">Order by</label>
+        <div class="soql-row">
+            <select id="soql-order-field" class="tool-input"><option value="">None</option>${sortOptions}</select>
+            <select id="soql-order-direction" class="tool-input soql-row__narrow" aria-label="Sort direction">
+                <option value="ASC">ASC</option>
+                <option value="DESC">DESC</option>
+            </select>
+        </div>
+        <label class="tool-label" for="soql-limit">Limit</label>
+        <input type="number" id="soql-limit" class="tool-input" min="1" placeholder="No limit">
+    </div>
+    <div class="tool-section">
+        <textarea id="soql-output" class="tool-output soql-output" readonly spellcheck="false"></textarea>
+        <p id="soql-warning" class="tool-hint"></p>
+        <div class="tool-actions">
+            <button id="soql-copy-btn" class="btn btn--neutral btn--xs">Copy</button>
+            <button id="soql-run-btn" class="btn btn--brand btn--xs">Run in console</button>
+        </div>
+    </div>`;
+}
+
+function attachBuilderListeners() {
+    renderParentPath();
+    renderConditions();
+
+    document.getElementById('soql-fields').addEventListener('click', handleFieldChipClick);
+    document.getElementById('soql-parent-path').addEventListener('change', handleParentPathChange);
+    document.getElementById('soql-parent-add').addEventListener('click', addParentField);
+
+    const childSelect = document.getElementById('soql-child-relationship');
+    const childFieldSelect = document.getElementById('soql-child-field');
+    const childAddBtn = document.getElementById('soql-child-add');
+    childSelect.addEventListener('change', () => loadChildFields(childSelect.value));
+    childFieldSelect.addEventListener('change', () => { childAddBtn.disabled = !childFieldSelect.value; });
+    childAddBtn.addEventListener('click', addChildField);
+
+    document.getElementById('soql-condition-add').addEventListener('click', () => {
+        const field = getFilterableFields(builder.objectName)[0];
+        if (!field) return;
+        builder.conditions.push({ id: builder.nextConditionId++, fieldName: field.name, operator: getOperatorsForField(field)[0], value: '' });
+        renderConditions();
+        renderQuery();
+    });
+
+    const conditionsEl = document.getElementById('soql-conditions');
+    conditionsEl.addEventListener('change', handleConditionChange);
+    conditionsEl.addEventListener('input', handleConditionChange);
+    conditionsEl.addEventListener('click', event => {
+        const button = event.target.closest('[data-remove-condition]');
+        if (!button) return;
+        builder.conditions = builder.conditions.filter(condition => condition.id !== Number(button.dataset.removeCondition));
+        renderConditions();
+        renderQuery();
+    });
+
+    document.getElementById('soql-conjunction').addEventListener('change', event => {
+        builder.conjunction = event.target.value;
+        renderQuery();
+    });
+    document.getElementById('soql-order-field').addEventListener('change', event => {
+        builder.orderBy.fieldName = event.target.value;
+        renderQuery();
+    });
+    document.getElementById('soql-order-direction').addEventListener('change', event => {
+        builder.orderBy.direction = event.target.value;
+        renderQuery();
+    });
+    document.getElementById('soql-limit').addEventListener('input', event => {
+        builder.limit = event.target.value;
+        renderQuery();
+    });
+
+    attachCopyButton(document.getElementById('soql-copy-btn'), () => document.getElementById('soql-output').value);
+    document.getElementById('soql-run-btn').addEventListener('click', () => showQueryConsole(document.getElementById('soql-output').value));
+}
+
+// =============================================================================
+// SELECTED FIELDS
+// =============================================================================
+
+function renderFieldChips() {
+    const chips = [
+        ...[...state.selectedFields].map(name => ({ kind: 'field', value: name, label: name })),
+        ...builder.parentFields.map(path => ({ kind: 'parent', value: path, label: path })),
+        ...[...builder.subqueries.values()].flatMap(subquery =>
+            subquery.fields.map(name => ({ kind: 'child', value: `${subquery.relationshipName}.${name}`, label: `${subquery.relationshipName} · ${name}` })))
+    ];
+
+    document.getElementById('soql-fields').innerHTML = chips.map(chip => `
+        <span class="tool-chip">${escapeHtml(chip.label)}
+            <button class="tool-chip__remove" data-kind="${chip.kind}" data-value="${escapeHtml(chip.value)}" aria-label="Remove ${escapeHtml(chip.label)}">×</button>
+        </span>`).join('') || '<p class="tool-hint">No fields selected: the query selects Id.</p>';
+}
+
+function handleFieldChipClick(event) {
+    const button = event.target.closest('.tool-chip__remove');
+    if (!button) return;
+
+    const { kind, value } = button.dataset;
+    if (kind === 'field') {
+        state.selectedFields.delete(value);
+        applyFilters();
+    } else if (kind === 'parent') {
+        builder.parentFields = builder.parentFields.filter(path => path !== value);
+    } else {
+        const [relationshipName, fieldName] = value.split('.');
+        const subquery = builder.subqueries.get(relationshipName);
+        subquery.fields = subquery.fields.filter(name => name !== fieldName);
+        if (subquery.fields.length === 0) builder.subqueries.delete(relationshipName);
+    }
+    renderQuery();
+}
+
+// =============================================================================
+// PARENT FIELDS
+// =============================================================================
+
+/**
+ * Renders one select per traversal level: the base object offers its relationships,
+ * each parent offers its fields and (below the depth limit) its own relationships.
+ */
+function renderParentPath() {
+    const container = document.getElementById('soql-parent-path');
+    const levels = [{ objectName: builder.objectName }, ...builder.parentPath];
+
+    container.innerHTML = levels.map((level, index) => {
+        const relationshipOptions = index < MAX_PARENT_DEPTH
+            ? getParentRelationships(level.objectName).map(relationship =>
+                `<option value="rel:${escapeHtml(relationship.relationshipName)}" ${builder.parentPath[index]?.relationshipName === relationship.relationshipName ? 'selected' : ''}>
+                    ${escapeHtml(relationship.relationshipName)} → ${escapeHtml(relationship.targets.join(' / '))}
+                </option>`).join('')
+            : '';
+        const fieldOptions = index > 0
+            ? getObjectFields(level.objectName).map(field =>
+                `<option value="field:${escapeHtml(field.name)}">${escapeHtml(field.name)}</option>`).join('')
+            : '';
+
+        return `
+            <select id="soql-parent-${index}" class="tool-input" data-level="${index}">
+                <option value="">${index === 0 ? 'Choose a relationship...' : `${escapeHtml(level.objectName)} field...`}</option>
+                ${fieldOptions ? `<optgroup label="Fields">${fieldOptions}</optgroup>` : ''}
+                ${relationshipOptions ? `<optgroup label="Relationships">${relationshipOptions}</optgroup>` : ''}
+            </select>`;
+    }).join('');
+
+    document.getElementById('soql-parent-add').disabled = true;
+}
+
+async function handleParentPathChange(event) {
+    const select = event.target.closest('[data-level]');
+    if (!select) return;
+
+    const level = Number(select.dataset.level);
+    const [kind, name] = select.value.split(':');
+    const addBtn = document.getElementById('soql-parent-add');
+
+    if (kind !== 'rel') {
+        addBtn.disabled = kind !== 'field';
+        return;
+    }
+
+    const objectName = level === 0 ? builder.objectName : builder.parentPath[level - 1].objectName;
+    const relationship = getParentRelationships(objectName).find(candidate => candidate.relationshipName === name);
+    const target = relationship.targets[0];
+
+    builder.parentPath = [...builder.parentPath.slice(0, level), { relationshipName: name, objectName: target }];
+
+    if (!isObjectDescribed(target)) {
+        select.disabled = true;
+        try {
+            await ensureObjectsDescribed([target]);
+        } catch (error) {
+            logger.warn('[SOQL:parent] Failed to describe parent object', { object: target, error: error.message });
+        }
+        if (!isToolPanelOpen(TOOL_ID)) return;
+    }
+    renderParentPath();
+}
+
+function addParentField() {
+    const lastSelect = document.getElementById(`soql-parent-${builder.parentPath.length}`);
+    const fieldName = lastSelect?.value.startsWith('field:') ? lastSelect.value.slice('field:'.length) : null;
+    if (!fieldName) return;
+
+    const path = [...builder.parentPath.map(step => step.relationshipName), fieldName].join('.');
+    if (!builder.parentFields.includes(path)) builder.parentFields.push(path);
+
+    builder.parentPath = [];
+    renderParentPath();
+    renderQuery();
+}
+
+// =============================================================================
+// CHILD SUBQUERIES
+// =============================================================================
+
+async function loadChildFields(relationshipName) {
+    const fieldSelect = document.getElementById('soql-child-field');
+    document.getElementById('soql-child-add').disabled = true;
+    fieldSelect.disabled = true;
+    fieldSelect.innerHTML = '<option value="">Field...</option>';
+
+    const relationship = getChildRelationships(builder.objectName).find(candidate => candidate.relationshipName === relationshipName);
+    if (!relationship) return;
+
+    if (!isObjectDescribed(relationship.childObject)) {
+        fieldSelect.innerHTML = '<option value="">Describing...</option>';
+        try {
+            await ensureObjectsDescribed([relationship.childObject]);
+        } catch (error) {
+            logger.warn('[SOQL:child] Failed to describe child object', { object: relationship.childObject, error: error.message });
+        }
+        if (!isToolPanelOpen(TOOL_ID) || document.getElementById('soql-child-relationship')?.value !== relationshipName) return;
+    }
+
+    fieldSelect.innerHTML = `<option value="">${escapeHtml(relationship.childObject)} field...</option>` +
+        getObjectFields(relationship.childObject).map(field =>
+            `<option value="${escapeHtml(field.name)}">${escapeHtml(field.name)}</option>`).join('');
+    fieldSelect.disabled = false;
+}
+
+function addChildField() {
+    const relationshipName = document.getElementById('soql-child-relationship').value;
+    const fieldSelect = document.getElementById('soql-child-field');
+    if (!relationshipName || !fieldSelect.value) return;
+
+    if (!builder.subqueries.has(relationshipName)) {
+        builder.subqueries.set(relationshipName, { relationshipName, fields: [] });
+    }
+    const subquery = builder.subqueries.get(relationshipName);
+    if (!subquery.fields.includes(fieldSelect.value)) subquery.fields.push(fieldSelect.value);
+
+    fieldSelect.value = '';
+    document.getElementById('soql-child-add').disabled = true;
+    renderQuery();
+}
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+function getFilterableFields(objectName) {
+    return getObjectFields(objectName).filter(field =>
+        !UNFILTERABLE_TYPES.has(field.type) && !(field.type === 'textarea' && field.length > MAX_FILTERABLE_TEXT_LENGTH)
+    );
+}
+
+function renderConditions() {
+    const fields = getFilterableFields(builder.objectName);
+
+    document.getElementById('soql-conditions').innerHTML = builder.conditions.map(condition => {
+        const field = fields.find(candidate => candidate.name === condition.fieldName);
+        const fieldOptions = fields.map(candidate =>
+            `<option value="${escapeHtml(candidate.name)}" ${candidate === field ? 'selected' : ''}>${escapeHtml(candidate.name)}</option>`).join('');
+        const operatorOptions = getOperatorsForField(field).map(operator =>
+            `<option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${escapeHtml(SOQL_OPERATORS[operator].label)}</option>`).join('');
+
+        return `
+            <div class="soql-condition" data-condition="${condition.id}">
+                <div class="soql-row">
+                    <select class="tool-input" data-part="fieldName" aria-label="Filter field">${fieldOptions}</select>
+                    <button class="tool-chip__remove" data-remove-condition="${condition.id}" aria-label="Remove filter">×</button>
+                </div>
+                <div class="soql-row">
+                    <select class="tool-input soql-row__narrow" data-part="operator" aria-label="Operator">${operatorOptions}</select>
+                    ${renderValueInput(field, condition)}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Renders the value control of a filter: true/false for checkboxes, the values of
+ * single-value picklist filters, a text input with a format hint otherwise.
+ */
+function renderValueInput(field, condition) {
+    const operator = SOQL_OPERATORS[condition.operator];
+    if (!operator.hasValue) return '';
+
+    if (field.type === 'boolean') {
+        return `<select class="tool-input" data-part="value" aria-label="Value">
+            ${['', 'true', 'false'].map(value => `<option value="${value}" ${condition.value === value ? 'selected' : ''}>${value || 'Value...'}</option>`).join('')}
+        </select>`;
+    }
+
+    if (isPicklistField(field) && field.picklistValues?.length && !operator.isList) {
+        return `<select class="tool-input" data-part="value" aria-label="Value">
+            <option value="">Value...</option>
+            ${field.picklistValues.map(entry =>
+                `<option value="${escapeHtml(entry.value)}" ${condition.value === entry.value ? 'selected' : ''}>${escapeHtml(entry.label || entry.value)}</option>`).join('')}
+        </select>`;
+    }
+
+    const placeholder = operator.isList ? 'value1, value2' : (VALUE_PLACEHOLDERS[field.type] || 'Value');
+    return `<input type="text" class="tool-input" data-part="value" value="${escapeHtml(condition.value)}" placeholder="${escapeHtml(placeholder)}" aria-label="Value">`;
+}
+
+function handleConditionChange(event) {
+    const control = event.target.closest('[data-part]');
+    const row = event.target.closest('[data-condition]');
+    if (!control || !row) return;
+
+    const condition = builder.conditions.find(candidate => candidate.id === Number(row.dataset.condition));
+    const part = control.dataset.part;
+    if (event.type === 'input' && part !== 'value') return;
+
+    condition[part] = control.value;
+
+    if (part === 'fieldName') {
+        const field = getObjectFields(builder.objectName).find(candidate => candidate.name === control.value);
+        condition.operator = getOperatorsForField(field)[0];
+        condition.value = '';
+    }
+    if (part !== 'value') renderConditions();
+    renderQuery();
+}
+
+// =============================================================================
+// QUERY OUTPUT
+// =============================================================================
+
+function renderQuery() {
+    const output = document.getElementById('soql-output');
+    if (!output) return;
+
+    renderFieldChips();
+
+    const fields = getObjectFields(builder.objectName);
+    const conditions = builder.conditions
+        .map(condition => formatCondition(
+            fields.find(field => field.name === condition.fieldName),
+            { fieldPath: condition.fieldName, operator: condition.operator, value: condition.value }
+        ));
+    const validConditions = conditions.filter(Boolean);
+    const limit = Number.parseInt(builder.limit, 10);
+
+    output.value = buildSoqlQuery({
+        objectName: builder.objectName,
+        fields: [...state.selectedFields, ...builder.parentFields],
+        subqueries: [...builder.subqueries.values()],
+        conditions: validConditions.map(condition => validConditions.length > 1 && builder.conjunction === 'OR' ? `(${condition})` : condition),
+        conjunction: builder.conjunction,
+        orderBy: builder.orderBy.fieldName ? [{ fieldPath: builder.orderBy.fieldName, direction: builder.orderBy.direction }] : [],
+        limit: limit > 0 ? limit : null
+    });
+
+    const incompleteCount = conditions.length - validConditions.length;
+    document.getElementById('soql-warning').textContent = incompleteCount > 0
+        ? `${incompleteCount} filter${incompleteCount === 1 ? ' is' : 's are'} incomplete or invalid and left out.`
+        : '';
+}
+
+/**
+ * Updates the selected field count shown on the details panel's SOQL button.
+ */
+export function updateSoqlSelectionCount() {
+    elements.soqlSelectedCount.textContent = state.selectedFields.size;
+    elements.soqlSelectedCount.classList.toggle('hidden', state.selectedFields.size === 0);
+}
@@ -0,0 +1,193 @@
+/**
+ * Salesforce Schema Explorer - UI Tool Panel
+ * Shared side drawer used by the tools menu (path finder, reports, exporters...).
+ */
+
+import { state, elements } from '../state.js';
+import { escapeHtml, copyToClipboard } from '../utils.js';
+import { filterObjects } from '../search.js';
+
+// Cleanup callback of the tool currently rendered in the panel
+let activeToolCleanup = null;
+
+// =============================================================================
+// TOOL PANEL
+// =============================================================================
+
+/**
+ * Shows the tool panel with the given content.
+ * @param {string} toolId - Identifier of the tool being shown.
+ * @param {string} title - The panel title.
+ * @param {string} bodyHtml - The panel body HTML.
+ * @param {Function} [onClose] - Called when the panel is closed or replaced by another tool.
+ */
+export function showToolPanel(toolId, title, bodyHtml, onClose = null) {
+    runActiveToolCleanup();
+
+    state.activeTool = toolId;
+    activeToolCleanup = onClose;
+
+    elements.toolPanelTitle.textContent = title;
+    elements.toolPanelBody.innerHTML = bodyHtml;
+    elements.toolPanelBody.scrollTop = 0;
+
+    elements.toolPanel.classList.remove('hidden');
+    requestAnimationFrame(() => elements.toolPanel.classList.add('visible'));
+}
+
+/**
+ * Hides the tool panel.
+ */
+export function hideToolPanel() {
+    if (!state.activeTool) return;
+
+    runActiveToolCleanup();
+    state.activeTool = null;
+
+    elements.toolPanel.classList.remove('visible');
+    setTimeout(() => {
+        if (!state.activeTool) elements.toolPanel.classList.add('hidden');
+    }, 300);
+}
+
+/**
+ * Checks whether a given tool is currently open.
+ * @param {string} toolId - The tool identifier.
+ * @returns {boolean} True if that tool is shown.
+ */
+export function isToolPanelOpen(toolId) {
+    return state.activeTool === toolId;
+}
+
+function runActiveToolCleanup() {
+    if (activeToolCleanup) {
+        const cleanup = activeToolCleanup;
+        activeToolCleanup = null;
+        cleanup();
+    }
+}
+
+// =============================================================================
+// SHARED CONTROLS
+// =============================================================================
+
+/**
+ * Renders the markup for an object picker (search input + results dropdown).
+ * @param {string} id - Base id for the picker elements.
+ * @param {string} placeholder - Input placeholder.
+ * @param {string} [value=''] - Initial input value.
+ * @returns {string} The picker HTML.
+ */
+export function renderObjectPicker(id, placeholder, value = '') {
+    return `
+    <div class="tool-picker">
+        <input type="text" id="${id}" class="tool-input" placeholder="${escapeHtml(placeholder)}"
+               value="${escapeHtml(value)}" autocomplete="off">
+        <div id="${id}-results" class="object-search__results tool-picker__results hidden"></div>
+    </div>`;
+}
+
+/**
+ * Wires an object picker rendered by renderObjectPicker, reusing the header search matching.
+ * @param {string} id - Base id of the picker.
+ * @param {Function} onSelect - Called with the selected object API name.
+ */
+export function attachObjectPicker(id, onSelect) {
+    const input = document.getElementById(id);
+    const results = document.getElementById(`${id}-results`);
+    if (!input || !results) return;
+
+    const select = (apiName) => {
+        const obj = state.allObjects.find(o => o.name === apiName);
+        input.value = obj ? obj.label : apiName;
+        input.dataset.apiName = apiName;
+        results.classList.add('hidden');
+        onSelect(apiName);
+    };
+
+    input.addEventListener('input', () => {
+        delete input.dataset.apiName;
+        const matches = filterObjects(input.value.trim()).slice(0, 50);
+
+        if (input.value.trim().length < 2) {
+            results.classList.add('hidden');
+            return;
+        }
+
+        results.innerHTML = matches.length === 0
+            ? '<div class="object-search__no-results">No objects found</div>'
+            : matches.map(obj => `
+                <div class="object-search__item ${obj.custom ? 'object-search__item--custom' : ''}" data-api-name="${escapeHtml(obj.name)}">
+                    <span class="object-search__item-label">${escapeHtml(obj.label)}</span>
+                    <span class="object-search__item-api">${escapeHtml(obj.name)}</span>
+                </div>`).join('');
+        results.classList.remove('hidden');
+
+        results.querySelectorAll('.object-search__item').forEach(item => {
+            item.addEventListener('click', () => select(item.dataset.apiName));
+        });
+    });
+
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            const first = results.querySelector('.object-search__item');
+            if (first) {
+                e.preventDefault();
+                select(first.dataset.apiName);
+            }
+        } else if (e.key === 'Escape') {
+            results.classList.add('hidden');
+        }
+    });
+
+    input.addEventListener('blur', () => setTimeout(() => results.classList.add('hidden'), 150));
+}
+
+/**
+ * Wires an object picker that adds objects to a selection shown as removable chips.
+ * @param {string} pickerId - Base id of a picker rendered by renderObjectPicker.
+ * @param {string} chipsId - Id of the chips container.
+ * @param {Set<string>} selectedObjects - The selected object API names (mutated).
+ */
+export function attachObjectSelection(pickerId, chipsId, selectedObjects) {
+    const renderSelected = () => {
+        const container = document.getElementById(chipsId);
+        if (!container) return;
+
+        container.innerHTML = [...selectedObjects].map(name => `
+            <span class="tool-chip">${escapeHtml(name)}
+                <button class="tool-chip__remove" data-api-name="${escapeHtml(name)}" aria-label="Remove ${escapeHtml(name)}">×</button>
+            </span>`).join('') || '<p class="tool-hint">No objects selected</p>';
+
+        container.querySelectorAll('.tool-chip__remove').forEach(button => {
+            button.addEventListener('click', () => {
+                selectedObjects.delete(button.dataset.apiName);
+                renderSelected();
+            });
+        });
+    };
+
+    attachObjectPicker(pickerId, apiName => {
+        selectedObjects.add(apiName);
+        document.getElementById(pickerId).value = '';
+        renderSelected();
+    });
+
+    renderSelected();
+}
+
+/**
+ * Wires a copy button that copies text produced by a callback, with brief feedback.
+ * @param {HTMLElement} button - The button element.
+ * @param {Function} getText - Returns the text to copy.
+ */
+export function attachCopyButton(button, getText) {
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+        const originalText = button.textContent;
+        const copied = await copyToClipboard(getText());
+        button.textContent = copied ? 'Copied!' : 'Copy failed';
+        setTimeout(() => { button.textContent = originalText; }, 1500);
+    });
+}
@@ -0,0 +1,159 @@
+/**
+ * Salesforce Schema Explorer - UI Saved Views
+ * Saves the arrangement of an object graph under a name (node positions, zoom and pan,
+ * relationship tab, exclusions, expansions and display options) and restores it.
+ */
+
+import { state, elements } from '../state.js';
+import { escapeHtml, logger } from '../utils.js';
+import { ensureGraphMetadata } from '../api.js';
+import { buildGraph, getGraphLayoutSnapshot } from '../graph.js';
+import { loadSavedViews, saveSavedView, deleteSavedView, saveObjectExclusions } from '../storage.js';
+import { closeHeaderMenus, startLoadingOperation, completeLoadingOperation } from './core.js';
+import { updateActiveTab, updateLegendCounts, updateObjectsCount, updateRelationshipTabs } from './legend.js';
+
+// Longest view name accepted
+const MAX_VIEW_NAME_LENGTH = 60;
+
+// =============================================================================
+// VIEWS MENU
+// =============================================================================
+
+/**
+ * Renders the views menu for the current root object: a name input to save the current
+ * view and the list of saved views.
+ */
+export function renderViewsMenu() {
+    const menu = elements.viewsMenu;
+
+    if (state.graphMode !== 'object' || !state.objectApiName) {
+        menu.innerHTML = '<span class="views-menu__empty">Saved views are available for object graphs.</span>';
+        return;
+    }
+
+    const views = loadSavedViews(state.instanceUrl, state.objectApiName);
+
+    menu.innerHTML = `
+        <div class="views-menu__save">
+            <input type="text" id="view-name-input" class="tool-input" maxlength="${MAX_VIEW_NAME_LENGTH}" placeholder="View name" aria-label="View name">
+            <button id="view-save-btn" class="btn btn--brand btn--xs">Save</button>
+        </div>
+        ${views.length === 0
+            ? `<span class="views-menu__empty">No saved views for ${escapeHtml(state.objectApiName)}.</span>`
+            : views.map(view => `
+                <div class="views-menu__row">
+                    <button class="header-menu__item views-menu__item" role="menuitem" data-view-name="${escapeHtml(view.name)}" title="Restore this view">
+                        ${escapeHtml(view.name)}
+                        <span class="views-menu__meta">${escapeHtml(formatViewSummary(view))}</span>
+                    </button>
+                    <button class="views-menu__delete" data-view-delete="${escapeHtml(view.name)}" title="Delete view" aria-label="Delete view ${escapeHtml(view.name)}">&times;</button>
+                </div>`).join('')}`;
+
+    const nameInput = document.getElementById('view-name-input');
+    const save = () => {
+        if (saveCurrentView(nameInput.value)) renderViewsMenu();
+    };
+
+    document.getElementById('view-save-btn').addEventListener('click', save);
+    nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') save();
+    });
+
+    menu.querySelectorAll('[data-view-name]').forEach(item => {
+        item.addEventListener('click', () => {
+            const view = views.find(candidate => candidate.name === item.dataset.viewName);
+            closeHeaderMenus();
+            if (view) restoreView(view);
+        });
+    });
+
+    menu.querySelectorAll('[data-view-delete]').forEach(button => {
+        button.addEventListener('click', () => {
+            deleteSavedView(state.instanceUrl, state.objectApiName, button.dataset.viewDelete);
+            renderViewsMenu();
+        });
+    });
+
+    nameInput.focus();
+}
+
+function formatViewSummary(view) {
+    const tab = { outgoing: 'Outgoing', incoming: 'Incoming', all: 'All' }[view.relationshipView] || view.relationshipView;
+    return `${tab} · ${Object.keys(view.positions || {}).length} objects · ${new Date(view.savedAt).toLocaleDateString()}`;
+}
+
+// =============================================================================
+// SAVE & RESTORE
+// =============================================================================
+
+/**
+ * Saves the current object graph under a name (replacing a view with the same name).
+ * @param {string} name - The view name.
+ * @returns {boolean} True if the view was saved.
+ */
+function saveCurrentView(name) {
+    const viewName = String(name ?? '').trim().slice(0, MAX_VIEW_NAME_LENGTH);
+    const snapshot = getGraphLayoutSnapshot();
+    if (!viewName || !snapshot) return false;
+
+    const saved = saveSavedView(state.instanceUrl, state.objectApiName, {
+        name: viewName,
+        savedAt: Date.now(),
+        relationshipView: state.activeRelationshipView,
+        excludedObjects: [...state.userExcludedObjects],
+        expandedNodes: [...state.expandedNodes],
+        collapseJunctions: state.collapseJunctions,
+        expandedJunctions: [...state.expandedJunctions],
+        erdLayout: state.erdLayout,
+        ...snapshot
+    });
+
+    if (saved) logger.info('[Views:save] Graph view saved', { object: state.objectApiName, view: viewName });
+    return saved;
+}
+
+/**
+ * Restores a saved view: its relationship tab, exclusions, expansions and display options,
+ * then redraws the graph with the saved node positions, zoom and pan.
+ * @param {Object} view - The saved view.
+ * @returns {Promise<void>}
+ */
+export async function restoreView(view) {
+    const mainMetadata = state.metadata.get(state.objectApiName);
+    if (!mainMetadata) return;
+
+    state.activeRelationshipView = view.relationshipView || 'outgoing';
+    state.userExcludedObjects = new Set(view.excludedObjects || []);
+    state.expandedNodes = new Set(view.expandedNodes || []);
+    state.collapseJunctions = view.collapseJunctions === true;
+    state.expandedJunctions = new Set(view.expandedJunctions || []);
+    state.erdLayout = view.erdLayout === true;
+
+    // The view's exclusions become the root object's exclusions, as if saved from the object list
+    saveObjectExclusions(state.instanceUrl, state.objectApiName, state.userExcludedObjects);
+
+    elements.junctionToggle.checked = state.collapseJunctions;
+    elements.erdToggle.checked = state.erdLayout;
+
+    // Expanded nodes render their own relationships, which may not be loaded yet
+    startLoadingOperation();
+    try {
+        for (const objectName of state.expandedNodes) {
+            try {
+                await ensureGraphMetadata(objectName);
+            } catch (error) {
+                logger.warn('[Views:restore] Could not load expanded object', { object: objectName, error: error.message });
+            }
+        }
+    } finally {
+        completeLoadingOperation();
+    }
+
+    updateActiveTab();
+    updateRelationshipTabs();
+    updateLegendCounts();
+    updateObjectsCount();
+
+    await buildGraph(mainMetadata, { positions: view.positions || {}, viewport: view.viewport });
+    logger.info('[Views:restore] Graph view restored', { object: state.objectApiName, view: view.name });
+}
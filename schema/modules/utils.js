@@ -34,3 +34,38 @@ export function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+/**
+ * Copies text to the clipboard.
+ * @param {string} text - The text to copy.
+ * @returns {Promise<boolean>} True if the copy succeeded.
+ */
+export async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        logger.warn('[Utils:copyToClipboard] Clipboard write failed', { error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Triggers a browser download for generated content.
+ * @param {string} filename - The suggested file name.
+ * @param {Blob|string} content - The file content.
+ * @param {string} [mimeType='text/plain'] - MIME type used when content is a string.
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -12,10 +12,13 @@ import {
   fetchLatestApiVersion,
   loadObjectMetadataMap,
   fetchObjectMetadata,
-  clearObjectMetadataCache
+  clearObjectMetadataCache,
+  revalidateMetadataCache,
+  crawlOrgSchema
 } from './modules/api.js';
 import {
   showLoading,
+  showLoadingProgress,
   showEmptyState,
   showError,
   showGraph,
@@ -28,9 +31,16 @@ import {
   updateActiveTab,
   hideDetailsPanel,
   hideRelationshipPopover,
-  updateCacheStatusUI
+  updateCacheStatusUI,
+  updateOrgCrawlProgress,
+  renderOrgMapBanner,
+  renderFieldDependencyBanner
 } from './modules/ui.js';
-import { buildGraph } from './modules/graph.js';
+import { buildGraph, updateGraph } from './modules/graph.js';
+import { buildOrgMapGraph } from './modules/orgmap.js';
+import { buildFieldDependencyGraph } from './modules/fieldgraph.js';
+import { loadRollupDefinitions } from './modules/dependencies.js';
+import { isObjectExcluded } from './modules/excludedObjects.js';
 import { clearSchema } from './modules/search.js';
 import { setupEventListeners } from './modules/event-listeners.js';
 
@@ -47,6 +57,8 @@ import { setupEventListeners } from './modules/event-listeners.js';
 async function loadObjectSchema(objectApiName) {
   // Clear stale state immediately to prevent leakage across objects
   state.userExcludedObjects = new Set();
+  state.expandedNodes = new Set();
+  state.graphMode = 'object';
   state.nodes = {};
   state.edges = {};
 
@@ -58,7 +70,10 @@ async function loadObjectSchema(objectApiName) {
 
     // Verify metadata for current graph context
     const { ensureGraphMetadata, fetchObjectMetadata } = await import('./modules/api.js');
-    await ensureGraphMetadata(objectApiName);
+    const { cancelled } = await ensureGraphMetadata(objectApiName, { onProgress: showLoadingProgress });
+    if (cancelled) {
+      logger.info('[Schema:loadObjectSchema] Loading cancelled, showing partial graph', { object: objectApiName });
+    }
 
     // Fetch main object metadata (should now be in cache/map)
     const mainMetadata = await fetchObjectMetadata(objectApiName);
@@ -76,11 +91,142 @@ async function loadObjectSchema(objectApiName) {
     await buildGraph(mainMetadata);
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.info('[Schema:loadObjectSchema] Loading cancelled', { object: objectApiName });
+      showEmptyState();
+      return;
+    }
     logger.error('[Schema:loadObjectSchema] Failed to load schema', { error: error.message });
     showError(error.message || 'Failed to load schema');
   }
 }
 
+/**
+ * Shows the whole-org map: describes every object from the SObject list
+ * (skipping those already cached) and renders them as one clustered graph.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadOrgMap() {
+  hideDetailsPanel();
+  hideRelationshipPopover();
+
+  state.graphMode = 'org';
+  showLoading('Describing org objects...');
+
+  try {
+    // A cancelled crawl still maps the objects described so far
+    const { failedCount, cancelled } = await crawlAllObjects();
+
+    // The user may have opened an object while the crawl was running
+    if (state.graphMode !== 'org') return;
+
+    document.title = 'Schema: Org Map';
+    showGraph();
+    const stats = buildOrgMapGraph({ onOpenObject: openObjectFromOrgMap });
+    renderOrgMapBanner({ ...stats, failedCount, cancelled });
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.info('[Schema:loadOrgMap] Org crawl cancelled');
+      showEmptyState();
+      return;
+    }
+    logger.error('[Schema:loadOrgMap] Failed to load org map', { error: error.message });
+    showError(error.message || 'Failed to load org map');
+  }
+}
+
+/**
+ * Describes every object of the org not excluded by the user (org crawl), with progress
+ * on the loading screen.
+ *
+ * @returns {Promise<{failedCount: number, cancelled: boolean}>}
+ */
+async function crawlAllObjects() {
+  const objectNames = state.allObjects
+    .map(obj => obj.name)
+    .filter(objectName => !isObjectExcluded(objectName));
+
+  const result = await crawlOrgSchema(objectNames, updateOrgCrawlProgress);
+  if (!result.cancelled) state.orgCrawled = true;
+  return result;
+}
+
+/**
+ * Opens an object's relationship graph from the org map.
+ *
+ * @param {string} objectApiName - The API name of the object to open.
+ * @returns {Promise<void>}
+ */
+async function openObjectFromOrgMap(objectApiName) {
+  const obj = state.allObjects.find(o => o.name === objectApiName);
+  elements.objectSearchInput.value = obj ? obj.label : objectApiName;
+  elements.objectSearchClear.classList.remove('hidden');
+
+  await loadObjectSchema(objectApiName);
+}
+
+/**
+ * Shows the field dependency graph: the formulas and roll-ups that use a field, and the
+ * fields it uses. Formulas come from the cached describes of all loaded objects; roll-up
+ * definitions are read from the Tooling API for the objects involved.
+ *
+ * @param {string} objectApiName - The API name of the field's object.
+ * @param {string} fieldName - The API name of the field.
+ * @returns {Promise<void>}
+ */
+async function loadFieldDependencies(objectApiName, fieldName) {
+  hideRelationshipPopover();
+
+  state.graphMode = 'fields';
+  state.dependencyField = { objectName: objectApiName, fieldName };
+  showLoading('Reading formulas and roll-ups...');
+
+  try {
+    const failedCount = await loadRollupDefinitions(objectApiName, fieldName);
+
+    // Another field or view may have been opened while definitions were loading
+    const { dependencyField } = state;
+    if (state.graphMode !== 'fields' || dependencyField.objectName !== objectApiName || dependencyField.fieldName !== fieldName) return;
+
+    document.title = `Dependencies: ${objectApiName}.${fieldName}`;
+    showGraph();
+    const stats = buildFieldDependencyGraph(objectApiName, fieldName, { onAnalyzeField: loadFieldDependencies });
+    renderFieldDependencyBanner(`${objectApiName}.${fieldName}`, { ...stats, failedCount });
+
+  } catch (error) {
+    logger.error('[Schema:loadFieldDependencies] Failed to analyze field dependencies', { error: error.message });
+    showError(error.message || 'Failed to analyze field dependencies');
+  }
+}
+
+/**
+ * Describes every object of the org, then analyzes the current field again, so formulas
+ * of objects never loaded are searched too. A cancelled crawl analyzes what was described.
+ *
+ * @returns {Promise<void>}
+ */
+async function searchAllObjectsForField() {
+  const { dependencyField } = state;
+  if (!dependencyField) return;
+
+  showLoading('Describing org objects...');
+
+  try {
+    await crawlAllObjects();
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      logger.error('[Schema:searchAllObjectsForField] Org crawl failed', { error: error.message });
+      showError(error.message || 'Failed to describe org objects');
+      return;
+    }
+  }
+
+  if (state.graphMode !== 'fields' || state.dependencyField !== dependencyField) return;
+  await loadFieldDependencies(dependencyField.objectName, dependencyField.fieldName);
+}
+
 /**
  * Switches the relationship view (incoming/outgoing/all).
  * 
@@ -96,25 +242,33 @@ async function switchRelationshipView(view) {
   updateObjectsCount();
 
   if (state.objectApiName) {
-    // Rebuild graph with new view filter
+    // Update the graph in place with the new view filter
     const metadata = state.metadata.get(state.objectApiName);
-    if (metadata) await buildGraph(metadata);
+    if (metadata) await updateGraph(metadata);
   }
 }
 
 /**
  * Handles the manual cache refresh triggered by the user.
- * Invalidates and reloads both metadata and relationship caches.
+ * By default the cached describes are revalidated and only changed objects are reloaded;
+ * a full refresh invalidates the whole cache and reloads the page.
  * 
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Clear the cache instead of revalidating it.
  * @returns {Promise<void>}
  */
-async function handleCacheRefresh() {
+async function handleCacheRefresh({ full = false } = {}) {
   try {
-    logger.info('[Schema:refresh] Cache refresh initiated by user');
+    logger.info('[Schema:refresh] Cache refresh initiated by user', { full });
 
     resetLoadingOperations();
     startLoadingOperation();
 
+    if (!full) {
+      await revalidateAndRedraw();
+      return;
+    }
+
     // Update context with latest state to preserve navigation and reset timer
     const urlParams = new URLSearchParams(window.location.search);
     const host = urlParams.get('host');
@@ -145,6 +299,43 @@ async function handleCacheRefresh() {
   }
 }
 
+/**
+ * Revalidates the metadata cache, then redraws the current view if anything changed.
+ * 
+ * @returns {Promise<void>}
+ */
+async function revalidateAndRedraw() {
+  const { changed, deleted, timestamp } = await revalidateMetadataCache();
+
+  completeLoadingOperation(timestamp, false);
+  if (elements.cacheStatus) {
+    elements.cacheStatus.title += ` · ${changed.length} changed, ${deleted.length} deleted`;
+  }
+
+  if (changed.length === 0 && deleted.length === 0) return;
+
+  // Cached describes of changed objects are stale
+  [...changed, ...deleted].forEach(objectName => state.metadata.delete(objectName));
+
+  if (state.graphMode === 'org') {
+    await loadOrgMap();
+  } else if (state.graphMode === 'fields' && state.dependencyField) {
+    await loadFieldDependencies(state.dependencyField.objectName, state.dependencyField.fieldName);
+  } else if (state.objectApiName && state.cy) {
+    if (deleted.includes(state.objectApiName)) {
+      logger.info('[Schema:revalidate] Root object was deleted from the org', { object: state.objectApiName });
+      clearSchema();
+      return;
+    }
+
+    // Expansions and exclusions are kept; the graph is updated in place from the refreshed map
+    deleted.forEach(objectName => state.expandedNodes.delete(objectName));
+    const mainMetadata = await fetchObjectMetadata(state.objectApiName);
+    updateRelationshipTabs();
+    await updateGraph(mainMetadata);
+  }
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -191,6 +382,7 @@ async function init() {
       logger.warn('[Schema:init] Failed to fetch SObjects', { error: e.message });
       state.allObjects = [];
     }
+    elements.btnOrgMap.disabled = state.allObjects.length === 0;
 
     // Load Object Metadata Map (From Cache Only - non-blocking)
     try {
@@ -233,7 +425,10 @@ async function init() {
 setupEventListeners({
   onLoadObjectSchema: loadObjectSchema,
   onSwitchRelationshipView: switchRelationshipView,
-  onRefreshCache: handleCacheRefresh
+  onRefreshCache: handleCacheRefresh,
+  onLoadOrgMap: loadOrgMap,
+  onShowFieldDependencies: loadFieldDependencies,
+  onSearchAllObjects: searchAllObjectsForField
 });
 
 // Run init